@@ -6,21 +6,78 @@ import "./interfaces/IGoldOracle.sol";
 /**
  * @title GoldOracle
  * @notice Oracle contract for gold prices from GoldAPI.io
- * @dev Stores gold prices in various formats and allows authorized updates
+ * @dev Stores gold prices in various formats and allows authorized updates.
+ *      Roles: the owner (admin) manages updaters, the guardian and report
+ *      signers; updaters publish prices; the guardian (or the owner) can pause
+ *      all price updates in an emergency and only the owner can unpause.
  */
 contract GoldOracle is IGoldOracle {
     // Constants
     uint8 public constant DECIMALS = 8;
-    uint256 public constant STALENESS_THRESHOLD = 1 hours;
+    uint256 public constant STALENESS_THRESHOLD = 1 hours;  // Initial stalenessThreshold
+
+    // Prices (8 decimals) and update time of one currency, packed into two
+    // storage slots: gram, ounce, 24K and 22K in the first, 18K and the
+    // timestamp in the second
+    struct PackedPrices {
+        uint64 pricePerGram;
+        uint64 pricePerOunce;
+        uint64 pricePerKarat24;
+        uint64 pricePerKarat22;
+        uint64 pricePerKarat18;
+        uint64 lastUpdated;
+    }
 
     // State variables
-    uint256 public pricePerGram;        // USD price per gram (8 decimals)
-    uint256 public pricePerOunce;       // USD price per ounce (8 decimals)
-    uint256 public pricePerKarat24;     // USD price per gram for 24K gold (8 decimals)
-    uint256 public pricePerKarat22;     // USD price per gram for 22K gold (8 decimals)
-    uint256 public pricePerKarat18;     // USD price per gram for 18K gold (8 decimals)
-    uint256 public lastUpdated;         // Timestamp of last update
-    address public owner;               // Contract owner
+    address public owner;               // Contract owner (admin)
+    address public guardian;            // May pause price updates
+    bool public paused;                 // True while price updates are paused
+    uint256 public stalenessThreshold = STALENESS_THRESHOLD; // Max age (seconds) of fresh prices
+
+    // Addresses allowed to publish prices
+    mapping(address => bool) private updaters;
+
+    // Current prices keyed by ISO 4217 code as bytes32, BASE_CURRENCY for the base (USD) prices
+    mapping(bytes32 => PackedPrices) private currentPrices;
+    // Quote currencies other than the base, in the order they were first published
+    bytes32[] private currencies;
+
+    // Key of the base (USD) currency in price mappings
+    bytes32 private constant BASE_CURRENCY = bytes32(0);
+
+    // Per-gram prices of karat tiers other than 24K, 22K and 18K, keyed by currency
+    mapping(bytes32 => mapping(uint8 => uint256)) private karatPrices;
+    // Time each karat tier was last written by updateKaratPrices, keyed by currency
+    mapping(bytes32 => mapping(uint8 => uint256)) private karatUpdatedAt;
+    mapping(uint8 => bool) private karatListed;
+    uint8[] private karats;
+
+    // EIP-712 type hashes of signed price reports
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant PRICE_REPORT_TYPEHASH = keccak256(
+        "PriceReport(bytes32 currency,uint256 pricePerGram,uint256 pricePerOunce,uint256 pricePerKarat24,"
+        "uint256 pricePerKarat22,uint256 pricePerKarat18,uint256 timestamp,uint256 nonce)"
+    );
+
+    // Upper bound of the s value of a non-malleable secp256k1 signature
+    uint256 private constant SECP256K1_HALF_ORDER =
+        0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // Every full price update as a numbered round, keyed by currency (BASE_CURRENCY
+    // for the base prices); round IDs start at 1
+    mapping(bytes32 => mapping(uint80 => PackedPrices)) private rounds;
+    mapping(bytes32 => uint80) private latestRounds;
+
+    // Width and mask of one price in updatePricesPacked / updatePricesBatch words
+    uint256 private constant PACKED_PRICE_BITS = 48;
+    uint256 private constant PACKED_PRICE_MASK = (1 << PACKED_PRICE_BITS) - 1;
+
+    // Addresses whose signed price reports are accepted
+    mapping(address => bool) private reportSigners;
+    // Nonces of stored price reports
+    mapping(uint256 => bool) public usedReportNonces;
 
     /**
      * @notice Modifier to restrict function access to owner only
@@ -31,16 +88,37 @@ contract GoldOracle is IGoldOracle {
     }
 
     /**
-     * @notice Constructor sets the deployer as the owner
+     * @notice Modifier to restrict function access to updaters only
+     */
+    modifier onlyUpdater() {
+        require(updaters[msg.sender], "GoldOracle: caller is not an updater");
+        _;
+    }
+
+    /**
+     * @notice Modifier to reject price updates while paused
+     */
+    modifier whenNotPaused() {
+        require(!paused, "GoldOracle: updates are paused");
+        _;
+    }
+
+    /**
+     * @notice Constructor sets the deployer as the owner and first updater
      */
     constructor() {
         owner = msg.sender;
+        updaters[msg.sender] = true;
+        _listKarat(24);
+        _listKarat(22);
+        _listKarat(18);
         emit OwnershipTransferred(address(0), msg.sender);
+        emit UpdaterUpdated(msg.sender, true);
     }
 
     /**
      * @notice Update all gold prices
-     * @dev Only owner can call this function
+     * @dev Only updaters can call this function, and not while paused
      * @param _gram Price per gram in USD (8 decimals)
      * @param _ounce Price per ounce in USD (8 decimals)
      * @param _k24 Price per gram for 24K gold in USD (8 decimals)
@@ -53,21 +131,169 @@ contract GoldOracle is IGoldOracle {
         uint256 _k24,
         uint256 _k22,
         uint256 _k18
-    ) external onlyOwner {
-        require(_gram > 0, "GoldOracle: invalid gram price");
-        require(_ounce > 0, "GoldOracle: invalid ounce price");
-        require(_k24 > 0, "GoldOracle: invalid 24K price");
-        require(_k22 > 0, "GoldOracle: invalid 22K price");
-        require(_k18 > 0, "GoldOracle: invalid 18K price");
+    ) external onlyUpdater whenNotPaused {
+        _storePrices(BASE_CURRENCY, _pack(_gram, _ounce, _k24, _k22, _k18, block.timestamp));
+    }
+
+    /**
+     * @notice Update all gold prices in a quote currency
+     * @dev Only updaters can call this function, and not while paused. The
+     *      base (USD) prices are published through updatePrices.
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @param _gram Price per gram (8 decimals)
+     * @param _ounce Price per ounce (8 decimals)
+     * @param _k24 Price per gram for 24K gold (8 decimals)
+     * @param _k22 Price per gram for 22K gold (8 decimals)
+     * @param _k18 Price per gram for 18K gold (8 decimals)
+     */
+    function updatePricesForCurrency(
+        bytes32 currency,
+        uint256 _gram,
+        uint256 _ounce,
+        uint256 _k24,
+        uint256 _k22,
+        uint256 _k18
+    ) external onlyUpdater whenNotPaused {
+        require(currency != bytes32(0), "GoldOracle: invalid currency");
+        _storePrices(currency, _pack(_gram, _ounce, _k24, _k22, _k18, block.timestamp));
+    }
+
+    /**
+     * @notice Update all gold prices of a currency from one packed word
+     * @dev Only updaters can call this function, and not while paused. Cheaper
+     *      in calldata than updatePrices: the five prices are 48-bit fields,
+     *      gram in the lowest bits, then ounce, 24K, 22K and 18K.
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param packedPrices Five prices (8 decimals, each below 2^48)
+     */
+    function updatePricesPacked(bytes32 currency, uint256 packedPrices) external onlyUpdater whenNotPaused {
+        _storePackedPrices(currency, packedPrices);
+    }
+
+    /**
+     * @notice Update selected gold prices of a currency, keeping the others
+     * @dev Only updaters can call this function, and not while paused. Bit i of
+     *      `fields` selects gram (0), ounce (1), 24K (2), 22K (3) and 18K (4);
+     *      `prices` holds the selected prices in that order. Every call starts a
+     *      new round with the resulting prices, so fields = 0 only refreshes
+     *      lastUpdated. The currency must have all five prices afterwards.
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param fields Bit mask of the fields to update
+     * @param prices New prices of the selected fields (8 decimals)
+     */
+    function updatePriceFields(
+        bytes32 currency,
+        uint8 fields,
+        uint256[] calldata prices
+    ) external onlyUpdater whenNotPaused {
+        require(fields < 32, "GoldOracle: invalid fields");
+
+        PackedPrices memory packed = currentPrices[currency];
+        uint256 next = 0;
+
+        for (uint8 field = 0; field < 5; field++) {
+            if (fields & (1 << field) != 0) {
+                require(next < prices.length, "GoldOracle: length mismatch");
+                _setField(packed, field, _toUint64(prices[next]));
+                next++;
+            }
+        }
+        require(next == prices.length, "GoldOracle: length mismatch");
+
+        packed.lastUpdated = uint64(block.timestamp);
+        _storePrices(currency, packed);
+    }
+
+    /**
+     * @notice Update the prices of several currencies in one transaction
+     * @dev Only updaters can call this function, and not while paused. Each
+     *      entry is packed as in updatePricesPacked and starts its own round.
+     * @param currencyKeys Currency codes as bytes32 (bytes32(0) for the base prices)
+     * @param packedPrices Packed prices of each currency
+     */
+    function updatePricesBatch(
+        bytes32[] calldata currencyKeys,
+        uint256[] calldata packedPrices
+    ) external onlyUpdater whenNotPaused {
+        require(currencyKeys.length > 0, "GoldOracle: empty batch");
+        require(currencyKeys.length == packedPrices.length, "GoldOracle: length mismatch");
+
+        for (uint256 i = 0; i < currencyKeys.length; i++) {
+            _storePackedPrices(currencyKeys[i], packedPrices[i]);
+        }
+    }
+
+    /**
+     * @notice Update per-gram prices for any set of karat tiers
+     * @dev Only updaters can call this function, and not while paused. 24K,
+     *      22K and 18K are part of the full prices and only change with
+     *      updatePrices or updatePriceFields, which record a new round.
+     * @param _karats Karat tiers (1-24, except 24, 22 and 18)
+     * @param _prices Price per gram for each tier in USD (8 decimals)
+     */
+    function updateKaratPrices(
+        uint8[] calldata _karats,
+        uint256[] calldata _prices
+    ) external onlyUpdater whenNotPaused {
+        _updateKaratPrices(BASE_CURRENCY, _karats, _prices);
+    }
+
+    /**
+     * @notice Update per-gram prices for any set of karat tiers in a quote currency
+     * @dev Only updaters can call this function, and not while paused
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @param _karats Karat tiers (1-24, except 24, 22 and 18)
+     * @param _prices Price per gram for each tier (8 decimals)
+     */
+    function updateKaratPricesForCurrency(
+        bytes32 currency,
+        uint8[] calldata _karats,
+        uint256[] calldata _prices
+    ) external onlyUpdater whenNotPaused {
+        require(currency != BASE_CURRENCY, "GoldOracle: invalid currency");
+        _updateKaratPrices(currency, _karats, _prices);
+    }
+
+    /**
+     * @notice USD price per gram (8 decimals)
+     */
+    function pricePerGram() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].pricePerGram;
+    }
+
+    /**
+     * @notice USD price per ounce (8 decimals)
+     */
+    function pricePerOunce() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].pricePerOunce;
+    }
+
+    /**
+     * @notice USD price per gram for 24K gold (8 decimals)
+     */
+    function pricePerKarat24() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].pricePerKarat24;
+    }
+
+    /**
+     * @notice USD price per gram for 22K gold (8 decimals)
+     */
+    function pricePerKarat22() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].pricePerKarat22;
+    }
 
-        pricePerGram = _gram;
-        pricePerOunce = _ounce;
-        pricePerKarat24 = _k24;
-        pricePerKarat22 = _k22;
-        pricePerKarat18 = _k18;
-        lastUpdated = block.timestamp;
+    /**
+     * @notice USD price per gram for 18K gold (8 decimals)
+     */
+    function pricePerKarat18() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].pricePerKarat18;
+    }
 
-        emit PricesUpdated(_gram, _ounce, _k24, _k22, _k18, block.timestamp);
+    /**
+     * @notice Timestamp of the last update of the USD prices
+     */
+    function lastUpdated() external view returns (uint256) {
+        return currentPrices[BASE_CURRENCY].lastUpdated;
     }
 
     /**
@@ -75,7 +301,7 @@ contract GoldOracle is IGoldOracle {
      * @return Price per gram in USD (8 decimals)
      */
     function getGoldPricePerGram() external view returns (uint256) {
-        return pricePerGram;
+        return currentPrices[BASE_CURRENCY].pricePerGram;
     }
 
     /**
@@ -83,24 +309,58 @@ contract GoldOracle is IGoldOracle {
      * @return Price per ounce in USD (8 decimals)
      */
     function getGoldPricePerOunce() external view returns (uint256) {
-        return pricePerOunce;
+        return currentPrices[BASE_CURRENCY].pricePerOunce;
     }
 
     /**
      * @notice Get the current gold price by karat
-     * @param karat The karat value (18, 22, or 24)
+     * @param karat The karat value (1-24); tiers other than 24, 22 and 18 must have been published
      * @return Price per gram for specified karat in USD (8 decimals)
      */
     function getGoldPriceByKarat(uint8 karat) external view returns (uint256) {
-        if (karat == 24) {
-            return pricePerKarat24;
-        } else if (karat == 22) {
-            return pricePerKarat22;
-        } else if (karat == 18) {
-            return pricePerKarat18;
-        } else {
-            revert("GoldOracle: invalid karat (must be 18, 22, or 24)");
-        }
+        return _karatPrice(BASE_CURRENCY, karat);
+    }
+
+    /**
+     * @notice Get the current gold price by karat in a quote currency
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @param karat The karat value (1-24)
+     * @return Price per gram for specified karat (8 decimals)
+     */
+    function getGoldPriceByKaratForCurrency(bytes32 currency, uint8 karat) external view returns (uint256) {
+        require(currency != BASE_CURRENCY, "GoldOracle: invalid currency");
+        return _karatPrice(currency, karat);
+    }
+
+    /**
+     * @notice Get the current gold prices of several karat tiers
+     * @param _karats Karat tiers (1-24)
+     * @return Price per gram for each tier in USD (8 decimals)
+     */
+    function getKaratPrices(uint8[] calldata _karats) external view returns (uint256[] memory) {
+        return _karatPriceList(BASE_CURRENCY, _karats);
+    }
+
+    /**
+     * @notice Get the current gold prices of several karat tiers in a quote currency
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @param _karats Karat tiers (1-24)
+     * @return Price per gram for each tier (8 decimals)
+     */
+    function getKaratPricesForCurrency(
+        bytes32 currency,
+        uint8[] calldata _karats
+    ) external view returns (uint256[] memory) {
+        require(currency != BASE_CURRENCY, "GoldOracle: invalid currency");
+        return _karatPriceList(currency, _karats);
+    }
+
+    /**
+     * @notice Get every karat tier that has been published
+     * @return List of karat values (always includes 24, 22 and 18)
+     */
+    function getKarats() external view returns (uint8[] memory) {
+        return karats;
     }
 
     /**
@@ -108,14 +368,27 @@ contract GoldOracle is IGoldOracle {
      * @return PriceData struct containing all price information
      */
     function getAllPrices() external view returns (PriceData memory) {
-        return PriceData({
-            pricePerGram: pricePerGram,
-            pricePerOunce: pricePerOunce,
-            pricePerKarat24: pricePerKarat24,
-            pricePerKarat22: pricePerKarat22,
-            pricePerKarat18: pricePerKarat18,
-            lastUpdated: lastUpdated
-        });
+        return _basePrices();
+    }
+
+    /**
+     * @notice Get the ID of the latest round of a currency
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @return Latest round ID (0 if no prices were published yet)
+     */
+    function latestRoundId(bytes32 currency) external view returns (uint80) {
+        return latestRounds[currency];
+    }
+
+    /**
+     * @notice Get the prices of a past round
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param roundId Round ID (1 to latestRoundId)
+     * @return PriceData struct as published in that round
+     */
+    function getRound(bytes32 currency, uint80 roundId) external view returns (PriceData memory) {
+        require(roundId > 0 && roundId <= latestRounds[currency], "GoldOracle: round not found");
+        return _unpack(rounds[currency][roundId]);
     }
 
     /**
@@ -123,18 +396,80 @@ contract GoldOracle is IGoldOracle {
      * @return Timestamp of last update
      */
     function getLastUpdated() external view returns (uint256) {
-        return lastUpdated;
+        return currentPrices[BASE_CURRENCY].lastUpdated;
     }
 
     /**
      * @notice Check if the price data is stale
-     * @return true if data is older than STALENESS_THRESHOLD, false otherwise
+     * @return true if data is older than stalenessThreshold, false otherwise
      */
     function isStale() public view returns (bool) {
-        if (lastUpdated == 0) {
-            return true;
+        return _isStale(currentPrices[BASE_CURRENCY].lastUpdated);
+    }
+
+    /**
+     * @notice Get how long the prices of a currency stay fresh
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @return Seconds until the prices become stale (0 if they already are)
+     */
+    function timeUntilStale(bytes32 currency) external view returns (uint256) {
+        uint256 updatedAt = _lastUpdatedOf(currency);
+        if (_isStale(updatedAt)) {
+            return 0;
+        }
+        return updatedAt + stalenessThreshold - block.timestamp;
+    }
+
+    /**
+     * @notice Get the time a karat tier was last published
+     * @dev 24K, 22K and 18K were last published with the full prices
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param karat The karat value (1-24)
+     * @return Timestamp of the last update of the tier (0 if never published)
+     */
+    function getKaratLastUpdated(bytes32 currency, uint8 karat) public view returns (uint256) {
+        require(karat >= 1 && karat <= 24, "GoldOracle: invalid karat (must be 1-24)");
+
+        if (_isStandardKarat(karat)) {
+            return _lastUpdatedOf(currency);
         }
-        return (block.timestamp - lastUpdated) > STALENESS_THRESHOLD;
+        return karatUpdatedAt[currency][karat];
+    }
+
+    /**
+     * @notice Check if the price of a karat tier is stale
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param karat The karat value (1-24)
+     * @return true if the tier was last published longer than stalenessThreshold ago
+     */
+    function isKaratStale(bytes32 currency, uint8 karat) external view returns (bool) {
+        return _isStale(getKaratLastUpdated(currency, karat));
+    }
+
+    /**
+     * @notice Get all current gold prices in a quote currency
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @return PriceData struct (all zero if the currency was never published)
+     */
+    function getAllPricesForCurrency(bytes32 currency) external view returns (PriceData memory) {
+        return _pricesOf(currency);
+    }
+
+    /**
+     * @notice Check if the price data for a quote currency is stale
+     * @param currency ISO 4217 currency code as bytes32
+     * @return true if data is older than stalenessThreshold, false otherwise
+     */
+    function isStaleForCurrency(bytes32 currency) public view returns (bool) {
+        return _isStale(currentPrices[currency].lastUpdated);
+    }
+
+    /**
+     * @notice Get every quote currency that has been published
+     * @return List of currency codes as bytes32
+     */
+    function getCurrencies() external view returns (bytes32[] memory) {
+        return currencies;
     }
 
     /**
@@ -148,4 +483,434 @@ contract GoldOracle is IGoldOracle {
         owner = newOwner;
         emit OwnershipTransferred(oldOwner, newOwner);
     }
+
+    /**
+     * @notice Grant or revoke the updater role
+     * @dev Only owner can call this function
+     * @param account Address that publishes prices
+     * @param authorized true to grant the role, false to revoke it
+     */
+    function setUpdater(address account, bool authorized) external onlyOwner {
+        require(account != address(0), "GoldOracle: invalid updater");
+        updaters[account] = authorized;
+        emit UpdaterUpdated(account, authorized);
+    }
+
+    /**
+     * @notice Check if an address may publish prices
+     * @param account Address to check
+     * @return true if the address has the updater role
+     */
+    function isUpdater(address account) external view returns (bool) {
+        return updaters[account];
+    }
+
+    /**
+     * @notice Set the maximum age of fresh prices
+     * @dev Only owner can call this function. Applies to every currency and
+     *      karat tier; keep it above the updater's heartbeat.
+     * @param threshold Maximum age in seconds
+     */
+    function setStalenessThreshold(uint256 threshold) external onlyOwner {
+        require(threshold > 0, "GoldOracle: invalid staleness threshold");
+        uint256 oldThreshold = stalenessThreshold;
+        stalenessThreshold = threshold;
+        emit StalenessThresholdUpdated(oldThreshold, threshold);
+    }
+
+    /**
+     * @notice Set the guardian that can pause price updates
+     * @dev Only owner can call this function; address(0) removes the guardian
+     * @param newGuardian Address of the new guardian
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        address oldGuardian = guardian;
+        guardian = newGuardian;
+        emit GuardianTransferred(oldGuardian, newGuardian);
+    }
+
+    /**
+     * @notice Pause all price updates, including signed reports
+     * @dev Only the guardian or the owner can call this function
+     */
+    function pause() external {
+        require(
+            msg.sender == guardian || msg.sender == owner,
+            "GoldOracle: caller is not the guardian"
+        );
+        require(!paused, "GoldOracle: already paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Resume price updates
+     * @dev Only owner can call this function
+     */
+    function unpause() external onlyOwner {
+        require(paused, "GoldOracle: not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice Authorize or revoke a price report signer
+     * @dev Only owner can call this function
+     * @param signer Address that signs price reports off-chain
+     * @param authorized true to accept its reports, false to stop accepting them
+     */
+    function setReportSigner(address signer, bool authorized) external onlyOwner {
+        require(signer != address(0), "GoldOracle: invalid report signer");
+        reportSigners[signer] = authorized;
+        emit ReportSignerUpdated(signer, authorized);
+    }
+
+    /**
+     * @notice Check if an address may sign price reports
+     * @param signer Address to check
+     * @return true if reports signed by this address are accepted
+     */
+    function isReportSigner(address signer) external view returns (bool) {
+        return reportSigners[signer];
+    }
+
+    /**
+     * @notice EIP-712 domain separator of this deployment
+     * @return Hash of { name: "GoldOracle", version: "1", chainId, verifyingContract: this }
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("GoldOracle")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice EIP-712 digest a report signer signs
+     * @param report Price report
+     * @return Digest of the report under this deployment's domain
+     */
+    function hashPriceReport(PriceReport calldata report) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            PRICE_REPORT_TYPEHASH,
+            report.currency,
+            report.pricePerGram,
+            report.pricePerOunce,
+            report.pricePerKarat24,
+            report.pricePerKarat22,
+            report.pricePerKarat18,
+            report.timestamp,
+            report.nonce
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @notice Check a signed price report without storing it
+     * @dev Reverts if the signature is invalid, the signer is not authorized,
+     *      a price is zero or the report is from the future
+     * @param report Signed price report
+     * @param signature EIP-712 signature of the report (65 bytes)
+     * @return Address that signed the report
+     */
+    function verifyPriceReport(
+        PriceReport calldata report,
+        bytes calldata signature
+    ) public view returns (address) {
+        require(report.pricePerGram > 0, "GoldOracle: invalid gram price");
+        require(report.pricePerOunce > 0, "GoldOracle: invalid ounce price");
+        require(report.pricePerKarat24 > 0, "GoldOracle: invalid 24K price");
+        require(report.pricePerKarat22 > 0, "GoldOracle: invalid 22K price");
+        require(report.pricePerKarat18 > 0, "GoldOracle: invalid 18K price");
+        require(report.timestamp <= block.timestamp, "GoldOracle: report from the future");
+
+        address signer = _recoverSigner(hashPriceReport(report), signature);
+        require(reportSigners[signer], "GoldOracle: unauthorized report signer");
+        return signer;
+    }
+
+    /**
+     * @notice Verify a signed price report and store its prices
+     * @dev Anyone may submit a report. Reports not newer than the stored prices
+     *      of their currency, or whose nonce was already used, are verified but
+     *      not stored, so consumers can submit the report they carry without
+     *      reverting when someone else published first.
+     * @param report Signed price report
+     * @param signature EIP-712 signature of the report (65 bytes)
+     * @return true if the report was stored
+     */
+    function submitPriceReport(
+        PriceReport calldata report,
+        bytes calldata signature
+    ) external whenNotPaused returns (bool) {
+        address signer = verifyPriceReport(report, signature);
+        if (report.timestamp <= currentPrices[report.currency].lastUpdated || usedReportNonces[report.nonce]) {
+            return false;
+        }
+
+        usedReportNonces[report.nonce] = true;
+        _storeReport(report);
+
+        emit PriceReportAccepted(report.currency, signer, report.nonce, report.timestamp);
+        return true;
+    }
+
+    /**
+     * @dev Write the prices of a verified report, timestamped with the report's time
+     */
+    function _storeReport(PriceReport calldata report) private {
+        _storePrices(report.currency, _pack(
+            report.pricePerGram,
+            report.pricePerOunce,
+            report.pricePerKarat24,
+            report.pricePerKarat22,
+            report.pricePerKarat18,
+            report.timestamp
+        ));
+    }
+
+    /**
+     * @dev Validate and write the full prices of a currency, emit PricesUpdated
+     *      (base) or CurrencyPricesUpdated and start a new round
+     */
+    function _storePrices(bytes32 currency, PackedPrices memory packed) private {
+        require(packed.pricePerGram > 0, "GoldOracle: invalid gram price");
+        require(packed.pricePerOunce > 0, "GoldOracle: invalid ounce price");
+        require(packed.pricePerKarat24 > 0, "GoldOracle: invalid 24K price");
+        require(packed.pricePerKarat22 > 0, "GoldOracle: invalid 22K price");
+        require(packed.pricePerKarat18 > 0, "GoldOracle: invalid 18K price");
+
+        if (currency == BASE_CURRENCY) {
+            currentPrices[BASE_CURRENCY] = packed;
+
+            emit PricesUpdated(
+                packed.pricePerGram,
+                packed.pricePerOunce,
+                packed.pricePerKarat24,
+                packed.pricePerKarat22,
+                packed.pricePerKarat18,
+                packed.lastUpdated
+            );
+        } else {
+            if (currentPrices[currency].lastUpdated == 0) {
+                currencies.push(currency);
+            }
+
+            currentPrices[currency] = packed;
+
+            emit CurrencyPricesUpdated(
+                currency,
+                packed.pricePerGram,
+                packed.pricePerOunce,
+                packed.pricePerKarat24,
+                packed.pricePerKarat22,
+                packed.pricePerKarat18,
+                packed.lastUpdated
+            );
+        }
+
+        _recordRound(currency, packed);
+    }
+
+    /**
+     * @dev Unpack and store one packed price word (see updatePricesPacked)
+     */
+    function _storePackedPrices(bytes32 currency, uint256 packedPrices) private {
+        require(packedPrices >> (5 * PACKED_PRICE_BITS) == 0, "GoldOracle: invalid packed prices");
+
+        _storePrices(currency, PackedPrices({
+            pricePerGram: uint64(packedPrices & PACKED_PRICE_MASK),
+            pricePerOunce: uint64((packedPrices >> PACKED_PRICE_BITS) & PACKED_PRICE_MASK),
+            pricePerKarat24: uint64((packedPrices >> (2 * PACKED_PRICE_BITS)) & PACKED_PRICE_MASK),
+            pricePerKarat22: uint64((packedPrices >> (3 * PACKED_PRICE_BITS)) & PACKED_PRICE_MASK),
+            pricePerKarat18: uint64((packedPrices >> (4 * PACKED_PRICE_BITS)) & PACKED_PRICE_MASK),
+            lastUpdated: uint64(block.timestamp)
+        }));
+    }
+
+    /**
+     * @dev Current full prices of a currency
+     */
+    function _pricesOf(bytes32 currency) private view returns (PriceData memory) {
+        return _unpack(currentPrices[currency]);
+    }
+
+    /**
+     * @dev Set one price by its updatePriceFields bit index
+     */
+    function _setField(PackedPrices memory packed, uint8 field, uint64 price) private pure {
+        if (field == 0) packed.pricePerGram = price;
+        else if (field == 1) packed.pricePerOunce = price;
+        else if (field == 2) packed.pricePerKarat24 = price;
+        else if (field == 3) packed.pricePerKarat22 = price;
+        else packed.pricePerKarat18 = price;
+    }
+
+    /**
+     * @dev Current base (USD) prices as a PriceData struct
+     */
+    function _basePrices() private view returns (PriceData memory) {
+        return _unpack(currentPrices[BASE_CURRENCY]);
+    }
+
+    /**
+     * @dev Save a full price update as the next round of a currency and emit NewRound
+     */
+    function _recordRound(bytes32 currency, PackedPrices memory packed) private {
+        uint80 roundId = latestRounds[currency] + 1;
+        latestRounds[currency] = roundId;
+        rounds[currency][roundId] = packed;
+        emit NewRound(currency, roundId, packed.lastUpdated);
+    }
+
+    /**
+     * @dev Pack prices for storage; each price must fit in 64 bits
+     */
+    function _pack(
+        uint256 _gram,
+        uint256 _ounce,
+        uint256 _k24,
+        uint256 _k22,
+        uint256 _k18,
+        uint256 timestamp
+    ) private pure returns (PackedPrices memory) {
+        return PackedPrices({
+            pricePerGram: _toUint64(_gram),
+            pricePerOunce: _toUint64(_ounce),
+            pricePerKarat24: _toUint64(_k24),
+            pricePerKarat22: _toUint64(_k22),
+            pricePerKarat18: _toUint64(_k18),
+            lastUpdated: uint64(timestamp)
+        });
+    }
+
+    /**
+     * @dev Unpack stored prices
+     */
+    function _unpack(PackedPrices memory packed) private pure returns (PriceData memory) {
+        return PriceData({
+            pricePerGram: packed.pricePerGram,
+            pricePerOunce: packed.pricePerOunce,
+            pricePerKarat24: packed.pricePerKarat24,
+            pricePerKarat22: packed.pricePerKarat22,
+            pricePerKarat18: packed.pricePerKarat18,
+            lastUpdated: packed.lastUpdated
+        });
+    }
+
+    /**
+     * @dev Narrow a price to its 64-bit storage width
+     */
+    function _toUint64(uint256 price) private pure returns (uint64) {
+        require(price <= type(uint64).max, "GoldOracle: price too large");
+        return uint64(price);
+    }
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        require(signature.length == 65, "GoldOracle: invalid signature length");
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        require(uint256(s) <= SECP256K1_HALF_ORDER, "GoldOracle: invalid signature");
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "GoldOracle: invalid signature");
+        return signer;
+    }
+
+    /**
+     * @dev Validate and store a set of karat prices, then emit KaratPricesUpdated
+     */
+    function _updateKaratPrices(
+        bytes32 currency,
+        uint8[] calldata _karats,
+        uint256[] calldata _prices
+    ) private {
+        require(_karats.length > 0, "GoldOracle: no karats");
+        require(_karats.length == _prices.length, "GoldOracle: length mismatch");
+
+        for (uint256 i = 0; i < _karats.length; i++) {
+            uint8 karat = _karats[i];
+            require(karat >= 1 && karat <= 24, "GoldOracle: invalid karat (must be 1-24)");
+            // Written outside _storePrices, they would change without a new round
+            require(
+                !_isStandardKarat(karat),
+                "GoldOracle: 24K, 22K and 18K are updated with updatePrices or updatePriceFields"
+            );
+            require(_prices[i] > 0, "GoldOracle: invalid karat price");
+
+            karatUpdatedAt[currency][karat] = block.timestamp;
+            karatPrices[currency][karat] = _prices[i];
+            _listKarat(karat);
+        }
+
+        emit KaratPricesUpdated(currency, _karats, _prices, block.timestamp);
+    }
+
+    /**
+     * @dev Whether a karat tier is one of the full prices (24K, 22K or 18K)
+     */
+    function _isStandardKarat(uint8 karat) private pure returns (bool) {
+        return karat == 24 || karat == 22 || karat == 18;
+    }
+
+    /**
+     * @dev Time the full prices of a currency were last updated
+     */
+    function _lastUpdatedOf(bytes32 currency) private view returns (uint256) {
+        return currentPrices[currency].lastUpdated;
+    }
+
+    /**
+     * @dev Whether prices last updated at a time are older than the threshold
+     */
+    function _isStale(uint256 updatedAt) private view returns (bool) {
+        if (updatedAt == 0) {
+            return true;
+        }
+        return (block.timestamp - updatedAt) > stalenessThreshold;
+    }
+
+    /**
+     * @dev Price per gram of a karat tier in a currency
+     */
+    function _karatPrice(bytes32 currency, uint8 karat) private view returns (uint256) {
+        require(karat >= 1 && karat <= 24, "GoldOracle: invalid karat (must be 1-24)");
+
+        if (karat == 24) return currentPrices[currency].pricePerKarat24;
+        if (karat == 22) return currentPrices[currency].pricePerKarat22;
+        if (karat == 18) return currentPrices[currency].pricePerKarat18;
+
+        uint256 price = karatPrices[currency][karat];
+        require(price > 0, "GoldOracle: karat not published");
+        return price;
+    }
+
+    /**
+     * @dev Prices per gram of several karat tiers in a currency
+     */
+    function _karatPriceList(bytes32 currency, uint8[] calldata _karats) private view returns (uint256[] memory) {
+        uint256[] memory prices = new uint256[](_karats.length);
+        for (uint256 i = 0; i < _karats.length; i++) {
+            prices[i] = _karatPrice(currency, _karats[i]);
+        }
+        return prices;
+    }
+
+    /**
+     * @dev Add a karat tier to the list returned by getKarats
+     */
+    function _listKarat(uint8 karat) private {
+        if (!karatListed[karat]) {
+            karatListed[karat] = true;
+            karats.push(karat);
+        }
+    }
 }
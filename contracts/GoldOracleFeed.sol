@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/IGoldOracle.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title GoldOracleFeed
+ * @notice Chainlink AggregatorV3Interface view of one GoldOracle price field
+ * @dev Deploy one feed per currency and field (e.g. XAU/USD per ounce, XAU/EUR
+ *      per gram of 22K). Rounds map one to one to GoldOracle rounds, so
+ *      answeredInRound always equals roundId and startedAt equals updatedAt.
+ */
+contract GoldOracleFeed is AggregatorV3Interface {
+    /**
+     * @notice Price field a feed reports
+     */
+    enum Field {
+        Gram,
+        Ounce,
+        Karat24,
+        Karat22,
+        Karat18
+    }
+
+    uint8 public constant DECIMALS = 8;
+    uint256 public constant VERSION = 1;
+
+    IGoldOracle public immutable oracle;
+    bytes32 public immutable currency;
+    Field public immutable field;
+
+    string private feedDescription;
+
+    /**
+     * @param _oracle GoldOracle to read from
+     * @param _currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param _field Price field to report
+     * @param _description Feed description, e.g. "XAU / USD"
+     */
+    constructor(IGoldOracle _oracle, bytes32 _currency, Field _field, string memory _description) {
+        require(address(_oracle) != address(0), "GoldOracleFeed: invalid oracle");
+        oracle = _oracle;
+        currency = _currency;
+        field = _field;
+        feedDescription = _description;
+    }
+
+    /**
+     * @notice Number of decimals of the answer
+     * @return 8, like GoldOracle prices
+     */
+    function decimals() external pure returns (uint8) {
+        return DECIMALS;
+    }
+
+    /**
+     * @notice Description of the feed
+     * @return Description given at deployment
+     */
+    function description() external view returns (string memory) {
+        return feedDescription;
+    }
+
+    /**
+     * @notice Version of the feed implementation
+     * @return Feed version
+     */
+    function version() external pure returns (uint256) {
+        return VERSION;
+    }
+
+    /**
+     * @notice Get a past round
+     * @dev Reverts with "GoldOracle: round not found" for unknown rounds
+     * @param _roundId GoldOracle round ID
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return _round(_roundId);
+    }
+
+    /**
+     * @notice Get the latest round
+     * @dev Reverts with "GoldOracle: round not found" until the first price is published
+     */
+    function latestRoundData()
+        external
+        view
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return _round(oracle.latestRoundId(currency));
+    }
+
+    /**
+     * @dev Read a round from the oracle and pick this feed's field
+     */
+    function _round(uint80 _roundId)
+        private
+        view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        IGoldOracle.PriceData memory data = oracle.getRound(currency, _roundId);
+        return (_roundId, int256(_value(data)), data.lastUpdated, data.lastUpdated, _roundId);
+    }
+
+    /**
+     * @dev Price of this feed's field in a round
+     */
+    function _value(IGoldOracle.PriceData memory data) private view returns (uint256) {
+        if (field == Field.Gram) return data.pricePerGram;
+        if (field == Field.Ounce) return data.pricePerOunce;
+        if (field == Field.Karat24) return data.pricePerKarat24;
+        if (field == Field.Karat22) return data.pricePerKarat22;
+        return data.pricePerKarat18;
+    }
+}
@@ -25,6 +25,30 @@ interface IGoldOracle {
         uint256 lastUpdated;
     }
 
+    /**
+     * @notice Price report signed off-chain by an authorized report signer (EIP-712)
+     * @dev Signed under the domain { name: "GoldOracle", version: "1", chainId, verifyingContract },
+     *      so a report is only valid for the deployment it was signed for
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param pricePerGram Price per gram (8 decimals)
+     * @param pricePerOunce Price per ounce (8 decimals)
+     * @param pricePerKarat24 Price per gram for 24K gold (8 decimals)
+     * @param pricePerKarat22 Price per gram for 22K gold (8 decimals)
+     * @param pricePerKarat18 Price per gram for 18K gold (8 decimals)
+     * @param timestamp Time the prices were fetched
+     * @param nonce Unique report number
+     */
+    struct PriceReport {
+        bytes32 currency;
+        uint256 pricePerGram;
+        uint256 pricePerOunce;
+        uint256 pricePerKarat24;
+        uint256 pricePerKarat22;
+        uint256 pricePerKarat18;
+        uint256 timestamp;
+        uint256 nonce;
+    }
+
     /**
      * @notice Emitted when prices are updated
      */
@@ -37,6 +61,85 @@ interface IGoldOracle {
         uint256 timestamp
     );
 
+    /**
+     * @notice Emitted when prices are updated for a quote currency
+     */
+    event CurrencyPricesUpdated(
+        bytes32 indexed currency,
+        uint256 gram,
+        uint256 ounce,
+        uint256 k24,
+        uint256 k22,
+        uint256 k18,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Emitted when the owner changes the maximum age of fresh prices
+     */
+    event StalenessThresholdUpdated(uint256 previousThreshold, uint256 newThreshold);
+
+    /**
+     * @notice Emitted when a full price update is saved as a new round
+     * @dev currency is bytes32(0) for the base (USD) currency. Karat tier
+     *      updates (updateKaratPrices) do not start a round.
+     */
+    event NewRound(
+        bytes32 indexed currency,
+        uint80 indexed roundId,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Emitted when karat tier prices are updated
+     * @dev currency is bytes32(0) for the base (USD) currency
+     */
+    event KaratPricesUpdated(
+        bytes32 indexed currency,
+        uint8[] karats,
+        uint256[] prices,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Emitted when the updater role is granted or revoked
+     */
+    event UpdaterUpdated(address indexed account, bool authorized);
+
+    /**
+     * @notice Emitted when the guardian changes
+     */
+    event GuardianTransferred(
+        address indexed previousGuardian,
+        address indexed newGuardian
+    );
+
+    /**
+     * @notice Emitted when price updates are paused
+     */
+    event Paused(address account);
+
+    /**
+     * @notice Emitted when price updates are resumed
+     */
+    event Unpaused(address account);
+
+    /**
+     * @notice Emitted when a report signer is authorized or revoked
+     */
+    event ReportSignerUpdated(address indexed signer, bool authorized);
+
+    /**
+     * @notice Emitted when a signed price report is stored
+     * @dev Emitted after the PricesUpdated or CurrencyPricesUpdated event of the same report
+     */
+    event PriceReportAccepted(
+        bytes32 indexed currency,
+        address indexed signer,
+        uint256 nonce,
+        uint256 timestamp
+    );
+
     /**
      * @notice Emitted when ownership is transferred
      */
@@ -59,17 +162,45 @@ interface IGoldOracle {
 
     /**
      * @notice Get the current gold price by karat
-     * @param karat The karat value (18, 22, or 24)
+     * @param karat The karat value (1-24); tiers other than 24, 22 and 18 must have been published
      * @return Price per gram for specified karat in USD (8 decimals)
      */
     function getGoldPriceByKarat(uint8 karat) external view returns (uint256);
 
+    /**
+     * @notice Get the current gold prices of several karat tiers
+     * @param karats Karat tiers (1-24)
+     * @return Price per gram for each tier in USD (8 decimals)
+     */
+    function getKaratPrices(uint8[] calldata karats) external view returns (uint256[] memory);
+
+    /**
+     * @notice Get every karat tier that has been published
+     * @return List of karat values (always includes 24, 22 and 18)
+     */
+    function getKarats() external view returns (uint8[] memory);
+
     /**
      * @notice Get all current gold prices
      * @return PriceData struct containing all price information
      */
     function getAllPrices() external view returns (PriceData memory);
 
+    /**
+     * @notice Get the ID of the latest round of a currency
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @return Latest round ID (0 if no prices were published yet)
+     */
+    function latestRoundId(bytes32 currency) external view returns (uint80);
+
+    /**
+     * @notice Get the prices of a past round
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param roundId Round ID (1 to latestRoundId)
+     * @return PriceData struct as published in that round
+     */
+    function getRound(bytes32 currency, uint80 roundId) external view returns (PriceData memory);
+
     /**
      * @notice Get the timestamp of the last price update
      * @return Timestamp of last update
@@ -78,7 +209,117 @@ interface IGoldOracle {
 
     /**
      * @notice Check if the price data is stale
-     * @return true if data is older than STALENESS_THRESHOLD, false otherwise
+     * @return true if data is older than stalenessThreshold(), false otherwise
      */
     function isStale() external view returns (bool);
+
+    /**
+     * @notice Get all current gold prices in a quote currency
+     * @param currency ISO 4217 currency code as bytes32 (e.g. "EUR")
+     * @return PriceData struct containing all price information in that currency
+     */
+    function getAllPricesForCurrency(bytes32 currency) external view returns (PriceData memory);
+
+    /**
+     * @notice Check if the price data for a quote currency is stale
+     * @param currency ISO 4217 currency code as bytes32
+     * @return true if data is older than stalenessThreshold(), false otherwise
+     */
+    function isStaleForCurrency(bytes32 currency) external view returns (bool);
+
+    /**
+     * @notice Get the maximum age of fresh prices
+     * @return Threshold in seconds (set by the owner)
+     */
+    function stalenessThreshold() external view returns (uint256);
+
+    /**
+     * @notice Get how long the prices of a currency stay fresh
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @return Seconds until the prices become stale (0 if they already are)
+     */
+    function timeUntilStale(bytes32 currency) external view returns (uint256);
+
+    /**
+     * @notice Get the time a karat tier was last published
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param karat The karat value (1-24)
+     * @return Timestamp of the last update of the tier (0 if never published)
+     */
+    function getKaratLastUpdated(bytes32 currency, uint8 karat) external view returns (uint256);
+
+    /**
+     * @notice Check if the price of a karat tier is stale
+     * @param currency ISO 4217 currency code as bytes32, or bytes32(0) for the base (USD) prices
+     * @param karat The karat value (1-24)
+     * @return true if the tier was last published longer than stalenessThreshold() ago
+     */
+    function isKaratStale(bytes32 currency, uint8 karat) external view returns (bool);
+
+    /**
+     * @notice Get the current gold price by karat in a quote currency
+     * @param currency ISO 4217 currency code as bytes32
+     * @param karat The karat value (1-24)
+     * @return Price per gram for specified karat (8 decimals)
+     */
+    function getGoldPriceByKaratForCurrency(bytes32 currency, uint8 karat) external view returns (uint256);
+
+    /**
+     * @notice Get the current gold prices of several karat tiers in a quote currency
+     * @param currency ISO 4217 currency code as bytes32
+     * @param karats Karat tiers (1-24)
+     * @return Price per gram for each tier (8 decimals)
+     */
+    function getKaratPricesForCurrency(
+        bytes32 currency,
+        uint8[] calldata karats
+    ) external view returns (uint256[] memory);
+
+    /**
+     * @notice Get every quote currency that has been published
+     * @return List of currency codes as bytes32
+     */
+    function getCurrencies() external view returns (bytes32[] memory);
+
+    /**
+     * @notice Check if price updates are paused by the guardian
+     * @return true while no prices (including signed reports) are accepted
+     */
+    function paused() external view returns (bool);
+
+    /**
+     * @notice Check if an address may publish prices
+     * @param account Address to check
+     * @return true if the address has the updater role
+     */
+    function isUpdater(address account) external view returns (bool);
+
+    /**
+     * @notice Check if an address may sign price reports
+     * @param signer Address to check
+     * @return true if reports signed by this address are accepted
+     */
+    function isReportSigner(address signer) external view returns (bool);
+
+    /**
+     * @notice Check a signed price report without storing it
+     * @dev Reverts if the signature is invalid, the signer is not authorized,
+     *      a price is zero or the report is from the future
+     * @param report Signed price report
+     * @param signature EIP-712 signature of the report (65 bytes)
+     * @return Address that signed the report
+     */
+    function verifyPriceReport(PriceReport calldata report, bytes calldata signature) external view returns (address);
+
+    /**
+     * @notice Verify a signed price report and store its prices
+     * @dev Anyone may submit a report. Reports not newer than the stored prices
+     *      of their currency, or whose nonce was already used, are verified but
+     *      not stored, so consumers can submit the report they carry without
+     *      reverting when someone else published first.
+     * @param report Signed price report
+     * @param signature EIP-712 signature of the report (65 bytes)
+     * @return true if the report was stored
+     */
+    function submitPriceReport(PriceReport calldata report, bytes calldata signature) external returns (bool);
 }
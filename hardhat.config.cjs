@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv/config");
+const networks = require("./src/config/networks.cjs");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -12,31 +13,15 @@ module.exports = {
       },
     },
   },
-  networks: {
-    localhost: {
-      url: "http://127.0.0.1:8545",
-    },
-    sepolia: {
-      url: process.env.RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155111,
-    },
-    mainnet: {
-      url: process.env.MAINNET_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 1,
-    },
-    polygon: {
-      url: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 137,
-    },
-    polygonMumbai: {
-      url: process.env.POLYGON_MUMBAI_RPC_URL || "https://rpc-mumbai.maticvigil.com",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 80001,
-    },
-  },
+  // Shared with the oracle service; every remote network signs with PRIVATE_KEY
+  networks: Object.fromEntries(
+    Object.entries(networks).map(([name, network]) => [
+      name,
+      name === "localhost"
+        ? network
+        : { ...network, accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [] },
+    ])
+  ),
   etherscan: {
     apiKey: {
       sepolia: process.env.ETHERSCAN_API_KEY || "",
@@ -17,7 +17,32 @@ async function main() {
 
   console.log("✅ GoldOracle deployed to:", address);
   console.log("Owner address:", (await hre.ethers.getSigners())[0].address);
+
+  // The deployer is the owner (admin) and first updater; the oracle service
+  // only needs the updater role, so its key does not have to be the owner's
+  const updaters = (process.env.UPDATERS || "").split(",").map((address) => address.trim()).filter(Boolean);
+  for (const updater of updaters) {
+    await (await goldOracle.setUpdater(updater, true)).wait();
+    console.log("Granted updater role:", updater);
+  }
+  if (process.env.GUARDIAN) {
+    await (await goldOracle.setGuardian(process.env.GUARDIAN)).wait();
+    console.log("Guardian:", process.env.GUARDIAN);
+  }
+  // Prices older than this are stale (default 1 hour); keep it above UPDATE_HEARTBEAT_SECONDS
+  if (process.env.STALENESS_THRESHOLD_SECONDS) {
+    await (await goldOracle.setStalenessThreshold(process.env.STALENESS_THRESHOLD_SECONDS)).wait();
+    console.log("Staleness threshold:", process.env.STALENESS_THRESHOLD_SECONDS, "seconds");
+  }
+
+  // Pull-oracle mode (ORACLE_MODE=pull or both): accept reports signed by this address
+  if (process.env.REPORT_SIGNER) {
+    await (await goldOracle.setReportSigner(process.env.REPORT_SIGNER, true)).wait();
+    console.log("Authorized report signer:", process.env.REPORT_SIGNER);
+  }
   console.log("\nSave this address to your .env file as CONTRACT_ADDRESS");
+  console.log("(or CONTRACT_ADDRESS_<SYMBOL>, e.g. CONTRACT_ADDRESS_XAG, when deploying a feed for another metal)");
+  console.log("When publishing to several chains (CHAINS), suffix the chain: CONTRACT_ADDRESS_POLYGON, CONTRACT_ADDRESS_XAG_BASE");
   console.log("\nTo verify on Etherscan, run:");
   console.log(`npx hardhat verify --network <network-name> ${address}`);
 
@@ -0,0 +1,54 @@
+import hre from "hardhat";
+
+// GoldOracleFeed.Field values by FEED_FIELDS name
+const FIELDS = {
+  gram: 0,
+  ounce: 1,
+  "24k": 2,
+  "22k": 3,
+  "18k": 4,
+};
+
+/**
+ * Deploy Chainlink-compatible feeds (GoldOracleFeed) for a GoldOracle
+ *
+ * Environment:
+ *   ORACLE_ADDRESS    GoldOracle to read from (default: CONTRACT_ADDRESS)
+ *   FEED_CURRENCY     Quote currency, e.g. EUR (default: the base prices)
+ *   FEED_FIELDS       Comma-separated fields: gram, ounce, 24k, 22k, 18k (default: ounce)
+ *   FEED_DESCRIPTION  Description prefix (default: "XAU / <currency or USD>")
+ */
+async function main() {
+  const oracle = process.env.ORACLE_ADDRESS || process.env.CONTRACT_ADDRESS;
+
+  if (!oracle) {
+    throw new Error("Set ORACLE_ADDRESS (or CONTRACT_ADDRESS) to the GoldOracle address");
+  }
+
+  const currencyCode = (process.env.FEED_CURRENCY || "").toUpperCase();
+  const currency = currencyCode ? hre.ethers.encodeBytes32String(currencyCode) : hre.ethers.ZeroHash;
+  const prefix = process.env.FEED_DESCRIPTION || `XAU / ${currencyCode || "USD"}`;
+  const fields = (process.env.FEED_FIELDS || "ounce").split(",").map((name) => name.trim().toLowerCase()).filter(Boolean);
+
+  const unknown = fields.filter((name) => !(name in FIELDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown FEED_FIELDS: ${unknown.join(", ")} (supported: ${Object.keys(FIELDS).join(", ")})`);
+  }
+
+  const GoldOracleFeed = await hre.ethers.getContractFactory("GoldOracleFeed");
+
+  for (const name of fields) {
+    const description = `${prefix} (${name === "gram" || name === "ounce" ? `per ${name}` : `${name.toUpperCase()} per gram`})`;
+    const feed = await GoldOracleFeed.deploy(oracle, currency, FIELDS[name], description);
+    await feed.waitForDeployment();
+
+    console.log(`✅ ${description} feed deployed to:`, await feed.getAddress());
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Feed deployment failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,262 @@
+import express from "express";
+import { readFileSync } from "fs";
+import { pathToFileURL } from "url";
+
+/**
+ * Local stand-in for GoldAPI.io (see src/services/providers/goldApiProvider.js)
+ *
+ * Serves GET /api/:symbol/:currency in GoldAPI's response format. Prices follow
+ * scripted paths, and single requests can be scripted to fail, hit the quota
+ * (429) or respond late. For local development and tests only.
+ *
+ *   node scripts/mockGoldApi.js
+ *
+ * Environment: MOCK_GOLDAPI_PORT (default: 8646), MOCK_GOLDAPI_TOKEN (access
+ * token required in x-access-token, optional), MOCK_GOLDAPI_SCENARIO (JSON file
+ * with the options below). Point the service at it with
+ * GOLD_API_BASE_URL=http://127.0.0.1:8646/api.
+ *
+ * A running server is scripted over HTTP as well: POST /mock/prices and
+ * POST /mock/script take the same shapes as setPrices() and script(), and
+ * POST /mock/reset clears the script and the request log.
+ */
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+// Karat tiers GoldAPI reports per gram
+const GRAM_KARATS = [24, 22, 21, 20, 18, 16, 14, 10];
+
+// Default spot prices per troy ounce in USD
+const DEFAULT_PRICES = {
+  XAU: 2037.5,
+  XAG: 24.1,
+  XPT: 905.2,
+  XPD: 1010.4,
+};
+
+/**
+ * Round to the number of decimals GoldAPI reports
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Build a GoldAPI response body
+ * @param {string} symbol - Metal symbol
+ * @param {string} currency - Quote currency
+ * @param {number} price - Spot price per troy ounce
+ * @param {number} previousClose - Previous close price
+ * @returns {Object} Response body
+ */
+function quote(symbol, currency, price, previousClose) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const gram = price / GRAMS_PER_TROY_OUNCE;
+
+  return {
+    timestamp,
+    metal: symbol,
+    currency,
+    exchange: "FOREXCOM",
+    symbol: `FOREXCOM:${symbol}${currency}`,
+    prev_close_price: previousClose,
+    open_price: previousClose,
+    low_price: Math.min(price, previousClose),
+    high_price: Math.max(price, previousClose),
+    open_time: timestamp - (timestamp % 86400),
+    price,
+    ch: round(price - previousClose, 2),
+    chp: round(((price - previousClose) / previousClose) * 100, 2),
+    ask: round(price + 0.3, 2),
+    bid: round(price - 0.3, 2),
+    ...Object.fromEntries(GRAM_KARATS.map((karat) => [`price_gram_${karat}k`, round((gram * karat) / 24, 4)])),
+  };
+}
+
+/**
+ * Start the mock GoldAPI server
+ * @param {Object} options - Server options
+ * @param {number} [options.port] - Port to listen on (0 for a random free port)
+ * @param {string} [options.token] - Access token required in the x-access-token header
+ * @param {Object} [options.prices] - Prices per troy ounce by "XAU" or "XAU/EUR" (the
+ *   pair takes precedence); an array is a price path, advanced on every request for
+ *   that pair and holding its last price
+ * @param {Object[]} [options.script] - Responses for the next requests, in order (see script())
+ * @param {number} [options.latencyMs] - Delay before every response
+ * @param {Object} [options.quota] - { limit, windowSeconds }: requests beyond `limit` per
+ *   window are answered with 429; every response carries X-RateLimit-Limit,
+ *   X-RateLimit-Remaining and X-RateLimit-Reset (epoch seconds)
+ * @returns {Promise<Object>} { url, baseUrl, requests, setPrices(), script(), reset(), close() };
+ *   `requests` records every price request
+ */
+export async function startMockGoldApi({
+  port = 0,
+  token,
+  prices = DEFAULT_PRICES,
+  script = [],
+  latencyMs = 0,
+  quota,
+} = {}) {
+  const paths = {};
+  const positions = {};
+  const previousCloses = {};
+  const steps = [];
+  const requests = [];
+  let quotaWindow = { start: Date.now(), count: 0 };
+  const app = express();
+
+  /**
+   * Replace the price paths of some metals or pairs
+   * @param {Object} next - Prices by "XAU" or "XAU/EUR", each a price or a price path
+   */
+  const setPrices = (next) => {
+    Object.entries(next).forEach(([key, value]) => {
+      paths[key] = Array.isArray(value) ? value.map(Number) : [Number(value)];
+      Object.keys(positions)
+        .filter((pair) => pair === key || pair.startsWith(`${key}/`))
+        .forEach((pair) => delete positions[pair]);
+    });
+  };
+
+  /**
+   * Queue responses for the next price requests, one step per request:
+   * { status, error } answers with an error, { delayMs } delays the response,
+   * { price } overrides the price, { headers } adds response headers; fields
+   * combine (e.g. { status: 429, headers: { "Retry-After": "30" }, delayMs: 500 })
+   * @param {...Object} next - Steps
+   */
+  const queueSteps = (...next) => {
+    steps.push(...next);
+  };
+
+  /**
+   * Next price of a pair along its path
+   * @param {string} symbol - Metal symbol
+   * @param {string} currency - Quote currency
+   * @returns {number|undefined} Price, or undefined if the pair has no price
+   */
+  const nextPrice = (symbol, currency) => {
+    const pair = `${symbol}/${currency}`;
+    const path = paths[pair] || paths[symbol];
+
+    if (!path) {
+      return undefined;
+    }
+
+    const position = positions[pair] || 0;
+    positions[pair] = Math.min(position + 1, path.length - 1);
+    return path[position];
+  };
+
+  setPrices(prices);
+  queueSteps(...script);
+
+  app.use(express.json());
+
+  app.post("/mock/prices", (req, res) => {
+    setPrices(req.body);
+    res.json({ prices: paths });
+  });
+
+  app.post("/mock/script", (req, res) => {
+    queueSteps(...(Array.isArray(req.body) ? req.body : [req.body]));
+    res.json({ pending: steps.length });
+  });
+
+  app.post("/mock/reset", (req, res) => {
+    steps.length = 0;
+    requests.length = 0;
+    res.json({ pending: 0 });
+  });
+
+  app.get(["/api/:symbol/:currency", "/api/:symbol/:currency/:date"], async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const currency = req.params.currency.toUpperCase();
+    const step = steps.shift() || {};
+    const delay = latencyMs + (step.delayMs || 0);
+
+    requests.push({ symbol, currency, date: req.params.date, at: Date.now() });
+
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    if (step.headers) {
+      res.set(step.headers);
+    }
+
+    if (token && req.headers["x-access-token"] !== token) {
+      return res.status(403).json({ error: "Invalid API Key" });
+    }
+
+    if (quota) {
+      const now = Date.now();
+      if (now - quotaWindow.start >= quota.windowSeconds * 1000) {
+        quotaWindow = { start: now, count: 0 };
+      }
+      quotaWindow.count++;
+
+      const reset = quotaWindow.start + quota.windowSeconds * 1000;
+      res.set({
+        "X-RateLimit-Limit": String(quota.limit),
+        "X-RateLimit-Remaining": String(Math.max(quota.limit - quotaWindow.count, 0)),
+        "X-RateLimit-Reset": String(Math.ceil(reset / 1000)),
+      });
+
+      if (quotaWindow.count > quota.limit) {
+        res.set("Retry-After", String(Math.ceil((reset - now) / 1000)));
+        return res.status(429).json({ error: "API request limit reached" });
+      }
+    }
+
+    if (step.status) {
+      return res.status(step.status).json({ error: step.error || "Scripted error" });
+    }
+
+    const price = step.price !== undefined ? Number(step.price) : nextPrice(symbol, currency);
+
+    if (price === undefined) {
+      return res.status(400).json({ error: `Unsupported symbol: ${symbol}/${currency}` });
+    }
+
+    const pair = `${symbol}/${currency}`;
+    const previousClose = previousCloses[pair] || price;
+    previousCloses[pair] = previousClose;
+
+    res.json(quote(symbol, currency, price, previousClose));
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, "127.0.0.1", () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    baseUrl: `${url}/api`,
+    requests,
+    setPrices,
+    script: queueSteps,
+    reset: () => {
+      steps.length = 0;
+      requests.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Run as a standalone server
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const scenario = process.env.MOCK_GOLDAPI_SCENARIO
+    ? JSON.parse(readFileSync(process.env.MOCK_GOLDAPI_SCENARIO, "utf8"))
+    : {};
+  const mock = await startMockGoldApi({
+    ...scenario,
+    port: parseInt(process.env.MOCK_GOLDAPI_PORT || "8646"),
+    token: process.env.MOCK_GOLDAPI_TOKEN || scenario.token,
+  });
+
+  console.log(`Mock GoldAPI listening on ${mock.url}`);
+  console.log(`Set GOLD_API_BASE_URL=${mock.baseUrl}`);
+}
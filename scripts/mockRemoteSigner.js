@@ -0,0 +1,94 @@
+import express from "express";
+import { ethers } from "ethers";
+import { pathToFileURL } from "url";
+
+/**
+ * Local stand-in for a remote signing service (see src/services/signers/remoteSigner.js)
+ *
+ * Holds a private key in memory and signs whatever it is asked to. For local
+ * development and tests only.
+ *
+ *   node scripts/mockRemoteSigner.js
+ *
+ * Environment: MOCK_SIGNER_PRIVATE_KEY (default: the first Hardhat account),
+ * MOCK_SIGNER_PORT (default: 8645), MOCK_SIGNER_TOKEN (optional bearer token).
+ */
+
+// First account of the Hardhat node's default mnemonic
+const HARDHAT_ACCOUNT_0 = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/**
+ * Start the mock signing service
+ * @param {Object} options - Server options
+ * @param {string} options.privateKey - Key to sign with
+ * @param {number} [options.port] - Port to listen on (0 for a random free port)
+ * @param {string} [options.token] - Bearer token required on every request
+ * @returns {Promise<Object>} { url, address, requests, close() }; `requests` records every signing request
+ */
+export async function startMockRemoteSigner({ privateKey, port = 0, token }) {
+  const wallet = new ethers.Wallet(privateKey);
+  const requests = [];
+  const app = express();
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Invalid or missing token" });
+    }
+    next();
+  });
+
+  app.get("/address", (req, res) => {
+    res.json({ address: wallet.address });
+  });
+
+  /**
+   * Register a signing endpoint
+   * @param {string} path - Endpoint path
+   * @param {Function} sign - Produces the response body from the request body
+   */
+  const endpoint = (path, sign) => {
+    app.post(path, async (req, res) => {
+      requests.push({ path, body: req.body });
+      try {
+        res.json(await sign(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+  };
+
+  endpoint("/sign/transaction", async ({ transaction }) => ({
+    signedTransaction: await wallet.signTransaction(ethers.Transaction.from(transaction)),
+  }));
+  endpoint("/sign/message", async ({ message }) => ({
+    signature: await wallet.signMessage(ethers.getBytes(message)),
+  }));
+  endpoint("/sign/typed-data", async ({ domain, types, value }) => ({
+    signature: await wallet.signTypedData(domain, types, value),
+  }));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, "127.0.0.1", () => resolve(listener));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    address: wallet.address,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Run as a standalone server
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const signer = await startMockRemoteSigner({
+    privateKey: process.env.MOCK_SIGNER_PRIVATE_KEY || HARDHAT_ACCOUNT_0,
+    port: parseInt(process.env.MOCK_SIGNER_PORT || "8645"),
+    token: process.env.MOCK_SIGNER_TOKEN,
+  });
+
+  console.log(`Mock remote signer for ${signer.address} listening on ${signer.url}`);
+  console.log(`Set SIGNER=remote and REMOTE_SIGNER_URL=${signer.url}`);
+}
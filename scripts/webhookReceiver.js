@@ -0,0 +1,101 @@
+import express from "express";
+import { pathToFileURL } from "url";
+
+/**
+ * Local webhook receiver for the alert channels (see src/services/alerts)
+ *
+ * Records every POST body and answers with a configurable status, so alerts
+ * can be tried out without a Slack workspace or PagerDuty account.
+ *
+ *   node scripts/webhookReceiver.js
+ *
+ * Environment: MOCK_WEBHOOK_PORT (default: 8647), MOCK_WEBHOOK_STATUS
+ * (default: 200; e.g. 500 to test failed deliveries).
+ */
+
+/**
+ * Start the webhook receiver
+ * @param {Object} options - Server options
+ * @param {number} [options.port] - Port to listen on (0 for a random free port)
+ * @param {number} [options.status] - HTTP status to answer with
+ * @param {boolean} [options.log] - Print every request
+ * @returns {Promise<Object>} { url, requests, setStatus(status), waitFor(count, timeoutMs), close() };
+ *   `requests` records every request as { path, body }
+ */
+export async function startWebhookReceiver({ port = 0, status = 200, log = false } = {}) {
+  const requests = [];
+  const waiting = [];
+  let responseStatus = status;
+  const app = express();
+
+  app.use(express.json());
+
+  app.post("*", (req, res) => {
+    requests.push({ path: req.path, body: req.body });
+    if (log) {
+      console.log(`${req.path} ${JSON.stringify(req.body)}`);
+    }
+
+    waiting
+      .filter(({ count }) => requests.length >= count)
+      .forEach((waiter) => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve(requests);
+      });
+
+    res.status(responseStatus).json({ status: responseStatus < 400 ? "success" : "error" });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, "127.0.0.1", () => resolve(listener));
+  });
+
+  /**
+   * Wait until the receiver has recorded a number of requests
+   * @param {number} count - Requests to wait for (in total, since start)
+   * @param {number} [timeoutMs] - Time to wait
+   * @returns {Promise<Object[]>} The recorded requests
+   */
+  const waitFor = (count, timeoutMs = 10000) => {
+    if (requests.length >= count) {
+      return Promise.resolve(requests);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting.splice(waiting.findIndex((waiter) => waiter.count === count), 1);
+        reject(new Error(`Received ${requests.length} of ${count} webhook requests within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      waiting.push({
+        count,
+        resolve: (received) => {
+          clearTimeout(timer);
+          resolve(received);
+        },
+      });
+    });
+  };
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    setStatus: (next) => {
+      responseStatus = next;
+    },
+    waitFor,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Run as a standalone server
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const receiver = await startWebhookReceiver({
+    port: parseInt(process.env.MOCK_WEBHOOK_PORT || "8647"),
+    status: parseInt(process.env.MOCK_WEBHOOK_STATUS || "200"),
+    log: true,
+  });
+
+  console.log(`Webhook receiver listening on ${receiver.url}`);
+  console.log(`Set ALERT_WEBHOOK_URL=${receiver.url}/webhook (or ALERT_SLACK_WEBHOOK_URL / ALERT_PAGERDUTY_URL)`);
+}
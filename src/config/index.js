@@ -1,8 +1,182 @@
 import dotenv from 'dotenv';
+import METALS, { findMetal } from './metals.js';
+import NETWORKS from './networks.cjs';
+import { parseSchedule } from '../utils/cron.js';
+import { createMarketCalendar } from '../utils/marketCalendar.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
+const baseCurrency = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Parse a comma-separated list of currency codes
+ * @param {string} value - List such as "USD,EUR,GBP"
+ * @returns {string[]} Upper-cased currency codes
+ */
+const parseCurrencyList = (value) => value
+  .split(',')
+  .map((currency) => currency.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Parse a static exchange rate list such as "EUR:0.92,GBP:0.79"
+ * @param {string} value - Rate list
+ * @returns {Object} Map of currency code to rate
+ */
+const parseRates = (value) => Object.fromEntries(
+  (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [currency, rate] = entry.split(':');
+      return [currency.trim().toUpperCase(), parseFloat(rate)];
+    })
+);
+
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' value
+ * @param {string} value - "true", "false", a hop count or a list of proxy addresses
+ * @returns {boolean|number|string} Express setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+/**
+ * Symbols of the metals listed in METALS
+ * @returns {string[]} Metal symbols (unknown entries upper-cased as given)
+ */
+const parseMetalList = () => (process.env.METALS || 'XAU')
+  .split(',')
+  .map((value) => value.trim())
+  .filter(Boolean)
+  .map((value) => {
+    const metal = findMetal(value);
+    return metal ? metal.symbol : value.toUpperCase();
+  });
+
+/**
+ * Build the configuration of one enabled metal
+ * @param {string} value - Metal symbol or name from METALS
+ * @returns {Object} Metal configuration
+ */
+const buildMetal = (value) => {
+  const metal = findMetal(value);
+  const symbol = metal ? metal.symbol : value.toUpperCase();
+  // UPDATE_INTERVAL_MINUTES=n is the fallback for UPDATE_SCHEDULE, short for nm
+  const intervalMinutes = parseInt(
+    process.env[`UPDATE_INTERVAL_MINUTES_${symbol}`] || process.env.UPDATE_INTERVAL_MINUTES || '15'
+  );
+  const schedule = process.env[`UPDATE_SCHEDULE_${symbol}`] || process.env.UPDATE_SCHEDULE || `${intervalMinutes}m`;
+
+  return {
+    symbol,
+    name: metal ? metal.name : undefined,
+    // Cron expression or duration (e.g. "*/15 * * * *", 45m)
+    schedule,
+    // Schedule while the market is closed (see MARKET_CALENDAR)
+    closedSchedule: process.env[`UPDATE_SCHEDULE_CLOSED_${symbol}`] || process.env.UPDATE_SCHEDULE_CLOSED || schedule,
+  };
+};
+
+/**
+ * Environment variable suffix of a chain name, e.g. polygonMumbai -> POLYGON_MUMBAI
+ * @param {string} name - Chain name
+ * @returns {string} Suffix
+ */
+const chainEnvKey = (name) => name
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .replace(/[^A-Za-z0-9]/g, '_')
+  .toUpperCase();
+
+/**
+ * Name of the contract address variable of a metal, optionally for one chain
+ * @param {string} symbol - Metal symbol
+ * @param {string} [key] - Chain environment key
+ * @returns {string} Variable name, e.g. CONTRACT_ADDRESS, CONTRACT_ADDRESS_XAG_POLYGON
+ */
+const contractAddressVariable = (symbol, key) => ['CONTRACT_ADDRESS', symbol === 'XAU' ? null : symbol, key]
+  .filter(Boolean)
+  .join('_');
+
+/**
+ * Build the configuration of one chain target
+ *
+ * Every setting can be given per chain with the chain's suffix (RPC_URL_POLYGON,
+ * CONTRACT_ADDRESS_XAG_BASE, PRIVATE_KEY_ARBITRUM, TX_MAX_FEE_GWEI_BASE, ...).
+ * Signer and gas settings fall back to the unsuffixed variables. The single
+ * chain used when CHAINS is not set also reads the unsuffixed RPC_URL,
+ * CHAIN_ID and contract addresses.
+ *
+ * @param {string} name - Chain name, normally a network from networks.cjs
+ * @param {boolean} single - Whether this is the only chain (CHAINS not set)
+ * @returns {Object} Chain configuration
+ */
+const buildChain = (name, single) => {
+  const key = chainEnvKey(name);
+  const network = NETWORKS[name];
+  const env = (variable) => process.env[`${variable}_${key}`] || (single ? process.env[variable] : undefined);
+  const shared = (variable, fallback) => process.env[`${variable}_${key}`] || process.env[variable] || fallback;
+  const chainId = env('CHAIN_ID');
+
+  return {
+    name,
+    envKey: key,
+    // Expected chain ID; required for networks not listed in networks.cjs
+    chainId: chainId ? parseInt(chainId) : (network ? network.chainId : null),
+    rpcUrl: env('RPC_URL') || (network ? network.url : undefined),
+    // Variable the RPC URL is read from, for error messages
+    rpcUrlVariable: single ? 'RPC_URL' : `RPC_URL_${key}`,
+    // Signer plugin (src/services/signers): privatekey, keystore, remote or safe
+    signer: {
+      type: shared('SIGNER', 'privatekey').toLowerCase(),
+      privateKey: shared('PRIVATE_KEY'),
+      keystore: {
+        // Encrypted JSON keystore and a file holding its password
+        file: shared('KEYSTORE_FILE'),
+        passwordFile: shared('KEYSTORE_PASSWORD_FILE'),
+      },
+      remote: {
+        url: shared('REMOTE_SIGNER_URL'),
+        // Asked from the service when not set
+        address: shared('REMOTE_SIGNER_ADDRESS'),
+        token: shared('REMOTE_SIGNER_TOKEN'),
+        timeoutMs: parseInt(shared('REMOTE_SIGNER_TIMEOUT_MS', '10000')),
+      },
+      safe: {
+        // Safe owning the contracts; updates become multisig proposals
+        address: shared('SAFE_ADDRESS'),
+        serviceUrl: shared('SAFE_TX_SERVICE_URL'),
+        // Signer of the proposals (a Safe owner or delegate)
+        proposer: shared('SAFE_PROPOSER_SIGNER', 'privatekey').toLowerCase(),
+      },
+    },
+    // One GoldOracle deployment per metal
+    contracts: Object.fromEntries(
+      parseMetalList().map((symbol) => [symbol, env(contractAddressVariable(symbol))])
+    ),
+    // Gas policy of the transaction manager
+    transactions: {
+      confirmationTimeoutSeconds: parseInt(shared('TX_CONFIRMATION_TIMEOUT_SECONDS', '120')),
+      maxReplacements: parseInt(shared('TX_MAX_REPLACEMENTS', '3')),
+      feeBumpPercent: parseInt(shared('TX_FEE_BUMP_PERCENT', '20')),
+      maxFeePerGasGwei: parseFloat(shared('TX_MAX_FEE_GWEI', '0')),
+    },
+    // First block the event indexer reads
+    indexerStartBlock: parseInt(shared('INDEXER_START_BLOCK', '0')),
+    // Wallet balance (in the chain's native token) below which readiness reports degraded
+    minWalletBalance: shared('MIN_WALLET_BALANCE', '0.05'),
+  };
+};
+
 /**
  * Application configuration
  * All values are loaded from environment variables
@@ -11,27 +185,212 @@ const config = {
   // GoldAPI.io configuration
   goldApi: {
     key: process.env.GOLD_API_KEY,
-    baseUrl: 'https://www.goldapi.io/api',
-    symbol: 'XAU',
-    currency: 'USD',
+    // Point at scripts/mockGoldApi.js for offline development and tests
+    baseUrl: process.env.GOLD_API_BASE_URL || 'https://www.goldapi.io/api',
+    // Backoff after a 429 without Retry-After, doubling on every consecutive 429 up to the max
+    backoffSeconds: parseInt(process.env.GOLD_API_BACKOFF_SECONDS || '60'),
+    maxBackoffSeconds: parseInt(process.env.GOLD_API_MAX_BACKOFF_SECONDS || '3600'),
+    // Base currency, published through the contract's default price fields
+    currency: baseCurrency,
+  },
+
+  // Metals fetched and published by this process (XAU, XAG, XPT, XPD);
+  // the first one is the default for routes that do not name a metal
+  metals: parseMetalList().map(buildMetal),
+
+  // Karat (purity) tiers published per gram; 24, 22 and 18 are always published
+  karats: [...new Set([
+    24,
+    22,
+    18,
+    ...(process.env.KARAT_TIERS || '24,22,18')
+      .split(',')
+      .map((karat) => karat.trim())
+      .filter(Boolean)
+      .map(Number),
+  ])].sort((a, b) => b - a),
+
+  // Quote currency configuration
+  currencies: {
+    // Currencies published on every update (the base currency is always included)
+    quotes: [...new Set([baseCurrency, ...parseCurrencyList(process.env.QUOTE_CURRENCIES || baseCurrency)])],
+    // 'convert' derives quotes from the base price and FX rates,
+    // 'fetch' queries the price providers once per currency
+    mode: (process.env.CURRENCY_MODE || 'convert').toLowerCase(),
+    fx: {
+      // Endpoint returning { rates: { EUR: 0.92, ... } }; {base} is replaced by the base currency
+      apiUrl: process.env.FX_API_URL || 'https://open.er-api.com/v6/latest/{base}',
+      // Fixed rates that take precedence over the FX API, e.g. "AED:3.6725"
+      staticRates: parseRates(process.env.FX_RATES),
+    },
+  },
+
+  // Price provider configuration
+  providers: {
+    // Comma-separated list of providers to query (goldapi, metalsapi, static)
+    enabled: (process.env.PRICE_PROVIDERS || 'goldapi')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+    // Minimum number of agreeing sources required to publish a price
+    quorum: parseInt(process.env.PRICE_QUORUM || '1'),
+    // Sources deviating more than this from the median are left out (0 disables)
+    maxDeviationBps: parseInt(process.env.PRICE_MAX_DEVIATION_BPS || '200'),
+    metalsApi: {
+      key: process.env.METALS_API_KEY,
+      baseUrl: process.env.METALS_API_BASE_URL || 'https://metals-api.com/api',
+    },
+    static: {
+      // Fixed prices per metal: STATIC_GOLD_PRICE for gold, STATIC_PRICE_<SYMBOL> for the others
+      prices: Object.fromEntries(
+        Object.keys(METALS)
+          .map((symbol) => [
+            symbol,
+            process.env[`STATIC_PRICE_${symbol}`] || (symbol === 'XAU' ? process.env.STATIC_GOLD_PRICE : undefined),
+          ])
+          .filter(([, price]) => price)
+          .map(([symbol, price]) => [symbol, parseFloat(price)])
+      ),
+      file: process.env.STATIC_PRICE_FILE,
+    },
   },
 
-  // Blockchain configuration
-  blockchain: {
-    rpcUrl: process.env.RPC_URL,
-    privateKey: process.env.PRIVATE_KEY,
-    contractAddress: process.env.CONTRACT_ADDRESS,
+  // Deviation guard (circuit breaker) configuration
+  guard: {
+    // Hold updates moving more than this (basis points) from the on-chain price
+    maxDeviationBps: parseInt(process.env.GUARD_MAX_DEVIATION_BPS || '1000'),
+    // Consecutive fetches required before a held price is published
+    confirmations: parseInt(process.env.GUARD_CONFIRMATIONS || '3'),
+    // Number of tripped breakers kept in memory
+    historySize: 100,
   },
 
+  // Update policy configuration
+  policy: {
+    // Publish when any tracked price deviates more than this (basis points)
+    deviationThresholdBps: parseFloat(process.env.UPDATE_DEVIATION_THRESHOLD_BPS || '10'),
+    // Publish at least this often even if prices are flat (0 disables)
+    heartbeatSeconds: parseInt(process.env.UPDATE_HEARTBEAT_SECONDS || '1800'),
+    // What to do at startup when the schedule cannot refresh prices within a
+    // contract's staleness threshold: 'warn', 'refuse' (exit) or 'off'
+    stalenessCheck: (process.env.STALENESS_CHECK || 'warn').toLowerCase(),
+  },
+
+  // Price history store configuration
+  history: {
+    // Set HISTORY_ENABLED=false to stop recording quotes, transactions and guard trips
+    enabled: process.env.HISTORY_ENABLED !== 'false',
+    // Append-only JSONL file, one record per line
+    file: process.env.HISTORY_FILE || 'data/history.jsonl',
+  },
+
+  // On-chain event indexer configuration
+  indexer: {
+    // Set INDEXER_ENABLED=true to backfill and follow contract events
+    enabled: process.env.INDEXER_ENABLED === 'true',
+    // Blocks are indexed once buried under this many blocks (reorg protection)
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '12'),
+    // Max block range per getLogs request
+    batchBlocks: parseInt(process.env.INDEXER_BATCH_BLOCKS || '2000'),
+    pollSeconds: parseInt(process.env.INDEXER_POLL_SECONDS || '30'),
+    // Append-only JSONL file of decoded events and checkpoints; {chain} is replaced by the chain name
+    // (the start block is INDEXER_START_BLOCK, or INDEXER_START_BLOCK_<CHAIN> per chain)
+    file: process.env.INDEXER_FILE || 'data/events-{chain}.jsonl',
+  },
+
+  // Signed price report (pull-oracle) configuration
+  reports: {
+    // 'push' publishes prices on-chain, 'pull' only signs EIP-712 price reports
+    // for consumers to submit themselves (no transactions), 'both' does both
+    mode: (process.env.ORACLE_MODE || 'push').toLowerCase(),
+  },
+
+  // Chains the same price snapshot is published to. CHAINS lists network
+  // names from networks.cjs (e.g. "polygon,arbitrum,base"); without it a single
+  // chain is configured from NETWORK / CHAIN_ID / RPC_URL / CONTRACT_ADDRESS.
+  chains: process.env.CHAINS
+    ? process.env.CHAINS.split(',').map((name) => name.trim()).filter(Boolean).map((name) => buildChain(name, false))
+    : [buildChain(process.env.NETWORK || 'default', true)],
+
   // Server configuration
   server: {
     port: process.env.PORT || 3000,
     apiKey: process.env.API_KEY || 'your-secret-api-key',
+    // Express 'trust proxy' setting, so rate limits apply to client IPs behind a
+    // reverse proxy (e.g. 1 for one proxy hop); off by default
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    // Per-IP limit on the public routes: requests per window (0 disables)
+    rateLimit: {
+      windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60'),
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '60'),
+    },
+  },
+
+  // Cache of provider quotes served by GET /api/gold-price
+  cache: {
+    // Seconds a fetched quote is served before the providers are asked again (0 disables)
+    quoteTtlSeconds: parseInt(process.env.QUOTE_CACHE_TTL_SECONDS || '60'),
+  },
+
+  // Readiness checks run by GET /health/ready
+  health: {
+    // Time each check may take before it counts as unhealthy
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000'),
+    // Degraded once a feed goes stale within this many seconds (unhealthy once it is stale)
+    stalenessWarningSeconds: parseInt(process.env.HEALTH_STALENESS_WARNING_SECONDS || '900'),
+    // Degraded when no price provider has answered for this long
+    priceApiMaxAgeSeconds: parseInt(process.env.HEALTH_PRICE_API_MAX_AGE_SECONDS || '3600'),
+    // Degraded once this many update runs in a row failed on a chain
+    maxConsecutiveFailures: parseInt(process.env.HEALTH_MAX_CONSECUTIVE_FAILURES || '3'),
+  },
+
+  // Alert webhooks; alerting is on when at least one channel is configured. The
+  // thresholds are the readiness ones (config.health and MIN_WALLET_BALANCE)
+  alerts: {
+    // Generic JSON webhook
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    // Slack-compatible incoming webhook
+    slackWebhookUrl: process.env.ALERT_SLACK_WEBHOOK_URL,
+    // PagerDuty Events API v2
+    pagerDuty: {
+      routingKey: process.env.ALERT_PAGERDUTY_ROUTING_KEY,
+      url: process.env.ALERT_PAGERDUTY_URL || 'https://events.pagerduty.com/v2/enqueue',
+    },
+    // How often the alert conditions are checked
+    checkSeconds: parseInt(process.env.ALERT_CHECK_SECONDS || '60'),
+    // Notify again about alerts still firing after this long (0 notifies once)
+    repeatSeconds: parseInt(process.env.ALERT_REPEAT_SECONDS || '3600'),
+    timeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000'),
+  },
+
+  // Prometheus metrics at GET /metrics; set METRICS_ENABLED=false to turn the endpoint off
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+  },
+
+  // Logging: lowest level written (debug, info, warn, error) and output format
+  // ('json' for one JSON object per line, 'pretty' for human-readable lines)
+  logging: {
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
   },
 
   // Update configuration
   update: {
-    intervalMinutes: parseInt(process.env.UPDATE_INTERVAL_MINUTES || '15'),
+    // Delay before the first update after startup
+    initialDelaySeconds: parseInt(process.env.UPDATE_INITIAL_DELAY_SECONDS || '10'),
+    // Market hours deciding between the open and closed schedules: 'always' (never
+    // closed) or 'metals' (Sunday 23:00 to Friday 22:00 UTC, daily break 22:00-23:00)
+    calendar: (process.env.MARKET_CALENDAR || 'always').toLowerCase(),
+    // Days the market is closed, as YYYY-MM-DD (UTC)
+    holidays: (process.env.MARKET_HOLIDAYS || '').split(',').map((day) => day.trim()).filter(Boolean),
+    // Random delay of up to this long added to every scheduled run
+    jitterSeconds: parseInt(process.env.UPDATE_JITTER_SECONDS || '0'),
+    // Wait after a failed run, doubling per consecutive failure up to the maximum
+    backoff: {
+      initialSeconds: parseInt(process.env.UPDATE_BACKOFF_INITIAL_SECONDS || '60'),
+      maxSeconds: parseInt(process.env.UPDATE_BACKOFF_MAX_SECONDS || '900'),
+    },
     maxRetries: 3,
     retryDelayMs: 5000,
   },
@@ -41,12 +400,46 @@ const config = {
  * Validate required configuration
  */
 export function validateConfig() {
-  const required = [
-    { key: 'GOLD_API_KEY', value: config.goldApi.key },
-    { key: 'RPC_URL', value: config.blockchain.rpcUrl },
-    { key: 'PRIVATE_KEY', value: config.blockchain.privateKey },
-    { key: 'CONTRACT_ADDRESS', value: config.blockchain.contractAddress },
-  ];
+  const single = !process.env.CHAINS;
+  const required = [];
+
+  config.chains.forEach(({ envKey, rpcUrl, rpcUrlVariable, signer, contracts }) => {
+    // Signer variables may be set for all chains or per chain
+    const variable = (name) => (single ? name : `${name} or ${name}_${envKey}`);
+    const signerTypes = signer.type === 'safe' ? ['safe', signer.safe.proposer] : [signer.type];
+
+    required.push({ key: rpcUrlVariable, value: rpcUrl });
+    signerTypes.forEach((type) => {
+      const variables = {
+        privatekey: [['PRIVATE_KEY', signer.privateKey]],
+        keystore: [['KEYSTORE_FILE', signer.keystore.file], ['KEYSTORE_PASSWORD_FILE', signer.keystore.passwordFile]],
+        remote: [['REMOTE_SIGNER_URL', signer.remote.url]],
+        safe: [['SAFE_ADDRESS', signer.safe.address], ['SAFE_TX_SERVICE_URL', signer.safe.serviceUrl]],
+      }[type] || [];
+
+      variables.forEach(([name, value]) => required.push({ key: variable(name), value }));
+    });
+    config.metals.forEach(({ symbol }) => {
+      required.push({ key: contractAddressVariable(symbol, single ? null : envKey), value: contracts[symbol] });
+    });
+  });
+
+  const { enabled } = config.providers;
+
+  if (enabled.includes('goldapi')) {
+    required.push({ key: 'GOLD_API_KEY', value: config.goldApi.key });
+  }
+  if (enabled.includes('metalsapi')) {
+    required.push({ key: 'METALS_API_KEY', value: config.providers.metalsApi.key });
+  }
+  if (enabled.includes('static') && !config.providers.static.file) {
+    config.metals.forEach(({ symbol }) => {
+      required.push({
+        key: symbol === 'XAU' ? 'STATIC_GOLD_PRICE or STATIC_PRICE_FILE' : `STATIC_PRICE_${symbol} or STATIC_PRICE_FILE`,
+        value: config.providers.static.prices[symbol],
+      });
+    });
+  }
 
   const missing = required.filter(({ value }) => !value);
 
@@ -57,6 +450,102 @@ export function validateConfig() {
       'Please check your .env file and ensure all required variables are set.'
     );
   }
+
+  const unknownChains = config.chains
+    .filter(({ chainId }) => chainId === null && !(single && !process.env.NETWORK))
+    .map(({ name }) => name);
+  if (unknownChains.length > 0) {
+    throw new Error(
+      `Unknown networks: ${unknownChains.join(', ')} (known: ${Object.keys(NETWORKS).join(', ')}); ` +
+      `set ${single ? 'CHAIN_ID' : 'CHAIN_ID_<CHAIN>'} to use an unlisted network`
+    );
+  }
+
+  const names = config.chains.map(({ name }) => name);
+  if (names.length === 0 || new Set(names).size !== names.length) {
+    throw new Error('CHAINS must list at least one chain, each only once');
+  }
+
+  const unknownMetals = config.metals.filter(({ name }) => !name).map(({ symbol }) => symbol);
+  if (unknownMetals.length > 0) {
+    throw new Error(`Unknown metals in METALS: ${unknownMetals.join(', ')} (supported: ${Object.keys(METALS).join(', ')})`);
+  }
+
+  const invalidKarats = config.karats.filter((karat) => !Number.isInteger(karat) || karat < 1 || karat > 24);
+  if (invalidKarats.length > 0) {
+    throw new Error(`KARAT_TIERS must be whole numbers between 1 and 24 (got ${invalidKarats.join(', ')})`);
+  }
+
+  if (config.metals.length === 0) {
+    throw new Error('METALS must list at least one metal');
+  }
+
+  if (!['convert', 'fetch'].includes(config.currencies.mode)) {
+    throw new Error(`CURRENCY_MODE must be 'convert' or 'fetch' (got '${config.currencies.mode}')`);
+  }
+
+  if (!['push', 'pull', 'both'].includes(config.reports.mode)) {
+    throw new Error(`ORACLE_MODE must be 'push', 'pull' or 'both' (got '${config.reports.mode}')`);
+  }
+
+  if (!['warn', 'refuse', 'off'].includes(config.policy.stalenessCheck)) {
+    throw new Error(`STALENESS_CHECK must be 'warn', 'refuse' or 'off' (got '${config.policy.stalenessCheck}')`);
+  }
+
+  const { rateLimit } = config.server;
+  if (rateLimit.maxRequests > 0 && !(rateLimit.windowSeconds > 0)) {
+    throw new Error(`RATE_LIMIT_WINDOW_SECONDS must be a positive number of seconds (got '${process.env.RATE_LIMIT_WINDOW_SECONDS}')`);
+  }
+
+  const invalidBalances = config.chains.filter(({ minWalletBalance }) => !/^\d+(\.\d+)?$/.test(minWalletBalance));
+  if (invalidBalances.length > 0) {
+    throw new Error(
+      `MIN_WALLET_BALANCE must be a non-negative decimal amount of the native token (got '${invalidBalances[0].minWalletBalance}' ` +
+      `for ${invalidBalances[0].name})`
+    );
+  }
+
+  config.metals.forEach(({ symbol, schedule, closedSchedule }) => {
+    [['UPDATE_SCHEDULE', schedule], ['UPDATE_SCHEDULE_CLOSED', closedSchedule]].forEach(([variable, value]) => {
+      try {
+        parseSchedule(value);
+      } catch (error) {
+        throw new Error(`${variable} (or ${variable}_${symbol}) is invalid for ${symbol}: ${error.message}`);
+      }
+    });
+  });
+
+  createMarketCalendar({ name: config.update.calendar, holidays: config.update.holidays });
+
+  const { jitterSeconds, backoff } = config.update;
+  if (!(jitterSeconds >= 0) || !(backoff.initialSeconds > 0) || !(backoff.maxSeconds >= backoff.initialSeconds)) {
+    throw new Error(
+      'UPDATE_JITTER_SECONDS must be 0 or more, and UPDATE_BACKOFF_INITIAL_SECONDS positive and ' +
+      'at most UPDATE_BACKOFF_MAX_SECONDS'
+    );
+  }
+
+  if (!(config.alerts.checkSeconds > 0)) {
+    throw new Error(`ALERT_CHECK_SECONDS must be a positive number of seconds (got '${process.env.ALERT_CHECK_SECONDS}')`);
+  }
+
+  if (!['debug', 'info', 'warn', 'error'].includes(config.logging.level)) {
+    throw new Error(`LOG_LEVEL must be 'debug', 'info', 'warn' or 'error' (got '${config.logging.level}')`);
+  }
+
+  if (!['json', 'pretty'].includes(config.logging.format)) {
+    throw new Error(`LOG_FORMAT must be 'json' or 'pretty' (got '${config.logging.format}')`);
+  }
+
+  if (enabled.length === 0) {
+    throw new Error('PRICE_PROVIDERS must list at least one price provider');
+  }
+
+  if (config.providers.quorum < 1 || config.providers.quorum > enabled.length) {
+    throw new Error(
+      `PRICE_QUORUM must be between 1 and the number of enabled providers (${enabled.length})`
+    );
+  }
 }
 
 export default config;
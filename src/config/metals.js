@@ -0,0 +1,26 @@
+/**
+ * Registry of metals served by GoldAPI-compatible providers
+ * Keyed by ISO 4217 metal code; `name` is the slug used by the REST API
+ */
+const METALS = {
+  XAU: { symbol: 'XAU', name: 'gold' },
+  XAG: { symbol: 'XAG', name: 'silver' },
+  XPT: { symbol: 'XPT', name: 'platinum' },
+  XPD: { symbol: 'XPD', name: 'palladium' },
+};
+
+/**
+ * Look up a metal by symbol (XAG) or name (silver)
+ * @param {string} value - Metal symbol or name, case-insensitive
+ * @returns {Object|undefined} Registry entry
+ */
+export function findMetal(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const key = value.toUpperCase();
+  return METALS[key] || Object.values(METALS).find(({ name }) => name === value.toLowerCase());
+}
+
+export default METALS;
@@ -0,0 +1,37 @@
+/**
+ * Network definitions shared by Hardhat (hardhat.config.cjs) and the oracle
+ * service (src/config/index.js)
+ *
+ * CommonJS so the Hardhat config can require it; signer accounts are added
+ * by the Hardhat config.
+ */
+module.exports = {
+  localhost: {
+    url: "http://127.0.0.1:8545",
+    chainId: 31337,
+  },
+  sepolia: {
+    url: process.env.RPC_URL || "",
+    chainId: 11155111,
+  },
+  mainnet: {
+    url: process.env.MAINNET_RPC_URL || "",
+    chainId: 1,
+  },
+  polygon: {
+    url: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com",
+    chainId: 137,
+  },
+  arbitrum: {
+    url: process.env.ARBITRUM_RPC_URL || "https://arb1.arbitrum.io/rpc",
+    chainId: 42161,
+  },
+  base: {
+    url: process.env.BASE_RPC_URL || "https://mainnet.base.org",
+    chainId: 8453,
+  },
+  polygonMumbai: {
+    url: process.env.POLYGON_MUMBAI_RPC_URL || "https://rpc-mumbai.maticvigil.com",
+    chainId: 80001,
+  },
+};
@@ -1,9 +1,25 @@
 import express from 'express';
-import cron from 'node-cron';
 import config, { validateConfig } from './config/index.js';
-import logger from './utils/logger.js';
+import { findMetal } from './config/metals.js';
+import baseLogger, { createCorrelationId, runWithContext } from './utils/logger.js';
+import { formatPrice } from './utils/decimal.js';
+import { parseDuration } from './utils/duration.js';
+import { createRateLimiter } from './utils/rateLimiter.js';
+import { createMarketCalendar } from './utils/marketCalendar.js';
 import oracleUpdater from './services/oracleUpdater.js';
 import goldApiService from './services/goldApiService.js';
+import priceGuard from './services/priceGuard.js';
+import historyStore from './services/historyStore.js';
+import priceReports, { REPORT_TYPES } from './services/priceReports.js';
+import { createEventIndexer } from './services/eventIndexer.js';
+import { createScheduler } from './services/scheduler.js';
+import { getQuotaStatus } from './services/providers/index.js';
+import metrics from './services/metrics.js';
+import healthService, { STATUS, readinessHttpStatus } from './services/healthService.js';
+import alertManager from './services/alerts/index.js';
+import alertMonitor from './services/alertMonitor.js';
+
+const logger = baseLogger.child({ module: 'server' });
 
 // Validate configuration before starting
 try {
@@ -16,9 +32,56 @@ try {
 
 const app = express();
 
+// On-chain event indexers, one per chain (created at startup when INDEXER_ENABLED=true)
+const eventIndexers = new Map();
+
+// Scheduled update jobs, one per metal (created at startup)
+const updateJobs = new Map();
+
+/**
+ * Create one event indexer per chain
+ * Needs the chains' providers and signer addresses, so it runs once the oracle updater is initialized.
+ */
+async function createEventIndexers() {
+  for (const chain of config.chains) {
+    eventIndexers.set(chain.name, createEventIndexer({
+      provider: oracleUpdater.getProvider(chain.name),
+      contracts: chain.contracts,
+      senders: [oracleUpdater.getWalletAddress(chain.name)],
+      // Prices consumers submit with this service's signed reports are not foreign
+      reportSigners: config.reports.mode === 'push' ? [] : [await oracleUpdater.getReportSignerAddress(chain.name)],
+      baseCurrency: config.goldApi.currency,
+      startBlock: chain.indexerStartBlock,
+      confirmations: config.indexer.confirmations,
+      batchBlocks: config.indexer.batchBlocks,
+      file: config.indexer.file.replace('{chain}', chain.name),
+      name: chain.name,
+    }));
+  }
+}
+
 // Middleware
 app.use(express.json());
 
+// Correlation ID per request: taken from X-Request-Id (so a caller's ID carries through)
+// or generated, echoed back, and added to everything logged while handling the request
+app.use((req, res, next) => {
+  const requested = req.get('x-request-id');
+  const correlationId = requested && /^[\w.:-]{1,128}$/.test(requested) ? requested : createCorrelationId();
+
+  res.set('X-Request-Id', correlationId);
+  runWithContext({ correlationId, method: req.method, path: req.path }, next);
+});
+
+// Client IPs for rate limiting come from X-Forwarded-For only behind trusted proxies
+app.set('trust proxy', config.server.trustProxy);
+
+// Per-IP limit on the public (unauthenticated) routes
+const publicRateLimit = createRateLimiter(config.server.rateLimit);
+
+// Prices are BigInt values scaled by 10^8; serialize them as decimal strings
+app.set('json replacer', (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+
 // API Key authentication middleware
 const authenticateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
@@ -33,46 +96,203 @@ const authenticateApiKey = (req, res, next) => {
   next();
 };
 
+/**
+ * Resolve a metal from a route or query parameter
+ * @param {string} value - Metal symbol or name (defaults to the first configured metal)
+ * @returns {Object|null} Metal configuration, or null if the metal is not enabled
+ */
+const resolveMetal = (value) => {
+  if (!value) {
+    return config.metals[0];
+  }
+
+  const metal = findMetal(value);
+  return (metal && config.metals.find(({ symbol }) => symbol === metal.symbol)) || null;
+};
+
+/**
+ * Send a 400 response for a metal that is not enabled
+ * @param {Object} res - Express response
+ * @param {string} value - Requested metal
+ */
+const rejectMetal = (res, value) => res.status(400).json({
+  success: false,
+  error: `Unsupported metal: ${value}`,
+  supportedMetals: config.metals.map(({ symbol, name }) => ({ symbol, name })),
+});
+
+/**
+ * Resolve a chain from a query parameter
+ * @param {string} value - Chain name (defaults to the first configured chain)
+ * @returns {string|null} Chain name, or null if the chain is not configured
+ */
+const resolveChain = (value) => {
+  const names = oracleUpdater.getChainNames();
+
+  if (!value) {
+    return names[0];
+  }
+  return names.find((name) => name.toLowerCase() === value.toLowerCase()) || null;
+};
+
+/**
+ * Send a 400 response for a chain that is not configured
+ * @param {Object} res - Express response
+ * @param {string} value - Requested chain
+ */
+const rejectChain = (res, value) => res.status(400).json({
+  success: false,
+  error: `Unsupported chain: ${value}`,
+  supportedChains: oracleUpdater.getChainNames(),
+});
+
+/**
+ * Send a 400 response for a currency that is not published
+ * @param {Object} res - Express response
+ * @param {string} currency - Requested currency
+ */
+const rejectCurrency = (res, currency) => res.status(400).json({
+  success: false,
+  error: `Unsupported currency: ${currency}`,
+  supportedCurrencies: config.currencies.quotes,
+});
+
+/**
+ * Human readable form of a set of prices
+ * @param {Object} prices - Prices scaled by 10^8
+ * @param {Object} karats - Map of karat to price per gram (null if not published)
+ * @param {string} currency - Currency code
+ * @returns {Object} Prices formatted as e.g. "65.50 USD"
+ */
+const formatPrices = (prices, karats, currency) => ({
+  pricePerGram: formatPrice(prices.pricePerGram, currency),
+  pricePerOunce: formatPrice(prices.pricePerOunce, currency),
+  pricePerKarat24: formatPrice(prices.pricePerKarat24, currency),
+  pricePerKarat22: formatPrice(prices.pricePerKarat22, currency),
+  pricePerKarat18: formatPrice(prices.pricePerKarat18, currency),
+  karats: Object.fromEntries(
+    Object.entries(karats).map(([karat, price]) => [`${karat}K`, formatPrice(price, currency)])
+  ),
+});
+
 /**
  * Health check endpoint
+ * Reports `degraded` when any chain's RPC does not answer
  */
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const chains = await oracleUpdater.getChainStatus();
+
   res.json({
     success: true,
-    status: 'healthy',
+    status: chains.every(({ connected }) => connected) ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
     config: {
-      updateIntervalMinutes: config.update.intervalMinutes,
-      contractAddress: config.blockchain.contractAddress,
+      metals: config.metals.map(({ symbol, name, schedule, closedSchedule }) => ({
+        symbol,
+        name,
+        schedule,
+        closedSchedule,
+      })),
+      marketCalendar: config.update.calendar,
+      currencies: config.currencies.quotes,
+      karats: config.karats,
+    },
+    chains,
+    updatesInFlight: oracleUpdater.getTransactionStatus().updatesInFlight,
+    schedule: Object.fromEntries([...updateJobs].map(([symbol, job]) => [symbol, job.getStatus()])),
+    priceApi: {
+      quota: getQuotaStatus(),
+      cache: goldApiService.getCacheStatus(),
     },
+    alerts: alertManager.getStatus(),
   });
 });
 
+/**
+ * Liveness probe: answers as long as the process does, so orchestrators only
+ * restart the service when it hangs
+ */
+app.get('/health/live', (req, res) => {
+  res.json({
+    success: true,
+    ...healthService.checkLiveness(),
+  });
+});
+
+/**
+ * Readiness probe: checks the price providers, and per chain the RPC, the wallet
+ * balance, the contract roles, staleness and repeated update failures, each with a
+ * timeout. 200 while healthy or degraded, 503 when unhealthy.
+ */
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await healthService.checkReadiness();
+
+    res.status(readinessHttpStatus(readiness.status)).json({
+      success: readiness.status !== STATUS.UNHEALTHY,
+      ...readiness,
+    });
+  } catch (error) {
+    logger.error('Readiness check failed', error);
+    res.status(503).json({
+      success: false,
+      status: STATUS.UNHEALTHY,
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Get current prices from contract
+ * `/prices` serves the default metal, `/prices/:metal` any enabled metal (by symbol or name).
+ * Accepts optional `?currency=` (defaults to the base currency) and `?chain=`
+ * (defaults to the first configured chain) query parameters
  */
-app.get('/prices', async (req, res) => {
+app.get(['/prices', '/prices/:metal'], publicRateLimit, async (req, res) => {
+  const metal = resolveMetal(req.params.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.params.metal);
+  }
+
+  const chain = resolveChain(req.query.chain);
+
+  if (!chain) {
+    return rejectChain(res, req.query.chain);
+  }
+
+  const currency = (req.query.currency || config.goldApi.currency).toUpperCase();
+
+  if (!config.currencies.quotes.includes(currency)) {
+    return rejectCurrency(res, currency);
+  }
+
   try {
-    const prices = await oracleUpdater.getCurrentContractPrices();
-    const isStale = await oracleUpdater.isStale();
+    const prices = await oracleUpdater.getCurrentContractPrices({ metal: metal.symbol, currency, chain });
+    const karats = await oracleUpdater.getContractKaratPrices({ metal: metal.symbol, currency, chain });
+    const isStale = await oracleUpdater.isStale({ metal: metal.symbol, currency, chain });
+    const roundId = await oracleUpdater.getLatestRoundId({ metal: metal.symbol, currency, chain });
 
     res.json({
       success: true,
+      metal: metal.symbol,
+      currency,
+      chain,
       data: {
         pricePerGram: prices.pricePerGram.toString(),
         pricePerOunce: prices.pricePerOunce.toString(),
         pricePerKarat24: prices.pricePerKarat24.toString(),
         pricePerKarat22: prices.pricePerKarat22.toString(),
         pricePerKarat18: prices.pricePerKarat18.toString(),
+        karats: Object.fromEntries(
+          Object.entries(karats).map(([karat, price]) => [karat, price === null ? null : price.toString()])
+        ),
         lastUpdated: prices.lastUpdated.toString(),
+        roundId: roundId.toString(),
         isStale,
       },
       humanReadable: {
-        pricePerGram: (Number(prices.pricePerGram) / 100000000).toFixed(2) + ' USD',
-        pricePerOunce: (Number(prices.pricePerOunce) / 100000000).toFixed(2) + ' USD',
-        pricePerKarat24: (Number(prices.pricePerKarat24) / 100000000).toFixed(2) + ' USD',
-        pricePerKarat22: (Number(prices.pricePerKarat22) / 100000000).toFixed(2) + ' USD',
-        pricePerKarat18: (Number(prices.pricePerKarat18) / 100000000).toFixed(2) + ' USD',
+        ...formatPrices(prices, karats, currency),
         lastUpdated: new Date(Number(prices.lastUpdated) * 1000).toISOString(),
       },
     });
@@ -87,16 +307,291 @@ app.get('/prices', async (req, res) => {
 });
 
 /**
- * Manual price update endpoint (protected)
+ * Latest signed price report of a feed (pull-oracle mode)
+ * Accepts the same `metal`, `currency` and `chain` query parameters as /prices.
+ * `data.report` and `data.signature` are the arguments of GoldOracle.submitPriceReport()
  */
-app.post('/update-prices', authenticateApiKey, async (req, res) => {
+app.get('/reports/latest', publicRateLimit, (req, res) => {
+  if (config.reports.mode === 'push') {
+    return res.status(404).json({
+      success: false,
+      error: 'Signed price reports are disabled (set ORACLE_MODE=pull or ORACLE_MODE=both)',
+    });
+  }
+
+  const metal = resolveMetal(req.query.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  const chain = resolveChain(req.query.chain);
+
+  if (!chain) {
+    return rejectChain(res, req.query.chain);
+  }
+
+  const currency = (req.query.currency || config.goldApi.currency).toUpperCase();
+
+  if (!config.currencies.quotes.includes(currency)) {
+    return rejectCurrency(res, currency);
+  }
+
+  const entry = priceReports.getLatestReport({ chain, metal: metal.symbol, currency });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `No price report signed yet for ${metal.symbol}/${currency} on ${chain}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    chain,
+    metal: metal.symbol,
+    currency,
+    data: {
+      report: entry.report,
+      signature: entry.signature,
+      signer: entry.signer,
+      digest: entry.digest,
+      domain: entry.domain,
+      types: REPORT_TYPES,
+      signedAt: entry.signedAt,
+    },
+    humanReadable: {
+      pricePerGram: formatPrice(entry.report.pricePerGram, currency),
+      pricePerOunce: formatPrice(entry.report.pricePerOunce, currency),
+      pricePerKarat24: formatPrice(entry.report.pricePerKarat24, currency),
+      pricePerKarat22: formatPrice(entry.report.pricePerKarat22, currency),
+      pricePerKarat18: formatPrice(entry.report.pricePerKarat18, currency),
+      timestamp: new Date(Number(entry.report.timestamp) * 1000).toISOString(),
+    },
+  });
+});
+
+/**
+ * Parse a time query parameter
+ * @param {string} value - Unix time in seconds or an ISO 8601 date
+ * @param {number} fallback - Value used when the parameter is missing (ms since epoch)
+ * @returns {number} Milliseconds since epoch (NaN if invalid)
+ */
+const parseTime = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+};
+
+/**
+ * Price history from the local history store
+ * Query parameters:
+ *   metal, currency - feed to read (default metal and base currency)
+ *   from, to        - time range as unix seconds or ISO dates (default: the last 24 hours)
+ *   interval        - OHLC bucket size such as 15m, 1h or 1d; omit for the raw records
+ *   field           - price field to bucket (default pricePerOunce)
+ */
+app.get('/history', publicRateLimit, async (req, res) => {
+  const metal = resolveMetal(req.query.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  const currency = (req.query.currency || config.goldApi.currency).toUpperCase();
+
+  if (!config.currencies.quotes.includes(currency)) {
+    return rejectCurrency(res, currency);
+  }
+
+  const to = parseTime(req.query.to, Date.now());
+  const from = parseTime(req.query.from, to - 24 * 60 * 60 * 1000);
+  const field = req.query.field || 'pricePerOunce';
+
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time range: from and to must be unix seconds or ISO dates, with from <= to',
+    });
+  }
+
+  if (!historyStore.PRICE_FIELDS.includes(field)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported field: ${field}`,
+      supportedFields: historyStore.PRICE_FIELDS,
+    });
+  }
+
+  let intervalMs = null;
+
+  if (req.query.interval) {
+    try {
+      intervalMs = parseDuration(req.query.interval);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   try {
-    logger.info('Manual price update triggered');
+    const { quotes, transactions } = await historyStore.getHistory({
+      metal: metal.symbol,
+      currency,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      metal: metal.symbol,
+      currency,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      ...(intervalMs
+        ? {
+          interval: req.query.interval,
+          field,
+          data: historyStore.ohlc(quotes, intervalMs, { field, transactions }),
+        }
+        : { data: { quotes, transactions } }),
+    });
+  } catch (error) {
+    logger.error('Failed to read price history', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read price history',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Send a 503 response when the event indexer is disabled
+ * @param {Object} res - Express response
+ */
+const rejectIndexerDisabled = (res) => res.status(503).json({
+  success: false,
+  error: 'Event indexer is disabled (set INDEXER_ENABLED=true)',
+});
+
+/**
+ * Indexed contract events
+ * Query parameters: chain, metal, event (e.g. PricesUpdated), fromBlock, toBlock,
+ * foreign=true (only price updates this service did not send)
+ */
+app.get('/events', publicRateLimit, (req, res) => {
+  if (eventIndexers.size === 0) {
+    return rejectIndexerDisabled(res);
+  }
+
+  const chain = resolveChain(req.query.chain);
+
+  if (!chain) {
+    return rejectChain(res, req.query.chain);
+  }
+
+  const eventIndexer = eventIndexers.get(chain);
+
+  const metal = req.query.metal ? resolveMetal(req.query.metal) : null;
+
+  if (req.query.metal && !metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  res.json({
+    success: true,
+    chain,
+    indexer: eventIndexer.getStatus(),
+    data: eventIndexer.getEvents({
+      metal: metal ? metal.symbol : undefined,
+      event: req.query.event,
+      fromBlock: req.query.fromBlock ? Number(req.query.fromBlock) : undefined,
+      toBlock: req.query.toBlock ? Number(req.query.toBlock) : undefined,
+      foreign: req.query.foreign === 'true',
+    }),
+  });
+});
+
+/**
+ * What the contract reported at a block, reconstructed from indexed events
+ * Query parameters: block (required), chain, metal, currency
+ */
+app.get('/events/state', publicRateLimit, (req, res) => {
+  if (eventIndexers.size === 0) {
+    return rejectIndexerDisabled(res);
+  }
+
+  const chain = resolveChain(req.query.chain);
+
+  if (!chain) {
+    return rejectChain(res, req.query.chain);
+  }
+
+  const metal = resolveMetal(req.query.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  const currency = (req.query.currency || config.goldApi.currency).toUpperCase();
 
-    const result = await oracleUpdater.updatePrices();
+  if (!config.currencies.quotes.includes(currency)) {
+    return rejectCurrency(res, currency);
+  }
+
+  const blockNumber = Number(req.query.block);
+
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Query parameter block must be a block number',
+    });
+  }
+
+  try {
+    const state = eventIndexers.get(chain).getStateAt({ metal: metal.symbol, currency, blockNumber });
 
     res.json({
       success: true,
+      chain,
+      metal: metal.symbol,
+      currency,
+      data: state,
+      humanReadable: state.prices ? formatPrices(state.prices, state.karats, currency) : null,
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Manual price update endpoint (protected)
+ * Accepts an optional `?metal=` query parameter; `?metal=all` updates every configured metal
+ */
+app.post('/update-prices', authenticateApiKey, async (req, res) => {
+  const updateAll = req.query.metal === 'all';
+  const metal = updateAll ? null : resolveMetal(req.query.metal);
+
+  if (!updateAll && !metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  try {
+    logger.info(`Manual price update triggered (${updateAll ? 'all metals' : metal.symbol})`);
+
+    const result = updateAll
+      ? await oracleUpdater.updateAllMetals()
+      : await oracleUpdater.updatePrices(metal.symbol);
+
+    res.status(result.inProgress ? 409 : 200).json({
+      success: !result.inProgress,
       data: result,
     });
   } catch (error) {
@@ -109,26 +604,124 @@ app.post('/update-prices', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Deviation guard status and record of tripped breakers
+ */
+app.get('/guard', publicRateLimit, (req, res) => {
+  res.json({
+    success: true,
+    data: priceGuard.getStatus(),
+  });
+});
+
+/**
+ * Manually approve a price held by the deviation guard (protected)
+ * Accepts optional `?metal=` (defaults to the first configured metal) and
+ * `?chain=` (defaults to the first configured chain) query parameters
+ */
+app.post('/guard/override', authenticateApiKey, async (req, res) => {
+  const metal = resolveMetal(req.query.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
+  const chain = resolveChain(req.query.chain);
+
+  if (!chain) {
+    return rejectChain(res, req.query.chain);
+  }
+
+  let trip;
+
+  try {
+    trip = priceGuard.override(req.body && req.body.reason, oracleUpdater.guardKey(metal.symbol, chain));
+  } catch (error) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  try {
+    logger.warn(`Deviation guard override requested for trip #${trip.id}`);
+
+    const result = await oracleUpdater.updatePrices(metal.symbol);
+
+    res.status(result.inProgress ? 409 : 200).json({
+      success: !result.inProgress,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Price update after guard override failed', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update prices',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Prometheus metrics: update, fetch and transaction counters and histograms, plus the
+ * wallet balances and on-chain price ages read from every chain at scrape time
+ */
+if (config.metrics.enabled) {
+  app.get('/metrics', async (req, res) => {
+    try {
+      const body = await metrics.render({
+        onError: (error) => logger.warn(`Metrics collection failed: ${error.message}`),
+      });
+      res.set('Content-Type', metrics.contentType).send(body);
+    } catch (error) {
+      logger.error('Failed to render metrics', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+}
+
 /**
  * Get latest price from GoldAPI (without updating contract)
+ * Accepts an optional `?metal=` query parameter (defaults to the first configured metal).
+ * Served from the quote cache for QUOTE_CACHE_TTL_SECONDS, so clients never cost more
+ * than one provider fetch per metal and TTL
  */
-app.get('/api/gold-price', async (req, res) => {
+app.get('/api/gold-price', publicRateLimit, async (req, res) => {
+  const metal = resolveMetal(req.query.metal);
+
+  if (!metal) {
+    return rejectMetal(res, req.query.metal);
+  }
+
   try {
-    const prices = await goldApiService.getGoldPrices();
+    const { prices, cached, fetchedAt, ageSeconds } = await goldApiService.getCachedGoldPrices({ symbol: metal.symbol });
 
+    res.set('Cache-Control', `public, max-age=${Math.max(config.cache.quoteTtlSeconds - ageSeconds, 0)}`);
     res.json({
       success: true,
+      metal: metal.symbol,
       data: prices,
-      humanReadable: {
-        pricePerGram: (prices.pricePerGram / 100000000).toFixed(2) + ' USD',
-        pricePerOunce: (prices.pricePerOunce / 100000000).toFixed(2) + ' USD',
-        pricePerKarat24: (prices.pricePerKarat24 / 100000000).toFixed(2) + ' USD',
-        pricePerKarat22: (prices.pricePerKarat22 / 100000000).toFixed(2) + ' USD',
-        pricePerKarat18: (prices.pricePerKarat18 / 100000000).toFixed(2) + ' USD',
-      },
+      humanReadable: formatPrices(prices, prices.karats, config.goldApi.currency),
+      cache: { cached, fetchedAt, ageSeconds },
     });
   } catch (error) {
     logger.error('Failed to fetch gold price from API', error);
+
+    // Tell clients when to come back while the price API's quota is used up
+    const { goldapi } = getQuotaStatus();
+    if (goldapi.backingOff) {
+      res.set('Retry-After', String(Math.ceil((Date.parse(goldapi.backoffUntil) - Date.now()) / 1000)));
+      return res.status(503).json({
+        success: false,
+        error: 'Price API quota exhausted',
+        message: error.message,
+        retryAfter: goldapi.backoffUntil,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch gold price',
@@ -139,58 +732,141 @@ app.get('/api/gold-price', async (req, res) => {
 
 /**
  * Scheduled price update function
+ * Everything logged during the update, from the price fetch to the transactions,
+ * carries the same correlation ID.
+ * @param {string} metal - Metal symbol
+ * @param {string} [trigger] - What started the update: 'schedule' or 'startup'
+ * @returns {Promise<boolean>} False if the update failed on any chain
+ */
+async function scheduledUpdate(metal, trigger = 'schedule') {
+  return runWithContext({ correlationId: createCorrelationId(), trigger, metal }, async () => {
+    const succeeded = await runScheduledUpdate(metal);
+    // Alert on repeated failures and held prices right away rather than at the next check
+    await alertMonitor.checkUpdates();
+    return succeeded;
+  });
+}
+
+/**
+ * Run a scheduled update and log its outcome per chain
+ * @param {string} metal - Metal symbol
+ * @returns {Promise<boolean>} False if the update failed on any chain
  */
-async function scheduledUpdate() {
+async function runScheduledUpdate(metal) {
   try {
-    logger.info('=== Scheduled price update started ===');
-    const result = await oracleUpdater.updatePrices();
+    logger.info(`=== Scheduled price update started (${metal}) ===`);
+    const result = await oracleUpdater.updatePrices(metal);
 
-    if (result.updated) {
-      logger.success('Scheduled update completed successfully');
-      logger.info(`Transaction: ${result.transactionHash}`);
-    } else {
+    if (result.inProgress) {
       logger.info('Scheduled update skipped: ' + result.message);
+      return true;
     }
+
+    Object.entries(result.chains).forEach(([chain, chainResult]) => {
+      if (chainResult.proposed && !chainResult.updated) {
+        logger.success(`Scheduled update proposed to Safe (${metal} on ${chain})`);
+        Object.entries(chainResult.currencies)
+          .filter(([, currencyResult]) => currencyResult.proposed)
+          .forEach(([currency, currencyResult]) => {
+            logger.info(`Safe transaction (${chain}, ${currency}): ${currencyResult.safeTxHash}`);
+          });
+      } else if (chainResult.updated) {
+        logger.success(`Scheduled update completed successfully (${metal} on ${chain})`);
+        Object.entries(chainResult.currencies)
+          .filter(([, currencyResult]) => currencyResult.updated)
+          .forEach(([currency, currencyResult]) => {
+            logger.info(`Transaction (${chain}, ${currency}): ${currencyResult.transactionHash} (round ${currencyResult.roundId})`);
+          });
+      } else if (chainResult.held || chainResult.paused) {
+        logger.warn(`Scheduled update held on ${chain}: ${chainResult.message}`);
+      } else if (chainResult.error) {
+        logger.error(`Scheduled update failed on ${chain}: ${chainResult.error}`);
+      } else if (chainResult.reported && !chainResult.currencies) {
+        logger.success(`Scheduled price reports signed (${metal} on ${chain})`);
+      } else {
+        logger.info(`Scheduled update skipped on ${chain}: ${chainResult.message}`);
+      }
+    });
+
+    return Object.values(result.chains).every((chainResult) => !chainResult.error);
   } catch (error) {
-    logger.error('Scheduled price update failed', error);
+    logger.error(`Scheduled price update failed (${metal})`, error);
+    return false;
   }
 }
 
 /**
- * Setup cron job for automatic updates
+ * Create the update jobs, one per metal, on the metal's schedules and the market calendar
  */
-function setupCronJob() {
-  // Run every X minutes based on config
-  const cronExpression = `*/${config.update.intervalMinutes} * * * *`;
-
-  logger.info(`Setting up cron job with expression: ${cronExpression}`);
-  logger.info(`Updates will run every ${config.update.intervalMinutes} minutes`);
-
-  cron.schedule(cronExpression, scheduledUpdate);
+function createUpdateJobs() {
+  const calendar = createMarketCalendar({ name: config.update.calendar, holidays: config.update.holidays });
 
-  logger.success('Cron job scheduled successfully');
+  config.metals.forEach(({ symbol, schedule, closedSchedule }) => {
+    updateJobs.set(symbol, createScheduler({
+      name: `${symbol} update`,
+      schedule,
+      closedSchedule,
+      calendar,
+      jitterSeconds: config.update.jitterSeconds,
+      backoff: config.update.backoff,
+      run: (trigger) => scheduledUpdate(symbol, trigger),
+    }));
+  });
 }
 
 /**
  * Start the server
  */
-function startServer() {
+async function startServer() {
   const port = config.server.port;
 
+  createUpdateJobs();
+
+  // Unlock the signers, then refuse to sign anything for a chain other than the configured one
+  // or for contracts that do not accept updates from this service. A failing event indexer
+  // setup (bad RPC, unreadable state file) stops startup the same way.
+  try {
+    await oracleUpdater.initialize();
+    await oracleUpdater.verifyNetworks();
+    if (config.reports.mode !== 'pull') {
+      await oracleUpdater.verifyUpdaterRoles();
+      await oracleUpdater.checkStalenessThresholds(
+        Object.fromEntries([...updateJobs].map(([symbol, job]) => [symbol, job.getMaxGapSeconds()]))
+      );
+    }
+    if (config.reports.mode !== 'push') {
+      await oracleUpdater.checkReportSigners();
+    }
+    if (config.indexer.enabled) {
+      await createEventIndexers();
+    }
+  } catch (error) {
+    logger.error('Startup checks failed', error);
+    process.exit(1);
+  }
+
   app.listen(port, () => {
     logger.success(`🚀 Gold Oracle API server running on port ${port}`);
     logger.info(`Health check: http://localhost:${port}/health`);
-    logger.info(`Get prices: http://localhost:${port}/prices`);
+    logger.info(`Get prices: http://localhost:${port}/prices (or /prices/:metal)`);
     logger.info(`Manual update: POST http://localhost:${port}/update-prices (requires X-API-Key header)`);
 
     // Setup automatic updates
-    setupCronJob();
+    updateJobs.forEach((job) => job.start());
+
+    eventIndexers.forEach((eventIndexer) => eventIndexer.start(config.indexer.pollSeconds));
+
+    if (alertManager.getStatus().channels.length > 0) {
+      alertMonitor.start(config.alerts.checkSeconds);
+    }
 
-    // Run initial update after 10 seconds
-    setTimeout(() => {
+    // Run the initial update once the startup delay has passed
+    setTimeout(async () => {
       logger.info('Running initial price update...');
-      scheduledUpdate();
-    }, 10000);
+      for (const job of updateJobs.values()) {
+        await job.runNow('startup');
+      }
+    }, config.update.initialDelaySeconds * 1000);
   });
 }
 
@@ -0,0 +1,252 @@
+import { ethers } from 'ethers';
+import config from '../config/index.js';
+import baseLogger from '../utils/logger.js';
+import oracleUpdater from './oracleUpdater.js';
+import priceGuard from './priceGuard.js';
+import alertManager from './alerts/index.js';
+
+const logger = baseLogger.child({ module: 'alertMonitor' });
+
+/**
+ * Watches the oracle and raises alerts through the alert manager
+ *
+ * Every check fires its alerts while a condition holds and resolves them once
+ * it is gone; the alert manager takes care of deduplication and recovery
+ * notices. Alert keys:
+ *   - update-failures:<chain>:<metal>  HEALTH_MAX_CONSECUTIVE_FAILURES failed runs in a row
+ *   - staleness:<chain>:<metal>:<currency>  price within HEALTH_STALENESS_WARNING_SECONDS
+ *     of going stale (warning) or stale (critical)
+ *   - balance:<chain>  wallet below MIN_WALLET_BALANCE (warning) or empty (critical)
+ *   - guard:<feed>  deviation guard holding a price
+ *   - owner:<chain>:<metal>  contract owner differs from the one seen at startup
+ *
+ * A check that cannot reach the chain leaves its alerts as they are.
+ */
+
+// Contract owners first seen, by `${chain}:${metal}`
+const owners = new Map();
+let timer = null;
+let checking = null;
+
+/**
+ * Fire an alert while a condition holds, resolve it otherwise
+ * @param {string} key - Alert key
+ * @param {Object|null} alert - Alert to fire, or null when the condition is gone
+ * @param {string} recovery - Recovery message
+ * @returns {Promise<boolean>} Whether a notice was sent
+ */
+function raiseOrResolve(key, alert, recovery) {
+  return alert ? alertManager.fire(key, alert) : alertManager.resolve(key, recovery);
+}
+
+/**
+ * Reject a chain query that takes longer than a readiness check may
+ * @param {Promise} promise - Chain query
+ * @returns {Promise} Its result
+ */
+function withTimeout(promise) {
+  let timeout;
+
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error(`No response within ${config.health.checkTimeoutMs}ms`)), config.health.checkTimeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Alert on update runs failing in a row
+ */
+async function checkUpdateFailures() {
+  for (const chain of oracleUpdater.getChainNames()) {
+    const { consecutiveFailures, lastError } = oracleUpdater.getUpdateHistory(chain);
+
+    for (const { symbol } of config.metals) {
+      const failures = consecutiveFailures[symbol] || 0;
+      const failing = failures >= config.health.maxConsecutiveFailures;
+
+      await raiseOrResolve(`update-failures:${chain}:${symbol}`, failing && {
+        severity: 'critical',
+        title: `${symbol} updates failing on ${chain}`,
+        message: `${failures} update runs failed in a row (last error: ${lastError ? lastError.message : 'unknown'})`,
+        details: { chain, metal: symbol, consecutiveFailures: failures, lastError },
+      }, `${symbol} updates on ${chain} succeed again`);
+    }
+  }
+}
+
+/**
+ * Alert on deviation guards holding a price back
+ */
+async function checkGuard() {
+  const { feeds } = priceGuard.getStatus();
+
+  for (const [key, feed] of Object.entries(feeds)) {
+    const trip = feed.current;
+
+    await raiseOrResolve(`guard:${key}`, feed.state === 'tripped' && {
+      severity: 'warning',
+      title: `Deviation guard tripped (${key})`,
+      message: `New price moved ${trip.deviationBps} bps ${trip.direction} from the on-chain price `
+        + `(max ${config.guard.maxDeviationBps} bps); held until it is confirmed or overridden`,
+      details: trip,
+    }, `Deviation guard for ${key} closed`);
+  }
+}
+
+/**
+ * Alert on feeds going stale
+ * @param {string} chain - Chain name
+ */
+async function checkStaleness(chain) {
+  const secondsUntilStale = await withTimeout(oracleUpdater.getSecondsUntilStale(chain));
+
+  for (const [metal, currencies] of Object.entries(secondsUntilStale)) {
+    for (const [currency, seconds] of Object.entries(currencies)) {
+      const feed = `${metal}/${currency} on ${chain}`;
+      let alert = null;
+
+      if (seconds === 0) {
+        alert = { severity: 'critical', title: `${feed} is stale`, message: 'Consumers reading it get a stale price' };
+      } else if (seconds < config.health.stalenessWarningSeconds) {
+        alert = { severity: 'warning', title: `${feed} is going stale`, message: `Stale in ${seconds}s unless it is updated` };
+      }
+
+      await raiseOrResolve(
+        `staleness:${chain}:${metal}:${currency}`,
+        alert && { ...alert, details: { chain, metal, currency, secondsUntilStale: seconds } },
+        `${feed} is fresh again`
+      );
+    }
+  }
+}
+
+/**
+ * Alert on a wallet running out of gas money
+ * @param {Object} chainConfig - Chain configuration
+ */
+async function checkBalance(chainConfig) {
+  const chain = chainConfig.name;
+  const address = oracleUpdater.getWalletAddress(chain);
+  const balance = await withTimeout(oracleUpdater.getProvider(chain).getBalance(address));
+  const details = { chain, address, balance: ethers.formatEther(balance), minimum: chainConfig.minWalletBalance };
+  let alert = null;
+
+  if (balance === 0n) {
+    alert = { severity: 'critical', title: `No gas funds on ${chain}`, message: `${address} cannot pay for updates` };
+  } else if (balance < ethers.parseEther(chainConfig.minWalletBalance)) {
+    alert = {
+      severity: 'warning',
+      title: `Low gas balance on ${chain}`,
+      message: `${address} holds ${details.balance}, below MIN_WALLET_BALANCE (${chainConfig.minWalletBalance})`,
+    };
+  }
+
+  await raiseOrResolve(`balance:${chain}`, alert && { ...alert, details }, `${address} holds ${details.balance} again`);
+}
+
+/**
+ * Alert on contracts changing hands
+ * The owner seen on the first successful check is the expected one.
+ * @param {string} chain - Chain name
+ */
+async function checkOwnership(chain) {
+  const access = await withTimeout(oracleUpdater.getContractAccess(chain));
+
+  for (const [metal, { address, owner }] of Object.entries(access)) {
+    const key = `${chain}:${metal}`;
+
+    if (!owners.has(key)) {
+      owners.set(key, owner);
+    }
+
+    const expected = owners.get(key);
+    const changed = owner.toLowerCase() !== expected.toLowerCase();
+
+    await raiseOrResolve(`owner:${key}`, changed && {
+      severity: 'critical',
+      title: `${metal} contract ownership changed on ${chain}`,
+      message: `${address} is now owned by ${owner} (was ${expected})`,
+      details: { chain, metal, contract: address, owner, expectedOwner: expected },
+    }, `${metal} contract on ${chain} is owned by ${expected} again`);
+  }
+}
+
+/**
+ * Run a check, logging instead of throwing when it fails
+ * @param {string} name - Check name
+ * @param {Function} check - Async check
+ */
+async function attempt(name, check) {
+  try {
+    await check();
+  } catch (error) {
+    logger.warn(`Alert check ${name} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check the conditions known without asking the chains: update failures and
+ * the deviation guard. Cheap enough to run after every update.
+ * @returns {Promise<void>}
+ */
+async function checkUpdates() {
+  await attempt('updates', checkUpdateFailures);
+  await attempt('guard', checkGuard);
+}
+
+/**
+ * Check every alert condition
+ * Balances are skipped in Safe mode and balances and staleness in pull mode,
+ * as in the readiness checks. Concurrent calls share one run.
+ * @returns {Promise<void>}
+ */
+function checkAll() {
+  if (!checking) {
+    const pushing = config.reports.mode !== 'pull';
+
+    checking = Promise.all([
+      checkUpdates(),
+      ...config.chains.map(async (chainConfig) => {
+        const chain = chainConfig.name;
+
+        await attempt(`ownership (${chain})`, () => checkOwnership(chain));
+        if (pushing) {
+          await attempt(`staleness (${chain})`, () => checkStaleness(chain));
+        }
+        if (pushing && chainConfig.signer.type !== 'safe') {
+          await attempt(`balance (${chain})`, () => checkBalance(chainConfig));
+        }
+      }),
+    ]).then(() => {}).finally(() => {
+      checking = null;
+    });
+  }
+  return checking;
+}
+
+/**
+ * Check every condition now, then every `checkSeconds`
+ * @param {number} checkSeconds - Seconds between checks
+ */
+function start(checkSeconds) {
+  logger.info(`Alerting to ${alertManager.getStatus().channels.join(', ')} (checks every ${checkSeconds}s)`);
+  checkAll();
+  timer = setInterval(checkAll, checkSeconds * 1000);
+}
+
+/**
+ * Stop the periodic checks
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  checkUpdates,
+  checkAll,
+  start,
+  stop,
+};
@@ -0,0 +1,210 @@
+import baseLogger from '../../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'alertManager' });
+
+/**
+ * Alert state with deduplication and recovery notices
+ *
+ * Each alert has a stable key (e.g. balance:polygon). Firing an alert that is
+ * already active notifies nobody again, unless its severity changed or it
+ * has been active for `repeatSeconds` since the last notice. Channels that
+ * missed a notice get it on the next fire(). Resolving an active alert sends
+ * one recovery notice; resolving an inactive one does nothing, so monitors
+ * can fire and resolve on every check. Calls are handled one at a time, so
+ * monitors checking concurrently never send the same notice twice.
+ */
+
+export const SEVERITIES = ['warning', 'critical'];
+
+/**
+ * Create an alert manager
+ * @param {Object} options - Manager options
+ * @param {Object[]} options.channels - Channels, each { name, send(notification) }
+ * @param {number} [options.repeatSeconds] - Re-notify alerts still active after this long (0 never)
+ * @param {string} [options.source] - Service name in notifications
+ * @returns {Object} Manager with fire(), resolve() and getStatus()
+ */
+export function createAlertManager({ channels, repeatSeconds = 3600, source = 'gold-oracle' }) {
+  const active = new Map();
+  let sent = 0;
+  let deduplicated = 0;
+  let failed = 0;
+  let queue = Promise.resolve();
+
+  /**
+   * Run an operation after the ones already queued
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Its result
+   */
+  function enqueue(operation) {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Send a notification to channels
+   * @param {Object} notification - Notification
+   * @param {Object[]} targets - Channels to send to
+   * @returns {Promise<string[]>} Names of the channels that accepted it
+   */
+  async function notify(notification, targets) {
+    const results = await Promise.allSettled(targets.map((channel) => channel.send(notification)));
+    const delivered = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        delivered.push(targets[index].name);
+        sent++;
+      } else {
+        failed++;
+        logger.error(`Alert notification failed (${notification.key})`, result.reason, { channel: targets[index].name });
+      }
+    });
+
+    return delivered;
+  }
+
+  /**
+   * Raise an alert, or keep it raised
+   * @param {string} key - Alert key
+   * @param {Object} alert - Alert
+   * @param {string} alert.severity - warning or critical
+   * @param {string} alert.title - Short title
+   * @param {string} alert.message - What is wrong
+   * @param {Object} [alert.details] - Structured details
+   * @returns {Promise<boolean>} True if a notice was sent (to at least one channel)
+   */
+  async function fire(key, { severity, title, message, details = {} }) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown alert severity: ${severity}`);
+    }
+
+    return enqueue(() => raise(key, { severity, title, message, details }));
+  }
+
+  /**
+   * Update an alert's state and send the notices due (see fire())
+   * @param {string} key - Alert key
+   * @param {Object} alert - { severity, title, message, details }
+   * @returns {Promise<boolean>} True if a notice was sent
+   */
+  async function raise(key, { severity, title, message, details }) {
+    const now = Date.now();
+    const current = active.get(key);
+    const repeat = current && repeatSeconds > 0 && now - current.notifiedAt >= repeatSeconds * 1000;
+    const escalated = current && current.severity !== severity;
+    const targets = !current || repeat || escalated
+      ? channels
+      : channels.filter(({ name }) => !current.deliveredTo.includes(name));
+
+    const alert = {
+      key,
+      severity,
+      title,
+      message,
+      details,
+      firedAt: current ? current.firedAt : new Date(now).toISOString(),
+      notifiedAt: current ? current.notifiedAt : 0,
+      deliveredTo: current && targets !== channels ? current.deliveredTo : [],
+    };
+    active.set(key, alert);
+
+    if (targets.length === 0) {
+      deduplicated++;
+      return false;
+    }
+
+    if (!current) {
+      logger.warn(`Alert firing (${key}): ${title}: ${message}`, { alert: key, severity });
+    }
+
+    const delivered = await notify({
+      key,
+      status: 'firing',
+      severity,
+      title,
+      message,
+      details,
+      source,
+      firedAt: alert.firedAt,
+      timestamp: new Date(now).toISOString(),
+    }, targets);
+
+    alert.deliveredTo = [...new Set([...alert.deliveredTo, ...delivered])];
+    if (delivered.length > 0) {
+      alert.notifiedAt = now;
+    }
+
+    return delivered.length > 0;
+  }
+
+  /**
+   * Clear an alert and send a recovery notice if it was active
+   * @param {string} key - Alert key
+   * @param {string} [message] - What recovered
+   * @returns {Promise<boolean>} True if the alert was active
+   */
+  async function resolve(key, message = 'Recovered') {
+    return enqueue(() => clear(key, message));
+  }
+
+  /**
+   * Drop an alert and send its recovery notice (see resolve())
+   * @param {string} key - Alert key
+   * @param {string} message - What recovered
+   * @returns {Promise<boolean>} True if the alert was active
+   */
+  async function clear(key, message) {
+    const current = active.get(key);
+
+    if (!current) {
+      return false;
+    }
+
+    active.delete(key);
+    logger.info(`Alert resolved (${key}): ${message}`, { alert: key });
+
+    await notify({
+      key,
+      status: 'resolved',
+      severity: current.severity,
+      title: current.title,
+      message,
+      details: current.details,
+      source,
+      firedAt: current.firedAt,
+      timestamp: new Date().toISOString(),
+    }, channels);
+
+    return true;
+  }
+
+  /**
+   * Active alerts and notification counts
+   * @returns {Object} { channels, active, sent, deduplicated, failed }
+   */
+  function getStatus() {
+    return {
+      channels: channels.map(({ name }) => name),
+      active: [...active.values()].map(({ key, severity, title, message, firedAt, notifiedAt, deliveredTo }) => ({
+        key,
+        severity,
+        title,
+        message,
+        firedAt,
+        notifiedAt: notifiedAt ? new Date(notifiedAt).toISOString() : null,
+        deliveredTo,
+      })),
+      sent,
+      deduplicated,
+      failed,
+    };
+  }
+
+  return {
+    fire,
+    resolve,
+    getStatus,
+  };
+}
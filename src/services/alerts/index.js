@@ -0,0 +1,51 @@
+import config from '../../config/index.js';
+import { createAlertManager } from './alertManager.js';
+import { createWebhookChannel } from './webhookChannel.js';
+
+/**
+ * Build the alert channels configured through ALERT_WEBHOOK_URL,
+ * ALERT_SLACK_WEBHOOK_URL and ALERT_PAGERDUTY_ROUTING_KEY
+ * @param {Object} alerts - Alerting configuration (config.alerts)
+ * @returns {Object[]} Webhook channels
+ */
+export function createChannels(alerts = config.alerts) {
+  const channels = [];
+
+  if (alerts.webhookUrl) {
+    channels.push(createWebhookChannel({
+      name: 'webhook',
+      url: alerts.webhookUrl,
+      format: 'generic',
+      timeoutMs: alerts.timeoutMs,
+    }));
+  }
+  if (alerts.slackWebhookUrl) {
+    channels.push(createWebhookChannel({
+      name: 'slack',
+      url: alerts.slackWebhookUrl,
+      format: 'slack',
+      timeoutMs: alerts.timeoutMs,
+    }));
+  }
+  if (alerts.pagerDuty.routingKey) {
+    channels.push(createWebhookChannel({
+      name: 'pagerduty',
+      url: alerts.pagerDuty.url,
+      format: 'pagerduty',
+      routingKey: alerts.pagerDuty.routingKey,
+      timeoutMs: alerts.timeoutMs,
+    }));
+  }
+
+  return channels;
+}
+
+// One manager for every monitor, so each alert is deduplicated across them
+const alertManager = createAlertManager({
+  channels: createChannels(),
+  repeatSeconds: config.alerts.repeatSeconds,
+});
+
+export { createAlertManager, createWebhookChannel };
+
+export default alertManager;
@@ -0,0 +1,85 @@
+import axios from 'axios';
+
+/**
+ * Webhook alert channel
+ *
+ * Posts every notification (an alert firing or resolved) to one URL, in one
+ * of three payload formats:
+ *   - generic: the notification as JSON
+ *   - slack: a Slack-compatible incoming webhook message ({ text })
+ *   - pagerduty: a PagerDuty Events API v2 event, with the alert key as
+ *     dedup_key so PagerDuty resolves the incident it opened
+ */
+
+const SLACK_ICONS = {
+  critical: ':rotating_light:',
+  warning: ':warning:',
+  resolved: ':white_check_mark:',
+};
+
+const formats = {
+  generic: (notification) => notification,
+
+  slack: ({ status, severity, title, message, source }) => {
+    const label = status === 'resolved' ? 'RESOLVED' : severity.toUpperCase();
+    return {
+      text: `${SLACK_ICONS[status === 'resolved' ? 'resolved' : severity]} *[${label}] ${title}*\n${message}\n_${source}_`,
+    };
+  },
+
+  pagerduty: ({ key, status, severity, title, message, details, source, timestamp }, { routingKey }) => (
+    status === 'resolved'
+      ? { routing_key: routingKey, event_action: 'resolve', dedup_key: key }
+      : {
+        routing_key: routingKey,
+        event_action: 'trigger',
+        dedup_key: key,
+        payload: {
+          summary: `${title}: ${message}`.slice(0, 1024),
+          source,
+          severity,
+          timestamp,
+          custom_details: details,
+        },
+      }
+  ),
+};
+
+/**
+ * Create a webhook channel
+ * @param {Object} options - Channel options
+ * @param {string} options.name - Channel name, for logs and status
+ * @param {string} options.url - Webhook URL
+ * @param {string} options.format - generic, slack or pagerduty
+ * @param {string} [options.routingKey] - PagerDuty integration (routing) key
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Channel with name and send(notification)
+ */
+export function createWebhookChannel({ name, url, format, routingKey, timeoutMs = 10000 }) {
+  const build = formats[format];
+
+  if (!build) {
+    throw new Error(`Unknown alert format: ${format} (supported: ${Object.keys(formats).join(', ')})`);
+  }
+
+  /**
+   * Post a notification
+   * @param {Object} notification - { key, status, severity, title, message, details, source, timestamp }
+   * @returns {Promise<void>} Rejects when the webhook does not accept it
+   */
+  async function send(notification) {
+    try {
+      await axios.post(url, build(notification, { routingKey }), { timeout: timeoutMs });
+    } catch (error) {
+      // Never pass on the axios error: its request carries the URL, which may hold a token
+      throw new Error(`${name} webhook failed: ${error.response ? error.response.status : error.message}`);
+    }
+  }
+
+  return {
+    name,
+    send,
+  };
+}
+
+export { formats };
@@ -0,0 +1,431 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ethers } from 'ethers';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'eventIndexer' });
+
+/**
+ * On-chain event indexer
+ *
+ * Backfills GoldOracle events from a start block, then follows the chain.
+ * Blocks are only indexed once they are `confirmations` deep, so shallow
+ * reorgs never reach the store. Deeper reorgs are detected by comparing the
+ * stored checkpoint hash with the chain; the indexer then rewinds by the
+ * confirmation depth and re-indexes.
+ *
+ * Decoded events and checkpoints are stored one JSON record per line.
+ */
+
+const EVENT_ABI = [
+  'event PricesUpdated(uint256 gram, uint256 ounce, uint256 k24, uint256 k22, uint256 k18, uint256 timestamp)',
+  'event CurrencyPricesUpdated(bytes32 indexed currency, uint256 gram, uint256 ounce, uint256 k24, uint256 k22, uint256 k18, uint256 timestamp)',
+  'event KaratPricesUpdated(bytes32 indexed currency, uint8[] karats, uint256[] prices, uint256 timestamp)',
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'event PriceReportAccepted(bytes32 indexed currency, address indexed signer, uint256 nonce, uint256 timestamp)',
+];
+
+const eventInterface = new ethers.Interface(EVENT_ABI);
+const EVENT_TOPICS = eventInterface.fragments.map((fragment) => fragment.topicHash);
+
+/**
+ * Decode the price arguments shared by PricesUpdated and CurrencyPricesUpdated
+ * @param {ethers.Result} args - Decoded event arguments
+ * @returns {Object} Prices as decimal strings
+ */
+const decodePrices = (args) => ({
+  pricePerGram: args.gram.toString(),
+  pricePerOunce: args.ounce.toString(),
+  pricePerKarat24: args.k24.toString(),
+  pricePerKarat22: args.k22.toString(),
+  pricePerKarat18: args.k18.toString(),
+  lastUpdated: args.timestamp.toString(),
+});
+
+/**
+ * Reconstruct what a contract reported at a block from its indexed events
+ * @param {Object[]} events - Indexed events in chain order
+ * @param {Object} query - State query
+ * @param {string} query.metal - Metal symbol
+ * @param {string} query.currency - Currency code
+ * @param {number} query.blockNumber - Block number
+ * @returns {Object} { prices, karats, owner } as of the end of that block (prices null if never published)
+ */
+export function stateAt(events, { metal, currency, blockNumber }) {
+  let prices = null;
+  let owner = null;
+  const karats = {};
+
+  events
+    .filter((event) => event.metal === metal && event.blockNumber <= blockNumber)
+    .forEach((event) => {
+      if (event.event === 'OwnershipTransferred') {
+        owner = event.data.newOwner;
+        return;
+      }
+
+      if (event.currency !== currency || event.event === 'PriceReportAccepted') {
+        return;
+      }
+
+      if (event.event === 'KaratPricesUpdated') {
+        Object.assign(karats, event.data.karats);
+      } else {
+        prices = event.data;
+        karats[24] = event.data.pricePerKarat24;
+        karats[22] = event.data.pricePerKarat22;
+        karats[18] = event.data.pricePerKarat18;
+      }
+    });
+
+  return { prices, karats, owner };
+}
+
+/**
+ * Create an event indexer
+ * @param {Object} options - Indexer options
+ * @param {ethers.Provider} options.provider - Chain provider
+ * @param {Object} options.contracts - Map of metal symbol to contract address
+ * @param {string[]} options.senders - Addresses the bot sends updates from (a Safe counts
+ *   for every transaction it executes)
+ * @param {string[]} [options.reportSigners] - Addresses the bot signs price reports with; prices
+ *   stored from their reports count as the bot's own, whoever submitted them
+ * @param {string} options.baseCurrency - Currency of the contract's default price fields
+ * @param {number} options.startBlock - First block to index
+ * @param {number} options.confirmations - Blocks a block must be buried under before it is indexed
+ * @param {number} options.batchBlocks - Max blocks per getLogs request
+ * @param {string} options.file - JSONL file events and checkpoints are stored in
+ * @param {string} [options.name] - Chain name, prefixed to log messages
+ * @returns {Object} Indexer with sync(), start(), stop(), getEvents(), getStateAt() and getStatus()
+ */
+export function createEventIndexer({
+  provider,
+  contracts,
+  senders,
+  reportSigners = [],
+  baseCurrency,
+  startBlock = 0,
+  confirmations = 12,
+  batchBlocks = 2000,
+  file,
+  name,
+}) {
+  const label = name ? `[${name}] ` : '';
+  const metalsByAddress = new Map(
+    Object.entries(contracts).map(([metal, address]) => [address.toLowerCase(), metal])
+  );
+  const ownSenders = new Set(senders.map((address) => address.toLowerCase()));
+  const ownReportSigners = new Set(reportSigners.map((address) => address.toLowerCase()));
+
+  let events = [];
+  let checkpoint = null;
+  let loaded = false;
+  let syncing = null;
+  let timer = null;
+  let lastError = null;
+
+  /**
+   * Append records to the store
+   * @param {Object[]} records - Records to append
+   */
+  async function append(records) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, records.map((record) => JSON.stringify(record) + '\n').join(''));
+  }
+
+  /**
+   * Load stored events and the latest checkpoint
+   */
+  async function load() {
+    loaded = true;
+
+    if (!fs.existsSync(file)) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const record = JSON.parse(line);
+      if (record.type === 'checkpoint') {
+        checkpoint = { blockNumber: record.blockNumber, blockHash: record.blockHash };
+      } else {
+        events.push(record);
+      }
+    }
+
+    // Events past the last checkpoint belong to a batch that never completed
+    events = events.filter((event) => checkpoint && event.blockNumber <= checkpoint.blockNumber);
+
+    logger.info(`${label}Loaded ${events.length} indexed event(s) up to block ${checkpoint ? checkpoint.blockNumber : 'none'}`);
+  }
+
+  /**
+   * Rewind past a reorg deeper than the confirmation depth and rewrite the store
+   */
+  async function rewind() {
+    const blockNumber = Math.max(startBlock - 1, checkpoint.blockNumber - Math.max(confirmations, 1));
+    const block = blockNumber >= startBlock ? await provider.getBlock(blockNumber) : null;
+
+    logger.warn(`${label}Reorg detected at block ${checkpoint.blockNumber}, re-indexing from block ${blockNumber + 1}`);
+
+    events = events.filter((event) => event.blockNumber <= blockNumber);
+    checkpoint = block ? { blockNumber, blockHash: block.hash } : null;
+
+    const records = checkpoint ? [...events, { type: 'checkpoint', ...checkpoint }] : [];
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, records.map((record) => JSON.stringify(record) + '\n').join(''));
+  }
+
+  /**
+   * Decode a log into an event record
+   * @param {ethers.Log} log - Raw log
+   * @param {Map} senderByTx - Transaction hash to { from, to, ownReport } of the transaction
+   * @param {Map} timestamps - Block number to block timestamp
+   * @returns {Object} Event record
+   */
+  function decode(log, senderByTx, timestamps) {
+    const parsed = eventInterface.parseLog(log);
+    const { from, to, ownReport } = senderByTx.get(log.transactionHash);
+    const record = {
+      type: 'event',
+      event: parsed.name,
+      metal: metalsByAddress.get(log.address.toLowerCase()),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp: timestamps.get(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      from,
+    };
+
+    if (parsed.name === 'OwnershipTransferred') {
+      return {
+        ...record,
+        data: { previousOwner: parsed.args.previousOwner, newOwner: parsed.args.newOwner },
+      };
+    }
+
+    const currency = parsed.name === 'PricesUpdated' || parsed.args.currency === ethers.ZeroHash
+      ? baseCurrency
+      : ethers.decodeBytes32String(parsed.args.currency);
+
+    if (parsed.name === 'PriceReportAccepted') {
+      return {
+        ...record,
+        currency,
+        // Reports signed by a key this service does not hold
+        foreign: !ownReportSigners.has(parsed.args.signer.toLowerCase()),
+        data: {
+          signer: parsed.args.signer,
+          nonce: parsed.args.nonce.toString(),
+          lastUpdated: parsed.args.timestamp.toString(),
+        },
+      };
+    }
+
+    const data = parsed.name === 'KaratPricesUpdated'
+      ? {
+        karats: Object.fromEntries(
+          parsed.args.karats.map((karat, index) => [Number(karat), parsed.args.prices[index].toString()])
+        ),
+        lastUpdated: parsed.args.timestamp.toString(),
+      }
+      : decodePrices(parsed.args);
+
+    return {
+      ...record,
+      currency,
+      // Price updates neither sent from one of this service's addresses nor
+      // submitted with one of its signed reports
+      foreign: !ownSenders.has(from.toLowerCase()) && !(to && ownSenders.has(to.toLowerCase())) && !ownReport,
+      data,
+    };
+  }
+
+  /**
+   * Index one block range and store its events with a checkpoint
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   */
+  async function indexRange(fromBlock, toBlock) {
+    const logs = await provider.getLogs({
+      address: [...metalsByAddress.keys()],
+      topics: [EVENT_TOPICS],
+      fromBlock,
+      toBlock,
+    });
+
+    const senderByTx = new Map();
+    const timestamps = new Map();
+
+    for (const log of logs) {
+      if (!senderByTx.has(log.transactionHash)) {
+        const tx = await provider.getTransaction(log.transactionHash);
+        senderByTx.set(log.transactionHash, { from: tx.from, to: tx.to });
+      }
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      const parsed = eventInterface.parseLog(log);
+      if (parsed.name === 'PriceReportAccepted' && ownReportSigners.has(parsed.args.signer.toLowerCase())) {
+        senderByTx.get(log.transactionHash).ownReport = true;
+      }
+    }
+
+    const records = logs.map((log) => decode(log, senderByTx, timestamps));
+    const block = await provider.getBlock(toBlock);
+
+    records
+      .filter((record) => record.foreign)
+      .forEach((record) => {
+        logger.warn(
+          `${label}Foreign ${record.event} on ${record.metal}/${record.currency} from ${record.from} ` +
+          `(tx ${record.transactionHash}, block ${record.blockNumber})`
+        );
+      });
+
+    checkpoint = { blockNumber: toBlock, blockHash: block.hash };
+    events.push(...records);
+    await append([...records, { type: 'checkpoint', ...checkpoint }]);
+  }
+
+  /**
+   * Index every confirmed block not indexed yet
+   * @returns {Promise<Object>} Indexer status
+   */
+  async function runSync() {
+    if (!loaded) {
+      await load();
+    }
+
+    // Rewind until the checkpoint is back on the canonical chain
+    while (checkpoint) {
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.blockHash) {
+        break;
+      }
+      await rewind();
+    }
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : startBlock;
+
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + batchBlocks - 1, safeHead);
+      await indexRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+
+    lastError = null;
+    return getStatus();
+  }
+
+  /**
+   * Index every confirmed block not indexed yet; concurrent calls share one run
+   * @returns {Promise<Object>} Indexer status
+   */
+  function sync() {
+    if (!syncing) {
+      syncing = runSync()
+        .catch((error) => {
+          lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          syncing = null;
+        });
+    }
+    return syncing;
+  }
+
+  /**
+   * Backfill, then keep following new blocks
+   * @param {number} pollSeconds - Seconds between polls
+   */
+  function start(pollSeconds) {
+    const poll = () => sync().catch((error) => logger.error(`${label}Event indexer sync failed`, error));
+
+    logger.info(`${label}Starting event indexer from block ${startBlock} (${confirmations} confirmations)`);
+    poll();
+    timer = setInterval(poll, pollSeconds * 1000);
+  }
+
+  /**
+   * Stop following new blocks
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Indexed events matching a filter, in chain order
+   * @param {Object} filter - Event filter
+   * @param {string} filter.metal - Metal symbol
+   * @param {string} filter.event - Event name
+   * @param {number} filter.fromBlock - First block
+   * @param {number} filter.toBlock - Last block
+   * @param {boolean} filter.foreign - Only updates not sent by this service
+   * @returns {Object[]} Event records
+   */
+  function getEvents({ metal, event, fromBlock = 0, toBlock = Infinity, foreign = false } = {}) {
+    return events.filter((record) => (!metal || record.metal === metal)
+      && (!event || record.event === event)
+      && record.blockNumber >= fromBlock
+      && record.blockNumber <= toBlock
+      && (!foreign || record.foreign));
+  }
+
+  /**
+   * What a contract reported at a block, reconstructed from indexed events
+   * @param {Object} query - State query ({ metal, currency, blockNumber })
+   * @returns {Object} { blockNumber, prices, karats, owner }
+   */
+  function getStateAt({ metal, currency, blockNumber }) {
+    if (!checkpoint || blockNumber > checkpoint.blockNumber) {
+      throw new Error(`Block ${blockNumber} is not indexed yet (indexed to ${checkpoint ? checkpoint.blockNumber : 'none'})`);
+    }
+    if (blockNumber < startBlock) {
+      throw new Error(`Block ${blockNumber} is before the indexer start block ${startBlock}`);
+    }
+
+    return {
+      blockNumber,
+      ...stateAt(events, { metal, currency, blockNumber }),
+    };
+  }
+
+  /**
+   * Indexer status
+   * @returns {Object} Start block, confirmations, indexed block and event counts
+   */
+  function getStatus() {
+    return {
+      startBlock,
+      confirmations,
+      indexedBlock: checkpoint ? checkpoint.blockNumber : null,
+      following: timer !== null,
+      events: events.length,
+      foreignUpdates: events.filter((event) => event.foreign).length,
+      lastError,
+    };
+  }
+
+  return {
+    sync,
+    start,
+    stop,
+    getEvents,
+    getStateAt,
+    getStatus,
+  };
+}
@@ -0,0 +1,77 @@
+import axios from 'axios';
+import config from '../config/index.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'fxService' });
+
+/**
+ * Service for foreign exchange rates used to convert base currency prices
+ * into the configured quote currencies
+ */
+
+/**
+ * Get exchange rates from the base currency to each quote currency
+ *
+ * Static rates from FX_RATES take precedence; any remaining currency is
+ * looked up from FX_API_URL, which must return `{ "rates": { "EUR": 0.92, ... } }`
+ * for the base currency (exchangerate.host / open.er-api.com format).
+ *
+ * @param {string} base - Base currency code
+ * @param {string[]} currencies - Quote currency codes
+ * @returns {Promise<Object>} Map of currency code to units of quote currency per unit of base
+ */
+async function getRates(base, currencies) {
+  const rates = { [base]: 1 };
+  const staticRates = config.currencies.fx.staticRates;
+
+  const missing = currencies.filter((currency) => {
+    if (rates[currency]) {
+      return false;
+    }
+    if (staticRates[currency]) {
+      rates[currency] = staticRates[currency];
+      return false;
+    }
+    return true;
+  });
+
+  if (missing.length === 0) {
+    return rates;
+  }
+
+  if (!config.currencies.fx.apiUrl) {
+    throw new Error(`No exchange rate configured for: ${missing.join(', ')}`);
+  }
+
+  const url = config.currencies.fx.apiUrl.replace('{base}', base);
+
+  logger.info(`Fetching exchange rates from: ${url}`);
+
+  try {
+    const response = await axios.get(url);
+    const fetched = response.data && response.data.rates;
+
+    if (!fetched) {
+      throw new Error('Invalid response format from FX API');
+    }
+
+    missing.forEach((currency) => {
+      if (!fetched[currency]) {
+        throw new Error(`FX API response has no rate for ${currency}`);
+      }
+      rates[currency] = fetched[currency];
+    });
+
+    return rates;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`FX API error: ${error.response.status} - ${error.response.statusText}`);
+      throw new Error(`FX API request failed: ${error.response.status}`);
+    }
+    throw error;
+  }
+}
+
+export default {
+  getRates,
+};
@@ -1,116 +1,348 @@
-import axios from 'axios';
 import config from '../config/index.js';
-import logger from '../utils/logger.js';
+import baseLogger from '../utils/logger.js';
+import { createProviders, getQuotaStatus } from './providers/index.js';
+import { queryProviders, aggregate } from './priceAggregator.js';
+import fxService from './fxService.js';
+import historyStore from './historyStore.js';
+import { createQuoteCache } from './quoteCache.js';
+import metrics from './metrics.js';
+import { parseDecimal, formatDecimal, mulDiv, mulRate } from '../utils/decimal.js';
+
+const logger = baseLogger.child({ module: 'goldApiService' });
 
 /**
- * Service for fetching gold prices from GoldAPI.io
+ * Service for fetching gold (and other precious metal) prices from the
+ * configured price providers
  */
 
-const GRAMS_PER_OUNCE = 31.1035;
+// One troy ounce is 31.1035 grams, kept as an exact ratio (10000 / 311035)
+const GRAMS_PER_OUNCE_NUMERATOR = 311035n;
+const GRAMS_PER_OUNCE_DENOMINATOR = 10000n;
+
+// Karat tiers carried by the contract's fixed price fields
+export const STANDARD_KARATS = [24, 22, 18];
+
+// Providers are created lazily, one set per metal and quote currency
+const providersByQuote = new Map();
+
+// Last success and failure per provider name, across metals and currencies
+const providerStatus = new Map();
+
+// Latest calculated prices per metal and currency, shared by the updater and GET /api/gold-price
+const quoteCache = createQuoteCache({ ttlSeconds: config.cache.quoteTtlSeconds });
 
 /**
- * Fetch gold price data from GoldAPI.io
- * @returns {Promise<Object>} Raw API response
+ * Count and time a provider's requests
+ * @param {Object} provider - Price provider
+ * @param {string} symbol - Metal symbol
+ * @param {string} currency - Currency code
+ * @returns {Object} Provider recording gold_oracle_price_fetches_total, its duration and
+ *   the last success and failure (see getProviderStatus())
  */
-async function fetchGoldPrice() {
-  const url = `${config.goldApi.baseUrl}/${config.goldApi.symbol}/${config.goldApi.currency}`;
+function instrument(provider, symbol, currency) {
+  return {
+    ...provider,
+    async fetchPrice() {
+      const stopTimer = metrics.priceFetchDuration.startTimer({ provider: provider.name });
+      const labels = { provider: provider.name, metal: symbol, currency };
 
-  logger.info(`Fetching gold price from: ${url}`);
+      const status = providerStatus.get(provider.name) || {};
+      providerStatus.set(provider.name, status);
 
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'x-access-token': config.goldApi.key,
-      },
-    });
+      try {
+        const quote = await provider.fetchPrice();
+        metrics.priceFetches.inc({ ...labels, result: 'success' });
+        status.lastSuccessAt = new Date().toISOString();
+        return quote;
+      } catch (error) {
+        metrics.priceFetches.inc({ ...labels, result: 'failure' });
+        status.lastFailureAt = new Date().toISOString();
+        status.lastError = error.message;
+        throw error;
+      } finally {
+        stopTimer();
+      }
+    },
+  };
+}
 
-    if (response.data && response.data.price) {
-      logger.success(`Successfully fetched gold price: $${response.data.price} per ounce`);
-      return response.data;
-    } else {
-      throw new Error('Invalid response format from GoldAPI');
-    }
-  } catch (error) {
-    if (error.response) {
-      // API responded with error
-      logger.error(`GoldAPI error: ${error.response.status} - ${error.response.statusText}`);
-      throw new Error(`GoldAPI request failed: ${error.response.status}`);
-    } else if (error.request) {
-      // No response received
-      logger.error('No response from GoldAPI', error);
-      throw new Error('GoldAPI did not respond');
+/**
+ * Get the providers quoting a metal in a currency
+ * @param {string} symbol - Metal symbol
+ * @param {string} currency - Currency code
+ * @returns {Object[]} Price providers
+ */
+function getProviders(symbol, currency) {
+  const key = `${symbol}/${currency}`;
+
+  if (!providersByQuote.has(key)) {
+    providersByQuote.set(
+      key,
+      createProviders(config.providers.enabled, { symbol, currency }).map((provider) => instrument(provider, symbol, currency))
+    );
+  }
+  return providersByQuote.get(key);
+}
+
+/**
+ * Query every configured provider concurrently and combine the quotes by median
+ * @param {Object} options - Quote options
+ * @param {string} options.symbol - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Quote currency (defaults to the base currency)
+ * @returns {Promise<Object>} Aggregated quote ({ price, sources }), price per ounce scaled by 10^8
+ */
+async function fetchGoldPrice({ symbol = config.metals[0].symbol, currency = config.goldApi.currency } = {}) {
+  const providers = getProviders(symbol, currency);
+
+  logger.info(
+    `Querying price providers (${symbol}/${currency}): ${providers.map(({ name }) => name).join(', ')}`
+  );
+
+  const results = await queryProviders(providers);
+  const aggregated = aggregate(results, {
+    quorum: config.providers.quorum,
+    maxDeviationBps: config.providers.maxDeviationBps,
+  });
+
+  aggregated.sources.forEach((source) => {
+    if (source.status === 'used') {
+      logger.info(`  ${source.name}: ${source.price} (used)`);
     } else {
-      // Other error
-      logger.error('Error setting up GoldAPI request', error);
-      throw error;
+      logger.warn(`  ${source.name}: ${source.status} - ${source.reason}`);
     }
-  }
+  });
+
+  logger.success(
+    `Aggregated ${symbol} price: ${formatDecimal(aggregated.price, { fractionDigits: 8 })} ${currency} per ounce`,
+    { symbol, currency, price: aggregated.price, sources: aggregated.sources.filter(({ status }) => status === 'used').length }
+  );
+
+  return aggregated;
 }
 
 /**
- * Calculate all price formats from raw API data
- * @param {Object} apiData - Raw data from GoldAPI
- * @returns {Object} Calculated prices in 8-decimal format
+ * Derive all price formats from a scaled price per ounce
+ *
+ * Every value is exact integer arithmetic rounded down once: the gram price
+ * from the ounce price, and each karat tier from the 24K gram price, so
+ * `pricePerKarat<k> == floor(pricePerKarat24 * k / 24)` for every tier.
+ *
+ * @param {bigint} pricePerOunce - Price per troy ounce scaled by 10^8
+ * @returns {Object} Prices scaled by 10^8 (BigInt), with every configured
+ *   karat tier in `karats` (karat -> price per gram)
  */
-function calculatePrices(apiData) {
-  const pricePerOunce = apiData.price;
-  const pricePerGram = pricePerOunce / GRAMS_PER_OUNCE;
+export function derivePrices(pricePerOunce) {
+  const pricePerGram = mulDiv(pricePerOunce, GRAMS_PER_OUNCE_DENOMINATOR, GRAMS_PER_OUNCE_NUMERATOR);
 
   // Pure gold (24K)
   const pricePerKarat24 = pricePerGram;
 
-  // 22K gold (22/24 purity)
-  const pricePerKarat22 = pricePerKarat24 * (22 / 24);
-
-  // 18K gold (18/24 purity)
-  const pricePerKarat18 = pricePerKarat24 * (18 / 24);
-
-  // Convert to 8 decimal format (multiply by 10^8)
-  const DECIMALS = 100000000; // 10^8
+  // Every configured tier (karat/24 purity)
+  const karatPrice = (karat) => mulDiv(pricePerKarat24, BigInt(karat), 24n);
+  const karats = Object.fromEntries(config.karats.map((karat) => [karat, karatPrice(karat)]));
 
   return {
-    pricePerGram: Math.floor(pricePerGram * DECIMALS),
-    pricePerOunce: Math.floor(pricePerOunce * DECIMALS),
-    pricePerKarat24: Math.floor(pricePerKarat24 * DECIMALS),
-    pricePerKarat22: Math.floor(pricePerKarat22 * DECIMALS),
-    pricePerKarat18: Math.floor(pricePerKarat18 * DECIMALS),
+    pricePerGram,
+    pricePerOunce,
+    pricePerKarat24,
+    pricePerKarat22: karatPrice(22),
+    pricePerKarat18: karatPrice(18),
+    karats,
   };
 }
 
 /**
- * Fetch and calculate gold prices with retry logic
+ * Calculate all price formats from a price quote
+ * @param {Object} apiData - Quote with `price` per ounce (decimal number or string)
+ * @returns {Object} Calculated prices in 8-decimal format (BigInt), with every
+ *   configured karat tier in `karats` (karat -> price per gram)
+ */
+function calculatePrices(apiData) {
+  return derivePrices(parseDecimal(apiData.price));
+}
+
+/**
+ * Log calculated prices
+ * @param {Object} prices - Calculated prices
+ * @param {string} symbol - Metal symbol
+ * @param {string} currency - Currency code
+ */
+function logPrices(prices, symbol, currency) {
+  const format = (value) => `${value} (${formatDecimal(value, { fractionDigits: 8 })} ${currency})`;
+
+  logger.info(`Calculated prices (${symbol}/${currency}):`);
+  logger.info(`  Per Gram: ${format(prices.pricePerGram)}`);
+  logger.info(`  Per Ounce: ${format(prices.pricePerOunce)}`);
+  logger.info(`  24K per Gram: ${format(prices.pricePerKarat24)}`);
+  logger.info(`  22K per Gram: ${format(prices.pricePerKarat22)}`);
+  logger.info(`  18K per Gram: ${format(prices.pricePerKarat18)}`);
+  Object.entries(prices.karats)
+    .filter(([karat]) => !STANDARD_KARATS.includes(Number(karat)))
+    .forEach(([karat, price]) => {
+      logger.info(`  ${karat}K per Gram: ${format(price)}`);
+    });
+}
+
+/**
+ * Fetch and calculate metal prices with retry logic
+ * @param {Object} options - Quote options
+ * @param {string} options.symbol - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Quote currency (defaults to the base currency)
  * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} Calculated prices
+ * @returns {Promise<Object>} Calculated prices, plus the per-source breakdown in `sources`
  */
-async function getGoldPrices(retryCount = 0) {
+async function fetchGoldPrices({ symbol, currency }, retryCount = 0) {
   try {
-    const apiData = await fetchGoldPrice();
-    const prices = calculatePrices(apiData);
+    const quote = await fetchGoldPrice({ symbol, currency });
+    const prices = derivePrices(quote.price);
+
+    logPrices(prices, symbol, currency);
+
+    const result = {
+      ...prices,
+      sources: quote.sources,
+    };
 
-    logger.info('Calculated prices:');
-    logger.info(`  Per Gram: ${prices.pricePerGram} (${prices.pricePerGram / 100000000} USD)`);
-    logger.info(`  Per Ounce: ${prices.pricePerOunce} (${prices.pricePerOunce / 100000000} USD)`);
-    logger.info(`  24K per Gram: ${prices.pricePerKarat24} (${prices.pricePerKarat24 / 100000000} USD)`);
-    logger.info(`  22K per Gram: ${prices.pricePerKarat22} (${prices.pricePerKarat22 / 100000000} USD)`);
-    logger.info(`  18K per Gram: ${prices.pricePerKarat18} (${prices.pricePerKarat18 / 100000000} USD)`);
+    await historyStore.recordQuote(symbol, currency, result);
 
-    return prices;
+    return result;
   } catch (error) {
-    if (retryCount < config.update.maxRetries) {
+    // Retrying is pointless while GoldAPI's quota backoff lasts
+    const backingOff = config.providers.enabled.includes('goldapi') && getQuotaStatus().goldapi.backingOff;
+
+    if (retryCount < config.update.maxRetries && !backingOff) {
       logger.warn(`Retry attempt ${retryCount + 1}/${config.update.maxRetries} after ${config.update.retryDelayMs}ms`);
+      metrics.priceFetchRetries.inc({ metal: symbol, currency });
 
       await new Promise(resolve => setTimeout(resolve, config.update.retryDelayMs));
 
-      return getGoldPrices(retryCount + 1);
+      return fetchGoldPrices({ symbol, currency }, retryCount + 1);
     } else {
-      logger.error('Max retries reached, unable to fetch gold prices', error);
+      logger.error(
+        `${backingOff ? 'GoldAPI quota backoff' : 'Max retries reached'}, unable to fetch ${symbol} prices`,
+        error
+      );
       throw error;
     }
   }
 }
 
+/**
+ * Fetch and calculate metal prices from the providers
+ * Concurrent callers for the same metal and currency share one fetch, and the
+ * result refreshes the quote cache read by getCachedGoldPrices().
+ * @param {Object} options - Quote options
+ * @param {string} options.symbol - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Quote currency (defaults to the base currency)
+ * @returns {Promise<Object>} Calculated prices, plus the per-source breakdown in `sources`
+ */
+async function getGoldPrices({
+  symbol = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+} = {}) {
+  const { value } = await quoteCache.refresh(`${symbol}/${currency}`, () => fetchGoldPrices({ symbol, currency }));
+  return value;
+}
+
+/**
+ * Metal prices from the quote cache, fetched from the providers once older than QUOTE_CACHE_TTL_SECONDS
+ * @param {Object} options - Quote options
+ * @param {string} options.symbol - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Quote currency (defaults to the base currency)
+ * @returns {Promise<Object>} { prices, cached, fetchedAt, ageSeconds }
+ */
+async function getCachedGoldPrices({
+  symbol = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+} = {}) {
+  const entry = await quoteCache.get(`${symbol}/${currency}`, () => fetchGoldPrices({ symbol, currency }));
+
+  return {
+    prices: entry.value,
+    cached: entry.cached,
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+    ageSeconds: Math.floor(entry.ageSeconds),
+  };
+}
+
+/**
+ * Quote cache counters
+ * @returns {Object} { ttlSeconds, hits, misses, coalesced, entries, inFlight }
+ */
+function getCacheStatus() {
+  return {
+    ttlSeconds: config.cache.quoteTtlSeconds,
+    ...quoteCache.getStats(),
+  };
+}
+
+/**
+ * When each enabled price provider last answered and last failed
+ * @returns {Object} { [provider]: { lastSuccessAt, lastFailureAt, lastError } }, null
+ *   timestamps for providers not asked or not failed yet
+ */
+function getProviderStatus() {
+  return Object.fromEntries(config.providers.enabled.map((name) => {
+    const status = providerStatus.get(name) || {};
+    return [name, {
+      lastSuccessAt: status.lastSuccessAt || null,
+      lastFailureAt: status.lastFailureAt || null,
+      lastError: status.lastError || null,
+    }];
+  }));
+}
+
+/**
+ * Get metal prices in every configured quote currency
+ *
+ * In 'convert' mode the base currency is fetched once and converted with FX
+ * rates; in 'fetch' mode the providers are queried for each currency.
+ *
+ * @param {string} symbol - Metal symbol (defaults to the first configured metal)
+ * @returns {Promise<Object>} Map of currency code to calculated prices
+ */
+async function getGoldPricesByCurrency(symbol = config.metals[0].symbol) {
+  const base = config.goldApi.currency;
+  const others = config.currencies.quotes.filter((currency) => currency !== base);
+
+  const result = {
+    [base]: await getGoldPrices({ symbol, currency: base }),
+  };
+
+  if (config.currencies.mode === 'fetch') {
+    for (const currency of others) {
+      result[currency] = await getGoldPrices({ symbol, currency });
+    }
+    return result;
+  }
+
+  if (others.length > 0) {
+    const rates = await fxService.getRates(base, others);
+    const basePricePerOunce = result[base].pricePerOunce;
+
+    for (const currency of others) {
+      const prices = derivePrices(mulRate(basePricePerOunce, rates[currency]));
+      logPrices(prices, symbol, currency);
+
+      result[currency] = {
+        ...prices,
+        fxRate: rates[currency],
+      };
+
+      await historyStore.recordQuote(symbol, currency, result[currency]);
+    }
+  }
+
+  return result;
+}
+
 export default {
   getGoldPrices,
+  getCachedGoldPrices,
+  getCacheStatus,
+  getProviderStatus,
+  getGoldPricesByCurrency,
   fetchGoldPrice,
   calculatePrices,
+  derivePrices,
 };
@@ -0,0 +1,298 @@
+import { ethers } from 'ethers';
+import config from '../config/index.js';
+import baseLogger from '../utils/logger.js';
+import oracleUpdater from './oracleUpdater.js';
+import goldApiService from './goldApiService.js';
+
+const logger = baseLogger.child({ module: 'healthService' });
+
+/**
+ * Liveness and readiness checks
+ *
+ * Liveness only says the process answers. Readiness runs every check below
+ * concurrently, each with its own timeout, and rates each one healthy,
+ * degraded or unhealthy. The overall status is the worst of them:
+ *   - unhealthy: the service cannot publish (RPC down, no gas, not an updater,
+ *     prices already stale); GET /health/ready answers 503
+ *   - degraded: it still can, but someone should look (low balance, prices
+ *     close to stale, failing updates or price providers); answers 200
+ */
+
+export const STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy',
+};
+
+const SEVERITY = [STATUS.HEALTHY, STATUS.DEGRADED, STATUS.UNHEALTHY];
+
+// Readiness run in flight; concurrent probes share it instead of querying the chains again
+let running = null;
+// Overall status of the previous run, to log changes only
+let lastStatus = STATUS.HEALTHY;
+
+/**
+ * Worst of several statuses
+ * @param {string[]} statuses - Check statuses
+ * @returns {string} Worst status (healthy for none)
+ */
+export function worstStatus(statuses) {
+  return statuses.reduce(
+    (worst, status) => (SEVERITY.indexOf(status) > SEVERITY.indexOf(worst) ? status : worst),
+    STATUS.HEALTHY
+  );
+}
+
+/**
+ * HTTP status GET /health/ready answers with
+ * @param {string} status - Overall readiness status
+ * @returns {number} 503 when unhealthy, 200 otherwise
+ */
+export function readinessHttpStatus(status) {
+  return status === STATUS.UNHEALTHY ? 503 : 200;
+}
+
+/**
+ * Run one check with a timeout
+ * @param {Object} check - { name, chain?, run } where run() resolves to { status, message, details? }
+ * @param {number} timeoutMs - Time the check may take
+ * @returns {Promise<Object>} { name, chain?, status, message, details?, durationMs }
+ */
+export async function runCheck({ name, chain, run }, timeoutMs) {
+  const started = Date.now();
+  let timer;
+
+  try {
+    const result = await Promise.race([
+      run(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { name, chain, ...result, durationMs: Date.now() - started };
+  } catch (error) {
+    return { name, chain, status: STATUS.UNHEALTHY, message: error.message, durationMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check that a chain's RPC answers
+ * @param {string} chain - Chain name
+ * @returns {Promise<Object>} Check result
+ */
+async function checkRpc(chain) {
+  const blockNumber = await oracleUpdater.getProvider(chain).getBlockNumber();
+  return { status: STATUS.HEALTHY, message: `Block ${blockNumber}`, details: { blockNumber } };
+}
+
+/**
+ * Check that the wallet paying for updates can still pay for them
+ * @param {Object} chainConfig - Chain configuration
+ * @returns {Promise<Object>} Check result
+ */
+async function checkBalance(chainConfig) {
+  const address = oracleUpdater.getWalletAddress(chainConfig.name);
+  const balance = await oracleUpdater.getProvider(chainConfig.name).getBalance(address);
+  const minimum = ethers.parseEther(chainConfig.minWalletBalance);
+  const details = { address, balance: ethers.formatEther(balance), minimum: chainConfig.minWalletBalance };
+
+  if (balance === 0n) {
+    return { status: STATUS.UNHEALTHY, message: `${address} has no funds for gas`, details };
+  }
+  if (balance < minimum) {
+    return {
+      status: STATUS.DEGRADED,
+      message: `${address} holds ${details.balance}, below MIN_WALLET_BALANCE (${chainConfig.minWalletBalance})`,
+      details,
+    };
+  }
+  return { status: STATUS.HEALTHY, message: `${address} holds ${details.balance}`, details };
+}
+
+/**
+ * Check that every contract still accepts this service's updates (or reports) and is not paused
+ * @param {string} chain - Chain name
+ * @returns {Promise<Object>} Check result
+ */
+async function checkContractAccess(chain) {
+  const access = await oracleUpdater.getContractAccess(chain);
+  const problems = [];
+  let status = STATUS.HEALTHY;
+
+  Object.entries(access).forEach(([metal, contract]) => {
+    if (config.reports.mode !== 'pull' && !contract.isUpdater) {
+      problems.push(`not an updater of the ${metal} contract (owner ${contract.owner})`);
+      status = STATUS.UNHEALTHY;
+    }
+    if (config.reports.mode !== 'push' && !contract.isReportSigner) {
+      problems.push(`not a report signer of the ${metal} contract (owner ${contract.owner})`);
+      status = STATUS.UNHEALTHY;
+    }
+    if (contract.paused) {
+      problems.push(`the ${metal} contract is paused`);
+      status = worstStatus([status, STATUS.DEGRADED]);
+    }
+  });
+
+  return {
+    status,
+    message: problems.length > 0 ? problems.join('; ') : 'Updates accepted by every contract',
+    details: access,
+  };
+}
+
+/**
+ * Check how long the on-chain prices stay fresh
+ * @param {string} chain - Chain name
+ * @returns {Promise<Object>} Check result
+ */
+async function checkStaleness(chain) {
+  const secondsUntilStale = await oracleUpdater.getSecondsUntilStale(chain);
+  const feeds = Object.entries(secondsUntilStale).flatMap(([metal, currencies]) => (
+    Object.entries(currencies).map(([currency, seconds]) => ({ feed: `${metal}/${currency}`, seconds }))
+  ));
+
+  const stale = feeds.filter(({ seconds }) => seconds === 0).map(({ feed }) => feed);
+  const closeToStale = feeds
+    .filter(({ seconds }) => seconds > 0 && seconds < config.health.stalenessWarningSeconds)
+    .map(({ feed, seconds }) => `${feed} in ${seconds}s`);
+
+  if (stale.length > 0) {
+    return { status: STATUS.UNHEALTHY, message: `Stale: ${stale.join(', ')}`, details: secondsUntilStale };
+  }
+  if (closeToStale.length > 0) {
+    return { status: STATUS.DEGRADED, message: `Going stale: ${closeToStale.join(', ')}`, details: secondsUntilStale };
+  }
+  return { status: STATUS.HEALTHY, message: 'All prices fresh', details: secondsUntilStale };
+}
+
+/**
+ * Check the update runs on a chain are not failing in a row
+ * @param {string} chain - Chain name
+ * @returns {Promise<Object>} Check result
+ */
+async function checkUpdates(chain) {
+  const { consecutiveFailures, lastError } = oracleUpdater.getUpdateHistory(chain);
+  const failing = Object.entries(consecutiveFailures)
+    .filter(([, failures]) => failures >= config.health.maxConsecutiveFailures)
+    .map(([metal, failures]) => `${metal} failed ${failures} times in a row`);
+
+  if (failing.length > 0) {
+    return {
+      status: STATUS.DEGRADED,
+      message: `${failing.join(', ')} (last error: ${lastError.message})`,
+      details: { consecutiveFailures },
+    };
+  }
+  return { status: STATUS.HEALTHY, message: 'No repeated update failures', details: { consecutiveFailures } };
+}
+
+/**
+ * Check that some price provider answered recently
+ * Until one has, the time since startup counts.
+ * @returns {Promise<Object>} Check result
+ */
+async function checkPriceApi() {
+  const providers = goldApiService.getProviderStatus();
+  const successes = Object.values(providers).map(({ lastSuccessAt }) => lastSuccessAt).filter(Boolean);
+  const lastSuccess = successes.length > 0 ? Math.max(...successes.map(Date.parse)) : null;
+  const since = lastSuccess || Date.now() - process.uptime() * 1000;
+  const ageSeconds = Math.floor((Date.now() - since) / 1000);
+
+  if (ageSeconds > config.health.priceApiMaxAgeSeconds) {
+    return {
+      status: STATUS.DEGRADED,
+      message: lastSuccess
+        ? `No price provider has answered for ${ageSeconds}s`
+        : `No price provider has answered since startup ${ageSeconds}s ago`,
+      details: providers,
+    };
+  }
+  return {
+    status: STATUS.HEALTHY,
+    message: lastSuccess ? `Last answer ${ageSeconds}s ago` : 'Waiting for the first price fetch',
+    details: providers,
+  };
+}
+
+/**
+ * The readiness checks for the current configuration
+ * Balances are skipped in Safe mode (the owners pay for execution), and balances and
+ * staleness in pull mode (consumers publish the reports themselves).
+ * @returns {Object[]} Checks for runCheck()
+ */
+function readinessChecks() {
+  const pushing = config.reports.mode !== 'pull';
+  const checks = [{ name: 'priceApi', run: checkPriceApi }];
+
+  config.chains.forEach((chainConfig) => {
+    const chain = chainConfig.name;
+
+    checks.push({ name: 'rpc', chain, run: () => checkRpc(chain) });
+    checks.push({ name: 'contractAccess', chain, run: () => checkContractAccess(chain) });
+    if (pushing && chainConfig.signer.type !== 'safe') {
+      checks.push({ name: 'balance', chain, run: () => checkBalance(chainConfig) });
+    }
+    if (pushing) {
+      checks.push({ name: 'staleness', chain, run: () => checkStaleness(chain) });
+    }
+    checks.push({ name: 'updates', chain, run: () => checkUpdates(chain) });
+  });
+
+  return checks;
+}
+
+/**
+ * Liveness: the process is up and its event loop answers
+ * @returns {Object} { status, uptimeSeconds, timestamp }
+ */
+function checkLiveness() {
+  return {
+    status: STATUS.HEALTHY,
+    uptimeSeconds: Math.floor(process.uptime()),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Readiness: run every check and rate the service by the worst result
+ * @returns {Promise<Object>} { status, timestamp, durationMs, checks }
+ */
+async function checkReadiness() {
+  if (!running) {
+    running = (async () => {
+      const started = Date.now();
+      const checks = await Promise.all(
+        readinessChecks().map((check) => runCheck(check, config.health.checkTimeoutMs))
+      );
+      const status = worstStatus(checks.map((check) => check.status));
+
+      if (status !== lastStatus) {
+        const failing = checks
+          .filter((check) => check.status !== STATUS.HEALTHY)
+          .map(({ name, chain, status: checkStatus, message }) => ({ name, chain, status: checkStatus, message }));
+
+        (status === STATUS.HEALTHY ? logger.info : logger.warn)(`Readiness changed from ${lastStatus} to ${status}`, { checks: failing });
+        lastStatus = status;
+      }
+
+      return {
+        status,
+        timestamp: new Date().toISOString(),
+        durationMs: Date.now() - started,
+        checks,
+      };
+    })().finally(() => {
+      running = null;
+    });
+  }
+
+  return running;
+}
+
+export default {
+  checkLiveness,
+  checkReadiness,
+};
@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import config from '../config/index.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'historyStore' });
+
+/**
+ * Persistent price history
+ *
+ * Every fetched quote, every published transaction and every deviation guard
+ * trip and resolution is appended as one JSON record per line to
+ * `config.history.file`. Records are never rewritten, so the file doubles as
+ * an audit log.
+ */
+
+const PRICE_FIELDS = [
+  'pricePerGram',
+  'pricePerOunce',
+  'pricePerKarat24',
+  'pricePerKarat22',
+  'pricePerKarat18',
+];
+
+// Appends are chained so records land in the order they were made
+let writeQueue = Promise.resolve();
+
+/**
+ * JSON.stringify replacer writing BigInt prices as decimal strings
+ */
+const replacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Pick the price fields of a price set
+ * @param {Object} prices - Calculated prices
+ * @returns {Object} Price fields and karat tiers
+ */
+const pickPrices = (prices) => ({
+  ...Object.fromEntries(PRICE_FIELDS.map((field) => [field, prices[field]])),
+  karats: prices.karats,
+});
+
+/**
+ * Append a record to the history file
+ * Write failures are logged and never interrupt price updates.
+ * @param {Object} record - History record
+ * @returns {Promise<void>} Resolves once the record is written
+ */
+function append(record) {
+  if (!config.history.enabled) {
+    return Promise.resolve();
+  }
+
+  const file = config.history.file;
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...record }, replacer) + '\n';
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line);
+    })
+    .catch((error) => {
+      logger.error(`Failed to write price history to ${file}`, error);
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Wait for every record appended so far to be written
+ * @returns {Promise<void>} Resolves once the write queue is empty
+ */
+function flush() {
+  return writeQueue;
+}
+
+/**
+ * Record a fetched quote
+ * @param {string} metal - Metal symbol
+ * @param {string} currency - Currency code
+ * @param {Object} prices - Calculated prices, with optional `sources` and `fxRate`
+ * @returns {Promise<void>} Resolves once the record is written
+ */
+function recordQuote(metal, currency, prices) {
+  return append({
+    type: 'quote',
+    metal,
+    currency,
+    ...pickPrices(prices),
+    fxRate: prices.fxRate,
+    sources: prices.sources,
+  });
+}
+
+/**
+ * Record a published transaction
+ * @param {string} metal - Metal symbol
+ * @param {string} currency - Currency code
+ * @param {Object} result - Per-currency update result from the oracle updater, with the `chain` it was sent to
+ * @returns {Promise<void>} Resolves once the record is written
+ */
+function recordTransaction(metal, currency, result) {
+  return append({
+    type: 'transaction',
+    metal,
+    currency,
+    chain: result.chain,
+    transactionHash: result.transactionHash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed,
+    karatTransaction: result.karatTransaction,
+    reason: result.reason,
+    ...pickPrices(result.prices),
+  });
+}
+
+/**
+ * Record a deviation guard trip or its resolution
+ * @param {string} event - 'tripped' or 'resolved'
+ * @param {Object} trip - Trip record from the price guard
+ * @returns {Promise<void>} Resolves once the record is written
+ */
+function recordGuardTrip(event, trip) {
+  return append({
+    type: 'guard',
+    event,
+    ...trip,
+  });
+}
+
+/**
+ * Read history records in a time range
+ * @param {Object} filter - Record filter
+ * @param {string} filter.metal - Metal symbol
+ * @param {string} filter.currency - Currency code
+ * @param {number} filter.from - Start of the range (ms since epoch, inclusive)
+ * @param {number} filter.to - End of the range (ms since epoch, inclusive)
+ * @param {string} filter.file - History file (defaults to the configured file)
+ * @returns {Promise<Object>} { quotes, transactions } in chronological order
+ */
+async function getHistory({ metal, currency, from, to, file = config.history.file }) {
+  const quotes = [];
+  const transactions = [];
+
+  if (!fs.existsSync(file)) {
+    return { quotes, transactions };
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity,
+  });
+
+  let malformed = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      malformed++;
+      continue;
+    }
+
+    const time = Date.parse(record.timestamp);
+
+    if (record.metal !== metal || record.currency !== currency || time < from || time > to) {
+      continue;
+    }
+
+    if (record.type === 'quote') {
+      quotes.push(record);
+    } else if (record.type === 'transaction') {
+      transactions.push(record);
+    }
+  }
+
+  if (malformed > 0) {
+    logger.warn(`Skipped ${malformed} malformed line(s) in ${file}`);
+  }
+
+  return { quotes, transactions };
+}
+
+/**
+ * Bucket quotes into OHLC candles
+ *
+ * Buckets are aligned to the epoch, so a 1h interval always starts on the
+ * hour. Buckets without quotes are left out.
+ *
+ * @param {Object[]} quotes - Quote records in chronological order
+ * @param {number} intervalMs - Bucket size in milliseconds
+ * @param {Object} options - Bucketing options
+ * @param {string} options.field - Price field to bucket (defaults to pricePerOunce)
+ * @param {Object[]} options.transactions - Transaction records counted per bucket
+ * @returns {Object[]} Candles with open/high/low/close as 8-decimal strings
+ */
+export function ohlc(quotes, intervalMs, { field = 'pricePerOunce', transactions = [] } = {}) {
+  const buckets = new Map();
+  const bucketStart = (record) => Math.floor(Date.parse(record.timestamp) / intervalMs) * intervalMs;
+
+  quotes.forEach((record) => {
+    const start = bucketStart(record);
+    const price = BigInt(record[field]);
+    const bucket = buckets.get(start);
+
+    if (!bucket) {
+      buckets.set(start, { open: price, high: price, low: price, close: price, quotes: 1, transactions: 0 });
+      return;
+    }
+
+    bucket.high = price > bucket.high ? price : bucket.high;
+    bucket.low = price < bucket.low ? price : bucket.low;
+    bucket.close = price;
+    bucket.quotes++;
+  });
+
+  transactions.forEach((record) => {
+    const bucket = buckets.get(bucketStart(record));
+    if (bucket) {
+      bucket.transactions++;
+    }
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucket]) => ({
+      start: new Date(start).toISOString(),
+      end: new Date(start + intervalMs).toISOString(),
+      open: bucket.open.toString(),
+      high: bucket.high.toString(),
+      low: bucket.low.toString(),
+      close: bucket.close.toString(),
+      quotes: bucket.quotes,
+      transactions: bucket.transactions,
+    }));
+}
+
+export default {
+  PRICE_FIELDS,
+  recordQuote,
+  recordTransaction,
+  recordGuardTrip,
+  flush,
+  getHistory,
+  ohlc,
+};
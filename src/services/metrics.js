@@ -0,0 +1,114 @@
+import { createMetricsRegistry, CONTENT_TYPE } from '../utils/metrics.js';
+
+/**
+ * Oracle metrics served by GET /metrics
+ *
+ * Counters and histograms are updated where things happen (providers, the
+ * updater, the transaction manager); wallet balances and on-chain price ages
+ * are read from the chains by a collector when Prometheus scrapes.
+ */
+
+const registry = createMetricsRegistry();
+
+const priceFetches = registry.counter({
+  name: 'gold_oracle_price_fetches_total',
+  help: 'Price provider requests by provider, metal, currency and result (success or failure)',
+  labelNames: ['provider', 'metal', 'currency', 'result'],
+});
+
+const priceFetchDuration = registry.histogram({
+  name: 'gold_oracle_price_fetch_duration_seconds',
+  help: 'Time a price provider took to answer, failures included',
+  labelNames: ['provider'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+const priceFetchRetries = registry.counter({
+  name: 'gold_oracle_price_fetch_retries_total',
+  help: 'Price fetches retried after every provider failed, the quorum was missed or the sources disagreed',
+  labelNames: ['metal', 'currency'],
+});
+
+const updates = registry.counter({
+  name: 'gold_oracle_updates_total',
+  help: 'Price update runs per metal and chain by result (updated, skipped, held, paused, proposed, reported, failed)',
+  labelNames: ['metal', 'chain', 'result'],
+});
+
+const updateDuration = registry.histogram({
+  name: 'gold_oracle_update_duration_seconds',
+  help: 'Duration of a price update run, from the price fetch to the last confirmation',
+  labelNames: ['metal'],
+  buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+});
+
+const transactions = registry.counter({
+  name: 'gold_oracle_transactions_total',
+  help: 'Transactions by result (confirmed, reverted, failed to send, or abandoned unconfirmed)',
+  labelNames: ['chain', 'result'],
+});
+
+const transactionReplacements = registry.counter({
+  name: 'gold_oracle_transaction_replacements_total',
+  help: 'Stuck transactions resubmitted with bumped fees',
+  labelNames: ['chain'],
+});
+
+const transactionConfirmation = registry.histogram({
+  name: 'gold_oracle_transaction_confirmation_seconds',
+  help: 'Time from the first submission of a transaction to its receipt',
+  labelNames: ['chain'],
+  buckets: [1, 2, 5, 10, 15, 30, 60, 120, 300, 600],
+});
+
+const transactionGasUsed = registry.histogram({
+  name: 'gold_oracle_transaction_gas_used',
+  help: 'Gas used by confirmed transactions',
+  labelNames: ['chain'],
+  buckets: [25000, 50000, 75000, 100000, 150000, 200000, 300000, 500000, 1000000],
+});
+
+const transactionFee = registry.histogram({
+  name: 'gold_oracle_transaction_fee_wei',
+  help: 'Fee paid by confirmed transactions (gas used times effective gas price), in wei',
+  labelNames: ['chain'],
+  buckets: [1e12, 1e13, 1e14, 1e15, 1e16, 1e17, 1e18],
+});
+
+const walletBalance = registry.gauge({
+  name: 'gold_oracle_wallet_balance_wei',
+  help: 'Native token balance of the oracle wallet, in wei',
+  labelNames: ['chain', 'address'],
+});
+
+const priceAge = registry.gauge({
+  name: 'gold_oracle_price_age_seconds',
+  help: 'Seconds since the on-chain price of a feed was last updated',
+  labelNames: ['chain', 'metal', 'currency'],
+});
+
+const startTime = registry.gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since unix epoch in seconds',
+});
+
+startTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+export default {
+  contentType: CONTENT_TYPE,
+  priceFetches,
+  priceFetchDuration,
+  priceFetchRetries,
+  updates,
+  updateDuration,
+  transactions,
+  transactionReplacements,
+  transactionConfirmation,
+  transactionGasUsed,
+  transactionFee,
+  walletBalance,
+  priceAge,
+  addCollector: registry.addCollector,
+  render: registry.render,
+  reset: registry.reset,
+};
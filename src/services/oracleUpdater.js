@@ -1,62 +1,580 @@
 import { ethers } from 'ethers';
 import config from '../config/index.js';
-import logger from '../utils/logger.js';
-import goldApiService from './goldApiService.js';
+import NETWORKS from '../config/networks.cjs';
+import baseLogger from '../utils/logger.js';
+import goldApiService, { STANDARD_KARATS } from './goldApiService.js';
+import priceGuard from './priceGuard.js';
+import updatePolicy from './updatePolicy.js';
+import historyStore from './historyStore.js';
+import { createTransactionManager } from './transactionManager.js';
+import { createSafeProposer } from './safeProposer.js';
+import { createSigner } from './signers/index.js';
+import priceReports from './priceReports.js';
+import updatePlanner from './updatePlanner.js';
+import metrics from './metrics.js';
+
+const logger = baseLogger.child({ module: 'oracleUpdater' });
 
 // Contract ABI - only the functions we need
 const CONTRACT_ABI = [
   'function updatePrices(uint256 _gram, uint256 _ounce, uint256 _k24, uint256 _k22, uint256 _k18) external',
   'function getAllPrices() external view returns (tuple(uint256 pricePerGram, uint256 pricePerOunce, uint256 pricePerKarat24, uint256 pricePerKarat22, uint256 pricePerKarat18, uint256 lastUpdated))',
+  'function updatePricesForCurrency(bytes32 currency, uint256 _gram, uint256 _ounce, uint256 _k24, uint256 _k22, uint256 _k18) external',
+  'function getAllPricesForCurrency(bytes32 currency) external view returns (tuple(uint256 pricePerGram, uint256 pricePerOunce, uint256 pricePerKarat24, uint256 pricePerKarat22, uint256 pricePerKarat18, uint256 lastUpdated))',
+  'function updatePricesPacked(bytes32 currency, uint256 packedPrices) external',
+  'function updatePricesBatch(bytes32[] currencyKeys, uint256[] packedPrices) external',
+  'function updateKaratPrices(uint8[] _karats, uint256[] _prices) external',
+  'function updateKaratPricesForCurrency(bytes32 currency, uint8[] _karats, uint256[] _prices) external',
+  'function getGoldPriceByKarat(uint8 karat) external view returns (uint256)',
+  'function getGoldPriceByKaratForCurrency(bytes32 currency, uint8 karat) external view returns (uint256)',
   'function isStale() public view returns (bool)',
+  'function isStaleForCurrency(bytes32 currency) public view returns (bool)',
   'function owner() public view returns (address)',
+  'function isReportSigner(address signer) external view returns (bool)',
+  'function isUpdater(address account) external view returns (bool)',
+  'function paused() external view returns (bool)',
+  'function latestRoundId(bytes32 currency) external view returns (uint80)',
+  'function stalenessThreshold() external view returns (uint256)',
+  'function timeUntilStale(bytes32 currency) external view returns (uint256)',
   'event PricesUpdated(uint256 gram, uint256 ounce, uint256 k24, uint256 k22, uint256 k18, uint256 timestamp)',
+  'event CurrencyPricesUpdated(bytes32 indexed currency, uint256 gram, uint256 ounce, uint256 k24, uint256 k22, uint256 k18, uint256 timestamp)',
+  'event KaratPricesUpdated(bytes32 indexed currency, uint8[] karats, uint256[] prices, uint256 timestamp)',
+  'event NewRound(bytes32 indexed currency, uint80 indexed roundId, uint256 timestamp)',
 ];
 
-let provider;
-let wallet;
-let contract;
+// Metals with an update in flight; overlapping runs are skipped
+const updatesInFlight = new Set();
+// Chain targets keyed by chain name, each with its own provider, signer,
+// transaction manager (or Safe proposer) and one GoldOracle deployment per metal
+const chains = new Map();
+
+// How long a chain may take to answer a /health or /metrics probe
+const STATUS_TIMEOUT_MS = 5000;
 
 /**
- * Initialize the blockchain connection and contract instance
+ * Connect to one chain target
+ * @param {Object} chainConfig - Chain configuration (see config.chains)
+ * @returns {Promise<Object>} Chain target
  */
-function initialize() {
-  try {
-    logger.info('Initializing blockchain connection...');
+async function connectChain(chainConfig) {
+  const { name, chainId, rpcUrl, transactions } = chainConfig;
 
-    // Create provider with static network to avoid gas station issues
-    const network = ethers.Network.from({
-      name: 'polygon',
-      chainId: 137,
-    });
-    provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl, network, {
+  // With a configured chain the network is static (no detection calls per request);
+  // verifyNetwork() checks it against the RPC at startup
+  const provider = chainId
+    ? new ethers.JsonRpcProvider(rpcUrl, ethers.Network.from({ name, chainId }), {
       staticNetwork: true,
+    })
+    : new ethers.JsonRpcProvider(rpcUrl);
+
+  const { type, signer, address, safe } = await createSigner(chainConfig.signer, provider);
+
+  // With a Safe the contract calls are proposed to the owners instead of sent
+  const transactionManager = safe
+    ? createSafeProposer({
+      provider,
+      signer,
+      safeAddress: safe.address,
+      serviceUrl: safe.serviceUrl,
+    })
+    : createTransactionManager({
+      provider,
+      signer,
+      confirmationTimeoutMs: transactions.confirmationTimeoutSeconds * 1000,
+      maxReplacements: transactions.maxReplacements,
+      feeBumpPercent: transactions.feeBumpPercent,
+      maxFeePerGasCap: transactions.maxFeePerGasGwei > 0
+        ? ethers.parseUnits(String(transactions.maxFeePerGasGwei), 'gwei')
+        : 0n,
+      chain: name,
     });
 
-    // Create wallet
-    wallet = new ethers.Wallet(config.blockchain.privateKey, provider);
+  const contracts = new Map();
+  config.metals.forEach(({ symbol }) => {
+    const contractAddress = chainConfig.contracts[symbol];
+    // Missing addresses are reported by validateConfig()
+    if (!contractAddress) {
+      return;
+    }
+    contracts.set(symbol, new ethers.Contract(contractAddress, CONTRACT_ABI, signer));
+    logger.success(`[${name}] Connected to ${symbol} contract at: ${contractAddress}`);
+  });
 
-    // Create contract instance
-    contract = new ethers.Contract(
-      config.blockchain.contractAddress,
-      CONTRACT_ABI,
-      wallet
-    );
+  if (safe) {
+    logger.info(`[${name}] Proposing updates to Safe ${safe.address} as ${await signer.getAddress()} (${chainConfig.signer.safe.proposer})`);
+  } else {
+    logger.info(`[${name}] Using wallet address: ${address} (${type} signer)`);
+  }
+
+  return {
+    name,
+    config: chainConfig,
+    provider,
+    signerType: type,
+    // Signs price reports (the proposer in Safe mode)
+    signer,
+    // Account updates come from on-chain (the Safe in Safe mode)
+    address,
+    transactionManager,
+    contracts,
+    // Network verified at startup
+    network: null,
+    // Outcome of the most recent update run, the last run that sent a
+    // transaction and the last failure on this chain
+    lastUpdate: null,
+    lastPublished: null,
+    lastError: null,
+    // Update runs failed in a row on this chain, per metal (reset by any run that succeeds)
+    consecutiveFailures: {},
+  };
+}
+
+/**
+ * Initialize the blockchain connections, signers and contract instances
+ * Must complete before any other function of this module is used.
+ */
+async function initialize() {
+  try {
+    logger.info(`Initializing blockchain connections (${config.chains.map(({ name }) => name).join(', ')})...`);
 
-    logger.success(`Connected to contract at: ${config.blockchain.contractAddress}`);
-    logger.info(`Using wallet address: ${wallet.address}`);
+    for (const chainConfig of config.chains) {
+      chains.set(chainConfig.name, await connectChain(chainConfig));
+    }
   } catch (error) {
     logger.error('Failed to initialize blockchain connection', error);
     throw error;
   }
 }
 
+/**
+ * Get a chain target
+ * @param {string} name - Chain name (defaults to the first configured chain)
+ * @returns {Object} Chain target
+ */
+function getChain(name = config.chains[0].name) {
+  const chain = chains.get(name);
+
+  if (!chain) {
+    throw new Error(`Unknown chain: ${name}`);
+  }
+
+  return chain;
+}
+
+/**
+ * Names of the configured chain targets
+ * @returns {string[]} Chain names, the default chain first
+ */
+function getChainNames() {
+  return [...chains.keys()];
+}
+
+/**
+ * Check that a chain's RPC serves the configured chain
+ * Without NETWORK or CHAIN_ID the chain reported by the RPC is used as is.
+ * @param {string} name - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object>} { name, chainId } of the connected chain
+ */
+async function verifyNetwork(name) {
+  const chain = getChain(name);
+  const { chainId, rpcUrlVariable } = chain.config;
+  const actual = BigInt(await chain.provider.send('eth_chainId', []));
+  const known = Object.entries(NETWORKS).find(([, network]) => BigInt(network.chainId) === actual);
+  const actualName = known ? known[0] : 'unknown network';
+
+  if (chainId === null) {
+    logger.warn(`NETWORK not set, using chain ID ${actual} (${actualName}) reported by ${rpcUrlVariable}`);
+    chain.network = { name: actualName, chainId: Number(actual) };
+    return chain.network;
+  }
+
+  if (actual !== BigInt(chainId)) {
+    throw new Error(
+      `${rpcUrlVariable} serves chain ID ${actual} (${actualName}) but ${chain.name} expects chain ID ${chainId}`
+    );
+  }
+
+  logger.success(`Connected to ${chain.name} (chain ID ${chainId})`);
+  chain.network = { name: chain.name, chainId };
+  return chain.network;
+}
+
+/**
+ * Check every chain target; fails if any RPC serves the wrong chain or is unreachable
+ * @returns {Promise<Object[]>} { name, chainId } per chain
+ */
+async function verifyNetworks() {
+  return Promise.all(getChainNames().map((name) => verifyNetwork(name)));
+}
+
+/**
+ * Check that every contract grants the updater role to the address updates come
+ * from (the Safe in Safe mode); warns about contracts paused by their guardian
+ * @returns {Promise<void>} Rejects listing every contract that would refuse the updates
+ */
+async function verifyUpdaterRoles() {
+  const problems = [];
+
+  for (const chain of chains.values()) {
+    for (const [metal, contract] of chain.contracts) {
+      try {
+        if (!(await contract.isUpdater(chain.address))) {
+          problems.push(
+            `[${chain.name}] ${chain.address} does not have the updater role on the ${metal} contract ${contract.target}`
+          );
+        }
+        if (await contract.paused()) {
+          logger.warn(`[${chain.name}] Updates to the ${metal} contract are paused by its guardian`);
+        }
+      } catch (error) {
+        problems.push(`[${chain.name}] Could not check the updater role on the ${metal} contract: ${error.message}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${problems.join('; ')} (the contract owner grants it with setUpdater(address, true))`);
+  }
+}
+
+/**
+ * Read every contract's staleness threshold and check that the update schedule
+ * republishes flat prices before they go stale (see config.policy.stalenessCheck)
+ * @param {Object} runGapSeconds - Longest time between scheduled updates, by metal
+ * @returns {Promise<Object[]>} { chain, metal, stalenessThreshold, maxPublishGapSeconds } per contract
+ */
+async function checkStalenessThresholds(runGapSeconds) {
+  const { stalenessCheck } = config.policy;
+  const results = [];
+  const problems = [];
+
+  if (stalenessCheck === 'off') {
+    return results;
+  }
+
+  for (const chain of chains.values()) {
+    for (const [metal, contract] of chain.contracts) {
+      const maxGap = updatePolicy.maxPublishGapSeconds(runGapSeconds[metal]);
+
+      try {
+        const stalenessThreshold = Number(await contract.stalenessThreshold());
+        results.push({ chain: chain.name, metal, stalenessThreshold, maxPublishGapSeconds: maxGap });
+
+        if (maxGap >= stalenessThreshold) {
+          problems.push(
+            `[${chain.name}] ${metal} prices go stale after ${stalenessThreshold}s, but flat prices are ` +
+            (maxGap === Infinity
+              ? 'never republished (UPDATE_HEARTBEAT_SECONDS=0)'
+              : `only republished every ${maxGap}s (heartbeat checked on runs up to ${runGapSeconds[metal]}s apart)`)
+          );
+        }
+      } catch (error) {
+        logger.warn(`[${chain.name}] Could not read the ${metal} contract's staleness threshold: ${error.message}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const hint = 'lower UPDATE_HEARTBEAT_SECONDS or run the update schedules more often, or have the owner raise setStalenessThreshold()';
+
+    if (stalenessCheck === 'refuse') {
+      throw new Error(`${problems.join('; ')} (${hint})`);
+    }
+    problems.forEach((problem) => logger.warn(`${problem}; ${hint}`));
+  }
+
+  return results;
+}
+
+/**
+ * Time left before each feed of a chain goes stale
+ * @param {Object} chain - Chain target
+ * @returns {Promise<Object>} { [metal]: { [currency]: seconds until stale } }
+ */
+async function getFreshness(chain) {
+  const freshness = {};
+
+  await Promise.all([...chain.contracts].map(async ([metal, contract]) => {
+    freshness[metal] = {};
+
+    await Promise.all(config.currencies.quotes.map(async (currency) => {
+      const key = isBaseCurrency(currency) ? ethers.ZeroHash : ethers.encodeBytes32String(currency);
+      freshness[metal][currency] = Number(await contract.timeUntilStale(key));
+    }));
+  }));
+
+  return freshness;
+}
+
+/**
+ * Outcome of the recent update runs on a chain, without asking the chain
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {Object} { lastUpdate, lastPublished, lastError, consecutiveFailures }
+ */
+function getUpdateHistory(chain) {
+  const { lastUpdate, lastPublished, lastError, consecutiveFailures } = getChain(chain);
+  return { lastUpdate, lastPublished, lastError, consecutiveFailures: { ...consecutiveFailures } };
+}
+
+/**
+ * Time left before each feed of a chain goes stale
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object>} { [metal]: { [currency]: seconds until stale } }
+ */
+async function getSecondsUntilStale(chain) {
+  return getFreshness(getChain(chain));
+}
+
+/**
+ * Who controls each contract of a chain and whether this service may publish to it
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object>} { [metal]: { address, owner, isOwner, isUpdater, isReportSigner, paused } }
+ *   where `isUpdater` is checked for the account updates come from (the Safe in Safe mode)
+ *   and `isReportSigner` for the report signer
+ */
+async function getContractAccess(chain) {
+  const target = getChain(chain);
+  const reportSigner = await target.signer.getAddress();
+  const access = {};
+
+  await Promise.all([...target.contracts].map(async ([metal, contract]) => {
+    const [owner, isUpdater, isReportSigner, paused] = await Promise.all([
+      contract.owner(),
+      contract.isUpdater(target.address),
+      contract.isReportSigner(reportSigner),
+      contract.paused(),
+    ]);
+
+    access[metal] = {
+      address: contract.target,
+      owner,
+      isOwner: owner.toLowerCase() === target.address.toLowerCase(),
+      isUpdater,
+      isReportSigner,
+      paused,
+    };
+  }));
+
+  return access;
+}
+
+/**
+ * Warn about deployments that would reject a chain's signed price reports
+ * because its report signer is not authorized there
+ */
+async function checkReportSigners() {
+  for (const chain of chains.values()) {
+    const address = await chain.signer.getAddress();
+
+    for (const [metal, contract] of chain.contracts) {
+      try {
+        if (!(await contract.isReportSigner(address))) {
+          logger.warn(
+            `[${chain.name}] ${address} is not an authorized report signer of the ${metal} contract; ` +
+            'its price reports will be rejected until the owner calls setReportSigner()'
+          );
+        }
+      } catch (error) {
+        logger.warn(`[${chain.name}] Could not check the ${metal} contract's report signers: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Get the contract instance of a metal on a chain
+ * @param {string} metal - Metal symbol
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {ethers.Contract} Contract instance
+ */
+function getContract(metal, chain) {
+  const contract = getChain(chain).contracts.get(metal);
+
+  if (!contract) {
+    throw new Error(`No contract configured for metal: ${metal}`);
+  }
+
+  return contract;
+}
+
+/**
+ * Nonce and in-flight transaction status of a chain's oracle wallet
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {Object} Transaction manager status plus metals with an update in flight
+ */
+function getTransactionStatus(chain) {
+  return {
+    ...getChain(chain).transactionManager.getStatus(),
+    updatesInFlight: [...updatesInFlight],
+  };
+}
+
+/**
+ * Connection and publishing status of every chain target
+ * @returns {Promise<Object[]>} One entry per chain; `connected` is false when the
+ *   RPC did not return a block number in time, `secondsUntilStale` holds the time
+ *   left before each metal and currency goes stale (0 = stale)
+ */
+async function getChainStatus() {
+  return Promise.all([...chains.values()].map(async (chain) => {
+    let blockNumber = null;
+    let secondsUntilStale;
+    let rpcError;
+
+    try {
+      blockNumber = await withStatusTimeout(chain.provider.getBlockNumber());
+    } catch (error) {
+      rpcError = error.message;
+    }
+
+    if (blockNumber !== null) {
+      try {
+        secondsUntilStale = await withStatusTimeout(getFreshness(chain));
+      } catch (error) {
+        logger.warn(`[${chain.name}] Could not read the time until prices go stale: ${error.message}`);
+      }
+    }
+
+    return {
+      name: chain.name,
+      chainId: chain.network ? chain.network.chainId : chain.config.chainId,
+      connected: blockNumber !== null,
+      blockNumber,
+      rpcError,
+      signer: chain.signerType,
+      wallet: chain.address,
+      contracts: chain.config.contracts,
+      lastUpdate: chain.lastUpdate,
+      lastPublished: chain.lastPublished,
+      lastError: chain.lastError,
+      consecutiveFailures: chain.consecutiveFailures,
+      secondsUntilStale,
+      transactions: chain.transactionManager.getStatus(),
+    };
+  }));
+}
+
+/**
+ * Set the wallet balance and on-chain price age gauges (run on every /metrics scrape)
+ * Series that could not be read in time are left out rather than reported stale.
+ */
+async function collectChainMetrics() {
+  const now = Math.floor(Date.now() / 1000);
+  const balances = [];
+  const ages = [];
+
+  await Promise.all([...chains.values()].map(async (chain) => {
+    try {
+      const address = await chain.signer.getAddress();
+      balances.push([{ chain: chain.name, address }, await withStatusTimeout(chain.provider.getBalance(address))]);
+    } catch (error) {
+      logger.warn(`[${chain.name}] Could not read the wallet balance: ${error.message}`);
+    }
+
+    await Promise.all([...chain.contracts].flatMap(([metal, contract]) => config.currencies.quotes.map(async (currency) => {
+      try {
+        const { lastUpdated } = await withStatusTimeout(isBaseCurrency(currency)
+          ? contract.getAllPrices()
+          : contract.getAllPricesForCurrency(ethers.encodeBytes32String(currency)));
+
+        // Never published: no age to report; block timestamps may run slightly ahead of the clock
+        if (lastUpdated > 0n) {
+          ages.push([{ chain: chain.name, metal, currency }, Math.max(now - Number(lastUpdated), 0)]);
+        }
+      } catch (error) {
+        logger.warn(`[${chain.name}] Could not read the ${metal}/${currency} price age: ${error.message}`);
+      }
+    })));
+  }));
+
+  metrics.walletBalance.clear();
+  metrics.priceAge.clear();
+  balances.forEach(([labels, balance]) => metrics.walletBalance.set(labels, balance));
+  ages.forEach(([labels, age]) => metrics.priceAge.set(labels, age));
+}
+
+metrics.addCollector(collectChainMetrics);
+
+/**
+ * Reject a /health or /metrics probe that takes longer than STATUS_TIMEOUT_MS
+ * @param {Promise} promise - Probe
+ * @returns {Promise} Result of the probe
+ */
+function withStatusTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`No response within ${STATUS_TIMEOUT_MS}ms`)), STATUS_TIMEOUT_MS).unref();
+    }),
+  ]);
+}
+
+/**
+ * Get a chain's provider
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+function getProvider(chain) {
+  return getChain(chain).provider;
+}
+
+/**
+ * Get the address updates come from on a chain (the Safe when proposing to one)
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {string} Wallet address
+ */
+function getWalletAddress(chain) {
+  return getChain(chain).address;
+}
+
+/**
+ * Get the address that signs a chain's price reports; it must be authorized
+ * with GoldOracle.setReportSigner() for the reports to be accepted
+ * @param {string} chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<string>} Report signer address
+ */
+async function getReportSignerAddress(chain) {
+  return getChain(chain).signer.getAddress();
+}
+
+/**
+ * Deviation guard key of a feed; chain-qualified when publishing to several chains
+ * so each deployment trips and recovers on its own
+ * @param {string} metal - Metal symbol
+ * @param {string} chain - Chain name
+ * @returns {string} Guard key, e.g. XAU or XAU@polygon
+ */
+function guardKey(metal, chain) {
+  return chains.size > 1 ? `${metal}@${chain}` : metal;
+}
+
+/**
+ * Whether a currency is published through the contract's default price fields
+ * @param {string} currency - Currency code
+ * @returns {boolean} True for the base currency
+ */
+function isBaseCurrency(currency) {
+  return currency === config.goldApi.currency;
+}
+
 /**
  * Get current prices from the smart contract
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Currency code (defaults to the base currency)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
  * @returns {Promise<Object>} Current prices from contract
  */
-async function getCurrentContractPrices() {
+async function getCurrentContractPrices({
+  metal = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+  chain,
+} = {}) {
   try {
-    const prices = await contract.getAllPrices();
+    const contract = getContract(metal, chain);
+    const prices = isBaseCurrency(currency)
+      ? await contract.getAllPrices()
+      : await contract.getAllPricesForCurrency(ethers.encodeBytes32String(currency));
 
     return {
       pricePerGram: prices.pricePerGram,
@@ -73,81 +591,92 @@ async function getCurrentContractPrices() {
 }
 
 /**
- * Check if prices have changed significantly
- * @param {Object} oldPrices - Current contract prices
- * @param {Object} newPrices - New prices from API
- * @returns {boolean} True if prices changed significantly
+ * Get the ID of the latest on-chain round of a feed
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Currency code (defaults to the base currency)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<bigint>} Round ID (0 if nothing was published yet)
  */
-function pricesChanged(oldPrices, newPrices) {
-  // If never updated (lastUpdated is 0), always update
-  if (oldPrices.lastUpdated === 0n) {
-    return true;
-  }
+async function getLatestRoundId({
+  metal = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+  chain,
+} = {}) {
+  const contract = getContract(metal, chain);
 
-  // Check if any price changed by more than 0.01% (to avoid unnecessary updates)
-  const threshold = 10000n; // 0.01% with 8 decimals = 10000
+  return contract.latestRoundId(isBaseCurrency(currency) ? ethers.ZeroHash : ethers.encodeBytes32String(currency));
+}
 
-  const gramDiff = oldPrices.pricePerGram > newPrices.pricePerGram
-    ? oldPrices.pricePerGram - BigInt(newPrices.pricePerGram)
-    : BigInt(newPrices.pricePerGram) - oldPrices.pricePerGram;
+/**
+ * Round a price update produced, from the NewRound event in its receipt
+ * @param {ethers.Contract} contract - Contract the update was sent to
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} key - Currency as bytes32 (ZeroHash for the base currency); a batch has one round per currency
+ * @returns {string|null} Round ID, or null if the receipt has no NewRound event for the currency
+ */
+function roundIdFromReceipt(contract, receipt, key) {
+  const log = receipt.logs.find((entry) => (
+    entry.address.toLowerCase() === contract.target.toLowerCase()
+    && entry.topics[0] === contract.interface.getEvent('NewRound').topicHash
+    && entry.topics[1] === key
+  ));
 
-  return gramDiff > threshold;
+  return log ? contract.interface.parseLog(log).args.roundId.toString() : null;
 }
 
 /**
- * Update prices on the smart contract
- * @param {Object} prices - New prices to update
- * @returns {Promise<Object>} Transaction receipt
+ * Get the published prices of every configured karat tier
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Currency code (defaults to the base currency)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object>} Map of karat to price per gram (null if the tier was never published)
  */
-async function updateContractPrices(prices) {
-  try {
-    logger.info('Preparing to update contract prices...');
-
-    // Estimate gas
-    const gasEstimate = await contract.updatePrices.estimateGas(
-      prices.pricePerGram,
-      prices.pricePerOunce,
-      prices.pricePerKarat24,
-      prices.pricePerKarat22,
-      prices.pricePerKarat18
-    );
+async function getContractKaratPrices({
+  metal = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+  chain,
+} = {}) {
+  const contract = getContract(metal, chain);
 
-    logger.info(`Estimated gas: ${gasEstimate.toString()}`);
-
-    // Get current gas fees from network
-    const feeData = await provider.getFeeData();
-
-    // Configure EIP-1559 gas fees for Polygon
-    // Use network fees if available, otherwise use safe defaults
-    const maxFeePerGas = feeData.maxFeePerGas || ethers.parseUnits('50', 'gwei');
-    const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || ethers.parseUnits('30', 'gwei');
-
-    logger.info(`Max fee per gas: ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei`);
-    logger.info(`Max priority fee per gas: ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} gwei`);
-
-    // Send transaction with manual gas configuration
-    const tx = await contract.updatePrices(
-      prices.pricePerGram,
-      prices.pricePerOunce,
-      prices.pricePerKarat24,
-      prices.pricePerKarat22,
-      prices.pricePerKarat18,
-      {
-        maxFeePerGas,
-        maxPriorityFeePerGas,
-      }
-    );
+  const prices = await Promise.all(config.karats.map(async (karat) => {
+    try {
+      return isBaseCurrency(currency)
+        ? await contract.getGoldPriceByKarat(karat)
+        : await contract.getGoldPriceByKaratForCurrency(ethers.encodeBytes32String(currency), karat);
+    } catch (error) {
+      // Tiers outside 24K/22K/18K revert until they are first published
+      return null;
+    }
+  }));
+
+  return Object.fromEntries(config.karats.map((karat, index) => [karat, prices[index]]));
+}
 
-    logger.info(`Transaction sent: ${tx.hash}`);
-    logger.info('Waiting for confirmation...');
+/**
+ * Send one planned price update call (see updatePlanner.plan)
+ * @param {Object} call - Planned call: { path, method, args, currencies }
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object>} Transaction receipt ({ proposed, hash, safe, nonce } when proposing to a Safe)
+ */
+async function sendPriceUpdate(call, {
+  metal = config.metals[0].symbol,
+  chain,
+} = {}) {
+  try {
+    const target = getChain(chain);
 
-    // Wait for transaction confirmation
-    const receipt = await tx.wait();
+    logger.info(
+      `[${target.name}] Preparing to update contract prices (${metal}/${call.currencies.join(', ')}) via ${call.method}...`,
+      { chain: target.name, metal, currencies: call.currencies, method: call.method }
+    );
 
-    logger.success(`Transaction confirmed in block ${receipt.blockNumber}`);
-    logger.success(`Gas used: ${receipt.gasUsed.toString()}`);
+    const contract = getContract(metal, target.name);
 
-    return receipt;
+    return await target.transactionManager.sendTransaction(contract[call.method], call.args);
   } catch (error) {
     logger.error('Failed to update contract prices', error);
     throw error;
@@ -155,64 +684,571 @@ async function updateContractPrices(prices) {
 }
 
 /**
- * Main update function - fetches prices and updates contract if needed
- * @returns {Promise<Object>} Update result
+ * Publish karat tiers other than 24K, 22K and 18K
+ * @param {Object} karats - Map of karat to price per gram
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Currency code (defaults to the base currency)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
+ * @returns {Promise<Object|null>} Transaction receipt (or Safe proposal), or null if no extra tiers are configured
  */
-async function updatePrices() {
+async function updateContractKaratPrices(karats, {
+  metal = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+  chain,
+} = {}) {
+  const tiers = Object.keys(karats).map(Number).filter((karat) => !STANDARD_KARATS.includes(karat));
+
+  if (tiers.length === 0) {
+    return null;
+  }
+
   try {
-    logger.info('Starting price update process...');
+    const target = getChain(chain);
+
+    logger.info(
+      `[${target.name}] Preparing to update karat prices (${metal}/${currency}): ${tiers.map((k) => `${k}K`).join(', ')}`
+    );
 
-    // Fetch new prices from GoldAPI
-    const newPrices = await goldApiService.getGoldPrices();
+    const contract = getContract(metal, target.name);
+    const prices = tiers.map((karat) => karats[karat]);
 
-    // Get current contract prices
-    const currentPrices = await getCurrentContractPrices();
+    return isBaseCurrency(currency)
+      ? await target.transactionManager.sendTransaction(contract.updateKaratPrices, [tiers, prices])
+      : await target.transactionManager.sendTransaction(contract.updateKaratPricesForCurrency, [
+        ethers.encodeBytes32String(currency),
+        tiers,
+        prices,
+      ]);
+  } catch (error) {
+    logger.error('Failed to update karat prices', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply the update policy to one currency
+ * @param {string} chain - Chain name
+ * @param {string} metal - Metal symbol
+ * @param {string} currency - Currency code
+ * @param {Object} quote - New prices in that currency, with `fxRate` when converted
+ *   and `sources` when fetched directly
+ * @returns {Promise<Object>} { due: false, result } when no update is due, otherwise
+ *   { due: true, update } with the update to plan ({ currency, key, prices, changed, policy, details })
+ */
+async function evaluateCurrency(chain, metal, currency, quote) {
+  const { sources, fxRate, ...newPrices } = quote;
+  const details = isBaseCurrency(currency) ? {} : { fxRate, sources };
+  const currentPrices = await getCurrentContractPrices({ metal, currency, chain });
 
-    // Check if update is needed
-    const needsUpdate = pricesChanged(currentPrices, newPrices);
+  // Check if update is needed (deviation threshold or heartbeat)
+  const policy = updatePolicy.evaluate(currentPrices, newPrices);
 
-    if (!needsUpdate) {
-      logger.info('Prices have not changed significantly, skipping update');
-      return {
+  if (!policy.shouldUpdate) {
+    logger.info(
+      `[${chain}] ${metal}/${currency}: max deviation ${policy.maxDeviationBps} bps within threshold and heartbeat not due, skipping update`
+    );
+    return {
+      due: false,
+      result: {
         updated: false,
         message: 'No significant price change',
+        reason: policy.reason,
+        policy,
+        ...details,
+      },
+    };
+  }
+
+  logger.info(`[${chain}] ${metal}/${currency}: update due (${policy.reason})`);
+
+  return {
+    due: true,
+    update: {
+      currency,
+      key: isBaseCurrency(currency) ? ethers.ZeroHash : ethers.encodeBytes32String(currency),
+      prices: newPrices,
+      changed: updatePlanner.changedFields(currentPrices, newPrices),
+      policy,
+      details,
+    },
+  };
+}
+
+/**
+ * Publish the extra karat tiers of a currency and build its update result
+ * @param {string} chain - Chain name
+ * @param {string} metal - Metal symbol
+ * @param {Object} update - Due update from evaluateCurrency()
+ * @param {Object} call - Planned call that published the update
+ * @param {Object} receipt - Receipt (or Safe proposal) of that call
+ * @returns {Promise<Object>} Per-currency update result
+ */
+async function completeCurrencyUpdate(chain, metal, update, call, receipt) {
+  const { currency, key, prices, changed, policy, details } = update;
+  const karatReceipt = await updateContractKaratPrices(prices.karats, { metal, currency, chain });
+
+  // Safe proposals are published once the owners execute them
+  if (receipt.proposed) {
+    return {
+      updated: false,
+      proposed: true,
+      message: 'Proposed to Safe',
+      safe: receipt.safe,
+      safeTxHash: receipt.hash,
+      safeNonce: receipt.nonce,
+      karatProposal: karatReceipt ? { safeTxHash: karatReceipt.hash, safeNonce: karatReceipt.nonce } : undefined,
+      path: call.path,
+      prices,
+      reason: policy.reason,
+      policy,
+      ...details,
+    };
+  }
+
+  const result = {
+    updated: true,
+    transactionHash: receipt.hash,
+    roundId: roundIdFromReceipt(getContract(metal, chain), receipt, key),
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    path: call.path,
+    batchCurrencies: call.path === 'batch' ? call.currencies : undefined,
+    changed,
+    karatTransaction: karatReceipt ? {
+      transactionHash: karatReceipt.hash,
+      blockNumber: karatReceipt.blockNumber,
+      gasUsed: karatReceipt.gasUsed.toString(),
+    } : undefined,
+    prices,
+    reason: policy.reason,
+    policy,
+    ...details,
+  };
+
+  await historyStore.recordTransaction(metal, currency, { ...result, chain });
+
+  return result;
+}
+
+/**
+ * Publish one price snapshot of a metal to one chain
+ * @param {Object} chain - Chain target
+ * @param {string} metal - Metal symbol
+ * @param {Object} pricesByCurrency - Snapshot: map of currency code to prices
+ * @returns {Promise<Object>} Chain result, with one entry per quote currency in `currencies`
+ */
+async function publishToChain(chain, metal, pricesByCurrency) {
+  const { sources, ...basePrices } = pricesByCurrency[config.goldApi.currency];
+
+  // A paused contract rejects every update until the owner unpauses it
+  if (await getContract(metal, chain.name).paused()) {
+    logger.warn(`[${chain.name}] Updates to the ${metal} contract are paused by its guardian, skipping`);
+    return {
+      updated: false,
+      paused: true,
+      message: 'Updates paused by the guardian',
+    };
+  }
+
+  // Hold updates that deviate too far from this chain's on-chain value
+  const guard = priceGuard.evaluate(
+    await getCurrentContractPrices({ metal, chain: chain.name }),
+    basePrices,
+    guardKey(metal, chain.name)
+  );
+
+  if (!guard.allowed) {
+    logger.warn(`[${chain.name}] Update held by deviation guard: ${guard.message}`);
+    return {
+      updated: false,
+      held: true,
+      message: guard.message,
+      guard,
+    };
+  }
+
+  const currencies = {};
+  const errors = [];
+  const fail = (currency, error) => {
+    logger.error(`[${chain.name}] ${metal}/${currency}: price update failed`, error);
+    errors.push(error);
+    currencies[currency] = {
+      updated: false,
+      error: error.message,
+    };
+  };
+  const due = [];
+
+  for (const currency of config.currencies.quotes) {
+    try {
+      const evaluation = await evaluateCurrency(chain.name, metal, currency, pricesByCurrency[currency]);
+
+      if (evaluation.due) {
+        due.push(evaluation.update);
+      } else {
+        currencies[currency] = evaluation.result;
+      }
+    } catch (error) {
+      fail(currency, error);
+    }
+  }
+
+  // Every due currency goes out in as few transactions as the planner allows
+  for (const call of updatePlanner.plan(due)) {
+    let receipt;
+
+    try {
+      receipt = await sendPriceUpdate(call, { metal, chain: chain.name });
+    } catch (error) {
+      call.currencies.forEach((currency) => fail(currency, error));
+      continue;
+    }
+
+    for (const update of due.filter(({ currency }) => call.currencies.includes(currency))) {
+      try {
+        currencies[update.currency] = await completeCurrencyUpdate(chain.name, metal, update, call, receipt);
+      } catch (error) {
+        fail(update.currency, error);
+      }
+    }
+  }
+
+  if (errors.length === config.currencies.quotes.length) {
+    throw errors[0];
+  }
+
+  const updated = Object.values(currencies).some((result) => result.updated);
+  const proposed = Object.values(currencies).some((result) => result.proposed);
+
+  // A confirmed or overridden price holds its breaker until the guarded (base) price is on-chain
+  if (currencies[config.goldApi.currency].updated) {
+    priceGuard.settle(guard, guardKey(metal, chain.name));
+  }
+
+  return {
+    updated,
+    proposed: proposed || undefined,
+    message: updated ? undefined : (proposed ? 'Proposed to Safe' : 'No significant price change'),
+    currencies: Object.fromEntries(config.currencies.quotes.map((currency) => [currency, currencies[currency]])),
+    guard,
+  };
+}
+
+/**
+ * Sign one price report per quote currency of a snapshot for a chain's deployment
+ * @param {Object} chain - Chain target
+ * @param {string} metal - Metal symbol
+ * @param {Object} pricesByCurrency - Snapshot: map of currency code to prices
+ * @param {number} timestamp - Unix time the snapshot was fetched
+ * @returns {Promise<Object>} Map of currency code to { nonce, timestamp, signer }
+ */
+async function signReports(chain, metal, pricesByCurrency, timestamp) {
+  const { chainId } = await chain.provider.getNetwork();
+  const domain = priceReports.reportDomain(chainId, getContract(metal, chain.name).target);
+  const reports = {};
+
+  for (const currency of config.currencies.quotes) {
+    const report = priceReports.createReport(
+      isBaseCurrency(currency) ? ethers.ZeroHash : ethers.encodeBytes32String(currency),
+      pricesByCurrency[currency],
+      timestamp
+    );
+    const signed = await priceReports.signReport(chain.signer, domain, report);
+
+    priceReports.recordReport({ chain: chain.name, metal, currency }, signed);
+    reports[currency] = { nonce: report.nonce, timestamp: report.timestamp, signer: signed.signer };
+  }
+
+  logger.success(`[${chain.name}] Signed ${metal} price reports (${config.currencies.quotes.join(', ')})`);
+
+  return reports;
+}
+
+/**
+ * Price the deviation guard compares pull-mode reports against: the last
+ * signed report of a chain's deployment, or its on-chain price before the first one
+ * @param {string} chain - Chain name
+ * @param {string} metal - Metal symbol
+ * @returns {Promise<Object>} { pricePerOunce, lastUpdated }
+ */
+async function getReportedPrices(chain, metal) {
+  const latest = priceReports.getLatestReport({ chain, metal, currency: config.goldApi.currency });
+
+  if (!latest) {
+    return getCurrentContractPrices({ metal, chain });
+  }
+
+  return {
+    pricePerOunce: BigInt(latest.report.pricePerOunce),
+    lastUpdated: BigInt(latest.report.timestamp),
+  };
+}
+
+/**
+ * Publish a snapshot to one chain as configured by ORACLE_MODE: on-chain
+ * (push), as signed reports (pull) or both. Prices held by the deviation
+ * guard are not signed in any mode, nor in 'both' mode prices not published
+ * because the contract is paused.
+ * @param {Object} chain - Chain target
+ * @param {string} metal - Metal symbol
+ * @param {Object} pricesByCurrency - Snapshot: map of currency code to prices
+ * @param {number} timestamp - Unix time the snapshot was fetched
+ * @returns {Promise<Object>} Chain result, with the signed reports in `reports`
+ */
+async function processChain(chain, metal, pricesByCurrency, timestamp) {
+  const { mode } = config.reports;
+
+  if (mode === 'pull') {
+    const key = guardKey(metal, chain.name);
+    const guard = priceGuard.evaluate(
+      await getReportedPrices(chain.name, metal),
+      pricesByCurrency[config.goldApi.currency],
+      key
+    );
+
+    if (!guard.allowed) {
+      logger.warn(`[${chain.name}] Report held by deviation guard: ${guard.message}`);
+      return {
+        updated: false,
+        held: true,
+        message: guard.message,
+        guard,
       };
     }
 
-    // Update contract
-    const receipt = await updateContractPrices(newPrices);
+    const reports = await signReports(chain, metal, pricesByCurrency, timestamp);
+    priceGuard.settle(guard, key);
 
     return {
-      updated: true,
-      transactionHash: receipt.hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
-      prices: newPrices,
+      updated: false,
+      reported: true,
+      message: 'Signed price reports',
+      reports,
+      guard,
+    };
+  }
+
+  const result = await publishToChain(chain, metal, pricesByCurrency);
+
+  if (mode === 'both' && !result.held && !result.paused) {
+    result.reported = true;
+    result.reports = await signReports(chain, metal, pricesByCurrency, timestamp);
+  }
+
+  return result;
+}
+
+/**
+ * Result label of a chain's update run for gold_oracle_updates_total
+ * @param {Object} chainResult - Result of processChain()
+ * @returns {string} updated, proposed, held, paused, reported or skipped
+ */
+function updateResultLabel(chainResult) {
+  return ['updated', 'proposed', 'held', 'paused', 'reported'].find((result) => chainResult[result]) || 'skipped';
+}
+
+/**
+ * Main update function - fetches prices of one metal once and publishes the
+ * same snapshot to every chain target that needs it
+ * @param {string} metal - Metal symbol (defaults to the first configured metal)
+ * @returns {Promise<Object>} Update result, with one entry per chain in `chains`
+ *   (each with one entry per quote currency in `currencies`)
+ */
+async function updatePrices(metal = config.metals[0].symbol) {
+  if (updatesInFlight.has(metal)) {
+    logger.warn(`Price update already in progress (${metal}), skipping`);
+    return {
+      metal,
+      updated: false,
+      inProgress: true,
+      message: 'Update already in progress',
+    };
+  }
+
+  updatesInFlight.add(metal);
+  const stopTimer = metrics.updateDuration.startTimer({ metal });
+  let counted = false;
+
+  try {
+    logger.info(`Starting price update process (${metal})...`);
+
+    // Fetch new prices in every quote currency
+    const pricesByCurrency = await goldApiService.getGoldPricesByCurrency(metal);
+    const { sources } = pricesByCurrency[config.goldApi.currency];
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    // Chains are independent (own RPC, signer and nonces), so publish to all at once
+    const targets = [...chains.values()];
+    const outcomes = await Promise.allSettled(
+      targets.map((chain) => processChain(chain, metal, pricesByCurrency, timestamp))
+    );
+
+    const results = {};
+
+    outcomes.forEach((outcome, index) => {
+      const chain = targets[index];
+      const at = new Date().toISOString();
+
+      metrics.updates.inc({
+        metal,
+        chain: chain.name,
+        result: outcome.status === 'fulfilled' ? updateResultLabel(outcome.value) : 'failed',
+      });
+
+      if (outcome.status === 'fulfilled') {
+        results[chain.name] = outcome.value;
+        chain.consecutiveFailures[metal] = 0;
+        chain.lastUpdate = {
+          metal,
+          at,
+          updated: outcome.value.updated,
+          proposed: outcome.value.proposed,
+          held: outcome.value.held,
+          paused: outcome.value.paused,
+          reported: outcome.value.reported,
+        };
+        if (outcome.value.updated) {
+          chain.lastPublished = { metal, at };
+        }
+      } else {
+        logger.error(`[${chain.name}] Price update failed (${metal})`, outcome.reason);
+        results[chain.name] = {
+          updated: false,
+          error: outcome.reason.message,
+        };
+        chain.lastError = { metal, at, message: outcome.reason.message };
+        chain.consecutiveFailures[metal] = (chain.consecutiveFailures[metal] || 0) + 1;
+      }
+    });
+
+    counted = true;
+
+    const failures = outcomes.filter(({ status }) => status === 'rejected');
+    if (failures.length === targets.length) {
+      throw failures[0].reason;
+    }
+
+    const chainResults = Object.values(results);
+    const updated = chainResults.some((result) => result.updated);
+    const proposed = chainResults.some((result) => result.proposed);
+    const held = chainResults.some((result) => result.held);
+    const paused = chainResults.some((result) => result.paused);
+    const reported = chainResults.some((result) => result.reported);
+
+    let message;
+    if (!updated) {
+      if (proposed) {
+        message = 'Proposed to Safe';
+      } else if (held) {
+        message = 'Update held by deviation guard';
+      } else if (paused) {
+        message = 'Updates paused by the guardian';
+      } else {
+        message = reported ? 'Signed price reports' : 'No significant price change';
+      }
+    }
+
+    return {
+      metal,
+      updated,
+      proposed: proposed || undefined,
+      held: held || undefined,
+      paused: paused || undefined,
+      reported: reported || undefined,
+      message,
+      chains: results,
+      sources,
     };
   } catch (error) {
-    logger.error('Price update process failed', error);
+    logger.error(`Price update process failed (${metal})`, error);
+    // Failed before reaching the chains (e.g. no price): a failed run on every chain
+    if (!counted) {
+      const at = new Date().toISOString();
+      chains.forEach((chain) => {
+        metrics.updates.inc({ metal, chain: chain.name, result: 'failed' });
+        chain.lastError = { metal, at, message: error.message };
+        chain.consecutiveFailures[metal] = (chain.consecutiveFailures[metal] || 0) + 1;
+      });
+    }
     throw error;
+  } finally {
+    stopTimer();
+    updatesInFlight.delete(metal);
   }
 }
 
+/**
+ * Update every configured metal
+ * @returns {Promise<Object>} { updated, metals } with one update result (or error) per metal
+ */
+async function updateAllMetals() {
+  const metals = {};
+
+  for (const { symbol } of config.metals) {
+    try {
+      metals[symbol] = await updatePrices(symbol);
+    } catch (error) {
+      metals[symbol] = {
+        metal: symbol,
+        updated: false,
+        error: error.message,
+      };
+    }
+  }
+
+  return {
+    updated: Object.values(metals).some((result) => result.updated),
+    metals,
+  };
+}
+
 /**
  * Check if the oracle data is stale
+ * @param {Object} options - Feed options
+ * @param {string} options.metal - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Currency code (defaults to the base currency)
+ * @param {string} options.chain - Chain name (defaults to the first configured chain)
  * @returns {Promise<boolean>} True if stale
  */
-async function isStale() {
+async function isStale({
+  metal = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+  chain,
+} = {}) {
   try {
-    return await contract.isStale();
+    const contract = getContract(metal, chain);
+
+    return isBaseCurrency(currency)
+      ? await contract.isStale()
+      : await contract.isStaleForCurrency(ethers.encodeBytes32String(currency));
   } catch (error) {
     logger.error('Failed to check staleness', error);
     throw error;
   }
 }
 
-// Initialize on module load
-initialize();
-
 export default {
+  initialize,
   updatePrices,
+  updateAllMetals,
   getCurrentContractPrices,
+  getContractKaratPrices,
+  getLatestRoundId,
   isStale,
+  getProvider,
+  getWalletAddress,
+  getReportSignerAddress,
+  getTransactionStatus,
+  getChainNames,
+  getChainStatus,
+  getUpdateHistory,
+  getSecondsUntilStale,
+  getContractAccess,
+  guardKey,
+  verifyNetwork,
+  verifyNetworks,
+  verifyUpdaterRoles,
+  checkStalenessThresholds,
+  checkReportSigners,
 };
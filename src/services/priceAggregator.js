@@ -0,0 +1,118 @@
+import { parseDecimal, deviationBps, median } from '../utils/decimal.js';
+
+/**
+ * Median aggregation of quotes from several price providers
+ */
+
+/**
+ * Scaled price of a provider quote
+ * @param {Object} quote - Provider quote
+ * @returns {bigint|null} Price per ounce scaled by 10^8, or null if the quote is unusable
+ */
+function scaledPrice(quote) {
+  if (!quote) {
+    return null;
+  }
+
+  try {
+    const price = parseDecimal(quote.price);
+    return price > 0n ? price : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Query all providers concurrently
+ * @param {Object[]} providers - Price providers
+ * @returns {Promise<Object[]>} One settled result per provider
+ */
+export async function queryProviders(providers) {
+  const settled = await Promise.allSettled(providers.map((provider) => provider.fetchPrice()));
+
+  return settled.map((result, index) => ({
+    name: providers[index].name,
+    quote: result.status === 'fulfilled' ? result.value : null,
+    error: result.status === 'rejected' ? result.reason : null,
+  }));
+}
+
+/**
+ * Combine provider results into a single price
+ *
+ * Failed providers are left out, as are quotes deviating from the median of
+ * the successful quotes by more than `maxDeviationBps`. The final price is the
+ * median of the remaining quotes and requires at least `quorum` of them.
+ *
+ * Leaving out an outlier takes a majority: with fewer than 3 successful quotes
+ * the median is their mean, so a split moves every quote away from it equally.
+ * Such a round is rejected as the sources disagreeing rather than published.
+ *
+ * @param {Object[]} results - Results from queryProviders
+ * @param {Object} options - Aggregation options
+ * @param {number} options.quorum - Minimum number of quotes that must be used
+ * @param {number} options.maxDeviationBps - Max deviation from the median in basis points (0 disables)
+ * @returns {Object} { price, sources } where `price` is the median price per ounce scaled by 10^8
+ *   and each source reports `status` ('used' | 'excluded' | 'failed')
+ */
+export function aggregate(results, { quorum, maxDeviationBps }) {
+  const scaled = results.map(({ quote }) => scaledPrice(quote));
+  const successful = scaled.filter((price) => price !== null);
+  const initialMedian = successful.length > 0 ? median(successful) : null;
+
+  const sources = results.map(({ name, quote, error }, index) => {
+    const price = scaled[index];
+
+    if (price === null) {
+      return {
+        name,
+        status: 'failed',
+        reason: error ? error.message : 'Invalid price',
+      };
+    }
+
+    const deviation = Math.round(deviationBps(initialMedian, price));
+
+    if (maxDeviationBps > 0 && deviation > maxDeviationBps) {
+      return {
+        name,
+        status: 'excluded',
+        price: quote.price,
+        deviationBps: deviation,
+        reason: `Deviates ${deviation} bps from median`,
+      };
+    }
+
+    return {
+      name,
+      status: 'used',
+      price: quote.price,
+      deviationBps: deviation,
+    };
+  });
+
+  const excluded = sources.filter(({ status }) => status === 'excluded');
+
+  if (successful.length < 3 && excluded.length > 0) {
+    const error = new Error(
+      `Price sources disagree: ${excluded.map(({ name }) => name).join(' and ')} deviate ` +
+      `${excluded[0].deviationBps} bps from their median (max ${maxDeviationBps}); ` +
+      'at least 3 sources are needed to leave one out'
+    );
+    error.sources = sources;
+    throw error;
+  }
+
+  const used = scaled.filter((price, index) => sources[index].status === 'used');
+
+  if (used.length < quorum) {
+    const error = new Error(`Price quorum not met: ${used.length}/${quorum} sources available`);
+    error.sources = sources;
+    throw error;
+  }
+
+  return {
+    price: median(used),
+    sources,
+  };
+}
@@ -0,0 +1,222 @@
+import config from '../config/index.js';
+import baseLogger from '../utils/logger.js';
+import { deviationBps } from '../utils/decimal.js';
+import historyStore from './historyStore.js';
+
+const logger = baseLogger.child({ module: 'priceGuard' });
+
+/**
+ * Circuit breaker guarding on-chain updates against bad feeds
+ *
+ * A new price deviating from the last on-chain price by more than
+ * `config.guard.maxDeviationBps` trips the breaker and the update is held.
+ * The breaker lets the price through once it has been seen on
+ * `config.guard.confirmations` consecutive fetches (all moving in the same
+ * direction), or once an operator approves it through a manual override.
+ * It resets on its own when a fetch comes back within the threshold.
+ *
+ * A confirmed or overridden price only closes the breaker once the caller
+ * reports it published through settle(), so a failed publish keeps the
+ * confirmations and the armed override for the next fetch.
+ *
+ * Each feed (metal) has its own breaker; the record of trips is shared. Every
+ * trip and its resolution is also written to the history store, which keeps
+ * them across restarts.
+ */
+
+const breakers = new Map();
+let nextTripId = 1;
+const trips = [];
+
+/**
+ * Get the breaker state of a feed
+ * @param {string} key - Feed key (metal symbol)
+ * @returns {Object} Breaker state ({ held, overrideArmed })
+ */
+function getBreaker(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, { held: null, overrideArmed: null });
+  }
+  return breakers.get(key);
+}
+
+/**
+ * Record a new tripped breaker
+ * @param {Object} details - Trip details
+ * @returns {Object} Trip record
+ */
+function recordTrip(details) {
+  const trip = {
+    id: nextTripId++,
+    trippedAt: new Date().toISOString(),
+    ...details,
+    confirmations: 1,
+    resolution: null,
+    resolvedAt: null,
+  };
+
+  trips.push(trip);
+  if (trips.length > config.guard.historySize) {
+    trips.shift();
+  }
+
+  historyStore.recordGuardTrip('tripped', trip);
+
+  return trip;
+}
+
+/**
+ * Close a breaker
+ * @param {Object} breaker - Breaker state
+ * @param {string} resolution - How the breaker was resolved (confirmed, override, recovered)
+ */
+function resolve(breaker, resolution) {
+  if (breaker.held) {
+    breaker.held.trip.resolution = resolution;
+    breaker.held.trip.resolvedAt = new Date().toISOString();
+    historyStore.recordGuardTrip('resolved', breaker.held.trip);
+  }
+  breaker.held = null;
+  breaker.overrideArmed = null;
+}
+
+/**
+ * Decide whether a fetched price may be published
+ * @param {Object} currentPrices - Current contract prices
+ * @param {Object} newPrices - New prices from the price providers
+ * @param {string} key - Feed key (defaults to the first configured metal)
+ * @returns {Object} { allowed, reason, deviationBps, trip? }
+ */
+function evaluate(currentPrices, newPrices, key = config.metals[0].symbol) {
+  // Nothing on-chain to compare against yet
+  if (currentPrices.lastUpdated === 0n || currentPrices.pricePerOunce === 0n) {
+    return { allowed: true, reason: 'initial' };
+  }
+
+  const breaker = getBreaker(key);
+  const deviation = deviationBps(currentPrices.pricePerOunce, newPrices.pricePerOunce);
+  const direction = BigInt(newPrices.pricePerOunce) > currentPrices.pricePerOunce ? 'up' : 'down';
+  const rounded = Math.round(deviation);
+
+  if (deviation <= config.guard.maxDeviationBps) {
+    if (breaker.held) {
+      logger.info(`Deviation guard reset (${key}): price back within ${config.guard.maxDeviationBps} bps`);
+      resolve(breaker, 'recovered');
+    }
+    return { allowed: true, reason: 'within-threshold', deviationBps: rounded };
+  }
+
+  if (breaker.held && breaker.overrideArmed) {
+    const { trip } = breaker.held;
+    trip.overrideReason = breaker.overrideArmed.reason;
+    logger.warn(`Deviation guard overridden manually (${key}, ${rounded} bps): ${breaker.overrideArmed.reason}`);
+    return { allowed: true, reason: 'override', deviationBps: rounded, trip };
+  }
+
+  if (breaker.held && breaker.held.direction === direction) {
+    breaker.held.trip.confirmations += 1;
+    breaker.held.trip.candidatePrice = newPrices.pricePerOunce.toString();
+    breaker.held.trip.deviationBps = rounded;
+  } else {
+    if (breaker.held) {
+      resolve(breaker, 'recovered');
+    }
+    breaker.held = {
+      direction,
+      trip: recordTrip({
+        key,
+        onChainPrice: currentPrices.pricePerOunce.toString(),
+        candidatePrice: newPrices.pricePerOunce.toString(),
+        deviationBps: rounded,
+        direction,
+      }),
+    };
+    logger.warn(
+      `Deviation guard tripped (${key}): price moved ${rounded} bps ${direction} ` +
+      `(max ${config.guard.maxDeviationBps} bps)`
+    );
+  }
+
+  const { trip } = breaker.held;
+
+  if (trip.confirmations >= config.guard.confirmations) {
+    logger.warn(`Deviation guard confirmed (${key}) after ${trip.confirmations} consecutive fetches`);
+    return { allowed: true, reason: 'confirmed', deviationBps: rounded, trip };
+  }
+
+  return {
+    allowed: false,
+    reason: 'held',
+    deviationBps: rounded,
+    trip,
+    message:
+      `Price deviates ${rounded} bps from on-chain value; held ` +
+      `(${trip.confirmations}/${config.guard.confirmations} confirmations)`,
+  };
+}
+
+/**
+ * Close the breaker a decision let through once its price is published
+ * @param {Object} decision - Result of evaluate() that allowed the price
+ * @param {string} key - Feed key (defaults to the first configured metal)
+ */
+function settle(decision, key = config.metals[0].symbol) {
+  const breaker = getBreaker(key);
+
+  if (!['override', 'confirmed'].includes(decision.reason) || !breaker.held || breaker.held.trip !== decision.trip) {
+    return;
+  }
+
+  logger.info(`Deviation guard closed (${key}): ${decision.reason} price published`);
+  resolve(breaker, decision.reason);
+}
+
+/**
+ * Approve the currently held price on the next update
+ * @param {string} reason - Operator supplied reason
+ * @param {string} key - Feed key (defaults to the first configured metal)
+ * @returns {Object} Trip being overridden
+ */
+function override(reason = 'Manual override', key = config.metals[0].symbol) {
+  const breaker = getBreaker(key);
+
+  if (!breaker.held) {
+    throw new Error(`Deviation guard is not tripped for ${key}`);
+  }
+
+  breaker.overrideArmed = { reason, armedAt: new Date().toISOString() };
+  logger.warn(`Deviation guard override armed (${key}): ${reason}`);
+
+  return breaker.held.trip;
+}
+
+/**
+ * Get current guard state and the record of tripped breakers
+ * @returns {Object} Guard status
+ */
+function getStatus() {
+  const feeds = {};
+
+  breakers.forEach((breaker, key) => {
+    feeds[key] = {
+      state: breaker.held ? 'tripped' : 'closed',
+      current: breaker.held ? breaker.held.trip : null,
+      overrideArmed: Boolean(breaker.overrideArmed),
+    };
+  });
+
+  return {
+    state: Object.values(feeds).some(({ state }) => state === 'tripped') ? 'tripped' : 'closed',
+    maxDeviationBps: config.guard.maxDeviationBps,
+    requiredConfirmations: config.guard.confirmations,
+    feeds,
+    trips: [...trips].reverse(),
+  };
+}
+
+export default {
+  evaluate,
+  settle,
+  override,
+  getStatus,
+};
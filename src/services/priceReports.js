@@ -0,0 +1,140 @@
+import { ethers } from 'ethers';
+
+/**
+ * Signed price reports (pull-oracle mode)
+ *
+ * Instead of (or next to) publishing every snapshot on-chain, the service
+ * signs each price as an EIP-712 PriceReport that consumers carry into their
+ * own transactions. GoldOracle.submitPriceReport() checks the signature
+ * against the contract's authorized report signers before accepting it.
+ *
+ * Reports are bound to one deployment (chain ID and contract address are part
+ * of the signed domain), so one report is kept per chain, metal and currency.
+ */
+
+// EIP-712 type of a price report; must match GoldOracle.PRICE_REPORT_TYPEHASH
+const REPORT_TYPES = {
+  PriceReport: [
+    { name: 'currency', type: 'bytes32' },
+    { name: 'pricePerGram', type: 'uint256' },
+    { name: 'pricePerOunce', type: 'uint256' },
+    { name: 'pricePerKarat24', type: 'uint256' },
+    { name: 'pricePerKarat22', type: 'uint256' },
+    { name: 'pricePerKarat18', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// Latest signed report keyed by chain:metal:currency
+const latestReports = new Map();
+let lastNonce = 0n;
+
+/**
+ * EIP-712 domain of a GoldOracle deployment
+ * @param {bigint|number} chainId - Chain ID
+ * @param {string} verifyingContract - GoldOracle address
+ * @returns {Object} Typed data domain
+ */
+function reportDomain(chainId, verifyingContract) {
+  return {
+    name: 'GoldOracle',
+    version: '1',
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Next report nonce
+ * Nonces follow the clock (microseconds) so they keep increasing across restarts.
+ * @returns {bigint} Nonce
+ */
+function nextNonce() {
+  const now = BigInt(Date.now()) * 1000n;
+  lastNonce = now > lastNonce ? now : lastNonce + 1n;
+  return lastNonce;
+}
+
+/**
+ * Build an unsigned report
+ * @param {string} currency - Currency as bytes32 (ZeroHash for the contract's base prices)
+ * @param {Object} prices - Prices (8 decimals)
+ * @param {number} timestamp - Unix time the prices were fetched
+ * @returns {Object} PriceReport value
+ */
+function createReport(currency, prices, timestamp) {
+  return {
+    currency,
+    pricePerGram: prices.pricePerGram,
+    pricePerOunce: prices.pricePerOunce,
+    pricePerKarat24: prices.pricePerKarat24,
+    pricePerKarat22: prices.pricePerKarat22,
+    pricePerKarat18: prices.pricePerKarat18,
+    timestamp: BigInt(timestamp),
+    nonce: nextNonce(),
+  };
+}
+
+/**
+ * Sign a report for one deployment
+ * @param {ethers.Signer} signer - Report signer (must be authorized on the contract)
+ * @param {Object} domain - Domain from reportDomain()
+ * @param {Object} report - Report from createReport()
+ * @returns {Promise<Object>} { report, signature, signer, digest, domain }
+ */
+async function signReport(signer, domain, report) {
+  const signature = await signer.signTypedData(domain, REPORT_TYPES, report);
+
+  return {
+    report,
+    signature,
+    signer: await signer.getAddress(),
+    digest: ethers.TypedDataEncoder.hash(domain, REPORT_TYPES, report),
+    domain,
+  };
+}
+
+/**
+ * Keep a signed report as the latest of its feed
+ * @param {Object} feed - Feed the report belongs to
+ * @param {string} feed.chain - Chain name
+ * @param {string} feed.metal - Metal symbol
+ * @param {string} feed.currency - Currency code
+ * @param {Object} signed - Result of signReport()
+ * @returns {Object} Stored report
+ */
+function recordReport({ chain, metal, currency }, signed) {
+  const entry = {
+    chain,
+    metal,
+    currency,
+    ...signed,
+    signedAt: new Date().toISOString(),
+  };
+
+  latestReports.set(`${chain}:${metal}:${currency}`, entry);
+  return entry;
+}
+
+/**
+ * Get the latest signed report of a feed
+ * @param {Object} feed - Feed to look up
+ * @param {string} feed.chain - Chain name
+ * @param {string} feed.metal - Metal symbol
+ * @param {string} feed.currency - Currency code
+ * @returns {Object|null} Stored report, or null if none was signed yet
+ */
+function getLatestReport({ chain, metal, currency }) {
+  return latestReports.get(`${chain}:${metal}:${currency}`) || null;
+}
+
+export { REPORT_TYPES };
+
+export default {
+  reportDomain,
+  createReport,
+  signReport,
+  recordReport,
+  getLatestReport,
+};
@@ -0,0 +1,83 @@
+import axios from 'axios';
+import baseLogger from '../../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'goldApiProvider' });
+
+/**
+ * Price provider for GoldAPI.io
+ * @param {Object} options - Provider options
+ * @param {string} options.key - GoldAPI access token
+ * @param {string} options.baseUrl - GoldAPI base URL
+ * @param {string} options.symbol - Metal symbol (e.g. XAU)
+ * @param {string} options.currency - Quote currency (e.g. USD)
+ * @param {Object} [options.quota] - Quota tracker shared by the providers using this key (see quotaTracker.js)
+ * @returns {Object} Price provider
+ */
+export function createGoldApiProvider({ key, baseUrl, symbol, currency, quota }) {
+  /**
+   * Fetch the spot price per troy ounce from GoldAPI.io
+   * @returns {Promise<Object>} Quote with price per ounce and raw response
+   */
+  async function fetchPrice() {
+    const url = `${baseUrl}/${symbol}/${currency}`;
+
+    if (quota) {
+      quota.assertAvailable();
+    }
+
+    logger.info(`Fetching gold price from: ${url}`, { provider: 'goldapi', symbol, currency });
+
+    try {
+      const response = await axios.get(url, {
+        headers: {
+          'x-access-token': key,
+        },
+      });
+
+      if (quota) {
+        quota.recordResponse(response.status, response.headers);
+      }
+
+      if (response.data && response.data.price) {
+        logger.success(`Successfully fetched gold price: $${response.data.price} per ounce`, {
+          provider: 'goldapi',
+          symbol,
+          currency,
+          price: response.data.price,
+        });
+        return {
+          price: response.data.price,
+          timestamp: response.data.timestamp,
+          raw: response.data,
+        };
+      } else {
+        throw new Error('Invalid response format from GoldAPI');
+      }
+    } catch (error) {
+      if (error.response) {
+        // API responded with error
+        if (quota) {
+          quota.recordResponse(error.response.status, error.response.headers);
+        }
+        logger.error(`GoldAPI error: ${error.response.status} - ${error.response.statusText}`, null, {
+          provider: 'goldapi',
+          status: error.response.status,
+        });
+        throw new Error(`GoldAPI request failed: ${error.response.status}`);
+      } else if (error.request) {
+        // No response received
+        logger.error('No response from GoldAPI', error);
+        throw new Error('GoldAPI did not respond');
+      } else {
+        // Other error
+        logger.error('Error setting up GoldAPI request', error);
+        throw error;
+      }
+    }
+  }
+
+  return {
+    name: 'goldapi',
+    fetchPrice,
+  };
+}
@@ -0,0 +1,80 @@
+import config from '../../config/index.js';
+import { createGoldApiProvider } from './goldApiProvider.js';
+import { createMetalsApiProvider } from './metalsApiProvider.js';
+import { createStaticProvider } from './staticProvider.js';
+import { createQuotaTracker } from './quotaTracker.js';
+
+// GoldAPI quotas are per account, so every GoldAPI provider shares one tracker
+const goldApiQuota = createQuotaTracker({
+  name: 'GoldAPI',
+  backoffSeconds: config.goldApi.backoffSeconds,
+  maxBackoffSeconds: config.goldApi.maxBackoffSeconds,
+});
+
+/**
+ * Price provider registry
+ *
+ * Every provider is an object of the shape
+ *   { name: string, fetchPrice: () => Promise<{ price: number|string, timestamp?: number }> }
+ * where `price` is the spot price per troy ounce of one metal in one quote currency,
+ * as a decimal number or string.
+ */
+const factories = {
+  goldapi: ({ symbol, currency }) => createGoldApiProvider({
+    key: config.goldApi.key,
+    baseUrl: config.goldApi.baseUrl,
+    symbol,
+    currency,
+    quota: goldApiQuota,
+  }),
+  metalsapi: ({ symbol, currency }) => createMetalsApiProvider({
+    key: config.providers.metalsApi.key,
+    baseUrl: config.providers.metalsApi.baseUrl,
+    symbol,
+    currency,
+  }),
+  static: ({ symbol }) => createStaticProvider({
+    price: config.providers.static.prices[symbol],
+    file: config.providers.static.file,
+    symbol,
+  }),
+};
+
+/**
+ * Build the providers enabled in configuration
+ * @param {string[]} names - Provider names (defaults to config.providers.enabled)
+ * @param {Object} options - Provider options
+ * @param {string} options.symbol - Metal symbol (defaults to the first configured metal)
+ * @param {string} options.currency - Quote currency (defaults to the base currency)
+ * @returns {Object[]} Price providers
+ */
+export function createProviders(names = config.providers.enabled, {
+  symbol = config.metals[0].symbol,
+  currency = config.goldApi.currency,
+} = {}) {
+  return names.map((name) => {
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown price provider: ${name}`);
+    }
+
+    return factory({ symbol, currency });
+  });
+}
+
+/**
+ * Quota state of the rate-limited price APIs
+ * @returns {Object} Quota status by provider name
+ */
+export function getQuotaStatus() {
+  return {
+    goldapi: goldApiQuota.getStatus(),
+  };
+}
+
+export {
+  createGoldApiProvider,
+  createMetalsApiProvider,
+  createStaticProvider,
+};
@@ -0,0 +1,77 @@
+import axios from 'axios';
+import baseLogger from '../../utils/logger.js';
+import { PRICE_DECIMALS, formatDecimal, reciprocal } from '../../utils/decimal.js';
+
+const logger = baseLogger.child({ module: 'metalsApiProvider' });
+
+/**
+ * Price provider for Metals-API style JSON endpoints
+ * (`GET /latest?access_key=...&base=USD&symbols=XAU`)
+ * @param {Object} options - Provider options
+ * @param {string} options.key - Access key
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.symbol - Metal symbol (e.g. XAU)
+ * @param {string} options.currency - Quote currency (e.g. USD)
+ * @returns {Object} Price provider
+ */
+export function createMetalsApiProvider({ key, baseUrl, symbol, currency }) {
+  /**
+   * Fetch the spot price per troy ounce from a Metals-API style endpoint
+   * @returns {Promise<Object>} Quote with price per ounce and raw response
+   */
+  async function fetchPrice() {
+    const url = `${baseUrl}/latest`;
+
+    logger.info(`Fetching gold price from: ${url}`);
+
+    try {
+      const response = await axios.get(url, {
+        params: {
+          access_key: key,
+          base: currency,
+          symbols: symbol,
+        },
+      });
+
+      const data = response.data;
+
+      if (!data || data.success === false || !data.rates) {
+        throw new Error('Invalid response format from Metals-API');
+      }
+
+      // Newer responses carry the direct quote (e.g. USDXAU), older ones only
+      // the inverse rate (ounces per unit of currency)
+      let price = data.rates[`${currency}${symbol}`];
+      if (!price && data.rates[symbol] > 0) {
+        price = formatDecimal(reciprocal(data.rates[symbol]), { fractionDigits: PRICE_DECIMALS });
+      }
+
+      if (!price || !(Number(price) > 0)) {
+        throw new Error(`Metals-API response has no rate for ${symbol}`);
+      }
+
+      logger.success(`Successfully fetched gold price from Metals-API: $${price} per ounce`);
+
+      return {
+        price,
+        timestamp: data.timestamp,
+        raw: data,
+      };
+    } catch (error) {
+      if (error.response) {
+        logger.error(`Metals-API error: ${error.response.status} - ${error.response.statusText}`);
+        throw new Error(`Metals-API request failed: ${error.response.status}`);
+      } else if (error.request) {
+        logger.error('No response from Metals-API', error);
+        throw new Error('Metals-API did not respond');
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return {
+    name: 'metalsapi',
+    fetchPrice,
+  };
+}
@@ -0,0 +1,163 @@
+import baseLogger from '../../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'quotaTracker' });
+
+/**
+ * Quota tracker for a rate-limited price API
+ *
+ * Reads the rate-limit headers of every response (X-RateLimit-Limit,
+ * X-RateLimit-Remaining, X-RateLimit-Reset) and backs off while the quota is
+ * used up: until the reset time, or after a 429 until Retry-After. Without
+ * either header the backoff doubles with every consecutive 429, from
+ * `backoffSeconds` up to `maxBackoffSeconds`. One tracker is shared by every
+ * provider using the same API key.
+ *
+ * @param {Object} options - Tracker options
+ * @param {string} options.name - API name, for logs and errors
+ * @param {number} options.backoffSeconds - First backoff after a 429 without Retry-After
+ * @param {number} options.maxBackoffSeconds - Longest backoff
+ * @returns {Object} Tracker with assertAvailable(), recordResponse(), getStatus()
+ */
+export function createQuotaTracker({ name, backoffSeconds, maxBackoffSeconds }) {
+  const state = {
+    limit: null,
+    remaining: null,
+    resetAt: null,
+    backoffUntil: 0,
+    rateLimited: 0,
+    consecutiveRateLimited: 0,
+  };
+
+  /**
+   * Read a header from a plain or axios headers object
+   * @param {Object} headers - Response headers
+   * @param {string} header - Lower-case header name
+   * @returns {string|undefined} Header value
+   */
+  const read = (headers, header) => {
+    if (!headers) {
+      return undefined;
+    }
+    const value = typeof headers.get === 'function' ? headers.get(header) : headers[header];
+    return value === undefined || value === null ? undefined : String(value);
+  };
+
+  /**
+   * Parse a reset header: epoch seconds, or seconds from now for small values
+   * @param {string} value - Header value
+   * @returns {number|null} Reset time in milliseconds
+   */
+  const parseReset = (value) => {
+    const seconds = Number(value);
+    if (value === undefined || !Number.isFinite(seconds)) {
+      return null;
+    }
+    return seconds > 1e9 ? seconds * 1000 : Date.now() + seconds * 1000;
+  };
+
+  /**
+   * Parse Retry-After: seconds or an HTTP date
+   * @param {string} value - Header value
+   * @returns {number|null} Time to retry at in milliseconds
+   */
+  const parseRetryAfter = (value) => {
+    if (value === undefined) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Date.now() + seconds * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date;
+  };
+
+  /**
+   * Back off until a time
+   * @param {number} until - Time in milliseconds
+   * @param {string} reason - Why, for the log
+   */
+  const backOff = (until, reason) => {
+    if (until <= state.backoffUntil) {
+      return;
+    }
+    state.backoffUntil = until;
+    logger.warn(`${name} ${reason}, backing off for ${Math.ceil((until - Date.now()) / 1000)}s`);
+  };
+
+  /**
+   * Throw while backing off, so no request is spent on a known rejection
+   */
+  function assertAvailable() {
+    const wait = state.backoffUntil - Date.now();
+
+    if (wait > 0) {
+      const error = new Error(`${name} quota exhausted, backing off for ${Math.ceil(wait / 1000)}s`);
+      error.code = 'QUOTA_BACKOFF';
+      throw error;
+    }
+  }
+
+  /**
+   * Record the rate-limit headers and status of a response
+   * @param {number} status - HTTP status
+   * @param {Object} headers - Response headers
+   */
+  function recordResponse(status, headers) {
+    const limit = read(headers, 'x-ratelimit-limit');
+    const remaining = read(headers, 'x-ratelimit-remaining');
+    const resetAt = parseReset(read(headers, 'x-ratelimit-reset'));
+
+    if (limit !== undefined) {
+      state.limit = Number(limit);
+    }
+    if (remaining !== undefined) {
+      state.remaining = Number(remaining);
+    }
+    if (resetAt !== null) {
+      state.resetAt = resetAt;
+    }
+
+    if (status === 429) {
+      state.rateLimited++;
+      state.consecutiveRateLimited++;
+
+      const exponential = Math.min(
+        backoffSeconds * 2 ** (state.consecutiveRateLimited - 1),
+        maxBackoffSeconds
+      );
+      const until = parseRetryAfter(read(headers, 'retry-after')) || resetAt || Date.now() + exponential * 1000;
+      backOff(until, 'rate limit hit (429)');
+      return;
+    }
+
+    state.consecutiveRateLimited = 0;
+
+    if (state.remaining === 0) {
+      backOff(state.resetAt || Date.now() + backoffSeconds * 1000, 'quota used up');
+    }
+  }
+
+  /**
+   * Current quota state
+   * @returns {Object} Quota status
+   */
+  function getStatus() {
+    const backingOff = state.backoffUntil > Date.now();
+
+    return {
+      limit: state.limit,
+      remaining: state.remaining,
+      resetAt: state.resetAt ? new Date(state.resetAt).toISOString() : null,
+      backingOff,
+      backoffUntil: backingOff ? new Date(state.backoffUntil).toISOString() : null,
+      rateLimited: state.rateLimited,
+    };
+  }
+
+  return {
+    assertAvailable,
+    recordResponse,
+    getStatus,
+  };
+}
@@ -0,0 +1,40 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Price provider returning a fixed price or the contents of a JSON file.
+ * Intended for local development and tests.
+ * @param {Object} options - Provider options
+ * @param {number} [options.price] - Fixed price per ounce
+ * @param {string} [options.file] - Path to a JSON file of the form `{ "price": 2037.5 }` or
+ *   `{ "XAU": 2037.5, "XAG": 24.1 }`, re-read on every fetch
+ * @param {string} [options.symbol] - Metal symbol used to pick a price from the file
+ * @returns {Object} Price provider
+ */
+export function createStaticProvider({ price, file, symbol }) {
+  /**
+   * Return the configured price per troy ounce
+   * @returns {Promise<Object>} Quote with price per ounce
+   */
+  async function fetchPrice() {
+    let value = price;
+
+    if (file) {
+      const contents = JSON.parse(await readFile(file, 'utf8'));
+      value = symbol && contents[symbol] !== undefined ? contents[symbol] : contents.price;
+    }
+
+    if (!value || !Number.isFinite(Number(value))) {
+      throw new Error('Static provider has no valid price configured');
+    }
+
+    return {
+      price: Number(value),
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  return {
+    name: 'static',
+    fetchPrice,
+  };
+}
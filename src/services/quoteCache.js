@@ -0,0 +1,94 @@
+/**
+ * In-memory quote cache with a TTL and request coalescing
+ *
+ * Concurrent callers asking for the same key while a fetch is in flight share
+ * that fetch instead of starting their own, so a burst of requests costs one
+ * upstream call. Failed fetches are not cached.
+ *
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlSeconds - How long a fetched value is served from the cache (0 disables caching,
+ *   concurrent fetches are still coalesced)
+ * @returns {Object} Quote cache
+ */
+export function createQuoteCache({ ttlSeconds }) {
+  // key -> { value, fetchedAt }
+  const entries = new Map();
+  // key -> Promise of the value being fetched
+  const inFlight = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+  /**
+   * Cached entry of a key, if still fresh
+   * @param {string} key - Cache key
+   * @returns {Object|null} { value, fetchedAt, ageSeconds } or null
+   */
+  function peek(key) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    const ageSeconds = (Date.now() - entry.fetchedAt) / 1000;
+    if (ageSeconds >= ttlSeconds) {
+      entries.delete(key);
+      return null;
+    }
+
+    return { ...entry, ageSeconds };
+  }
+
+  /**
+   * Fetch a value, sharing the fetch with concurrent callers, and cache it
+   * @param {string} key - Cache key
+   * @param {Function} load - Async function fetching the value
+   * @returns {Promise<Object>} { value, fetchedAt, ageSeconds: 0, cached: false }
+   */
+  function refresh(key, load) {
+    if (inFlight.has(key)) {
+      stats.coalesced++;
+      return inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await load();
+        const entry = { value, fetchedAt: Date.now() };
+
+        entries.set(key, entry);
+        return { ...entry, ageSeconds: 0, cached: false };
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Serve a fresh cached value, or fetch it
+   * @param {string} key - Cache key
+   * @param {Function} load - Async function fetching the value
+   * @returns {Promise<Object>} { value, fetchedAt, ageSeconds, cached }
+   */
+  async function get(key, load) {
+    const entry = peek(key);
+
+    if (entry) {
+      stats.hits++;
+      return { ...entry, cached: true };
+    }
+
+    stats.misses++;
+    return refresh(key, load);
+  }
+
+  return {
+    get,
+    refresh,
+    peek,
+    clear: () => entries.clear(),
+    getStats: () => ({ ...stats, entries: entries.size, inFlight: inFlight.size }),
+  };
+}
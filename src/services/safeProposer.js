@@ -0,0 +1,195 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'safeProposer' });
+
+/**
+ * Safe transaction proposer
+ *
+ * Stands in for the transaction manager when the oracle contract is owned by
+ * a Safe multisig: instead of sending a transaction, each contract call is
+ * signed as a Safe transaction by the proposer and submitted to a Safe
+ * transaction service, where the owners confirm and execute it.
+ *
+ * Nonces come from the service (the Safe's current nonce) and are tracked
+ * locally for proposals that are still waiting. A new proposal for the same
+ * call (same contract, function and feed) reuses the nonce of the waiting
+ * one, so owners see one up to date price per feed instead of a backlog.
+ */
+
+// EIP-712 type of a Safe transaction
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+/**
+ * Key of the feed a call updates: contract, function and, for currency-keyed
+ * functions, the currency argument
+ * @param {Function} method - Contract method
+ * @param {Array} args - Method arguments
+ * @param {string} to - Contract address
+ * @returns {string} Proposal key
+ */
+const proposalKey = (method, args, to) => {
+  const { fragment } = method;
+  const currency = fragment.inputs.length > 0 && fragment.inputs[0].type === 'bytes32' ? args[0] : '';
+
+  return `${to.toLowerCase()}:${fragment.selector}:${currency}`;
+};
+
+/**
+ * Create a Safe transaction proposer
+ * @param {Object} options - Proposer options
+ * @param {ethers.Provider} options.provider - Chain provider
+ * @param {ethers.Signer} options.signer - Safe owner or delegate that signs proposals
+ * @param {string} options.safeAddress - Safe that owns the oracle contracts
+ * @param {string} options.serviceUrl - Safe transaction service base URL
+ * @param {string} [options.origin] - Origin label shown in Safe interfaces
+ * @returns {Object} Proposer with sendTransaction() and getStatus()
+ */
+export function createSafeProposer({
+  provider,
+  signer,
+  safeAddress,
+  serviceUrl,
+  origin = 'gold-oracle',
+}) {
+  const safe = ethers.getAddress(safeAddress);
+  const baseUrl = `${serviceUrl.replace(/\/$/, '')}/api/v1/safes/${safe}`;
+
+  let nextNonce = null;
+  // Waiting proposals keyed by proposalKey()
+  const proposals = new Map();
+  let queue = Promise.resolve();
+
+  /**
+   * Call the Safe transaction service
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the Safe's endpoint
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} Response body
+   */
+  async function request(method, path, body) {
+    try {
+      const response = await axios({ method, url: `${baseUrl}${path}`, data: body });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(
+          `Safe transaction service ${method.toUpperCase()} ${path} failed: ${error.response.status} ` +
+          JSON.stringify(error.response.data)
+        );
+      }
+      throw new Error(`Safe transaction service did not respond: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign a contract call as a Safe transaction and submit it
+   * @param {Function} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} { proposed: true, hash (safeTxHash), safe, nonce }
+   */
+  async function propose(method, args) {
+    const call = await method.populateTransaction(...args);
+    const key = proposalKey(method, args, call.to);
+    const { chainId } = await provider.getNetwork();
+    const safeNonce = Number((await request('get', '/')).nonce);
+
+    // Proposals below the Safe's nonce were executed or replaced
+    proposals.forEach((proposal, waitingKey) => {
+      if (proposal.nonce < safeNonce) {
+        proposals.delete(waitingKey);
+      }
+    });
+    if (nextNonce === null || nextNonce < safeNonce) {
+      nextNonce = safeNonce;
+    }
+
+    const waiting = proposals.get(key);
+    const nonce = waiting ? waiting.nonce : nextNonce;
+
+    const transaction = {
+      to: call.to,
+      value: 0n,
+      data: call.data,
+      operation: 0,
+      safeTxGas: 0n,
+      baseGas: 0n,
+      gasPrice: 0n,
+      gasToken: ethers.ZeroAddress,
+      refundReceiver: ethers.ZeroAddress,
+      nonce,
+    };
+    const domain = { chainId, verifyingContract: safe };
+    const safeTxHash = ethers.TypedDataEncoder.hash(domain, SAFE_TX_TYPES, transaction);
+    const signature = await signer.signTypedData(domain, SAFE_TX_TYPES, transaction);
+
+    await request('post', '/multisig-transactions/', {
+      ...transaction,
+      value: '0',
+      safeTxGas: '0',
+      baseGas: '0',
+      gasPrice: '0',
+      contractTransactionHash: safeTxHash,
+      sender: await signer.getAddress(),
+      signature,
+      origin,
+    });
+
+    if (!waiting) {
+      nextNonce = nonce + 1;
+    }
+    proposals.set(key, { nonce, safeTxHash, to: call.to, proposedAt: new Date().toISOString() });
+
+    logger.success(
+      `Proposed Safe transaction ${safeTxHash} (Safe ${safe}, nonce ${nonce}${waiting ? ', replaces waiting proposal' : ''})`
+    );
+
+    return { proposed: true, hash: safeTxHash, safe, nonce };
+  }
+
+  /**
+   * Queue a contract call as a Safe proposal; proposals are made one after another
+   * @param {Function} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} { proposed: true, hash (safeTxHash), safe, nonce }
+   */
+  function sendTransaction(method, args) {
+    const result = queue.then(() => propose(method, args));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Safe nonce and waiting proposals
+   * @returns {Object} { safe, nextNonce, pending, proposals }
+   */
+  function getStatus() {
+    return {
+      safe,
+      nextNonce,
+      pending: null,
+      proposals: [...proposals.values()],
+    };
+  }
+
+  return {
+    sendTransaction,
+    getStatus,
+  };
+}
+
+export { SAFE_TX_TYPES };
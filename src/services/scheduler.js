@@ -0,0 +1,311 @@
+import baseLogger from '../utils/logger.js';
+import { parseSchedule } from '../utils/cron.js';
+import { createMarketCalendar } from '../utils/marketCalendar.js';
+
+const logger = baseLogger.child({ module: 'scheduler' });
+
+/**
+ * Scheduled jobs with market hours, jitter, backoff and an overlap guard
+ *
+ * A job runs on its schedule (cron or duration, see utils/cron.js) while the
+ * market is open and on its closed schedule while it is closed. Each run is
+ * delayed by up to `jitterSeconds`, so instances sharing a schedule do not
+ * all hit the price API at once. After consecutive failures the job waits
+ * `initialSeconds`, doubling per failure up to `maxSeconds`, before the next
+ * slot of its schedule. A run due while the previous one is still going is
+ * skipped.
+ */
+
+// Longest delay setTimeout accepts; later runs are reached in several steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Give up planning after this many slots in the wrong market state
+const MAX_PLANNING_STEPS = 1000;
+
+// How far ahead getMaxGapSeconds() looks; two weeks cover every weekly pattern
+const GAP_HORIZON_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a scheduled job
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name, for logs and status
+ * @param {string} options.schedule - Schedule while the market is open
+ * @param {string} [options.closedSchedule] - Schedule while it is closed (default: the open schedule)
+ * @param {Object} [options.calendar] - Market calendar (default: always open)
+ * @param {number} [options.jitterSeconds] - Random delay added to each scheduled run
+ * @param {Object} [options.backoff] - { initialSeconds, maxSeconds } after failed runs
+ * @param {Function} options.run - Job, called with the trigger ('schedule' or the one given to
+ *   runNow()); resolves to false (or rejects) when the run failed
+ * @param {Function} [options.now] - Clock
+ * @param {Function} [options.random] - Random number in [0, 1) for the jitter
+ * @returns {Object} Job with start(), stop(), runNow(), getNextRun(), getMaxGapSeconds() and getStatus()
+ */
+export function createScheduler({
+  name,
+  schedule,
+  closedSchedule = schedule,
+  calendar = createMarketCalendar(),
+  jitterSeconds = 0,
+  backoff = { initialSeconds: 60, maxSeconds: 900 },
+  run,
+  now = Date.now,
+  random = Math.random,
+}) {
+  const open = parseSchedule(schedule);
+  const closed = parseSchedule(closedSchedule);
+  const jobLogger = logger.child({ job: name });
+
+  let timer = null;
+  let running = null;
+  // Next slot of the schedule, and when the job runs for it (the slot plus jitter)
+  let nextSlotAt = null;
+  let nextRunAt = null;
+  let consecutiveFailures = 0;
+  let backoffUntil = null;
+  let lastRun = null;
+  let skipped = 0;
+
+  /**
+   * First slot of a schedule after a time in the given market state
+   * @param {Object} slots - Parsed schedule
+   * @param {number} after - Time in milliseconds
+   * @param {boolean} marketOpen - Market state the slot must fall in
+   * @returns {number|null} Slot time, or null if there is none
+   */
+  function nextSlot(slots, after, marketOpen) {
+    let from = after;
+
+    for (let step = 0; step < MAX_PLANNING_STEPS; step++) {
+      const time = slots.next(from);
+
+      if (calendar.isOpen(time) === marketOpen) {
+        return time;
+      }
+
+      // Skip to the next market change instead of walking every slot
+      const change = calendar.nextChange(time);
+      if (change === null) {
+        return null;
+      }
+      from = change - 1;
+    }
+    return null;
+  }
+
+  /**
+   * Next slot of the job after a time, from whichever schedule applies then
+   * @param {number} after - Time in milliseconds
+   * @returns {number} Slot time
+   */
+  function plan(after) {
+    if (calendar.neverCloses) {
+      return open.next(after);
+    }
+
+    const slots = [nextSlot(open, after, true), nextSlot(closed, after, false)].filter((time) => time !== null);
+
+    if (slots.length === 0) {
+      throw new Error(`${name}: no run planned within the calendar's horizon`);
+    }
+    return Math.min(...slots);
+  }
+
+  /**
+   * Set the timer for the first slot after a time
+   * @param {number} after - Time in milliseconds
+   */
+  function arm(after) {
+    clearTimeout(timer);
+    nextSlotAt = plan(backoffUntil ? Math.max(after, backoffUntil) : after);
+    nextRunAt = nextSlotAt + Math.floor(random() * jitterSeconds * 1000);
+    wait();
+  }
+
+  /**
+   * Wait for the planned run, in steps setTimeout can handle
+   */
+  function wait() {
+    timer = setTimeout(() => {
+      if (now() < nextRunAt) {
+        wait();
+        return;
+      }
+      arm(nextSlotAt);
+      execute('schedule');
+    }, Math.min(Math.max(nextRunAt - now(), 0), MAX_TIMEOUT_MS));
+  }
+
+  /**
+   * Run the job unless it is still running
+   * @param {string} trigger - What started the run
+   * @returns {Promise<boolean|null>} Whether the run succeeded, or null if it was skipped
+   */
+  async function execute(trigger) {
+    if (running) {
+      skipped++;
+      jobLogger.warn(`${name}: previous run still in progress, skipping this run`, { trigger });
+      return null;
+    }
+
+    const startedAt = now();
+    running = (async () => {
+      try {
+        return (await run(trigger)) !== false;
+      } catch (error) {
+        jobLogger.error(`${name}: run failed`, error, { trigger });
+        return false;
+      }
+    })();
+
+    try {
+      const succeeded = await running;
+      const finishedAt = now();
+
+      lastRun = {
+        trigger,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        succeeded,
+      };
+
+      if (succeeded) {
+        consecutiveFailures = 0;
+        backoffUntil = null;
+      } else {
+        consecutiveFailures++;
+        const delaySeconds = Math.min(
+          backoff.initialSeconds * 2 ** (consecutiveFailures - 1),
+          backoff.maxSeconds
+        );
+        backoffUntil = finishedAt + delaySeconds * 1000;
+
+        // Push back a run planned within the backoff
+        if (timer && nextSlotAt < backoffUntil) {
+          arm(backoffUntil);
+        }
+        jobLogger.warn(
+          `${name}: ${consecutiveFailures} failed run(s) in a row, backing off ${delaySeconds}s`
+          + (timer ? ` (next run ${new Date(nextRunAt).toISOString()})` : ''),
+          { consecutiveFailures }
+        );
+      }
+
+      return succeeded;
+    } finally {
+      running = null;
+    }
+  }
+
+  /**
+   * Start running on schedule
+   */
+  function start() {
+    arm(now());
+    jobLogger.info(
+      `${name}: scheduled with ${open.expression}`
+      + (closed.expression !== open.expression ? ` (${closed.expression} while the market is closed)` : '')
+      + `, next run ${new Date(nextRunAt).toISOString()}`
+    );
+  }
+
+  /**
+   * Stop running on schedule (a run in progress completes)
+   */
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextSlotAt = null;
+    nextRunAt = null;
+  }
+
+  /**
+   * Run the job now, outside its schedule
+   * @param {string} [trigger] - What started the run, e.g. 'startup'
+   * @returns {Promise<boolean|null>} Whether the run succeeded, or null if one was already running
+   */
+  function runNow(trigger = 'manual') {
+    return execute(trigger);
+  }
+
+  /**
+   * When the job runs next
+   * @returns {Date|null} Next run, or null when not started
+   */
+  function getNextRun() {
+    return nextRunAt === null ? null : new Date(nextRunAt);
+  }
+
+  /**
+   * Longest time between two scheduled runs over the next two weeks, jitter included
+   * (backoff not included)
+   * @returns {number} Seconds
+   */
+  function getMaxGapSeconds() {
+    if (calendar.neverCloses && open.type === 'interval') {
+      return Math.ceil(open.intervalMs / 1000) + jitterSeconds;
+    }
+
+    const from = now();
+    const end = from + GAP_HORIZON_MS;
+    let previous = from;
+    let maxGap = 0;
+
+    // Walk the market's open and closed periods, each on the schedule that applies in it
+    for (let periodStart = from; periodStart < end;) {
+      const slots = calendar.isOpen(periodStart) ? open : closed;
+      const change = calendar.nextChange(periodStart);
+      const periodEnd = change === null ? end : Math.min(change, end);
+      let slot = slots.next(periodStart - 1);
+
+      if (slots.type === 'interval') {
+        // Evenly spaced: only the first slot and the last one of the period matter
+        if (slot < periodEnd) {
+          maxGap = Math.max(maxGap, slot - previous, slot + slots.intervalMs < periodEnd ? slots.intervalMs : 0);
+          previous = slot + Math.floor((periodEnd - 1 - slot) / slots.intervalMs) * slots.intervalMs;
+        }
+      } else {
+        for (; slot < periodEnd; slot = slots.next(slot)) {
+          maxGap = Math.max(maxGap, slot - previous);
+          previous = slot;
+        }
+      }
+      periodStart = periodEnd;
+    }
+
+    // From the last run within the horizon to the one after it
+    maxGap = Math.max(maxGap, plan(previous) - previous);
+
+    return Math.ceil(maxGap / 1000) + jitterSeconds;
+  }
+
+  /**
+   * Schedule, market state, next run and recent outcome
+   * @returns {Object} Job status
+   */
+  function getStatus() {
+    const time = now();
+
+    return {
+      name,
+      schedule: open.expression,
+      closedSchedule: closed.expression,
+      calendar: calendar.name,
+      marketOpen: calendar.isOpen(time),
+      nextRunAt: nextRunAt === null ? null : new Date(nextRunAt).toISOString(),
+      running: Boolean(running),
+      lastRun,
+      consecutiveFailures,
+      backoffUntil: backoffUntil && backoffUntil > time ? new Date(backoffUntil).toISOString() : null,
+      skipped,
+    };
+  }
+
+  return {
+    start,
+    stop,
+    runNow,
+    getNextRun,
+    getMaxGapSeconds,
+    getStatus,
+  };
+}
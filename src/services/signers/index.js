@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+import { createKeystoreSigner } from './keystoreSigner.js';
+import { createRemoteSigner, RemoteSigner } from './remoteSigner.js';
+
+/**
+ * Signer plugin registry
+ *
+ * Every plugin resolves to an object of the shape
+ *   { type: string, signer: ethers.Signer, address: string, safe?: { address, serviceUrl } }
+ * where `signer` is connected to the chain's provider and `address` is the
+ * account price updates come from on-chain. The `safe` plugin does not send
+ * transactions: `signer` is the proposer, `address` the Safe, and updates
+ * are submitted as multisig proposals (see safeProposer.js).
+ */
+const factories = {
+  privatekey: async ({ privateKey }, provider) => new ethers.Wallet(privateKey, provider),
+  keystore: ({ keystore }, provider) => createKeystoreSigner(keystore, provider),
+  remote: ({ remote }, provider) => createRemoteSigner(remote, provider),
+};
+
+/**
+ * Create the signer configured for a chain
+ * @param {Object} options - Signer configuration (see config.chains[].signer)
+ * @param {string} options.type - privatekey, keystore, remote or safe
+ * @param {ethers.Provider} provider - Provider the signer is connected to
+ * @returns {Promise<Object>} { type, signer, address, safe? }
+ */
+export async function createSigner(options, provider) {
+  if (options.type === 'safe') {
+    const { address, serviceUrl, proposer } = options.safe;
+
+    if (!factories[proposer]) {
+      throw new Error(`Unknown Safe proposer signer: ${proposer} (supported: ${Object.keys(factories).join(', ')})`);
+    }
+
+    const { signer } = await createSigner({ ...options, type: proposer }, provider);
+
+    return {
+      type: 'safe',
+      signer,
+      address: ethers.getAddress(address),
+      safe: { address: ethers.getAddress(address), serviceUrl },
+    };
+  }
+
+  const factory = factories[options.type];
+
+  if (!factory) {
+    throw new Error(`Unknown signer: ${options.type} (supported: ${Object.keys(factories).join(', ')}, safe)`);
+  }
+
+  const signer = await factory(options, provider);
+
+  return {
+    type: options.type,
+    signer,
+    address: await signer.getAddress(),
+  };
+}
+
+export {
+  createKeystoreSigner,
+  createRemoteSigner,
+  RemoteSigner,
+};
@@ -0,0 +1,37 @@
+import { readFile } from 'fs/promises';
+import { ethers } from 'ethers';
+import baseLogger, { registerSecret } from '../../utils/logger.js';
+
+const logger = baseLogger.child({ module: 'keystoreSigner' });
+
+/**
+ * Signer unlocked from an encrypted JSON keystore (as written by geth,
+ * `cast wallet import` or ethers' `Wallet.encrypt`)
+ * @param {Object} options - Signer options
+ * @param {string} options.file - Path to the keystore JSON file
+ * @param {string} options.passwordFile - Path to a file holding the keystore password
+ *   (one trailing newline is ignored)
+ * @param {ethers.Provider} provider - Provider the signer is connected to
+ * @returns {Promise<ethers.Wallet>} Unlocked signer
+ */
+export async function createKeystoreSigner({ file, passwordFile }, provider) {
+  const json = await readFile(file, 'utf8');
+  const password = (await readFile(passwordFile, 'utf8')).replace(/\r?\n$/, '');
+
+  // Not from the environment (nor is the unlocked key), so the logger would not redact it yet
+  registerSecret(password);
+
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`${file} is not an encrypted JSON keystore`);
+  }
+
+  logger.info(`Unlocking keystore ${file}...`);
+
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    registerSecret(wallet.privateKey);
+    return wallet.connect(provider);
+  } catch (error) {
+    throw new Error(`Failed to unlock keystore ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,151 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+/**
+ * Client for a remote signing service
+ *
+ * Keys stay with the service; this client sends it what to sign and checks
+ * every signature against the expected address before it is used. The
+ * service speaks a small JSON protocol:
+ *
+ *   GET  /address          -> { address }
+ *   POST /sign/transaction { transaction: <unsigned serialized tx> } -> { signedTransaction }
+ *   POST /sign/message     { message: <hex bytes> }                  -> { signature }
+ *   POST /sign/typed-data  { domain, types, value }                  -> { signature }
+ *
+ * Requests carry `Authorization: Bearer <token>` when a token is configured.
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {Object} options - Signer options
+   * @param {string} options.url - Base URL of the signing service
+   * @param {string} options.address - Address the service signs for
+   * @param {string} [options.token] - Bearer token
+   * @param {number} [options.timeoutMs] - Request timeout
+   * @param {ethers.Provider} [provider] - Provider the signer is connected to
+   */
+  constructor({ url, address, token, timeoutMs = 10000 }, provider = null) {
+    super(provider);
+    this.options = { url, address: ethers.getAddress(address), token, timeoutMs };
+    this.http = axios.create({
+      baseURL: url.replace(/\/$/, ''),
+      timeout: timeoutMs,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+  }
+
+  /**
+   * Send a request to the signing service
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} Response body
+   */
+  async request(path, body) {
+    try {
+      // Typed data values may be BigInt; send them as decimal strings
+      const payload = JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+      const response = await this.http.post(path, payload, {
+        headers: { 'Content-Type': 'application/json' },
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const reason = error.response.data && error.response.data.error;
+        throw new Error(`Remote signer request ${path} failed: ${error.response.status}${reason ? ` - ${reason}` : ''}`);
+      }
+      throw new Error(`Remote signer did not respond (${path}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a signature was made by the expected address
+   * @param {string} signer - Recovered signer address
+   */
+  checkSigner(signer) {
+    if (signer.toLowerCase() !== this.options.address.toLowerCase()) {
+      throw new Error(`Remote signer returned a signature from ${signer}, expected ${this.options.address}`);
+    }
+  }
+
+  async getAddress() {
+    return this.options.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.options, provider);
+  }
+
+  async signTransaction(tx) {
+    const request = ethers.copyRequest(tx);
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? ethers.resolveAddress(request.to, this.provider) : undefined,
+      from: request.from ? ethers.resolveAddress(request.from, this.provider) : undefined,
+    });
+
+    if (from) {
+      this.checkSigner(from);
+    }
+    if (to) {
+      request.to = to;
+    }
+    delete request.from;
+
+    const unsigned = ethers.Transaction.from(request);
+    const { signedTransaction } = await this.request('/sign/transaction', {
+      transaction: unsigned.unsignedSerialized,
+    });
+
+    const signed = ethers.Transaction.from(signedTransaction);
+
+    // Never broadcast anything but the transaction that was asked for
+    if (signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Remote signer returned a different transaction than requested');
+    }
+    this.checkSigner(signed.from);
+
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const { signature } = await this.request('/sign/message', { message: ethers.hexlify(bytes) });
+
+    this.checkSigner(ethers.verifyMessage(bytes, signature));
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await this.request('/sign/typed-data', { domain, types, value });
+
+    this.checkSigner(ethers.verifyTypedData(domain, types, value, signature));
+    return signature;
+  }
+}
+
+/**
+ * Create a remote signer, asking the service for its address unless configured
+ * @param {Object} options - Signer options
+ * @param {string} options.url - Base URL of the signing service
+ * @param {string} [options.address] - Address the service signs for
+ * @param {string} [options.token] - Bearer token
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @param {ethers.Provider} provider - Provider the signer is connected to
+ * @returns {Promise<RemoteSigner>} Signer
+ */
+export async function createRemoteSigner({ url, address, token, timeoutMs }, provider) {
+  let signerAddress = address;
+
+  if (!signerAddress) {
+    try {
+      const response = await axios.get(`${url.replace(/\/$/, '')}/address`, {
+        timeout: timeoutMs,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      signerAddress = response.data.address;
+    } catch (error) {
+      throw new Error(`Failed to get the remote signer address from ${url}: ${error.message}`);
+    }
+  }
+
+  return new RemoteSigner({ url, address: signerAddress, token, timeoutMs }, provider);
+}
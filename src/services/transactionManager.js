@@ -0,0 +1,309 @@
+import { ethers } from 'ethers';
+import baseLogger from '../utils/logger.js';
+import metrics from './metrics.js';
+
+const logger = baseLogger.child({ module: 'transactionManager' });
+
+/**
+ * Transaction manager for the oracle wallet
+ *
+ * Sends one transaction at a time with locally tracked nonces. A transaction
+ * that is not mined within the confirmation timeout is resubmitted with the
+ * same nonce and bumped EIP-1559 fees; every submitted hash is watched, so
+ * whichever version gets mined is accepted. A transaction still unconfirmed
+ * after the last replacement releases its nonce, so the next send replaces
+ * it instead of queueing behind it.
+ */
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+// Estimates run in the latest block's context (e.g. its timestamp), which can
+// make storage writes look cheaper than they are in the next block
+const GAS_LIMIT_HEADROOM_PERCENT = 20n;
+
+/**
+ * Whether an error is a node rejecting a replacement for paying too little
+ * @param {Error} error - Send error
+ * @returns {boolean} True for underpriced replacements
+ */
+const isUnderpriced = (error) => error.code === 'REPLACEMENT_UNDERPRICED'
+  || /underpriced|fee too low/i.test(error.message);
+
+/**
+ * Whether an error is a node rejecting an already used nonce
+ * @param {Error} error - Send error
+ * @returns {boolean} True for used nonces
+ */
+const isNonceUsed = (error) => error.code === 'NONCE_EXPIRED'
+  || /nonce too low|nonce has already been used/i.test(error.message);
+
+/**
+ * Create a transaction manager
+ * @param {Object} options - Manager options
+ * @param {ethers.Provider} options.provider - Chain provider
+ * @param {ethers.Signer} options.signer - Signer connected to the provider
+ * @param {number} options.confirmationTimeoutMs - Time to wait for each submission before bumping fees
+ * @param {number} options.maxReplacements - Fee bumps before a transaction is given up on
+ * @param {number} options.feeBumpPercent - Fee increase per replacement (at least 10)
+ * @param {bigint} options.maxFeePerGasCap - Fees are never bumped above this (0n for no cap)
+ * @param {number} options.pollIntervalMs - Receipt polling interval
+ * @param {string} options.chain - Chain name, labelling the transaction metrics
+ * @returns {Object} Manager with sendTransaction() and getStatus()
+ */
+export function createTransactionManager({
+  provider,
+  signer,
+  confirmationTimeoutMs = 120000,
+  maxReplacements = 3,
+  feeBumpPercent = 20,
+  maxFeePerGasCap = 0n,
+  pollIntervalMs = 2000,
+  chain = 'default',
+}) {
+  const bumpPercent = BigInt(Math.max(feeBumpPercent, MIN_FEE_BUMP_PERCENT));
+
+  let nextNonce = null;
+  // Fees last offered for nonces whose transaction was given up on
+  const abandonedFees = new Map();
+  let pending = null;
+  let queue = Promise.resolve();
+
+  /**
+   * Raise fees by the bump percentage, rounding up and respecting the cap
+   * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas }
+   * @returns {Object} Bumped fees
+   */
+  function bump({ maxFeePerGas, maxPriorityFeePerGas }) {
+    const raise = (value) => (value * (100n + bumpPercent) + 99n) / 100n;
+    const bumped = {
+      maxFeePerGas: raise(maxFeePerGas),
+      maxPriorityFeePerGas: raise(maxPriorityFeePerGas),
+    };
+
+    if (maxFeePerGasCap > 0n && bumped.maxFeePerGas > maxFeePerGasCap) {
+      bumped.maxFeePerGas = maxFeePerGasCap > maxFeePerGas ? maxFeePerGasCap : maxFeePerGas;
+      bumped.maxPriorityFeePerGas = bumped.maxPriorityFeePerGas > bumped.maxFeePerGas
+        ? bumped.maxFeePerGas
+        : bumped.maxPriorityFeePerGas;
+    }
+
+    return bumped;
+  }
+
+  /**
+   * Current network fees, raised above any transaction previously sent with the nonce
+   * @param {number} nonce - Nonce the fees are for
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async function initialFees(nonce) {
+    const feeData = await provider.getFeeData();
+
+    // Use network fees if available, otherwise use safe defaults
+    let fees = {
+      maxFeePerGas: feeData.maxFeePerGas || ethers.parseUnits('50', 'gwei'),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || ethers.parseUnits('30', 'gwei'),
+    };
+
+    // A transaction given up on may still be in the mempool under this nonce
+    const previous = abandonedFees.get(nonce);
+    if (previous) {
+      const replacement = bump(previous);
+      fees = {
+        maxFeePerGas: fees.maxFeePerGas > replacement.maxFeePerGas ? fees.maxFeePerGas : replacement.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas > replacement.maxPriorityFeePerGas
+          ? fees.maxPriorityFeePerGas
+          : replacement.maxPriorityFeePerGas,
+      };
+    }
+
+    return fees;
+  }
+
+  /**
+   * Next nonce to use, never behind the chain's confirmed transaction count
+   * @returns {Promise<number>} Nonce
+   */
+  async function acquireNonce() {
+    const confirmed = await provider.getTransactionCount(await signer.getAddress(), 'latest');
+
+    if (nextNonce === null || confirmed > nextNonce) {
+      nextNonce = confirmed;
+    }
+    abandonedFees.forEach((fees, nonce) => {
+      if (nonce < confirmed) {
+        abandonedFees.delete(nonce);
+      }
+    });
+
+    return nextNonce;
+  }
+
+  /**
+   * Wait until any of the submitted hashes is mined
+   * @param {string[]} hashes - Submitted transaction hashes
+   * @param {number} timeoutMs - Max time to wait
+   * @returns {Promise<Object|null>} Receipt, or null on timeout
+   */
+  async function waitForAny(hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          return receipt;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        return null;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, Math.min(pollIntervalMs, Math.max(deadline - Date.now(), 0))));
+    }
+  }
+
+  /**
+   * Send a contract call and wait for it, replacing it while it is stuck
+   * @param {Function} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async function send(method, args) {
+    const request = await method.populateTransaction(...args);
+
+    // Estimate against the latest block: a stuck transaction of ours in the
+    // pending block could make the call look cheaper than it is
+    const estimate = await provider.estimateGas({
+      ...request,
+      from: await signer.getAddress(),
+      blockTag: 'latest',
+    });
+    const gasLimit = (estimate * (100n + GAS_LIMIT_HEADROOM_PERCENT)) / 100n;
+
+    logger.info(`Estimated gas: ${estimate.toString()} (gas limit ${gasLimit.toString()})`, { gasEstimate: estimate, gasLimit });
+
+    let nonce = await acquireNonce();
+    let fees = await initialFees(nonce);
+    const hashes = [];
+    let offered = fees;
+    let resynced = false;
+    let firstSentAt = null;
+
+    pending = { nonce, hashes, since: new Date().toISOString() };
+
+    for (let attempt = 0; attempt <= maxReplacements; attempt++) {
+      logger.info(
+        `Sending transaction (nonce ${nonce}, attempt ${attempt + 1}/${maxReplacements + 1}): ` +
+        `max fee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei, ` +
+        `priority fee ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`,
+        { nonce, attempt: attempt + 1, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+      );
+
+      offered = fees;
+
+      try {
+        const tx = await signer.sendTransaction({ ...request, nonce, gasLimit, ...fees });
+        hashes.push(tx.hash);
+        if (firstSentAt === null) {
+          firstSentAt = Date.now();
+        } else {
+          metrics.transactionReplacements.inc({ chain });
+        }
+        logger.info(`Transaction sent: ${tx.hash}`, { transactionHash: tx.hash, nonce });
+      } catch (error) {
+        if (isNonceUsed(error) && hashes.length === 0 && !resynced) {
+          // The nonce was used outside this manager; resync with the pending count and start over
+          nextNonce = await provider.getTransactionCount(await signer.getAddress(), 'pending');
+          logger.warn(`Nonce ${nonce} already used, continuing with nonce ${nextNonce}`);
+          nonce = nextNonce;
+          fees = await initialFees(nonce);
+          pending.nonce = nonce;
+          resynced = true;
+          attempt--;
+          continue;
+        }
+        if (!isUnderpriced(error) && !isNonceUsed(error)) {
+          pending = null;
+          metrics.transactions.inc({ chain, result: 'failed' });
+          throw error;
+        }
+        // Underpriced, or an earlier submission was mined meanwhile: the wait below settles it
+        logger.warn(`Submission rejected: ${error.message}`);
+      }
+
+      if (hashes.length > 0) {
+        logger.info('Waiting for confirmation...');
+        const receipt = await waitForAny(hashes, confirmationTimeoutMs);
+
+        if (receipt) {
+          nextNonce = nonce + 1;
+          abandonedFees.delete(nonce);
+          pending = null;
+
+          if (receipt.status !== 1) {
+            metrics.transactions.inc({ chain, result: 'reverted' });
+            throw new Error(`Transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`);
+          }
+
+          metrics.transactions.inc({ chain, result: 'confirmed' });
+          metrics.transactionConfirmation.observe({ chain }, (Date.now() - firstSentAt) / 1000);
+          metrics.transactionGasUsed.observe({ chain }, Number(receipt.gasUsed));
+          metrics.transactionFee.observe({ chain }, Number(receipt.fee));
+
+          logger.success(`Transaction confirmed in block ${receipt.blockNumber}`, {
+            transactionHash: receipt.hash,
+            nonce,
+            blockNumber: receipt.blockNumber,
+          });
+          logger.success(`Gas used: ${receipt.gasUsed.toString()}`, { transactionHash: receipt.hash, gasUsed: receipt.gasUsed });
+
+          return receipt;
+        }
+
+        logger.warn(`Transaction with nonce ${nonce} not mined after ${confirmationTimeoutMs}ms`);
+      }
+
+      fees = bump(fees);
+    }
+
+    // Release the nonce so the next send replaces the stuck transaction
+    abandonedFees.set(nonce, offered);
+    nextNonce = nonce;
+    pending = null;
+    metrics.transactions.inc({ chain, result: 'abandoned' });
+
+    throw new Error(
+      `Transaction with nonce ${nonce} not confirmed after ${maxReplacements + 1} submissions (${hashes.join(', ')})`
+    );
+  }
+
+  /**
+   * Queue a contract call; calls are sent strictly one after another
+   * @param {Function} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  function sendTransaction(method, args) {
+    const result = queue.then(() => send(method, args));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Nonce and in-flight transaction status
+   * @returns {Object} { nextNonce, pending }
+   */
+  function getStatus() {
+    return {
+      nextNonce,
+      pending: pending ? { ...pending, hashes: [...pending.hashes] } : null,
+    };
+  }
+
+  return {
+    sendTransaction,
+    getStatus,
+  };
+}
@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import updatePolicy from './updatePolicy.js';
+
+/**
+ * Update planner choosing the cheapest GoldOracle entrypoint for due updates
+ *
+ * The contract keeps every currency's prices packed into two storage slots,
+ * so an update costs the same storage gas whichever fields changed. What the
+ * entrypoints differ in is calldata and per-transaction overhead:
+ *
+ *   - updatePricesBatch   one transaction for every due currency of a contract
+ *   - updatePricesPacked  one currency, all five prices in one 48-bit-per-price word
+ *   - updatePrices / updatePricesForCurrency  prices too large to pack
+ *
+ * Which values changed decides the storage cost (a slot whose value stays the
+ * same is not charged as a write), not the entrypoint: every entrypoint stores
+ * both slots. updatePriceFields (selected fields only) therefore saves nothing
+ * on storage and pays for its field mask and dynamic array, so it is never
+ * cheaper than a packed update and is left for correcting prices by hand. The
+ * gas comparison in test/updatePlanner.test.js keeps these rules honest.
+ */
+
+// Width of one price in a packed word; must match GoldOracle.PACKED_PRICE_BITS
+const PACKED_PRICE_BITS = 48n;
+const MAX_PACKED_PRICE = (1n << PACKED_PRICE_BITS) - 1n;
+
+/**
+ * Whether all five prices fit the packed lanes
+ * @param {Object} prices - Prices (8 decimals)
+ * @returns {boolean} True if the prices can be sent packed
+ */
+function fitsPacked(prices) {
+  return updatePolicy.TRACKED_FIELDS.every((field) => BigInt(prices[field]) <= MAX_PACKED_PRICE);
+}
+
+/**
+ * Pack the five prices into one word, gram in the lowest bits
+ * @param {Object} prices - Prices (8 decimals)
+ * @returns {bigint} Packed prices
+ */
+function packPrices(prices) {
+  if (!fitsPacked(prices)) {
+    throw new Error(`Prices do not fit in ${PACKED_PRICE_BITS} bits and cannot be packed`);
+  }
+
+  return updatePolicy.TRACKED_FIELDS.reduce(
+    (packed, field, index) => packed | (BigInt(prices[field]) << (PACKED_PRICE_BITS * BigInt(index))),
+    0n
+  );
+}
+
+/**
+ * Fields whose new value differs from the on-chain value
+ * @param {Object} currentPrices - Current contract prices
+ * @param {Object} newPrices - New prices
+ * @returns {string[]} Changed field names
+ */
+function changedFields(currentPrices, newPrices) {
+  return updatePolicy.TRACKED_FIELDS.filter((field) => BigInt(currentPrices[field]) !== BigInt(newPrices[field]));
+}
+
+/**
+ * Plan the contract calls publishing a set of due currency updates
+ * @param {Object[]} updates - Due updates of one contract: { currency, key, prices },
+ *   key being the currency as bytes32 (ZeroHash for the base currency)
+ * @returns {Object[]} Calls: { path, method, args, currencies }, path being
+ *   'batch', 'packed' or 'full'
+ */
+function plan(updates) {
+  const packable = updates.filter(({ prices }) => fitsPacked(prices));
+  const calls = [];
+
+  if (packable.length > 1) {
+    calls.push({
+      path: 'batch',
+      method: 'updatePricesBatch',
+      args: [packable.map(({ key }) => key), packable.map(({ prices }) => packPrices(prices))],
+      currencies: packable.map(({ currency }) => currency),
+    });
+  } else if (packable.length === 1) {
+    const [{ currency, key, prices }] = packable;
+    calls.push({
+      path: 'packed',
+      method: 'updatePricesPacked',
+      args: [key, packPrices(prices)],
+      currencies: [currency],
+    });
+  }
+
+  updates.filter((update) => !packable.includes(update)).forEach(({ currency, key, prices }) => {
+    const args = updatePolicy.TRACKED_FIELDS.map((field) => prices[field]);
+    const isBase = key === ethers.ZeroHash;
+
+    calls.push({
+      path: 'full',
+      method: isBase ? 'updatePrices' : 'updatePricesForCurrency',
+      args: isBase ? args : [key, ...args],
+      currencies: [currency],
+    });
+  });
+
+  return calls;
+}
+
+export default {
+  plan,
+  packPrices,
+  fitsPacked,
+  changedFields,
+  MAX_PACKED_PRICE,
+};
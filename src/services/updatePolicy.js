@@ -0,0 +1,98 @@
+import config from '../config/index.js';
+import { deviationBps } from '../utils/decimal.js';
+
+/**
+ * Update policy deciding when new prices are published on-chain
+ *
+ * Mirrors the Chainlink deviation/heartbeat model: publish when any tracked
+ * price deviates from its on-chain value by more than the configured
+ * threshold, or when the heartbeat interval has elapsed since `lastUpdated`.
+ */
+
+const TRACKED_FIELDS = [
+  'pricePerGram',
+  'pricePerOunce',
+  'pricePerKarat24',
+  'pricePerKarat22',
+  'pricePerKarat18',
+];
+
+/**
+ * Deviation of each tracked field in basis points
+ * @param {Object} oldPrices - Current contract prices
+ * @param {Object} newPrices - New prices from the price providers
+ * @returns {Object} Map of field name to deviation in basis points (two decimals)
+ */
+function fieldDeviations(oldPrices, newPrices) {
+  const deviations = {};
+
+  TRACKED_FIELDS.forEach((field) => {
+    deviations[field] = deviationBps(oldPrices[field], newPrices[field]);
+  });
+
+  return deviations;
+}
+
+/**
+ * Decide whether an on-chain update is due
+ * @param {Object} oldPrices - Current contract prices
+ * @param {Object} newPrices - New prices from the price providers
+ * @param {number} now - Current unix time in seconds
+ * @returns {Object} { shouldUpdate, reason, deviations, maxDeviationBps, secondsSinceUpdate }
+ */
+function evaluate(oldPrices, newPrices, now = Math.floor(Date.now() / 1000)) {
+  const { deviationThresholdBps, heartbeatSeconds } = config.policy;
+
+  // If never updated (lastUpdated is 0), always update
+  if (BigInt(oldPrices.lastUpdated) === 0n) {
+    return {
+      shouldUpdate: true,
+      reason: 'initial',
+      deviations: null,
+      maxDeviationBps: null,
+      secondsSinceUpdate: null,
+    };
+  }
+
+  const deviations = fieldDeviations(oldPrices, newPrices);
+  const maxDeviationBps = Math.max(...Object.values(deviations));
+  const secondsSinceUpdate = now - Number(oldPrices.lastUpdated);
+
+  let reason = 'none';
+  if (maxDeviationBps > deviationThresholdBps) {
+    reason = 'deviation';
+  } else if (heartbeatSeconds > 0 && secondsSinceUpdate >= heartbeatSeconds) {
+    reason = 'heartbeat';
+  }
+
+  return {
+    shouldUpdate: reason !== 'none',
+    reason,
+    deviations,
+    maxDeviationBps,
+    secondsSinceUpdate,
+  };
+}
+
+/**
+ * Longest time the policy may leave prices untouched
+ * Flat prices are only republished by the heartbeat, which is checked on each
+ * scheduled run, so the heartbeat is rounded up to whole update intervals.
+ * @param {number} intervalSeconds - Longest time between scheduled updates
+ * @returns {number} Seconds (Infinity when the heartbeat is disabled)
+ */
+function maxPublishGapSeconds(intervalSeconds) {
+  const { heartbeatSeconds } = config.policy;
+
+  if (heartbeatSeconds <= 0) {
+    return Infinity;
+  }
+
+  return Math.ceil(heartbeatSeconds / intervalSeconds) * intervalSeconds;
+}
+
+export default {
+  evaluate,
+  maxPublishGapSeconds,
+  TRACKED_FIELDS,
+};
@@ -0,0 +1,180 @@
+/**
+ * Cron expressions and interval schedules, evaluated in UTC
+ *
+ * A schedule is either a five-field cron expression (minute, hour, day of
+ * month, month, day of week) such as "0,30 8-17 * * MON-FRI", or a duration
+ * such as "45m" or "90m". Durations run at multiples of the interval since the
+ * Unix epoch, so "90m" always means 00:00, 01:30, 03:00, ... UTC, across
+ * restarts and on every instance.
+ */
+
+import { parseDuration } from './duration.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+// Searching further ahead than this means the expression never matches (e.g. 30 FEB)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one value of a cron field (a number or, for months and weekdays, a name)
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} Value
+ */
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} in cron expression: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Parse a cron field into the set of values it matches
+ * @param {string} text - Field, e.g. "*", "*\/15", "1-5", "MON,WED"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron expression: ${part}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map((value) => parseValue(value, field));
+    } else {
+      from = parseValue(range, field);
+      // "5/15" runs from 5 to the end of the range
+      to = stepText === undefined ? from : field.max;
+    }
+
+    if (from > to) {
+      throw new Error(`Invalid range in cron expression: ${part}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} Schedule with next(afterMs)
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression: ${expression} (expected 5 fields: minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is Sunday too
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  // As in cron, a day matches either field when both are restricted; a field
+  // starting with "*" (including steps such as "*/2") counts as unrestricted
+  const daysRestricted = !parts[2].startsWith('*');
+  const weekdaysRestricted = !parts[4].startsWith('*');
+
+  /**
+   * Whether a date's day matches the day-of-month and day-of-week fields
+   * @param {Date} date - Date
+   * @returns {boolean} True if the day matches
+   */
+  const dayMatches = (date) => {
+    const inDays = days.has(date.getUTCDate());
+    const inWeekdays = weekdays.has(date.getUTCDay());
+
+    if (daysRestricted && weekdaysRestricted) {
+      return inDays || inWeekdays;
+    }
+    return inDays && inWeekdays;
+  };
+
+  /**
+   * First time after a given time that the expression matches
+   * @param {number} afterMs - Time in milliseconds since epoch
+   * @returns {number} Next matching time (whole minute, strictly after afterMs)
+   */
+  function next(afterMs) {
+    const date = new Date(Math.floor(afterMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+      if (!months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!dayMatches(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date.getTime();
+      }
+    }
+
+    throw new Error(`Cron expression never matches: ${expression}`);
+  }
+
+  // Fail on startup rather than at the first run
+  next(Date.UTC(2000, 0, 1));
+
+  return { expression: parts.join(' '), next };
+}
+
+/**
+ * Parse a schedule: a cron expression, or a duration run at multiples of itself since the epoch
+ * @param {string} value - Schedule, e.g. "*\/15 * * * *", "45m" or "90m"
+ * @returns {Object} { type: 'cron' | 'interval', expression, intervalMs?, next(afterMs) }
+ */
+export function parseSchedule(value) {
+  const text = String(value).trim();
+
+  if (/\s/.test(text)) {
+    return { type: 'cron', ...parseCron(text) };
+  }
+
+  let intervalMs;
+  try {
+    intervalMs = parseDuration(text);
+  } catch {
+    throw new Error(`Invalid schedule: ${value} (expected a cron expression such as "*/15 * * * *" or a duration such as 45m)`);
+  }
+
+  return {
+    type: 'interval',
+    expression: text,
+    intervalMs,
+    next: (afterMs) => (Math.floor(afterMs / intervalMs) + 1) * intervalMs,
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Fixed-point helpers for prices
+ *
+ * Prices are BigInt values scaled by 10^8 (PRICE_DECIMALS), matching the
+ * contract's DECIMALS. All derivation goes through these helpers so no price
+ * ever passes through a floating point multiplication.
+ */
+
+export const PRICE_DECIMALS = 8;
+export const PRICE_SCALE = 10n ** BigInt(PRICE_DECIMALS);
+
+// Precision used for exchange rates and other multipliers
+const RATE_DECIMALS = 18;
+const RATE_SCALE = 10n ** BigInt(RATE_DECIMALS);
+
+/**
+ * Plain (non-exponent) decimal representation of a number
+ * @param {number} value - Finite number
+ * @returns {string} Decimal string
+ */
+const toPlainString = (value) => {
+  const text = String(value);
+
+  if (!/e/i.test(text)) {
+    return text;
+  }
+
+  // Integers of 1e21 and above are exact in BigInt; small values need fixed notation
+  return Math.abs(value) >= 1 ? BigInt(value).toString() : value.toFixed(20);
+};
+
+/**
+ * Parse a decimal number or string into a scaled BigInt, truncating extra digits
+ * @param {number|string|bigint} value - Decimal value (e.g. 2037.5 or "2037.50")
+ * @param {number} decimals - Number of decimals to scale by
+ * @returns {bigint} Scaled value
+ */
+export function parseDecimal(value, decimals = PRICE_DECIMALS) {
+  if (typeof value === 'bigint') {
+    return value * 10n ** BigInt(decimals);
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const text = typeof value === 'number' ? toPlainString(value) : String(value).trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = (fraction + '0'.repeat(decimals)).slice(0, decimals);
+  const scaled = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(digits || '0');
+
+  return sign ? -scaled : scaled;
+}
+
+/**
+ * Format a scaled BigInt as a decimal string, rounding half up
+ * @param {bigint|string|number} value - Scaled value
+ * @param {Object} options - Formatting options
+ * @param {number} options.decimals - Scale of the value (defaults to PRICE_DECIMALS)
+ * @param {number} options.fractionDigits - Digits after the decimal point (defaults to 2)
+ * @returns {string} Decimal string (e.g. "65.50")
+ */
+export function formatDecimal(value, { decimals = PRICE_DECIMALS, fractionDigits = 2 } = {}) {
+  const scaled = BigInt(value);
+  let abs = scaled < 0n ? -scaled : scaled;
+
+  if (fractionDigits < decimals) {
+    const divisor = 10n ** BigInt(decimals - fractionDigits);
+    abs = (abs + divisor / 2n) / divisor;
+  } else {
+    abs *= 10n ** BigInt(fractionDigits - decimals);
+  }
+
+  const digits = abs.toString().padStart(fractionDigits + 1, '0');
+  const whole = digits.slice(0, digits.length - fractionDigits);
+  const fraction = digits.slice(digits.length - fractionDigits);
+
+  return `${scaled < 0n ? '-' : ''}${whole}${fractionDigits > 0 ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Format a scaled price for humans, e.g. "65.50 USD"
+ * @param {bigint|string|number} value - Price scaled by 10^8
+ * @param {string} currency - Currency code
+ * @param {number} fractionDigits - Digits after the decimal point (defaults to 2)
+ * @returns {string} Formatted price, or null when value is null
+ */
+export function formatPrice(value, currency, fractionDigits = 2) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return `${formatDecimal(value, { fractionDigits })} ${currency}`;
+}
+
+/**
+ * Multiply then divide, rounding down
+ * @param {bigint} value - Value
+ * @param {bigint} numerator - Multiplier
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} floor(value * numerator / denominator)
+ */
+export function mulDiv(value, numerator, denominator) {
+  return (BigInt(value) * BigInt(numerator)) / BigInt(denominator);
+}
+
+/**
+ * Multiply a scaled value by a decimal rate (e.g. an exchange rate), rounding down
+ * @param {bigint} value - Scaled value
+ * @param {number|string} rate - Decimal rate
+ * @returns {bigint} Scaled value times rate
+ */
+export function mulRate(value, rate) {
+  return mulDiv(value, parseDecimal(rate, RATE_DECIMALS), RATE_SCALE);
+}
+
+/**
+ * Reciprocal of a decimal rate (e.g. ounces per unit of currency), rounding down
+ * @param {number|string} rate - Decimal rate
+ * @returns {bigint} 1 / rate, scaled by 10^8
+ */
+export function reciprocal(rate) {
+  return mulDiv(PRICE_SCALE, RATE_SCALE, parseDecimal(rate, RATE_DECIMALS));
+}
+
+/**
+ * Absolute deviation between two values in basis points, with two decimals of precision
+ * @param {bigint|number|string} reference - Reference value
+ * @param {bigint|number|string} candidate - Candidate value
+ * @returns {number} Deviation in basis points (Infinity if the reference is zero)
+ */
+export function deviationBps(reference, candidate) {
+  const ref = BigInt(reference);
+  const value = BigInt(candidate);
+
+  if (ref === 0n) {
+    return value === 0n ? 0 : Infinity;
+  }
+
+  const diff = value > ref ? value - ref : ref - value;
+  const absRef = ref < 0n ? -ref : ref;
+
+  // Basis points scaled by 100 to keep two decimals of precision
+  return Number((diff * 1000000n) / absRef) / 100;
+}
+
+/**
+ * Median of scaled values, rounding down between the two middle values
+ * @param {bigint[]} values - Values (non-empty)
+ * @returns {bigint} Median value
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const mid = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2n
+    : sorted[mid];
+}
@@ -0,0 +1,26 @@
+/**
+ * Duration parsing for intervals such as "15m", "1h" or "1d"
+ */
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration string into milliseconds
+ * @param {string} value - Duration, a positive integer followed by s, m, h, d or w
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(value).trim());
+
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30s, 15m, 1h, 1d)`);
+  }
+
+  return Number(match[1]) * UNITS[match[2].toLowerCase()];
+}
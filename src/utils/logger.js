@@ -1,51 +1,281 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import config from '../config/index.js';
+
 /**
- * Simple logger utility with timestamps
+ * Structured logger
+ *
+ * Every entry is one JSON line ({ timestamp, level, message, ...fields }), or
+ * the old `[timestamp] [LEVEL] message` line with LOG_FORMAT=pretty. Entries
+ * below LOG_LEVEL are dropped. Child loggers add fixed fields (e.g. the
+ * module), and runWithContext() adds fields such as the correlation ID to
+ * everything logged within an async flow, so the GoldAPI fetch of an update
+ * and the transaction it produced share one ID.
+ *
+ * Secrets are redacted from every entry: fields named like keys, tokens or
+ * passwords, and the values of secret environment variables (PRIVATE_KEY,
+ * GOLD_API_KEY, API_KEY, ...) wherever they appear.
  */
 
-const getTimestamp = () => {
-  return new Date().toISOString();
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
 };
 
-const formatMessage = (level, message) => {
-  return `[${getTimestamp()}] [${level}] ${message}`;
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_FIELD = /(api[-_]?key|private[-_]?key|access[-_]?key|secret|token|password|passphrase|mnemonic|authorization)/i;
+
+// Environment variables holding secrets: PRIVATE_KEY, GOLD_API_KEY, PRIVATE_KEY_POLYGON, REMOTE_SIGNER_TOKEN, ...
+const SECRET_VARIABLE = /(KEY|TOKEN|SECRET|PASSWORD)(_|$)/;
+
+// Shorter values are too likely to appear by accident to be replaced everywhere
+const MIN_SECRET_LENGTH = 8;
+
+const secrets = new Set();
+
+// Fields added to every entry logged within runWithContext()
+const context = new AsyncLocalStorage();
+
+/**
+ * Redact a value wherever it appears in log output
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+Object.entries(process.env)
+  .filter(([name]) => SECRET_VARIABLE.test(name))
+  .forEach(([, value]) => registerSecret(value));
+
+/**
+ * Replace registered secrets in a string
+ * @param {string} value - String to redact
+ * @returns {string} Redacted string
+ */
+const redactString = (value) => {
+  let redacted = value;
+  secrets.forEach((secret) => {
+    if (redacted.includes(secret)) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  });
+  return redacted;
 };
 
-const logger = {
-  /**
-   * Log info message
-   * @param {string} message - Message to log
-   */
-  info: (message) => {
-    console.log(formatMessage('INFO', message));
-  },
+/**
+ * Plain object of an error, including its cause and custom fields (code, reason, ...)
+ * @param {*} error - Error or thrown value
+ * @returns {Object} Serializable error
+ */
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  const fields = Object.fromEntries(
+    Object.entries(error).filter(([name, value]) => (
+      !['config', 'request', 'response'].includes(name) && typeof value !== 'function'
+    ))
+  );
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...fields,
+    // Axios errors: the status only, never the request with its headers
+    status: error.response ? error.response.status : undefined,
+    stack: error.stack,
+    cause: error.cause ? serializeError(error.cause) : undefined,
+  };
+};
+
+/**
+ * Make a value safe to log: secrets redacted, errors and BigInts serialized
+ * @param {*} value - Value to log
+ * @param {WeakSet} [seen] - Objects already visited (circular references)
+ * @param {number} [depth] - Nesting depth
+ * @returns {*} Loggable value
+ */
+const sanitize = (value, seen = new WeakSet(), depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value) || depth > 8) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return sanitize(serializeError(value), seen, depth + 1);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, seen, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([name, item]) => [name, SECRET_FIELD.test(name) ? REDACTED : sanitize(item, seen, depth + 1)])
+  );
+};
+
+/**
+ * Format an entry as a human-readable line
+ * @param {Object} entry - Log entry
+ * @returns {string} Line
+ */
+const formatPretty = ({ timestamp, level, message, success, error, ...fields }) => {
+  const label = success ? 'SUCCESS' : level.toUpperCase();
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  const stack = error ? `\n${error.stack || error.message}` : '';
+
+  return `[${timestamp}] [${label}] ${message}${extra}${stack}`;
+};
+
+/**
+ * Write a line to stdout, or stderr for errors
+ * @param {string} level - Entry level
+ * @param {string} line - Formatted entry
+ */
+const writeLine = (level, line) => {
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {Object} [options.bindings] - Fields added to every entry
+ * @param {string} [options.level] - Lowest level logged: debug, info, warn or error
+ * @param {string} [options.format] - 'json' or 'pretty'
+ * @param {Function} [options.write] - (level, line) sink, stdout/stderr by default
+ * @returns {Object} Logger with debug(), info(), success(), warn(), error() and child()
+ */
+export function createLogger({
+  bindings = {},
+  level = config.logging.level,
+  format = config.logging.format,
+  write = writeLine,
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
 
   /**
-   * Log error message
-   * @param {string} message - Message to log
-   * @param {Error} error - Optional error object
+   * Log one entry
+   * @param {string} entryLevel - Level
+   * @param {string} message - Message
+   * @param {Object} fields - Entry fields
    */
-  error: (message, error = null) => {
-    console.error(formatMessage('ERROR', message));
-    if (error) {
-      console.error(error);
+  const log = (entryLevel, message, fields) => {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
     }
-  },
 
-  /**
-   * Log warning message
-   * @param {string} message - Message to log
-   */
-  warn: (message) => {
-    console.warn(formatMessage('WARN', message));
-  },
+    const entry = sanitize({
+      timestamp: new Date().toISOString(),
+      level: entryLevel,
+      message: String(message),
+      ...context.getStore(),
+      ...bindings,
+      ...fields,
+    });
 
-  /**
-   * Log success message
-   * @param {string} message - Message to log
-   */
-  success: (message) => {
-    console.log(formatMessage('SUCCESS', message));
-  },
-};
+    write(entryLevel, format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  };
+
+  return {
+    /**
+     * Log debug message
+     * @param {string} message - Message to log
+     * @param {Object} [fields] - Structured fields
+     */
+    debug: (message, fields = {}) => log('debug', message, fields),
+
+    /**
+     * Log info message
+     * @param {string} message - Message to log
+     * @param {Object} [fields] - Structured fields
+     */
+    info: (message, fields = {}) => log('info', message, fields),
+
+    /**
+     * Log success message (info level, flagged with `success: true`)
+     * @param {string} message - Message to log
+     * @param {Object} [fields] - Structured fields
+     */
+    success: (message, fields = {}) => log('info', message, { ...fields, success: true }),
+
+    /**
+     * Log warning message
+     * @param {string} message - Message to log
+     * @param {Object} [fields] - Structured fields
+     */
+    warn: (message, fields = {}) => log('warn', message, fields),
+
+    /**
+     * Log error message
+     * @param {string} message - Message to log
+     * @param {Error} error - Optional error object
+     * @param {Object} [fields] - Structured fields
+     */
+    error: (message, error = null, fields = {}) => log('error', message, error ? { ...fields, error } : fields),
+
+    /**
+     * Logger adding fields to every entry
+     * @param {Object} childBindings - Fields, e.g. { module: 'oracleUpdater' }
+     * @returns {Object} Child logger
+     */
+    child: (childBindings) => createLogger({ bindings: { ...bindings, ...childBindings }, level, format, write }),
+
+    /**
+     * Whether a level is logged
+     * @param {string} entryLevel - Level
+     * @returns {boolean} True if entries of that level are written
+     */
+    isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+  };
+}
+
+/**
+ * Run a function with fields added to everything it logs, including in the
+ * async work it starts
+ * @param {Object} fields - Context fields, e.g. { correlationId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+export function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current log context
+ * @returns {Object} Context fields ({} outside runWithContext())
+ */
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * New correlation ID
+ * @returns {string} Random UUID
+ */
+export function createCorrelationId() {
+  return randomUUID();
+}
+
+export { LEVELS };
+
+const logger = createLogger();
 
 export default logger;
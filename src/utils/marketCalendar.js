@@ -0,0 +1,93 @@
+/**
+ * Market-hours calendars, in UTC
+ *
+ *   - always: the market never closes
+ *   - metals: spot precious metals trade from Sunday 23:00 to Friday 22:00,
+ *     with a daily break from 22:00 to 23:00
+ *
+ * Holidays (YYYY-MM-DD) close the market for the whole UTC day in either calendar.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CALENDARS = {
+  always: () => true,
+
+  metals: (date) => {
+    const day = date.getUTCDay();
+    const hour = date.getUTCHours();
+
+    if (day === 6) {
+      return false;
+    }
+    if (day === 5) {
+      return hour < 22;
+    }
+    // Sunday opens at 23:00, and every other day the break ends then
+    return hour !== 22 && (day !== 0 || hour >= 23);
+  },
+};
+
+export const CALENDAR_NAMES = Object.keys(CALENDARS);
+
+/**
+ * Create a market calendar
+ * @param {Object} options - Calendar options
+ * @param {string} [options.name] - always or metals
+ * @param {string[]} [options.holidays] - Closed days as YYYY-MM-DD (UTC)
+ * @returns {Object} Calendar with name, neverCloses, isOpen(timeMs) and nextChange(timeMs)
+ */
+export function createMarketCalendar({ name = 'always', holidays = [] } = {}) {
+  const isOpenOnWeekday = CALENDARS[name];
+
+  if (!isOpenOnWeekday) {
+    throw new Error(`Unknown market calendar: ${name} (supported: ${CALENDAR_NAMES.join(', ')})`);
+  }
+
+  holidays.forEach((day) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+      throw new Error(`Invalid market holiday: ${day} (expected YYYY-MM-DD)`);
+    }
+  });
+
+  const closedDays = new Set(holidays);
+  // Lets schedulers skip planning for a closed market
+  const neverCloses = name === 'always' && closedDays.size === 0;
+
+  /**
+   * Whether the market is open at a time
+   * @param {number} timeMs - Time in milliseconds since epoch
+   * @returns {boolean} True if open
+   */
+  function isOpen(timeMs) {
+    const date = new Date(timeMs);
+    return !closedDays.has(date.toISOString().slice(0, 10)) && isOpenOnWeekday(date);
+  }
+
+  /**
+   * When the market next opens or closes (both calendars change on the hour)
+   * @param {number} timeMs - Time in milliseconds since epoch
+   * @returns {number|null} Time of the next change, or null if it never changes within two weeks
+   */
+  function nextChange(timeMs) {
+    if (neverCloses) {
+      return null;
+    }
+
+    const open = isOpen(timeMs);
+
+    for (let hour = Math.floor(timeMs / HOUR_MS) + 1; hour <= Math.floor(timeMs / HOUR_MS) + 14 * 24; hour++) {
+      if (isOpen(hour * HOUR_MS) !== open) {
+        return hour * HOUR_MS;
+      }
+    }
+    return null;
+  }
+
+  return {
+    name,
+    neverCloses,
+    isOpen,
+    nextChange,
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4). Values that are only known on
+ * demand (wallet balances, on-chain price ages) are set by collectors, which
+ * run before every render.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Prometheus' default buckets, in seconds
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Format a sample value (numbers, BigInts, +Inf)
+ * @param {number|bigint} value - Sample value
+ * @returns {string} Formatted value
+ */
+const formatValue = (value) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or '' without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+/**
+ * Create a metrics registry
+ * @returns {Object} Registry with counter(), gauge(), histogram(), addCollector(), render() and reset()
+ */
+export function createMetricsRegistry() {
+  const metrics = new Map();
+  const collectors = [];
+
+  /**
+   * Register a metric
+   * @param {string} type - counter, gauge or histogram
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Object} Metric state: { name, help, type, labelNames, series }
+   */
+  function register(type, { name, help, labelNames = [] }) {
+    if (metrics.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+
+    const metric = { name, help, type, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Label values of a metric in definition order, checked against its label names
+   * @param {Object} metric - Metric state
+   * @param {Object} labels - Label names and values
+   * @returns {Object} { key, labels } where `key` identifies the series
+   */
+  function series(metric, labels = {}) {
+    const unknown = Object.keys(labels).filter((name) => !metric.labelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown labels for ${metric.name}: ${unknown.join(', ')}`);
+    }
+
+    const ordered = Object.fromEntries(metric.labelNames.map((name) => [name, labels[name] ?? '']));
+    return { key: JSON.stringify(Object.values(ordered)), labels: ordered };
+  }
+
+  /**
+   * Counter: a value that only goes up
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Object} Counter with inc(labels, value)
+   */
+  function counter(definition) {
+    const metric = register('counter', definition);
+
+    return {
+      /**
+       * Increase the counter
+       * @param {Object} [labels] - Label values
+       * @param {number} [value] - Increment (not negative)
+       */
+      inc(labels = {}, value = 1) {
+        if (value < 0) {
+          throw new Error(`Counter ${metric.name} cannot decrease`);
+        }
+        const { key, labels: ordered } = series(metric, labels);
+        const current = metric.series.get(key);
+        metric.series.set(key, { labels: ordered, value: (current ? current.value : 0) + value });
+      },
+    };
+  }
+
+  /**
+   * Gauge: a value that goes up and down
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Object} Gauge with set(labels, value), inc(labels, value) and clear()
+   */
+  function gauge(definition) {
+    const metric = register('gauge', definition);
+
+    return {
+      /**
+       * Set the gauge
+       * @param {Object} labels - Label values
+       * @param {number|bigint} value - Value
+       */
+      set(labels, value) {
+        const { key, labels: ordered } = series(metric, labels);
+        metric.series.set(key, { labels: ordered, value });
+      },
+
+      /**
+       * Change the gauge
+       * @param {Object} [labels] - Label values
+       * @param {number} [value] - Change (negative to decrease)
+       */
+      inc(labels = {}, value = 1) {
+        const { key, labels: ordered } = series(metric, labels);
+        const current = metric.series.get(key);
+        metric.series.set(key, { labels: ordered, value: (current ? current.value : 0) + value });
+      },
+
+      /**
+       * Drop every series, e.g. before a collector sets the current ones
+       */
+      clear() {
+        metric.series.clear();
+      },
+    };
+  }
+
+  /**
+   * Histogram: counts of observations in cumulative buckets, plus their sum
+   * @param {Object} definition - { name, help, labelNames, buckets }
+   * @returns {Object} Histogram with observe(labels, value) and startTimer(labels)
+   */
+  function histogram({ buckets = DEFAULT_BUCKETS, ...definition }) {
+    const metric = register('histogram', definition);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    const observe = (labels, value) => {
+      const { key, labels: ordered } = series(metric, labels);
+      const current = metric.series.get(key)
+        || { labels: ordered, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index]++;
+        }
+      });
+      current.sum += value;
+      current.count++;
+      metric.series.set(key, current);
+    };
+
+    return {
+      observe,
+
+      /**
+       * Start timing something
+       * @param {Object} [labels] - Label values
+       * @returns {Function} Stops the timer and records the seconds elapsed; takes extra labels
+       */
+      startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+          observe({ ...labels, ...extraLabels }, seconds);
+          return seconds;
+        };
+      },
+    };
+  }
+
+  /**
+   * Register a function run before every render, e.g. to set gauges read from the chain
+   * @param {Function} collector - Sync or async function; failures are passed to onError
+   */
+  function addCollector(collector) {
+    collectors.push(collector);
+  }
+
+  /**
+   * Run the collectors and render every metric
+   * @param {Object} [options] - Render options
+   * @param {Function} [options.onError] - Called with collector errors (they never fail the render)
+   * @returns {Promise<string>} Prometheus text format
+   */
+  async function render({ onError = () => {} } = {}) {
+    const results = await Promise.allSettled(collectors.map((collector) => collector()));
+    results
+      .filter(({ status }) => status === 'rejected')
+      .forEach(({ reason }) => onError(reason));
+
+    const lines = [];
+
+    metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      metric.series.forEach((entry) => {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Drop every recorded series (metrics stay registered)
+   */
+  function reset() {
+    metrics.forEach((metric) => metric.series.clear());
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    addCollector,
+    render,
+    reset,
+  };
+}
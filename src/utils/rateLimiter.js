@@ -0,0 +1,68 @@
+/**
+ * Per-IP fixed-window rate limiter middleware for Express
+ *
+ * Every client IP (req.ip, so set 'trust proxy' behind a reverse proxy) may
+ * make `maxRequests` requests per window. Responses carry RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers; requests over the limit are
+ * answered with 429 and Retry-After.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowSeconds - Window length
+ * @param {number} options.maxRequests - Requests allowed per IP and window (0 disables the limiter)
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ windowSeconds, maxRequests }) {
+  // ip -> { start, count }
+  const windows = new Map();
+  const windowMs = windowSeconds * 1000;
+  let lastSweep = Date.now();
+
+  /**
+   * Drop the windows that have ended, at most once per window
+   * @param {number} now - Current time in milliseconds
+   */
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) {
+      return;
+    }
+    lastSweep = now;
+    windows.forEach((entry, ip) => {
+      if (now - entry.start >= windowMs) {
+        windows.delete(ip);
+      }
+    });
+  };
+
+  return (req, res, next) => {
+    if (maxRequests <= 0) {
+      return next();
+    }
+
+    const now = Date.now();
+    sweep(now);
+
+    let entry = windows.get(req.ip);
+    if (!entry || now - entry.start >= windowMs) {
+      entry = { start: now, count: 0 };
+      windows.set(req.ip, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.start + windowMs - now) / 1000);
+
+    res.set('RateLimit-Limit', String(maxRequests));
+    res.set('RateLimit-Remaining', String(Math.max(maxRequests - entry.count, 0)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (entry.count > maxRequests) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        retryAfterSeconds: resetSeconds,
+      });
+    }
+
+    next();
+  };
+}
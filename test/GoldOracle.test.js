@@ -1,5 +1,7 @@
-const { expect } = require("chai");
-const { ethers } = require("hardhat");
+import { expect } from "chai";
+import hre from "hardhat";
+
+const { ethers } = hre;
 
 describe("GoldOracle", function () {
   let goldOracle;
@@ -81,15 +83,17 @@ describe("GoldOracle", function () {
     });
 
     it("Should emit PricesUpdated event", async function () {
-      await expect(
-        goldOracle.updatePrices(
-          SAMPLE_PRICES.gram,
-          SAMPLE_PRICES.ounce,
-          SAMPLE_PRICES.k24,
-          SAMPLE_PRICES.k22,
-          SAMPLE_PRICES.k18
-        )
-      )
+      const tx = await goldOracle.updatePrices(
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+      // The event carries the timestamp of the block the update was mined in
+      const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+      await expect(tx)
         .to.emit(goldOracle, "PricesUpdated")
         .withArgs(
           SAMPLE_PRICES.gram,
@@ -97,15 +101,11 @@ describe("GoldOracle", function () {
           SAMPLE_PRICES.k24,
           SAMPLE_PRICES.k22,
           SAMPLE_PRICES.k18,
-          await (async () => {
-            const blockNum = await ethers.provider.getBlockNumber();
-            const block = await ethers.provider.getBlock(blockNum);
-            return block.timestamp;
-          })()
+          block.timestamp
         );
     });
 
-    it("Should reject updates from non-owner", async function () {
+    it("Should reject updates from non-updaters", async function () {
       await expect(
         goldOracle.connect(addr1).updatePrices(
           SAMPLE_PRICES.gram,
@@ -114,7 +114,7 @@ describe("GoldOracle", function () {
           SAMPLE_PRICES.k22,
           SAMPLE_PRICES.k18
         )
-      ).to.be.revertedWith("GoldOracle: caller is not the owner");
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
     });
 
     it("Should reject zero prices", async function () {
@@ -176,8 +176,17 @@ describe("GoldOracle", function () {
     });
 
     it("Should revert for invalid karat", async function () {
+      await expect(goldOracle.getGoldPriceByKarat(0)).to.be.revertedWith(
+        "GoldOracle: invalid karat (must be 1-24)"
+      );
+      await expect(goldOracle.getGoldPriceByKarat(25)).to.be.revertedWith(
+        "GoldOracle: invalid karat (must be 1-24)"
+      );
+    });
+
+    it("Should revert for a karat that was never published", async function () {
       await expect(goldOracle.getGoldPriceByKarat(21)).to.be.revertedWith(
-        "GoldOracle: invalid karat (must be 18, 22, or 24)"
+        "GoldOracle: karat not published"
       );
     });
 
@@ -230,6 +239,94 @@ describe("GoldOracle", function () {
 
       expect(await goldOracle.isStale()).to.equal(true);
     });
+
+    it("Should start with the default threshold", async function () {
+      expect(await goldOracle.stalenessThreshold()).to.equal(await goldOracle.STALENESS_THRESHOLD());
+    });
+
+    it("Should allow owner to change the threshold", async function () {
+      await expect(goldOracle.setStalenessThreshold(7200))
+        .to.emit(goldOracle, "StalenessThresholdUpdated")
+        .withArgs(3600, 7200);
+
+      await goldOracle.updatePrices(
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await goldOracle.stalenessThreshold()).to.equal(7200);
+      expect(await goldOracle.isStale()).to.equal(false);
+    });
+
+    it("Should not allow non-owner or a zero threshold", async function () {
+      await expect(
+        goldOracle.connect(addr1).setStalenessThreshold(7200)
+      ).to.be.revertedWith("GoldOracle: caller is not the owner");
+
+      await expect(
+        goldOracle.setStalenessThreshold(0)
+      ).to.be.revertedWith("GoldOracle: invalid staleness threshold");
+    });
+
+    it("Should report the time left before prices go stale", async function () {
+      const EUR = ethers.encodeBytes32String("EUR");
+
+      expect(await goldOracle.timeUntilStale(ethers.ZeroHash)).to.equal(0);
+
+      await goldOracle.updatePrices(
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+
+      await ethers.provider.send("evm_increaseTime", [600]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await goldOracle.timeUntilStale(ethers.ZeroHash)).to.equal(3000);
+      expect(await goldOracle.timeUntilStale(EUR)).to.equal(0);
+
+      await ethers.provider.send("evm_increaseTime", [3001]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await goldOracle.timeUntilStale(ethers.ZeroHash)).to.equal(0);
+    });
+
+    it("Should track staleness per karat tier", async function () {
+      await goldOracle.updatePrices(
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+      const fullUpdate = await goldOracle.lastUpdated();
+
+      expect(await goldOracle.getKaratLastUpdated(ethers.ZeroHash, 22)).to.equal(fullUpdate);
+      expect(await goldOracle.getKaratLastUpdated(ethers.ZeroHash, 21)).to.equal(0);
+      expect(await goldOracle.isKaratStale(ethers.ZeroHash, 21)).to.equal(true);
+
+      await ethers.provider.send("evm_increaseTime", [3000]);
+      await goldOracle.updateKaratPrices([21], [ethers.parseUnits("57.31", 8)]);
+      const tierUpdate = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await goldOracle.getKaratLastUpdated(ethers.ZeroHash, 21)).to.equal(tierUpdate);
+      expect(await goldOracle.isKaratStale(ethers.ZeroHash, 21)).to.equal(false);
+      expect(await goldOracle.isKaratStale(ethers.ZeroHash, 22)).to.equal(true);
+      await expect(
+        goldOracle.getKaratLastUpdated(ethers.ZeroHash, 25)
+      ).to.be.revertedWith("GoldOracle: invalid karat (must be 1-24)");
+    });
   });
 
   describe("Ownership Transfer", function () {
@@ -256,32 +353,539 @@ describe("GoldOracle", function () {
       ).to.be.revertedWith("GoldOracle: new owner is the zero address");
     });
 
-    it("Should allow new owner to update prices", async function () {
+    it("Should keep the updaters when ownership is transferred", async function () {
+      await goldOracle.transferOwnership(addr1.address);
+
+      expect(await goldOracle.isUpdater(owner.address)).to.equal(true);
+      expect(await goldOracle.isUpdater(addr1.address)).to.equal(false);
+    });
+
+    it("Should let only the new owner manage roles after transfer", async function () {
       await goldOracle.transferOwnership(addr1.address);
 
       await expect(
-        goldOracle.connect(addr1).updatePrices(
+        goldOracle.connect(owner).setUpdater(addr2.address, true)
+      ).to.be.revertedWith("GoldOracle: caller is not the owner");
+      await expect(goldOracle.connect(addr1).setUpdater(owner.address, false))
+        .to.emit(goldOracle, "UpdaterUpdated")
+        .withArgs(owner.address, false);
+
+      await expect(
+        goldOracle.connect(owner).updatePrices(
           SAMPLE_PRICES.gram,
           SAMPLE_PRICES.ounce,
           SAMPLE_PRICES.k24,
           SAMPLE_PRICES.k22,
           SAMPLE_PRICES.k18
         )
-      ).to.not.be.reverted;
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
     });
+  });
 
-    it("Should prevent old owner from updating after transfer", async function () {
-      await goldOracle.transferOwnership(addr1.address);
+  describe("Multi-Currency Prices", function () {
+    const EUR = ethers.encodeBytes32String("EUR");
+    const INR = ethers.encodeBytes32String("INR");
+
+    it("Should allow owner to update prices for a currency", async function () {
+      await goldOracle.updatePricesForCurrency(
+        EUR,
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+
+      const prices = await goldOracle.getAllPricesForCurrency(EUR);
+      expect(prices.pricePerGram).to.equal(SAMPLE_PRICES.gram);
+      expect(prices.pricePerOunce).to.equal(SAMPLE_PRICES.ounce);
+      expect(prices.pricePerKarat24).to.equal(SAMPLE_PRICES.k24);
+      expect(prices.pricePerKarat22).to.equal(SAMPLE_PRICES.k22);
+      expect(prices.pricePerKarat18).to.equal(SAMPLE_PRICES.k18);
+      expect(prices.lastUpdated).to.be.gt(0);
+    });
+
+    it("Should not touch the base prices", async function () {
+      await goldOracle.updatePricesForCurrency(
+        EUR,
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
 
+      expect(await goldOracle.pricePerGram()).to.equal(0);
+      expect(await goldOracle.lastUpdated()).to.equal(0);
+    });
+
+    it("Should emit CurrencyPricesUpdated event", async function () {
       await expect(
-        goldOracle.connect(owner).updatePrices(
+        goldOracle.updatePricesForCurrency(
+          EUR,
           SAMPLE_PRICES.gram,
           SAMPLE_PRICES.ounce,
           SAMPLE_PRICES.k24,
           SAMPLE_PRICES.k22,
           SAMPLE_PRICES.k18
         )
+      ).to.emit(goldOracle, "CurrencyPricesUpdated");
+    });
+
+    it("Should list each published currency once", async function () {
+      for (const currency of [EUR, INR, EUR]) {
+        await goldOracle.updatePricesForCurrency(
+          currency,
+          SAMPLE_PRICES.gram,
+          SAMPLE_PRICES.ounce,
+          SAMPLE_PRICES.k24,
+          SAMPLE_PRICES.k22,
+          SAMPLE_PRICES.k18
+        );
+      }
+
+      expect(await goldOracle.getCurrencies()).to.deep.equal([EUR, INR]);
+    });
+
+    it("Should reject updates from non-updaters", async function () {
+      await expect(
+        goldOracle.connect(addr1).updatePricesForCurrency(
+          EUR,
+          SAMPLE_PRICES.gram,
+          SAMPLE_PRICES.ounce,
+          SAMPLE_PRICES.k24,
+          SAMPLE_PRICES.k22,
+          SAMPLE_PRICES.k18
+        )
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+    });
+
+    it("Should reject an empty currency and zero prices", async function () {
+      await expect(
+        goldOracle.updatePricesForCurrency(
+          ethers.ZeroHash,
+          SAMPLE_PRICES.gram,
+          SAMPLE_PRICES.ounce,
+          SAMPLE_PRICES.k24,
+          SAMPLE_PRICES.k22,
+          SAMPLE_PRICES.k18
+        )
+      ).to.be.revertedWith("GoldOracle: invalid currency");
+
+      await expect(
+        goldOracle.updatePricesForCurrency(EUR, 0, SAMPLE_PRICES.ounce, SAMPLE_PRICES.k24, SAMPLE_PRICES.k22, SAMPLE_PRICES.k18)
+      ).to.be.revertedWith("GoldOracle: invalid gram price");
+    });
+
+    it("Should track staleness per currency", async function () {
+      expect(await goldOracle.isStaleForCurrency(EUR)).to.equal(true);
+
+      await goldOracle.updatePricesForCurrency(
+        EUR,
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+
+      expect(await goldOracle.isStaleForCurrency(EUR)).to.equal(false);
+      expect(await goldOracle.isStaleForCurrency(INR)).to.equal(true);
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await goldOracle.isStaleForCurrency(EUR)).to.equal(true);
+    });
+  });
+
+  describe("Karat Tiers", function () {
+    const EUR = ethers.encodeBytes32String("EUR");
+    const KARATS = [21, 14, 10, 9];
+    const KARAT_PRICES = [
+      ethers.parseUnits("57.31", 8),
+      ethers.parseUnits("38.21", 8),
+      ethers.parseUnits("27.29", 8),
+      ethers.parseUnits("24.56", 8),
+    ];
+
+    it("Should list 24K, 22K and 18K by default", async function () {
+      expect(await goldOracle.getKarats()).to.deep.equal([24n, 22n, 18n]);
+    });
+
+    it("Should allow owner to publish additional karat tiers", async function () {
+      await goldOracle.updateKaratPrices(KARATS, KARAT_PRICES);
+
+      for (let i = 0; i < KARATS.length; i++) {
+        expect(await goldOracle.getGoldPriceByKarat(KARATS[i])).to.equal(KARAT_PRICES[i]);
+      }
+      expect(await goldOracle.getKaratPrices(KARATS)).to.deep.equal(KARAT_PRICES);
+      expect(await goldOracle.getKarats()).to.deep.equal([24n, 22n, 18n, 21n, 14n, 10n, 9n]);
+    });
+
+    it("Should leave 24K, 22K and 18K to full price updates so they are recorded in rounds", async function () {
+      const message = "GoldOracle: 24K, 22K and 18K are updated with updatePrices or updatePriceFields";
+
+      for (const karat of [24, 22, 18]) {
+        await expect(goldOracle.updateKaratPrices([21, karat], [KARAT_PRICES[0], SAMPLE_PRICES.k24]))
+          .to.be.revertedWith(message);
+        await expect(goldOracle.updateKaratPricesForCurrency(EUR, [karat], [SAMPLE_PRICES.k24]))
+          .to.be.revertedWith(message);
+      }
+      expect(await goldOracle.pricePerKarat24()).to.equal(0n);
+      expect(await goldOracle.getKaratLastUpdated(ethers.ZeroHash, 24)).to.equal(0n);
+    });
+
+    it("Should emit KaratPricesUpdated event", async function () {
+      await expect(goldOracle.updateKaratPrices(KARATS, KARAT_PRICES))
+        .to.emit(goldOracle, "KaratPricesUpdated");
+    });
+
+    it("Should keep karat prices separate per currency", async function () {
+      await goldOracle.updateKaratPrices([21], [KARAT_PRICES[0]]);
+      await goldOracle.updatePricesForCurrency(
+        EUR,
+        SAMPLE_PRICES.gram,
+        SAMPLE_PRICES.ounce,
+        SAMPLE_PRICES.k24,
+        SAMPLE_PRICES.k22,
+        SAMPLE_PRICES.k18
+      );
+      await goldOracle.updateKaratPricesForCurrency(EUR, [21], [KARAT_PRICES[1]]);
+
+      expect(await goldOracle.getGoldPriceByKarat(21)).to.equal(KARAT_PRICES[0]);
+      expect(await goldOracle.getGoldPriceByKaratForCurrency(EUR, 21)).to.equal(KARAT_PRICES[1]);
+      expect(await goldOracle.getGoldPriceByKaratForCurrency(EUR, 22)).to.equal(SAMPLE_PRICES.k22);
+      expect(await goldOracle.getKaratPricesForCurrency(EUR, [24, 21])).to.deep.equal([
+        SAMPLE_PRICES.k24,
+        KARAT_PRICES[1],
+      ]);
+    });
+
+    it("Should reject invalid karat updates", async function () {
+      await expect(goldOracle.updateKaratPrices([], [])).to.be.revertedWith("GoldOracle: no karats");
+      await expect(goldOracle.updateKaratPrices([21], [])).to.be.revertedWith("GoldOracle: length mismatch");
+      await expect(goldOracle.updateKaratPrices([25], [KARAT_PRICES[0]])).to.be.revertedWith(
+        "GoldOracle: invalid karat (must be 1-24)"
+      );
+      await expect(goldOracle.updateKaratPrices([21], [0])).to.be.revertedWith("GoldOracle: invalid karat price");
+      await expect(
+        goldOracle.updateKaratPricesForCurrency(ethers.ZeroHash, [21], [KARAT_PRICES[0]])
+      ).to.be.revertedWith("GoldOracle: invalid currency");
+    });
+
+    it("Should reject karat updates from non-updaters", async function () {
+      await expect(
+        goldOracle.connect(addr1).updateKaratPrices(KARATS, KARAT_PRICES)
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+      await expect(
+        goldOracle.connect(addr1).updateKaratPricesForCurrency(EUR, KARATS, KARAT_PRICES)
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+    });
+  });
+
+  describe("Packed, Partial and Batch Updates", function () {
+    const EUR = ethers.encodeBytes32String("EUR");
+    const PRICES = [SAMPLE_PRICES.gram, SAMPLE_PRICES.ounce, SAMPLE_PRICES.k24, SAMPLE_PRICES.k22, SAMPLE_PRICES.k18];
+
+    // Five 48-bit prices in one word, gram in the lowest bits
+    const pack = (prices) => prices.reduce((packed, price, index) => packed | (price << BigInt(48 * index)), 0n);
+
+    it("Should store packed prices", async function () {
+      await expect(goldOracle.updatePricesPacked(ethers.ZeroHash, pack(PRICES)))
+        .to.emit(goldOracle, "PricesUpdated");
+
+      const stored = await goldOracle.getAllPrices();
+      expect([stored.pricePerGram, stored.pricePerOunce, stored.pricePerKarat24, stored.pricePerKarat22, stored.pricePerKarat18])
+        .to.deep.equal(PRICES);
+      expect(await goldOracle.latestRoundId(ethers.ZeroHash)).to.equal(1);
+    });
+
+    it("Should reject packed words with a zero price or extra bits", async function () {
+      await expect(
+        goldOracle.updatePricesPacked(ethers.ZeroHash, pack([...PRICES.slice(0, 4), 0n]))
+      ).to.be.revertedWith("GoldOracle: invalid 18K price");
+
+      await expect(
+        goldOracle.updatePricesPacked(ethers.ZeroHash, pack(PRICES) | (1n << 240n))
+      ).to.be.revertedWith("GoldOracle: invalid packed prices");
+    });
+
+    it("Should update selected fields only", async function () {
+      await goldOracle.updatePricesForCurrency(EUR, ...PRICES);
+
+      await expect(goldOracle.updatePriceFields(EUR, 0b10010, [204000000000n, 4950000000n]))
+        .to.emit(goldOracle, "CurrencyPricesUpdated")
+        .and.to.emit(goldOracle, "NewRound");
+
+      const stored = await goldOracle.getAllPricesForCurrency(EUR);
+      expect(stored.pricePerGram).to.equal(SAMPLE_PRICES.gram);
+      expect(stored.pricePerOunce).to.equal(204000000000n);
+      expect(stored.pricePerKarat22).to.equal(SAMPLE_PRICES.k22);
+      expect(stored.pricePerKarat18).to.equal(4950000000n);
+      expect(await goldOracle.latestRoundId(EUR)).to.equal(2);
+    });
+
+    it("Should refresh the timestamp without fields", async function () {
+      await goldOracle.updatePrices(...PRICES);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      expect(await goldOracle.isStale()).to.equal(true);
+
+      await goldOracle.updatePriceFields(ethers.ZeroHash, 0, []);
+
+      expect(await goldOracle.isStale()).to.equal(false);
+      expect(await goldOracle.pricePerOunce()).to.equal(SAMPLE_PRICES.ounce);
+    });
+
+    it("Should reject partial updates leaving prices unset", async function () {
+      await expect(
+        goldOracle.updatePriceFields(EUR, 0b00010, [SAMPLE_PRICES.ounce])
+      ).to.be.revertedWith("GoldOracle: invalid gram price");
+
+      await expect(
+        goldOracle.updatePriceFields(ethers.ZeroHash, 0b00011, [SAMPLE_PRICES.gram])
+      ).to.be.revertedWith("GoldOracle: length mismatch");
+
+      await expect(
+        goldOracle.updatePriceFields(ethers.ZeroHash, 32, [])
+      ).to.be.revertedWith("GoldOracle: invalid fields");
+    });
+
+    it("Should update several currencies in one batch", async function () {
+      const GBP = ethers.encodeBytes32String("GBP");
+      const eurPrices = PRICES.map((price) => (price * 92n) / 100n);
+
+      await goldOracle.updatePricesBatch([ethers.ZeroHash, EUR, GBP], [pack(PRICES), pack(eurPrices), pack(PRICES)]);
+
+      expect(await goldOracle.pricePerOunce()).to.equal(SAMPLE_PRICES.ounce);
+      expect((await goldOracle.getAllPricesForCurrency(EUR)).pricePerOunce).to.equal(eurPrices[1]);
+      expect(await goldOracle.getCurrencies()).to.deep.equal([EUR, GBP]);
+      expect(await goldOracle.latestRoundId(GBP)).to.equal(1);
+    });
+
+    it("Should reject empty or mismatched batches", async function () {
+      await expect(goldOracle.updatePricesBatch([], [])).to.be.revertedWith("GoldOracle: empty batch");
+      await expect(
+        goldOracle.updatePricesBatch([ethers.ZeroHash, EUR], [pack(PRICES)])
+      ).to.be.revertedWith("GoldOracle: length mismatch");
+    });
+
+    it("Should reject prices too large to store", async function () {
+      await expect(
+        goldOracle.updatePrices(2n ** 64n, ...PRICES.slice(1))
+      ).to.be.revertedWith("GoldOracle: price too large");
+    });
+
+    it("Should only let updaters use the new entrypoints while not paused", async function () {
+      await expect(
+        goldOracle.connect(addr1).updatePricesPacked(ethers.ZeroHash, pack(PRICES))
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+      await expect(
+        goldOracle.connect(addr1).updatePriceFields(ethers.ZeroHash, 0, [])
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+      await expect(
+        goldOracle.connect(addr1).updatePricesBatch([ethers.ZeroHash], [pack(PRICES)])
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+
+      await goldOracle.pause();
+      await expect(
+        goldOracle.updatePricesBatch([ethers.ZeroHash], [pack(PRICES)])
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+    });
+  });
+
+  describe("Rounds", function () {
+    const EUR = ethers.encodeBytes32String("EUR");
+    const PRICES = [
+      SAMPLE_PRICES.gram,
+      SAMPLE_PRICES.ounce,
+      SAMPLE_PRICES.k24,
+      SAMPLE_PRICES.k22,
+      SAMPLE_PRICES.k18,
+    ];
+
+    it("Should start without rounds", async function () {
+      expect(await goldOracle.latestRoundId(ethers.ZeroHash)).to.equal(0);
+      await expect(goldOracle.getRound(ethers.ZeroHash, 0)).to.be.revertedWith("GoldOracle: round not found");
+      await expect(goldOracle.getRound(ethers.ZeroHash, 1)).to.be.revertedWith("GoldOracle: round not found");
+    });
+
+    it("Should save every update as a new round", async function () {
+      const receipt = await (await goldOracle.updatePrices(...PRICES)).wait();
+      const [event] = await goldOracle.queryFilter(goldOracle.filters.NewRound(), receipt.blockNumber);
+      expect(event.args.currency).to.equal(ethers.ZeroHash);
+      expect(event.args.roundId).to.equal(1);
+      expect(event.args.timestamp).to.equal(await goldOracle.lastUpdated());
+
+      const newOunce = ethers.parseUnits("2100", 8);
+      await goldOracle.updatePrices(PRICES[0], newOunce, PRICES[2], PRICES[3], PRICES[4]);
+
+      expect(await goldOracle.latestRoundId(ethers.ZeroHash)).to.equal(2);
+
+      const first = await goldOracle.getRound(ethers.ZeroHash, 1);
+      const second = await goldOracle.getRound(ethers.ZeroHash, 2);
+      expect(first.pricePerOunce).to.equal(SAMPLE_PRICES.ounce);
+      expect(second.pricePerOunce).to.equal(newOunce);
+      expect(second.lastUpdated).to.equal(await goldOracle.lastUpdated());
+      await expect(goldOracle.getRound(ethers.ZeroHash, 3)).to.be.revertedWith("GoldOracle: round not found");
+    });
+
+    it("Should number the rounds of each currency separately", async function () {
+      await goldOracle.updatePrices(...PRICES);
+      await goldOracle.updatePricesForCurrency(EUR, ...PRICES);
+      await goldOracle.updatePricesForCurrency(EUR, ...PRICES);
+
+      expect(await goldOracle.latestRoundId(ethers.ZeroHash)).to.equal(1);
+      expect(await goldOracle.latestRoundId(EUR)).to.equal(2);
+      expect((await goldOracle.getRound(EUR, 2)).lastUpdated)
+        .to.equal((await goldOracle.getAllPricesForCurrency(EUR)).lastUpdated);
+    });
+
+    it("Should not start a round for karat tier updates", async function () {
+      await goldOracle.updatePrices(...PRICES);
+      await goldOracle.updateKaratPrices([21], [ethers.parseUnits("57.31", 8)]);
+
+      expect(await goldOracle.latestRoundId(ethers.ZeroHash)).to.equal(1);
+    });
+  });
+
+  describe("Roles", function () {
+    const EUR = ethers.encodeBytes32String("EUR");
+    const PRICES = [
+      SAMPLE_PRICES.gram,
+      SAMPLE_PRICES.ounce,
+      SAMPLE_PRICES.k24,
+      SAMPLE_PRICES.k22,
+      SAMPLE_PRICES.k18,
+    ];
+
+    it("Should make the deployer the first updater and leave the guardian unset", async function () {
+      expect(await goldOracle.isUpdater(owner.address)).to.equal(true);
+      expect(await goldOracle.guardian()).to.equal(ethers.ZeroAddress);
+      expect(await goldOracle.paused()).to.equal(false);
+    });
+
+    it("Should let the owner add and remove updaters", async function () {
+      await expect(goldOracle.setUpdater(addr1.address, true))
+        .to.emit(goldOracle, "UpdaterUpdated")
+        .withArgs(addr1.address, true);
+      await goldOracle.setUpdater(addr2.address, true);
+
+      await goldOracle.connect(addr1).updatePrices(...PRICES);
+      await goldOracle.connect(addr2).updatePricesForCurrency(EUR, ...PRICES);
+      expect(await goldOracle.getCurrencies()).to.deep.equal([EUR]);
+
+      await goldOracle.setUpdater(addr1.address, false);
+
+      expect(await goldOracle.isUpdater(addr1.address)).to.equal(false);
+      await expect(
+        goldOracle.connect(addr1).updatePrices(...PRICES)
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+    });
+
+    it("Should let the owner give up the updater role", async function () {
+      await goldOracle.setUpdater(addr1.address, true);
+      await goldOracle.setUpdater(owner.address, false);
+
+      await expect(
+        goldOracle.updatePrices(...PRICES)
+      ).to.be.revertedWith("GoldOracle: caller is not an updater");
+      await expect(goldOracle.connect(addr1).updatePrices(...PRICES)).to.not.be.reverted;
+    });
+
+    it("Should reject the zero address as updater", async function () {
+      await expect(
+        goldOracle.setUpdater(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("GoldOracle: invalid updater");
+    });
+
+    it("Should only let the owner manage roles", async function () {
+      await goldOracle.setUpdater(addr1.address, true);
+      await goldOracle.setGuardian(addr2.address);
+
+      // Neither updaters nor the guardian are admins
+      for (const account of [addr1, addr2]) {
+        await expect(
+          goldOracle.connect(account).setUpdater(account.address, true)
+        ).to.be.revertedWith("GoldOracle: caller is not the owner");
+        await expect(
+          goldOracle.connect(account).setGuardian(account.address)
+        ).to.be.revertedWith("GoldOracle: caller is not the owner");
+        await expect(
+          goldOracle.connect(account).transferOwnership(account.address)
+        ).to.be.revertedWith("GoldOracle: caller is not the owner");
+      }
+    });
+
+    it("Should let the owner set and remove the guardian", async function () {
+      await expect(goldOracle.setGuardian(addr2.address))
+        .to.emit(goldOracle, "GuardianTransferred")
+        .withArgs(ethers.ZeroAddress, addr2.address);
+      expect(await goldOracle.guardian()).to.equal(addr2.address);
+
+      await goldOracle.setGuardian(ethers.ZeroAddress);
+
+      await expect(
+        goldOracle.connect(addr2).pause()
+      ).to.be.revertedWith("GoldOracle: caller is not the guardian");
+    });
+
+    it("Should let the guardian pause every price update", async function () {
+      await goldOracle.setGuardian(addr2.address);
+      await goldOracle.updatePrices(...PRICES);
+
+      await expect(goldOracle.connect(addr2).pause())
+        .to.emit(goldOracle, "Paused")
+        .withArgs(addr2.address);
+      expect(await goldOracle.paused()).to.equal(true);
+
+      await expect(
+        goldOracle.updatePrices(...PRICES)
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+      await expect(
+        goldOracle.updatePricesForCurrency(EUR, ...PRICES)
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+      await expect(
+        goldOracle.updateKaratPrices([21], [SAMPLE_PRICES.gram])
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+      await expect(
+        goldOracle.updateKaratPricesForCurrency(EUR, [21], [SAMPLE_PRICES.gram])
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+
+      // Reads keep serving the last published prices
+      expect(await goldOracle.getGoldPricePerGram()).to.equal(SAMPLE_PRICES.gram);
+    });
+
+    it("Should only let the guardian or the owner pause", async function () {
+      await goldOracle.setGuardian(addr2.address);
+      await goldOracle.setUpdater(addr1.address, true);
+
+      await expect(
+        goldOracle.connect(addr1).pause()
+      ).to.be.revertedWith("GoldOracle: caller is not the guardian");
+
+      await expect(goldOracle.pause())
+        .to.emit(goldOracle, "Paused")
+        .withArgs(owner.address);
+      await expect(
+        goldOracle.connect(addr2).pause()
+      ).to.be.revertedWith("GoldOracle: already paused");
+    });
+
+    it("Should only let the owner unpause", async function () {
+      await goldOracle.setGuardian(addr2.address);
+      await goldOracle.connect(addr2).pause();
+
+      await expect(
+        goldOracle.connect(addr2).unpause()
       ).to.be.revertedWith("GoldOracle: caller is not the owner");
+
+      await expect(goldOracle.unpause())
+        .to.emit(goldOracle, "Unpaused")
+        .withArgs(owner.address);
+      await expect(goldOracle.unpause()).to.be.revertedWith("GoldOracle: not paused");
+      await expect(goldOracle.updatePrices(...PRICES)).to.not.be.reverted;
     });
   });
 });
@@ -0,0 +1,108 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import priceReports from "../src/services/priceReports.js";
+
+const { ethers } = hre;
+
+// GoldOracleFeed.Field
+const FIELD = { gram: 0, ounce: 1, k24: 2, k22: 3, k18: 4 };
+
+describe("GoldOracleFeed", function () {
+  let goldOracle;
+
+  const PRICES = [6550000000n, 203750000000n, 6550000000n, 6004166666n, 4912500000n];
+  const EUR = ethers.encodeBytes32String("EUR");
+
+  /**
+   * Deploy a feed reading one field of the oracle
+   */
+  const deployFeed = async (field, currency = ethers.ZeroHash, description = "XAU / USD") => {
+    const GoldOracleFeed = await ethers.getContractFactory("GoldOracleFeed");
+    const feed = await GoldOracleFeed.deploy(goldOracle.target, currency, field, description);
+    await feed.waitForDeployment();
+    return feed;
+  };
+
+  beforeEach(async function () {
+    const GoldOracle = await ethers.getContractFactory("GoldOracle");
+    goldOracle = await GoldOracle.deploy();
+    await goldOracle.waitForDeployment();
+  });
+
+  it("Should describe itself like a Chainlink feed", async function () {
+    const feed = await deployFeed(FIELD.ounce, ethers.ZeroHash, "XAU / USD (per ounce)");
+
+    expect(await feed.decimals()).to.equal(8);
+    expect(await feed.description()).to.equal("XAU / USD (per ounce)");
+    expect(await feed.version()).to.equal(1);
+  });
+
+  it("Should revert until the first price is published", async function () {
+    const feed = await deployFeed(FIELD.ounce);
+
+    await expect(feed.latestRoundData()).to.be.revertedWith("GoldOracle: round not found");
+  });
+
+  it("Should return the latest round", async function () {
+    const feed = await deployFeed(FIELD.ounce);
+
+    await goldOracle.updatePrices(...PRICES);
+    const lastUpdated = await goldOracle.lastUpdated();
+
+    const [roundId, answer, startedAt, updatedAt, answeredInRound] = await feed.latestRoundData();
+    expect(roundId).to.equal(1);
+    expect(answer).to.equal(PRICES[1]);
+    expect(startedAt).to.equal(lastUpdated);
+    expect(updatedAt).to.equal(lastUpdated);
+    expect(answeredInRound).to.equal(1);
+  });
+
+  it("Should return past rounds", async function () {
+    const feed = await deployFeed(FIELD.ounce);
+
+    await goldOracle.updatePrices(...PRICES);
+    await goldOracle.updatePrices(PRICES[0], 210000000000n, PRICES[2], PRICES[3], PRICES[4]);
+
+    expect((await feed.getRoundData(1)).answer).to.equal(PRICES[1]);
+    expect((await feed.getRoundData(2)).answer).to.equal(210000000000n);
+    expect((await feed.latestRoundData()).roundId).to.equal(2);
+    await expect(feed.getRoundData(3)).to.be.revertedWith("GoldOracle: round not found");
+  });
+
+  it("Should report the configured field and currency", async function () {
+    const gram = await deployFeed(FIELD.gram);
+    const k22 = await deployFeed(FIELD.k22);
+    const k18Eur = await deployFeed(FIELD.k18, EUR, "XAU / EUR");
+
+    await goldOracle.updatePrices(...PRICES);
+    await goldOracle.updatePricesForCurrency(EUR, 6000000000n, 186600000000n, 6000000000n, 5500000000n, 4500000000n);
+
+    expect((await gram.latestRoundData()).answer).to.equal(PRICES[0]);
+    expect((await k22.latestRoundData()).answer).to.equal(PRICES[3]);
+    expect((await k18Eur.latestRoundData()).answer).to.equal(4500000000n);
+  });
+
+  it("Should follow rounds stored from signed reports", async function () {
+    const [owner] = await ethers.getSigners();
+    const feed = await deployFeed(FIELD.ounce);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const { report, signature } = await priceReports.signReport(
+      owner,
+      priceReports.reportDomain(31337n, goldOracle.target),
+      priceReports.createReport(ethers.ZeroHash, {
+        pricePerGram: PRICES[0],
+        pricePerOunce: PRICES[1],
+        pricePerKarat24: PRICES[2],
+        pricePerKarat22: PRICES[3],
+        pricePerKarat18: PRICES[4],
+      }, timestamp)
+    );
+
+    await goldOracle.setReportSigner(owner.address, true);
+    await goldOracle.submitPriceReport(report, signature);
+
+    const latest = await feed.latestRoundData();
+    expect(latest.roundId).to.equal(1);
+    expect(latest.updatedAt).to.equal(timestamp);
+  });
+});
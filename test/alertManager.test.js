@@ -0,0 +1,151 @@
+import { expect } from "chai";
+import { createAlertManager, createWebhookChannel } from "../src/services/alerts/index.js";
+import { startWebhookReceiver } from "../scripts/webhookReceiver.js";
+
+describe("Alert manager", function () {
+  const alert = {
+    severity: "warning",
+    title: "Low gas balance on sepolia",
+    message: "0xabc holds 0.01, below MIN_WALLET_BALANCE (0.05)",
+    details: { chain: "sepolia", balance: "0.01" },
+  };
+
+  let receiver;
+
+  beforeEach(async function () {
+    receiver = await startWebhookReceiver();
+  });
+
+  afterEach(async function () {
+    await receiver.close();
+  });
+
+  /**
+   * Alert manager posting to the receiver in one format
+   * @param {string} format - generic, slack or pagerduty
+   * @param {Object} [options] - More manager options
+   * @returns {Object} Alert manager
+   */
+  function managerFor(format, options = {}) {
+    return createAlertManager({
+      channels: [createWebhookChannel({
+        name: format,
+        url: `${receiver.url}/${format}`,
+        format,
+        routingKey: "routing-key",
+        timeoutMs: 2000,
+      })],
+      ...options,
+    });
+  }
+
+  it("Should post an alert once and deduplicate it while it stays active", async function () {
+    const manager = managerFor("generic");
+
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(true);
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(false);
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(false);
+
+    expect(receiver.requests).to.have.length(1);
+    expect(receiver.requests[0].body).to.include({
+      key: "balance:sepolia",
+      status: "firing",
+      severity: "warning",
+      title: alert.title,
+      source: "gold-oracle",
+    });
+    expect(receiver.requests[0].body.details).to.deep.equal(alert.details);
+    expect(manager.getStatus()).to.include({ sent: 1, deduplicated: 2, failed: 0 });
+    expect(manager.getStatus().active.map(({ key }) => key)).to.deep.equal(["balance:sepolia"]);
+  });
+
+  it("Should send one recovery notice when an active alert resolves", async function () {
+    const manager = managerFor("generic");
+
+    expect(await manager.resolve("balance:sepolia")).to.equal(false);
+    await manager.fire("balance:sepolia", alert);
+    expect(await manager.resolve("balance:sepolia", "0xabc holds 1.0 again")).to.equal(true);
+    expect(await manager.resolve("balance:sepolia")).to.equal(false);
+
+    expect(receiver.requests.map(({ body }) => body.status)).to.deep.equal(["firing", "resolved"]);
+    expect(receiver.requests[1].body).to.include({ severity: "warning", message: "0xabc holds 1.0 again" });
+    expect(receiver.requests[1].body.firedAt).to.equal(receiver.requests[0].body.firedAt);
+    expect(manager.getStatus().active).to.deep.equal([]);
+  });
+
+  it("Should notify again when an alert escalates or repeats", async function () {
+    const manager = managerFor("generic", { repeatSeconds: 0.2 });
+
+    await manager.fire("balance:sepolia", alert);
+    await manager.fire("balance:sepolia", { ...alert, severity: "critical" });
+    await manager.fire("balance:sepolia", { ...alert, severity: "critical" });
+    expect(receiver.requests.map(({ body }) => body.severity)).to.deep.equal(["warning", "critical"]);
+
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    await manager.fire("balance:sepolia", { ...alert, severity: "critical" });
+
+    expect(receiver.requests).to.have.length(3);
+  });
+
+  it("Should retry a failed delivery on the next fire", async function () {
+    const manager = managerFor("generic");
+
+    receiver.setStatus(500);
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(false);
+    expect(manager.getStatus()).to.include({ sent: 0, failed: 1 });
+
+    receiver.setStatus(200);
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(true);
+    expect(await manager.fire("balance:sepolia", alert)).to.equal(false);
+
+    expect(receiver.requests).to.have.length(2);
+    expect(manager.getStatus().active[0].deliveredTo).to.deep.equal(["generic"]);
+  });
+
+  it("Should send concurrent fires of one alert once", async function () {
+    const manager = managerFor("generic");
+
+    const results = await Promise.all([1, 2, 3].map(() => manager.fire("balance:sepolia", alert)));
+
+    expect(results.filter(Boolean)).to.have.length(1);
+    expect(receiver.requests).to.have.length(1);
+  });
+
+  it("Should post Slack messages", async function () {
+    const manager = managerFor("slack");
+
+    await manager.fire("balance:sepolia", { ...alert, severity: "critical" });
+    await manager.resolve("balance:sepolia", "Funded again");
+
+    expect(receiver.requests[0].path).to.equal("/slack");
+    expect(receiver.requests[0].body).to.have.keys(["text"]);
+    expect(receiver.requests[0].body.text).to.match(/^:rotating_light: \*\[CRITICAL\] Low gas balance on sepolia\*\n0xabc holds/);
+    expect(receiver.requests[1].body.text).to.match(/^:white_check_mark: \*\[RESOLVED\] Low gas balance on sepolia\*\nFunded again/);
+  });
+
+  it("Should post PagerDuty trigger and resolve events with the alert key as dedup key", async function () {
+    const manager = managerFor("pagerduty");
+
+    await manager.fire("balance:sepolia", alert);
+    await manager.resolve("balance:sepolia");
+
+    const [trigger, resolve] = receiver.requests.map(({ body }) => body);
+    expect(trigger).to.deep.include({ routing_key: "routing-key", event_action: "trigger", dedup_key: "balance:sepolia" });
+    expect(trigger.payload).to.deep.include({
+      summary: `${alert.title}: ${alert.message}`,
+      source: "gold-oracle",
+      severity: "warning",
+      custom_details: alert.details,
+    });
+    expect(resolve).to.deep.equal({ routing_key: "routing-key", event_action: "resolve", dedup_key: "balance:sepolia" });
+  });
+
+  it("Should reject unknown severities and formats", async function () {
+    const manager = managerFor("generic");
+
+    await expect(manager.fire("balance:sepolia", { ...alert, severity: "info" }))
+      .to.be.rejectedWith("Unknown alert severity: info");
+    expect(() => createWebhookChannel({ name: "teams", url: receiver.url, format: "teams" }))
+      .to.throw("Unknown alert format: teams (supported: generic, slack, pagerduty)");
+  });
+});
@@ -0,0 +1,208 @@
+import { spawn } from "child_process";
+import { createRequire } from "module";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+
+/**
+ * End-to-end harness: a Hardhat node, a deployed GoldOracle and the oracle
+ * service (src/index.js) running as child processes against the mock GoldAPI
+ * server (scripts/mockGoldApi.js). Used by test/e2e/updater.test.js.
+ */
+
+const require = createRequire(import.meta.url);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/bootstrap.js");
+
+// First account of the Hardhat node's default mnemonic
+export const HARDHAT_ACCOUNT_0 = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port number
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Poll until a check returns a truthy value
+ * @param {Function} check - Async check; errors count as not ready yet
+ * @param {Object} options - Polling options
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @param {number} [options.intervalMs] - Delay between checks
+ * @param {string} [options.message] - What is being waited for, for the timeout error
+ * @returns {Promise<*>} The check's result
+ */
+export async function waitFor(check, { timeoutMs = 30000, intervalMs = 250, message = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let lastError;
+
+  while (Date.now() < deadline) {
+    try {
+      const result = await check();
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  throw new Error(`Timed out waiting for ${message}${lastError ? ` (${lastError.message})` : ""}`);
+}
+
+/**
+ * Start a child process and collect its output
+ * @param {string[]} args - Node arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Object} { child, output(), stop() }
+ */
+function startProcess(args, env = {}) {
+  const child = spawn(process.execPath, args, {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const chunks = [];
+
+  child.stdout.on("data", (chunk) => chunks.push(chunk));
+  child.stderr.on("data", (chunk) => chunks.push(chunk));
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  return {
+    child,
+    output: () => Buffer.concat(chunks).toString(),
+    exited,
+    stop: async () => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill("SIGTERM");
+      }
+      await exited;
+    },
+  };
+}
+
+/**
+ * Start a Hardhat node on a free port
+ * @param {Object} options - Node options
+ * @param {string} [options.configFile] - Hardhat config (defaults to the running one)
+ * @returns {Promise<Object>} { url, provider, output(), stop() }
+ */
+export async function startHardhatNode({ configFile } = {}) {
+  const port = await freePort();
+  const args = [HARDHAT_CLI, "node", "--hostname", "127.0.0.1", "--port", String(port)];
+
+  if (configFile) {
+    args.push("--config", configFile);
+  }
+
+  const node = startProcess(args);
+  const url = `http://127.0.0.1:${port}`;
+  // No response cache: transactions sent back to back would reuse a cached nonce
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true, cacheTimeout: -1 });
+
+  try {
+    await waitFor(async () => {
+      if (node.child.exitCode !== null) {
+        throw new Error(`Hardhat node exited: ${node.output()}`);
+      }
+      return (await provider.getBlockNumber()) >= 0;
+    }, { timeoutMs: 60000, message: "the Hardhat node" });
+  } catch (error) {
+    provider.destroy();
+    await node.stop();
+    throw error;
+  }
+
+  return {
+    url,
+    provider,
+    output: node.output,
+    stop: async () => {
+      provider.destroy();
+      await node.stop();
+    },
+  };
+}
+
+/**
+ * Deploy GoldOracle to a node
+ * @param {Object} artifact - GoldOracle artifact (abi and bytecode)
+ * @param {ethers.Provider} provider - Node provider
+ * @param {string} [privateKey] - Deployer key (the first Hardhat account by default)
+ * @returns {Promise<ethers.Contract>} Deployed contract, connected to the deployer
+ */
+export async function deployGoldOracle(artifact, provider, privateKey = HARDHAT_ACCOUNT_0) {
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+  const contract = await factory.deploy();
+
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Start the oracle service (src/index.js) and wait until it serves requests
+ * @param {Object} env - Service environment (NETWORK, RPC_URL, CONTRACT_ADDRESS, ...)
+ * @returns {Promise<Object>} { url, output(), logs(), request(), stop() }
+ */
+export async function startOracleService(env) {
+  const port = await freePort();
+  const service = startProcess(["src/index.js"], { ...env, PORT: String(port) });
+  const url = `http://127.0.0.1:${port}`;
+
+  /**
+   * Call the service's HTTP API
+   * @param {string} route - Route, e.g. /prices
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  const request = async (route, options = {}) => {
+    const response = await fetch(`${url}${route}`, options);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  /**
+   * Log entries written so far (the service logs one JSON object per line)
+   * @returns {Object[]} Parsed entries
+   */
+  const logs = () => service.output().split("\n").flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+
+  try {
+    await waitFor(async () => {
+      if (service.child.exitCode !== null) {
+        throw new Error(`Oracle service exited: ${service.output()}`);
+      }
+      return (await request("/health")).status === 200;
+    }, { timeoutMs: 60000, message: "the oracle service" });
+  } catch (error) {
+    await service.stop();
+    throw error;
+  }
+
+  return {
+    url,
+    output: service.output,
+    logs,
+    request,
+    stop: service.stop,
+  };
+}
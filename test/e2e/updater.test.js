@@ -0,0 +1,351 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import { startMockGoldApi } from "../../scripts/mockGoldApi.js";
+import { startWebhookReceiver } from "../../scripts/webhookReceiver.js";
+import {
+  HARDHAT_ACCOUNT_0,
+  deployGoldOracle,
+  startHardhatNode,
+  startOracleService,
+  waitFor,
+} from "./harness.js";
+
+// Runs the real service against a Hardhat node and the mock GoldAPI server: E2E=true npm run test:e2e
+describe("End-to-end updater", function () {
+  const API_KEY = "e2e-api-key";
+  const GOLD_API_KEY = "e2e-goldapi-token";
+
+  let mock;
+  let receiver;
+  let node;
+  let goldOracle;
+  let service;
+
+  this.timeout(180000);
+
+  const ounce = async () => goldOracle.getGoldPricePerOunce();
+  const update = () => service.request("/update-prices", { method: "POST", headers: { "X-API-Key": API_KEY } });
+
+  before(async function () {
+    if (!process.env.E2E) {
+      this.skip();
+    }
+
+    mock = await startMockGoldApi({ token: GOLD_API_KEY, prices: { XAU: 2037.5 } });
+    receiver = await startWebhookReceiver();
+    node = await startHardhatNode({ configFile: hre.config.paths.configFile });
+    goldOracle = await deployGoldOracle(await hre.artifacts.readArtifact("GoldOracle"), node.provider);
+
+    service = await startOracleService({
+      NETWORK: "localhost",
+      RPC_URL: node.url,
+      PRIVATE_KEY: HARDHAT_ACCOUNT_0,
+      CONTRACT_ADDRESS: goldOracle.target,
+      METALS: "XAU",
+      QUOTE_CURRENCIES: "USD",
+      PRICE_PROVIDERS: "goldapi",
+      GOLD_API_KEY,
+      GOLD_API_BASE_URL: mock.baseUrl,
+      API_KEY,
+      HISTORY_ENABLED: "false",
+      INDEXER_ENABLED: "false",
+      UPDATE_INITIAL_DELAY_SECONDS: "1",
+      ALERT_WEBHOOK_URL: `${receiver.url}/alerts`,
+      ALERT_CHECK_SECONDS: "1",
+      HEALTH_MAX_CONSECUTIVE_FAILURES: "2",
+    });
+  });
+
+  after(async function () {
+    await service?.stop();
+    await node?.stop();
+    await mock?.close();
+    await receiver?.close();
+  });
+
+  afterEach(function () {
+    if (this.currentTest.state === "failed" && service) {
+      console.log(service.output());
+    }
+  });
+
+  it("Should publish the mock price on the first scheduled update", async function () {
+    await waitFor(async () => (await ounce()) === 203750000000n, { message: "the first update" });
+
+    const { body } = await service.request("/prices");
+    expect(body.data.pricePerOunce).to.equal("203750000000");
+    expect(body.data.isStale).to.equal(false);
+    expect(mock.requests[0]).to.include({ symbol: "XAU", currency: "USD" });
+  });
+
+  it("Should show the schedule and the next planned update in /health", async function () {
+    await waitFor(async () => (await service.request("/health")).body.schedule.XAU.lastRun !== null, {
+      message: "the startup run to finish",
+    });
+
+    const { schedule } = (await service.request("/health")).body;
+
+    expect(schedule.XAU).to.include({ schedule: "15m", calendar: "always", marketOpen: true, consecutiveFailures: 0 });
+    expect(schedule.XAU.lastRun).to.include({ trigger: "startup", succeeded: true });
+    expect(Date.parse(schedule.XAU.nextRunAt) % (15 * 60 * 1000)).to.equal(0);
+    expect(Date.parse(schedule.XAU.nextRunAt) - Date.now()).to.be.within(0, 15 * 60 * 1000);
+  });
+
+  it("Should tag everything logged during an update with one correlation ID", async function () {
+    const logs = service.logs();
+    const sent = logs.find(({ message, trigger }) => message.startsWith("Transaction sent") && trigger === "startup");
+    const cycle = logs.filter(({ correlationId }) => correlationId === sent.correlationId);
+
+    expect(cycle.map(({ module }) => module)).to.include.members(["goldApiProvider", "transactionManager", "server"]);
+    expect(cycle.find(({ message }) => message.startsWith("Fetching gold price"))).to.include({ currency: "USD" });
+    expect(cycle.find(({ message }) => message.startsWith("Transaction confirmed")))
+      .to.include({ transactionHash: sent.transactionHash });
+  });
+
+  it("Should use the caller's X-Request-Id as the request's correlation ID", async function () {
+    const { headers } = await service.request("/update-prices", {
+      method: "POST",
+      headers: { "X-API-Key": API_KEY, "X-Request-Id": "e2e-request-1" },
+    });
+
+    expect(headers.get("x-request-id")).to.equal("e2e-request-1");
+    const request = service.logs().filter(({ correlationId }) => correlationId === "e2e-request-1");
+    expect(request.find(({ message }) => message.startsWith("Querying price providers"))).to.include({ path: "/update-prices" });
+    expect((await service.request("/prices")).headers.get("x-request-id")).to.match(/^[0-9a-f-]{36}$/);
+  });
+
+  it("Should skip prices that did not move", async function () {
+    const { status, body } = await update();
+
+    expect(status).to.equal(200);
+    expect(body.data.updated).to.equal(false);
+  });
+
+  it("Should publish a moved price", async function () {
+    mock.setPrices({ XAU: 2050 });
+
+    const { body } = await update();
+
+    expect(body.data.updated).to.equal(true);
+    expect(body.data.chains.localhost.currencies.USD.path).to.equal("packed");
+    expect(await ounce()).to.equal(205000000000n);
+  });
+
+  it("Should retry through API errors", async function () {
+    mock.setPrices({ XAU: 2061.5 });
+    mock.script({ status: 500 }, { status: 502 });
+    const requests = mock.requests.length;
+
+    const { body } = await update();
+
+    expect(body.data.updated).to.equal(true);
+    expect(mock.requests.length - requests).to.equal(3);
+    expect(await ounce()).to.equal(206150000000n);
+  });
+
+  it("Should back off after a 429 until Retry-After", async function () {
+    mock.setPrices({ XAU: 2068 });
+    mock.script({ status: 429, headers: { "Retry-After": "2" } });
+    const requests = mock.requests.length;
+
+    expect((await update()).status).to.equal(500);
+    expect((await update()).status).to.equal(500);
+    expect(mock.requests.length - requests).to.equal(1);
+
+    const { body } = await service.request("/health");
+    expect(body.priceApi.quota.goldapi.backingOff).to.equal(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    await update();
+
+    expect(await ounce()).to.equal(206800000000n);
+  });
+
+  it("Should leave the contract untouched while the API keeps failing", async function () {
+    mock.setPrices({ XAU: 2075 });
+    // The first attempt and every retry fail
+    mock.script(...Array(4).fill({ status: 503 }));
+
+    const { status } = await update();
+
+    expect(status).to.equal(500);
+    expect(await ounce()).to.equal(206800000000n);
+    expect((await service.request("/health")).body.status).to.equal("healthy");
+  });
+
+  it("Should wait for slow responses", async function () {
+    mock.script({ delayMs: 1500 });
+
+    const { body } = await update();
+
+    expect(body.data.updated).to.equal(true);
+    expect(await ounce()).to.equal(207500000000n);
+  });
+
+  it("Should serve a burst of public price requests with at most one upstream fetch", async function () {
+    const requests = mock.requests.length;
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => service.request("/api/gold-price")));
+
+    expect(mock.requests.length - requests).to.be.at.most(1);
+    expect(new Set(responses.map(({ body }) => body.data.pricePerOunce)).size).to.equal(1);
+    expect(responses.filter(({ body }) => body.cache.cached).length).to.be.at.least(9);
+  });
+
+  it("Should report readiness per check and turn unhealthy without the updater role", async function () {
+    const wallet = new ethers.Wallet(HARDHAT_ACCOUNT_0).address;
+
+    expect((await service.request("/health/live")).body).to.include({ success: true, status: "healthy" });
+
+    const ready = await service.request("/health/ready");
+    expect(ready.status).to.equal(200);
+    expect(ready.body.status).to.equal("healthy");
+    expect(ready.body.checks.map(({ name }) => name))
+      .to.have.members(["priceApi", "rpc", "contractAccess", "balance", "staleness", "updates"]);
+    expect(ready.body.checks.find(({ name }) => name === "contractAccess").details.XAU)
+      .to.include({ owner: wallet, isOwner: true, isUpdater: true, paused: false });
+
+    await (await goldOracle.setUpdater(wallet, false)).wait();
+    try {
+      const revoked = await service.request("/health/ready");
+
+      expect(revoked.status).to.equal(503);
+      expect(revoked.body.status).to.equal("unhealthy");
+      expect(revoked.body.checks.find(({ name }) => name === "contractAccess"))
+        .to.include({ chain: "localhost", status: "unhealthy" })
+        .and.have.property("message").that.includes("not an updater of the XAU contract");
+    } finally {
+      await (await goldOracle.setUpdater(wallet, true)).wait();
+    }
+
+    expect((await service.request("/health/ready")).status).to.equal(200);
+  });
+
+  it("Should report updates, fetches, transactions, balance and price age on /metrics", async function () {
+    const response = await fetch(`${service.url}/metrics`);
+    const output = await response.text();
+    const sample = (series) => {
+      const match = output.match(new RegExp(`^${series.replace(/[{}]/g, "\\$&")} (\\S+)$`, "m"));
+      return match ? Number(match[1]) : null;
+    };
+
+    expect(response.headers.get("content-type")).to.match(/^text\/plain;/).and.include("version=0.0.4");
+    expect(sample('gold_oracle_updates_total{metal="XAU",chain="localhost",result="updated"}')).to.be.at.least(4);
+    expect(sample('gold_oracle_updates_total{metal="XAU",chain="localhost",result="skipped"}')).to.be.at.least(1);
+    expect(sample('gold_oracle_updates_total{metal="XAU",chain="localhost",result="failed"}')).to.be.at.least(1);
+    expect(sample('gold_oracle_price_fetches_total{provider="goldapi",metal="XAU",currency="USD",result="failure"}'))
+      .to.be.at.least(2);
+    expect(sample('gold_oracle_price_fetch_retries_total{metal="XAU",currency="USD"}')).to.be.at.least(2);
+    expect(sample('gold_oracle_transactions_total{chain="localhost",result="confirmed"}')).to.be.at.least(4);
+    expect(sample('gold_oracle_transaction_gas_used_count{chain="localhost"}')).to.be.at.least(4);
+    expect(sample(`gold_oracle_wallet_balance_wei{chain="localhost",address="${new ethers.Wallet(HARDHAT_ACCOUNT_0).address}"}`))
+      .to.be.above(0);
+    expect(sample('gold_oracle_price_age_seconds{chain="localhost",metal="XAU",currency="USD"}')).to.be.within(0, 120);
+  });
+
+  it("Should alert on repeated update failures and an ownership change, then on recovery", async function () {
+    const wallet = new ethers.Wallet(HARDHAT_ACCOUNT_0).address;
+    // Earlier failures may have fired and resolved alerts already
+    const received = receiver.requests.length;
+    const notices = (key) => receiver.requests.slice(received).filter(({ body }) => body.key === key).map(({ body }) => body);
+
+    mock.setPrices({ XAU: 2090 });
+    mock.script(...Array(8).fill({ status: 503 }));
+    await update();
+    await update();
+
+    await waitFor(() => notices("update-failures:localhost:XAU").length === 1, { message: "the failure alert" });
+    expect(notices("update-failures:localhost:XAU")[0]).to.include({ status: "firing", severity: "critical" });
+    expect(notices("update-failures:localhost:XAU")[0].message).to.include("2 update runs failed in a row");
+
+    await update();
+    await waitFor(() => notices("update-failures:localhost:XAU").length === 2, { message: "the recovery notice" });
+    expect(notices("update-failures:localhost:XAU")[1].status).to.equal("resolved");
+
+    const other = await node.provider.getSigner(1);
+    await (await goldOracle.transferOwnership(other.address)).wait();
+    await waitFor(() => notices("owner:localhost:XAU").length === 1, { message: "the ownership alert" });
+    expect(notices("owner:localhost:XAU")[0].details).to.include({ owner: other.address, expectedOwner: wallet });
+
+    await (await goldOracle.connect(other).transferOwnership(wallet)).wait();
+    await waitFor(() => notices("owner:localhost:XAU").length === 2, { message: "the ownership recovery notice" });
+    expect(notices("owner:localhost:XAU")[1].status).to.equal("resolved");
+
+    const { body } = await service.request("/health");
+    expect(body.alerts).to.include({ failed: 0 }).and.deep.include({ channels: ["webhook"], active: [] });
+  });
+
+  it("Should never log the API keys or the private key", function () {
+    const output = service.output();
+
+    [GOLD_API_KEY, API_KEY, HARDHAT_ACCOUNT_0.slice(2)].forEach((secret) => expect(output).to.not.include(secret));
+  });
+});
+
+describe("End-to-end pull mode", function () {
+  const API_KEY = "e2e-api-key";
+  const GOLD_API_KEY = "e2e-goldapi-token";
+
+  let mock;
+  let node;
+  let service;
+
+  this.timeout(180000);
+
+  const latestReport = async () => (await service.request("/reports/latest")).body.data;
+
+  before(async function () {
+    if (!process.env.E2E) {
+      this.skip();
+    }
+
+    mock = await startMockGoldApi({ token: GOLD_API_KEY, prices: { XAU: 2037.5 } });
+    node = await startHardhatNode({ configFile: hre.config.paths.configFile });
+    const goldOracle = await deployGoldOracle(await hre.artifacts.readArtifact("GoldOracle"), node.provider);
+    await (await goldOracle.setReportSigner(new ethers.Wallet(HARDHAT_ACCOUNT_0).address, true)).wait();
+
+    service = await startOracleService({
+      NETWORK: "localhost",
+      RPC_URL: node.url,
+      PRIVATE_KEY: HARDHAT_ACCOUNT_0,
+      CONTRACT_ADDRESS: goldOracle.target,
+      ORACLE_MODE: "pull",
+      METALS: "XAU",
+      QUOTE_CURRENCIES: "USD",
+      PRICE_PROVIDERS: "goldapi",
+      GOLD_API_KEY,
+      GOLD_API_BASE_URL: mock.baseUrl,
+      API_KEY,
+      HISTORY_ENABLED: "false",
+      INDEXER_ENABLED: "false",
+      UPDATE_INITIAL_DELAY_SECONDS: "1",
+    });
+  });
+
+  after(async function () {
+    await service?.stop();
+    await node?.stop();
+    await mock?.close();
+  });
+
+  afterEach(function () {
+    if (this.currentTest.state === "failed" && service) {
+      console.log(service.output());
+    }
+  });
+
+  it("Should not sign a report while the deviation guard holds the price", async function () {
+    const signed = await waitFor(latestReport, { message: "the first signed report" });
+    expect(signed.report.pricePerOunce).to.equal("203750000000");
+
+    mock.setPrices({ XAU: 203.75 });
+
+    const { body } = await service.request("/update-prices", { method: "POST", headers: { "X-API-Key": API_KEY } });
+
+    expect(body.data).to.include({ held: true, message: "Update held by deviation guard" });
+    expect(body.data.reported).to.equal(undefined);
+    expect(body.data.chains.localhost.guard).to.include({ allowed: false, reason: "held" });
+    expect((await latestReport()).report.nonce).to.equal(signed.report.nonce);
+  });
+});
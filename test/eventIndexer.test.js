@@ -0,0 +1,167 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import { createEventIndexer } from "../src/services/eventIndexer.js";
+import priceReports, { REPORT_TYPES } from "../src/services/priceReports.js";
+
+const { ethers, network } = hre;
+
+describe("Event indexer", function () {
+  let goldOracle;
+  let owner;
+  let other;
+  let file;
+  let startBlock;
+
+  const PRICES = [6550000000n, 203750000000n, 6550000000n, 6004166666n, 4912500000n];
+
+  const createIndexer = (options = {}) => createEventIndexer({
+    provider: ethers.provider,
+    contracts: { XAU: goldOracle.target },
+    senders: [owner.address],
+    baseCurrency: "USD",
+    startBlock,
+    confirmations: 0,
+    batchBlocks: 5,
+    file,
+    ...options,
+  });
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "events-")), "events.jsonl");
+
+    const GoldOracle = await ethers.getContractFactory("GoldOracle");
+    goldOracle = await GoldOracle.deploy();
+    await goldOracle.waitForDeployment();
+    startBlock = (await goldOracle.deploymentTransaction().wait()).blockNumber;
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it("Should backfill price, karat and ownership events", async function () {
+    await goldOracle.updatePrices(...PRICES);
+    await goldOracle.updatePricesForCurrency(ethers.encodeBytes32String("EUR"), ...PRICES);
+    await goldOracle.updateKaratPrices([21], [5731250000n]);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    expect(indexer.getEvents().map(({ event }) => event)).to.deep.equal([
+      "OwnershipTransferred",
+      "PricesUpdated",
+      "CurrencyPricesUpdated",
+      "KaratPricesUpdated",
+    ]);
+    expect(indexer.getEvents({ event: "CurrencyPricesUpdated" })[0].currency).to.equal("EUR");
+    expect(indexer.getEvents({ event: "KaratPricesUpdated" })[0].data.karats).to.deep.equal({ 21: "5731250000" });
+    expect(indexer.getEvents({ foreign: true })).to.have.length(0);
+  });
+
+  it("Should only index blocks buried under the confirmation depth", async function () {
+    await goldOracle.updatePrices(...PRICES);
+
+    const indexer = createIndexer({ confirmations: 2 });
+    await indexer.sync();
+    expect(indexer.getEvents({ event: "PricesUpdated" })).to.have.length(0);
+
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    await indexer.sync();
+    expect(indexer.getEvents({ event: "PricesUpdated" })).to.have.length(1);
+  });
+
+  it("Should flag price updates the service did not send", async function () {
+    await goldOracle.setUpdater(other.address, true);
+    await goldOracle.connect(other).updatePrices(...PRICES);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const [foreign] = indexer.getEvents({ foreign: true });
+    expect(foreign.event).to.equal("PricesUpdated");
+    expect(foreign.from).to.equal(other.address);
+    expect(indexer.getStatus().foreignUpdates).to.equal(1);
+  });
+
+  it("Should not flag prices submitted with the service's signed reports", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const report = {
+      currency: ethers.ZeroHash,
+      pricePerGram: PRICES[0],
+      pricePerOunce: PRICES[1],
+      pricePerKarat24: PRICES[2],
+      pricePerKarat22: PRICES[3],
+      pricePerKarat18: PRICES[4],
+      timestamp,
+      nonce: 1n,
+    };
+    const signature = await owner.signTypedData(
+      priceReports.reportDomain(31337n, goldOracle.target),
+      REPORT_TYPES,
+      report
+    );
+    await goldOracle.setReportSigner(owner.address, true);
+    await goldOracle.connect(other).submitPriceReport(report, signature);
+
+    const indexer = createIndexer({ reportSigners: [owner.address] });
+    await indexer.sync();
+
+    expect(indexer.getEvents({ event: "PricesUpdated" })[0].from).to.equal(other.address);
+    expect(indexer.getEvents({ event: "PriceReportAccepted" })[0].data.signer).to.equal(owner.address);
+    expect(indexer.getStatus().foreignUpdates).to.equal(0);
+  });
+
+  it("Should reconstruct the contract state at a block", async function () {
+    const first = await (await goldOracle.updatePrices(...PRICES)).wait();
+    const updated = [...PRICES];
+    updated[1] = 204000000000n;
+    await goldOracle.updatePrices(...updated);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    expect(indexer.getStateAt({ metal: "XAU", currency: "USD", blockNumber: startBlock }).prices).to.equal(null);
+
+    const state = indexer.getStateAt({ metal: "XAU", currency: "USD", blockNumber: first.blockNumber });
+    expect(state.prices.pricePerOunce).to.equal("203750000000");
+    expect(state.karats[22]).to.equal("6004166666");
+    expect(state.owner).to.equal(owner.address);
+
+    const latest = await ethers.provider.getBlockNumber();
+    expect(indexer.getStateAt({ metal: "XAU", currency: "USD", blockNumber: latest }).prices.pricePerOunce)
+      .to.equal("204000000000");
+    expect(() => indexer.getStateAt({ metal: "XAU", currency: "USD", blockNumber: latest + 1 }))
+      .to.throw("not indexed yet");
+  });
+
+  it("Should resume from the stored checkpoint", async function () {
+    await goldOracle.updatePrices(...PRICES);
+    await createIndexer().sync();
+
+    const restarted = createIndexer();
+    await restarted.sync();
+
+    expect(restarted.getEvents()).to.have.length(2);
+  });
+
+  it("Should re-index after a reorg past the checkpoint", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+    await goldOracle.updatePrices(...PRICES);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(indexer.getEvents({ event: "PricesUpdated" })).to.have.length(1);
+
+    // Replace the update block with a different chain of the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    await indexer.sync();
+
+    expect(indexer.getEvents({ event: "PricesUpdated" })).to.have.length(0);
+    expect(indexer.getStatus().indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
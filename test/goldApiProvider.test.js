@@ -0,0 +1,128 @@
+import { expect } from "chai";
+import { createGoldApiProvider } from "../src/services/providers/goldApiProvider.js";
+import { createQuotaTracker } from "../src/services/providers/quotaTracker.js";
+import { startMockGoldApi } from "../scripts/mockGoldApi.js";
+
+describe("GoldAPI provider", function () {
+  let mock;
+
+  const provider = ({ key = "test-token", symbol = "XAU", currency = "USD", quota } = {}) =>
+    createGoldApiProvider({ key, baseUrl: mock.baseUrl, symbol, currency, quota });
+
+  beforeEach(async function () {
+    mock = await startMockGoldApi({ token: "test-token", prices: { XAU: [2037.5, 2041.25], "XAU/EUR": 1874.5 } });
+  });
+
+  afterEach(async function () {
+    await mock.close();
+  });
+
+  it("Should read prices in GoldAPI's response format", async function () {
+    const quote = await provider().fetchPrice();
+
+    expect(quote.price).to.equal(2037.5);
+    expect(quote.raw).to.include({ metal: "XAU", currency: "USD", symbol: "FOREXCOM:XAUUSD" });
+    expect(quote.raw.price_gram_24k).to.be.closeTo(65.5071, 0.0001);
+    expect(quote.timestamp).to.be.a("number");
+  });
+
+  it("Should follow price paths per pair", async function () {
+    const prices = [];
+    for (let i = 0; i < 3; i++) {
+      prices.push((await provider().fetchPrice()).price);
+    }
+
+    expect(prices).to.deep.equal([2037.5, 2041.25, 2041.25]);
+    expect((await provider({ currency: "EUR" }).fetchPrice()).price).to.equal(1874.5);
+    expect(mock.requests.map(({ currency }) => currency)).to.deep.equal(["USD", "USD", "USD", "EUR"]);
+  });
+
+  it("Should fail on scripted errors and recover afterwards", async function () {
+    mock.script({ status: 500 }, { status: 429 });
+
+    await expect(provider().fetchPrice()).to.be.rejectedWith("GoldAPI request failed: 500");
+    await expect(provider().fetchPrice()).to.be.rejectedWith("GoldAPI request failed: 429");
+    expect((await provider().fetchPrice()).price).to.equal(2037.5);
+  });
+
+  it("Should answer 429 once the quota is used up", async function () {
+    await mock.close();
+    mock = await startMockGoldApi({ quota: { limit: 2, windowSeconds: 60 } });
+
+    await provider().fetchPrice();
+    await provider().fetchPrice();
+    await expect(provider().fetchPrice()).to.be.rejectedWith("GoldAPI request failed: 429");
+  });
+
+  it("Should reject invalid access tokens", async function () {
+    await expect(provider({ key: "wrong" }).fetchPrice()).to.be.rejectedWith("GoldAPI request failed: 403");
+  });
+
+  it("Should delay scripted responses", async function () {
+    mock.script({ delayMs: 200, price: 2100 });
+
+    const started = Date.now();
+    const quote = await provider().fetchPrice();
+
+    expect(quote.price).to.equal(2100);
+    expect(Date.now() - started).to.be.at.least(200);
+  });
+
+  describe("Quota tracking", function () {
+    let quota;
+
+    beforeEach(function () {
+      quota = createQuotaTracker({ name: "GoldAPI", backoffSeconds: 60, maxBackoffSeconds: 3600 });
+    });
+
+    it("Should read the rate-limit headers", async function () {
+      await mock.close();
+      mock = await startMockGoldApi({ quota: { limit: 5, windowSeconds: 3600 } });
+
+      await provider({ quota }).fetchPrice();
+      await provider({ quota, currency: "EUR" }).fetchPrice();
+
+      const status = quota.getStatus();
+      expect(status).to.include({ limit: 5, remaining: 3, backingOff: false });
+      expect(Date.parse(status.resetAt)).to.be.above(Date.now());
+    });
+
+    it("Should stop asking once the quota is used up", async function () {
+      await mock.close();
+      mock = await startMockGoldApi({ quota: { limit: 1, windowSeconds: 3600 } });
+
+      await provider({ quota }).fetchPrice();
+
+      expect(quota.getStatus().backingOff).to.equal(true);
+      await expect(provider({ quota }).fetchPrice()).to.be.rejectedWith("GoldAPI quota exhausted");
+      expect(mock.requests).to.have.length(1);
+    });
+
+    it("Should back off after a 429 until Retry-After", async function () {
+      mock.script({ status: 429, headers: { "Retry-After": "1" } });
+
+      await expect(provider({ quota }).fetchPrice()).to.be.rejectedWith("GoldAPI request failed: 429");
+      await expect(provider({ quota }).fetchPrice()).to.be.rejectedWith("backing off");
+      expect(mock.requests).to.have.length(1);
+
+      await new Promise((resolve) => setTimeout(resolve, 1050));
+
+      expect((await provider({ quota }).fetchPrice()).price).to.equal(2037.5);
+      expect(quota.getStatus()).to.include({ backingOff: false, rateLimited: 1 });
+    });
+
+    it("Should double the backoff on consecutive 429s without Retry-After", function () {
+      quota = createQuotaTracker({ name: "GoldAPI", backoffSeconds: 10, maxBackoffSeconds: 25 });
+      const backoffSeconds = () => (Date.parse(quota.getStatus().backoffUntil) - Date.now()) / 1000;
+
+      quota.recordResponse(429, {});
+      expect(backoffSeconds()).to.be.closeTo(10, 1);
+
+      quota.recordResponse(429, {});
+      expect(backoffSeconds()).to.be.closeTo(20, 1);
+
+      quota.recordResponse(429, {});
+      expect(backoffSeconds()).to.be.closeTo(25, 1);
+    });
+  });
+});
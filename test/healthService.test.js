@@ -0,0 +1,229 @@
+import { expect } from "chai";
+import config from "../src/config/index.js";
+import healthService, { STATUS, readinessHttpStatus, runCheck, worstStatus } from "../src/services/healthService.js";
+import oracleUpdater from "../src/services/oracleUpdater.js";
+import goldApiService from "../src/services/goldApiService.js";
+
+describe("Health checks", function () {
+  it("Should rate the service by its worst check", function () {
+    expect(worstStatus([])).to.equal(STATUS.HEALTHY);
+    expect(worstStatus([STATUS.HEALTHY, STATUS.DEGRADED])).to.equal(STATUS.DEGRADED);
+    expect(worstStatus([STATUS.UNHEALTHY, STATUS.DEGRADED, STATUS.HEALTHY])).to.equal(STATUS.UNHEALTHY);
+  });
+
+  it("Should report a check's result with its duration", async function () {
+    const result = await runCheck({
+      name: "rpc",
+      chain: "sepolia",
+      run: async () => ({ status: STATUS.HEALTHY, message: "Block 42", details: { blockNumber: 42 } }),
+    }, 1000);
+
+    expect(result).to.include({ name: "rpc", chain: "sepolia", status: STATUS.HEALTHY, message: "Block 42" });
+    expect(result.durationMs).to.be.a("number");
+  });
+
+  it("Should rate failing checks unhealthy", async function () {
+    const result = await runCheck({
+      name: "balance",
+      run: async () => {
+        throw new Error("connection refused");
+      },
+    }, 1000);
+
+    expect(result).to.include({ status: STATUS.UNHEALTHY, message: "connection refused" });
+  });
+
+  it("Should rate checks that do not answer in time unhealthy", async function () {
+    const started = Date.now();
+    const result = await runCheck({
+      name: "rpc",
+      run: () => new Promise((resolve) => setTimeout(() => resolve({ status: STATUS.HEALTHY }), 1000)),
+    }, 50);
+
+    expect(result).to.include({ status: STATUS.UNHEALTHY, message: "No response within 50ms" });
+    expect(Date.now() - started).to.be.below(500);
+  });
+
+  describe("Readiness", function () {
+    const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const saved = {
+      chains: config.chains,
+      mode: config.reports.mode,
+      health: { ...config.health },
+      oracleUpdater: { ...oracleUpdater },
+      getProviderStatus: goldApiService.getProviderStatus,
+    };
+    // What the stubbed chain and price providers report; healthy unless a test changes it
+    let chain;
+
+    before(function () {
+      config.chains = [{ name: "sepolia", minWalletBalance: "0.05", signer: { type: "privatekey" } }];
+      Object.assign(config.health, {
+        checkTimeoutMs: 1000,
+        stalenessWarningSeconds: 900,
+        priceApiMaxAgeSeconds: 3600,
+        maxConsecutiveFailures: 3,
+      });
+    });
+
+    beforeEach(function () {
+      config.reports.mode = "push";
+      chain = {
+        getBlockNumber: async () => 42,
+        balance: 1000000000000000000n,
+        access: { XAU: { owner: ADDRESS, isUpdater: true, isReportSigner: true, paused: false } },
+        secondsUntilStale: { XAU: { USD: 3000, EUR: 3000 } },
+        consecutiveFailures: { XAU: 0 },
+        lastError: null,
+        lastSuccessAt: new Date().toISOString(),
+      };
+
+      Object.assign(oracleUpdater, {
+        getProvider: () => ({ getBlockNumber: () => chain.getBlockNumber(), getBalance: async () => chain.balance }),
+        getWalletAddress: () => ADDRESS,
+        getContractAccess: async () => chain.access,
+        getSecondsUntilStale: async () => chain.secondsUntilStale,
+        getUpdateHistory: () => ({ consecutiveFailures: chain.consecutiveFailures, lastError: chain.lastError }),
+      });
+      goldApiService.getProviderStatus = () => ({
+        goldapi: { lastSuccessAt: chain.lastSuccessAt, lastFailureAt: null, lastError: null },
+      });
+    });
+
+    afterEach(function () {
+      Object.assign(oracleUpdater, saved.oracleUpdater);
+      goldApiService.getProviderStatus = saved.getProviderStatus;
+    });
+
+    after(function () {
+      config.chains = saved.chains;
+      config.reports.mode = saved.mode;
+      Object.assign(config.health, saved.health);
+    });
+
+    /**
+     * Run the readiness checks and pick one
+     * @param {string} name - Check name
+     * @returns {Promise<Object>} { readiness, check }
+     */
+    const readinessOf = async (name) => {
+      const readiness = await healthService.checkReadiness();
+      return { readiness, check: readiness.checks.find((check) => check.name === name) };
+    };
+
+    it("Should be ready when every check passes", async function () {
+      const { readiness } = await readinessOf("rpc");
+
+      expect(readiness.status).to.equal(STATUS.HEALTHY);
+      expect(readiness.checks.map(({ name }) => name))
+        .to.deep.equal(["priceApi", "rpc", "contractAccess", "balance", "staleness", "updates"]);
+      expect(readiness.checks.every(({ status }) => status === STATUS.HEALTHY)).to.equal(true);
+      expect(readiness.checks[1]).to.include({ chain: "sepolia", message: "Block 42" });
+    });
+
+    it("Should answer 200 while healthy or degraded and 503 when unhealthy", function () {
+      expect(readinessHttpStatus(STATUS.HEALTHY)).to.equal(200);
+      expect(readinessHttpStatus(STATUS.DEGRADED)).to.equal(200);
+      expect(readinessHttpStatus(STATUS.UNHEALTHY)).to.equal(503);
+    });
+
+    it("Should be unhealthy when the RPC fails or does not answer in time", async function () {
+      chain.getBlockNumber = async () => {
+        throw new Error("connect ECONNREFUSED 127.0.0.1:8545");
+      };
+      let result = await readinessOf("rpc");
+      expect(result.check).to.include({ status: STATUS.UNHEALTHY, message: "connect ECONNREFUSED 127.0.0.1:8545" });
+      expect(result.readiness.status).to.equal(STATUS.UNHEALTHY);
+
+      config.health.checkTimeoutMs = 50;
+      try {
+        chain.getBlockNumber = () => new Promise((resolve) => setTimeout(() => resolve(42), 200));
+        result = await readinessOf("rpc");
+        expect(result.check).to.include({ status: STATUS.UNHEALTHY, message: "No response within 50ms" });
+      } finally {
+        config.health.checkTimeoutMs = 1000;
+      }
+    });
+
+    it("Should be unhealthy without the updater role and degraded while a contract is paused", async function () {
+      chain.access = { XAU: { ...chain.access.XAU, isUpdater: false } };
+      let result = await readinessOf("contractAccess");
+      expect(result.check).to.include({
+        status: STATUS.UNHEALTHY,
+        message: `not an updater of the XAU contract (owner ${ADDRESS})`,
+      });
+      expect(result.readiness.status).to.equal(STATUS.UNHEALTHY);
+
+      chain.access = { XAU: { ...chain.access.XAU, isUpdater: true, paused: true } };
+      result = await readinessOf("contractAccess");
+      expect(result.check).to.include({ status: STATUS.DEGRADED, message: "the XAU contract is paused" });
+      expect(result.readiness.status).to.equal(STATUS.DEGRADED);
+    });
+
+    it("Should check the report signer role, and neither balance nor staleness, in pull mode", async function () {
+      config.reports.mode = "pull";
+      chain.access = { XAU: { ...chain.access.XAU, isUpdater: false, isReportSigner: false } };
+      chain.balance = 0n;
+
+      const { readiness, check } = await readinessOf("contractAccess");
+
+      expect(check).to.include({
+        status: STATUS.UNHEALTHY,
+        message: `not a report signer of the XAU contract (owner ${ADDRESS})`,
+      });
+      expect(readiness.checks.map(({ name }) => name)).to.deep.equal(["priceApi", "rpc", "contractAccess", "updates"]);
+    });
+
+    it("Should be degraded on a low balance and unhealthy on an empty one", async function () {
+      chain.balance = 10000000000000000n;
+      let result = await readinessOf("balance");
+      expect(result.check).to.include({
+        status: STATUS.DEGRADED,
+        message: `${ADDRESS} holds 0.01, below MIN_WALLET_BALANCE (0.05)`,
+      });
+      expect(result.readiness.status).to.equal(STATUS.DEGRADED);
+
+      chain.balance = 0n;
+      result = await readinessOf("balance");
+      expect(result.check).to.include({ status: STATUS.UNHEALTHY, message: `${ADDRESS} has no funds for gas` });
+      expect(result.readiness.status).to.equal(STATUS.UNHEALTHY);
+    });
+
+    it("Should be degraded when prices are about to go stale and unhealthy once they are", async function () {
+      chain.secondsUntilStale = { XAU: { USD: 600, EUR: 3000 } };
+      let result = await readinessOf("staleness");
+      expect(result.check).to.include({ status: STATUS.DEGRADED, message: "Going stale: XAU/USD in 600s" });
+      expect(result.readiness.status).to.equal(STATUS.DEGRADED);
+
+      chain.secondsUntilStale = { XAU: { USD: 600, EUR: 0 } };
+      result = await readinessOf("staleness");
+      expect(result.check).to.include({ status: STATUS.UNHEALTHY, message: "Stale: XAU/EUR" });
+      expect(result.readiness.status).to.equal(STATUS.UNHEALTHY);
+    });
+
+    it("Should be degraded after repeated update failures", async function () {
+      chain.consecutiveFailures = { XAU: 2 };
+      expect((await readinessOf("updates")).check.status).to.equal(STATUS.HEALTHY);
+
+      chain.consecutiveFailures = { XAU: 3 };
+      chain.lastError = { message: "Price quorum not met: 0/1 sources available" };
+      const { readiness, check } = await readinessOf("updates");
+
+      expect(check).to.include({
+        status: STATUS.DEGRADED,
+        message: "XAU failed 3 times in a row (last error: Price quorum not met: 0/1 sources available)",
+      });
+      expect(readiness.status).to.equal(STATUS.DEGRADED);
+    });
+
+    it("Should be degraded when no price provider has answered for too long", async function () {
+      chain.lastSuccessAt = new Date(Date.now() - 7200 * 1000).toISOString();
+      const { readiness, check } = await readinessOf("priceApi");
+
+      expect(check.status).to.equal(STATUS.DEGRADED);
+      expect(check.message).to.match(/^No price provider has answered for 720\ds$/);
+      expect(check.details.goldapi).to.include({ lastSuccessAt: chain.lastSuccessAt });
+      expect(readiness.status).to.equal(STATUS.DEGRADED);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import historyStore, { ohlc } from "../src/services/historyStore.js";
+
+const HOUR = 60 * 60 * 1000;
+
+function quote(timestamp, pricePerOunce, extra = {}) {
+  return { type: "quote", timestamp, metal: "XAU", currency: "USD", pricePerOunce, ...extra };
+}
+
+describe("Price history", function () {
+  describe("ohlc", function () {
+    it("Should bucket quotes into epoch-aligned candles", function () {
+      const candles = ohlc([
+        quote("2026-01-01T10:05:00.000Z", "200000000000"),
+        quote("2026-01-01T10:20:00.000Z", "201000000000"),
+        quote("2026-01-01T10:40:00.000Z", "199500000000"),
+        quote("2026-01-01T10:55:00.000Z", "200500000000"),
+        quote("2026-01-01T12:10:00.000Z", "202000000000"),
+      ], HOUR);
+
+      expect(candles).to.deep.equal([
+        {
+          start: "2026-01-01T10:00:00.000Z",
+          end: "2026-01-01T11:00:00.000Z",
+          open: "200000000000",
+          high: "201000000000",
+          low: "199500000000",
+          close: "200500000000",
+          quotes: 4,
+          transactions: 0,
+        },
+        {
+          start: "2026-01-01T12:00:00.000Z",
+          end: "2026-01-01T13:00:00.000Z",
+          open: "202000000000",
+          high: "202000000000",
+          low: "202000000000",
+          close: "202000000000",
+          quotes: 1,
+          transactions: 0,
+        },
+      ]);
+    });
+
+    it("Should bucket other price fields and count transactions", function () {
+      const candles = ohlc(
+        [
+          quote("2026-01-01T10:05:00.000Z", "0", { pricePerGram: "6500000000" }),
+          quote("2026-01-01T10:35:00.000Z", "0", { pricePerGram: "6400000000" }),
+        ],
+        HOUR,
+        {
+          field: "pricePerGram",
+          transactions: [{ type: "transaction", timestamp: "2026-01-01T10:36:00.000Z" }],
+        }
+      );
+
+      expect(candles).to.have.length(1);
+      expect(candles[0].open).to.equal("6500000000");
+      expect(candles[0].low).to.equal("6400000000");
+      expect(candles[0].transactions).to.equal(1);
+    });
+  });
+
+  describe("getHistory", function () {
+    let file;
+
+    beforeEach(function () {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "history-")), "history.jsonl");
+    });
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("Should return nothing when the file does not exist", async function () {
+      const history = await historyStore.getHistory({
+        metal: "XAU", currency: "USD", from: 0, to: Date.now(), file,
+      });
+      expect(history).to.deep.equal({ quotes: [], transactions: [] });
+    });
+
+    it("Should filter records by feed and time range and skip malformed lines", async function () {
+      fs.writeFileSync(file, [
+        JSON.stringify(quote("2026-01-01T10:00:00.000Z", "1")),
+        JSON.stringify(quote("2026-01-01T11:00:00.000Z", "2")),
+        JSON.stringify(quote("2026-01-01T11:00:00.000Z", "3", { currency: "EUR" })),
+        "{not json",
+        JSON.stringify({ type: "transaction", timestamp: "2026-01-01T11:30:00.000Z", metal: "XAU", currency: "USD" }),
+        JSON.stringify(quote("2026-01-01T13:00:00.000Z", "4")),
+      ].join("\n") + "\n");
+
+      const history = await historyStore.getHistory({
+        metal: "XAU",
+        currency: "USD",
+        from: Date.parse("2026-01-01T10:30:00.000Z"),
+        to: Date.parse("2026-01-01T12:00:00.000Z"),
+        file,
+      });
+
+      expect(history.quotes.map(({ pricePerOunce }) => pricePerOunce)).to.deep.equal(["2"]);
+      expect(history.transactions).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import {
+  createLogger,
+  createCorrelationId,
+  getLogContext,
+  registerSecret,
+  runWithContext,
+} from "../src/utils/logger.js";
+
+describe("Logger", function () {
+  let lines;
+
+  /**
+   * Logger collecting its output instead of writing it
+   */
+  const capture = (options = {}) => {
+    lines = [];
+    return createLogger({ format: "json", level: "info", write: (level, line) => lines.push({ level, line }), ...options });
+  };
+
+  const entries = () => lines.map(({ line }) => JSON.parse(line));
+
+  it("Should write one JSON object per entry", function () {
+    const logger = capture();
+
+    logger.info("Fetching gold price", { symbol: "XAU", price: 2037.5 });
+
+    expect(lines).to.have.length(1);
+    expect(entries()[0]).to.include({ level: "info", message: "Fetching gold price", symbol: "XAU", price: 2037.5 });
+    expect(Date.parse(entries()[0].timestamp)).to.be.closeTo(Date.now(), 1000);
+  });
+
+  it("Should drop entries below the configured level", function () {
+    const logger = capture({ level: "warn" });
+
+    logger.debug("debug");
+    logger.info("info");
+    logger.success("success");
+    logger.warn("warn");
+    logger.error("error");
+
+    expect(entries().map(({ message }) => message)).to.deep.equal(["warn", "error"]);
+    expect(logger.isLevelEnabled("info")).to.equal(false);
+  });
+
+  it("Should log success at info level and errors to the error sink", function () {
+    const logger = capture();
+
+    logger.success("Transaction confirmed");
+    logger.error("Update failed", new Error("boom"));
+
+    expect(entries()[0]).to.include({ level: "info", success: true });
+    expect(lines[1].level).to.equal("error");
+    expect(entries()[1].error).to.include({ name: "Error", message: "boom" });
+    expect(entries()[1].error.stack).to.include("logger.test.js");
+  });
+
+  it("Should serialize error codes, causes and BigInts", function () {
+    const logger = capture();
+    const error = new Error("quota", { cause: new Error("429") });
+    error.code = "QUOTA_BACKOFF";
+
+    logger.error("Fetch failed", error, { gasUsed: 93000n });
+
+    const [entry] = entries();
+    expect(entry.error).to.include({ code: "QUOTA_BACKOFF" });
+    expect(entry.error.cause).to.include({ message: "429" });
+    expect(entry.gasUsed).to.equal("93000");
+  });
+
+  it("Should add child bindings to every entry", function () {
+    const logger = capture().child({ module: "oracleUpdater" }).child({ chain: "sepolia" });
+
+    logger.info("Connected");
+
+    expect(entries()[0]).to.include({ module: "oracleUpdater", chain: "sepolia" });
+  });
+
+  it("Should keep the old line format with LOG_FORMAT=pretty", function () {
+    const logger = capture({ format: "pretty" });
+
+    logger.success("Cron jobs scheduled successfully");
+    logger.warn("Held", { chain: "sepolia" });
+
+    expect(lines[0].line).to.match(/^\[.+\] \[SUCCESS\] Cron jobs scheduled successfully$/);
+    expect(lines[1].line).to.match(/\[WARN\] Held \{"chain":"sepolia"\}$/);
+  });
+
+  describe("Correlation IDs", function () {
+    it("Should add the context to entries logged in async work", async function () {
+      const logger = capture();
+      const correlationId = createCorrelationId();
+
+      await runWithContext({ correlationId, trigger: "schedule" }, async () => {
+        logger.info("Fetching");
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        logger.info("Transaction sent");
+      });
+      logger.info("Outside");
+
+      const [fetching, sent, outside] = entries();
+      expect(fetching).to.include({ correlationId, trigger: "schedule" });
+      expect(sent).to.include({ correlationId });
+      expect(outside).to.not.have.property("correlationId");
+    });
+
+    it("Should keep concurrent contexts apart", async function () {
+      const logger = capture();
+
+      await Promise.all(["a", "b"].map((correlationId, i) => runWithContext({ correlationId }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20 - i * 10));
+        logger.info(correlationId);
+      })));
+
+      entries().forEach(({ message, correlationId }) => expect(correlationId).to.equal(message));
+    });
+
+    it("Should extend an outer context", function () {
+      runWithContext({ correlationId: "request" }, () => {
+        runWithContext({ chain: "sepolia" }, () => {
+          expect(getLogContext()).to.deep.equal({ correlationId: "request", chain: "sepolia" });
+        });
+      });
+      expect(getLogContext()).to.deep.equal({});
+    });
+  });
+
+  describe("Redaction", function () {
+    const privateKey = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+    before(function () {
+      registerSecret(privateKey);
+    });
+
+    it("Should redact fields named like secrets", function () {
+      const logger = capture();
+
+      logger.info("Request", { headers: { "x-access-token": "goldapi-token", "X-API-Key": "key" }, apiKey: "k", symbol: "XAU" });
+
+      const [entry] = entries();
+      expect(entry.headers).to.deep.equal({ "x-access-token": "[REDACTED]", "X-API-Key": "[REDACTED]" });
+      expect(entry).to.include({ apiKey: "[REDACTED]", symbol: "XAU" });
+    });
+
+    it("Should redact secret values in messages, fields and errors", function () {
+      const logger = capture();
+
+      logger.info(`Signer key ${privateKey}`, { detail: `key=${privateKey}` });
+      logger.error("Unlock failed", new Error(`invalid key ${privateKey}`));
+
+      expect(lines.map(({ line }) => line).join("\n")).to.not.include(privateKey.slice(2));
+      expect(entries()[0]).to.include({ message: "Signer key [REDACTED]", detail: "key=[REDACTED]" });
+      expect(entries()[1].error.message).to.equal("invalid key [REDACTED]");
+    });
+
+    it("Should not log the request of axios errors", function () {
+      const logger = capture();
+      const error = new Error("Request failed with status code 429");
+      error.config = { headers: { "x-access-token": "goldapi-token" } };
+      error.response = { status: 429, headers: {} };
+
+      logger.error("GoldAPI error", error);
+
+      expect(entries()[0].error).to.include({ status: 429 }).and.not.have.property("config");
+    });
+
+    it("Should ignore short values", function () {
+      const logger = capture();
+
+      registerSecret("1");
+      logger.info("Round 1 of 12");
+
+      expect(entries()[0].message).to.equal("Round 1 of 12");
+    });
+  });
+});
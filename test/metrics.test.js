@@ -0,0 +1,99 @@
+import { expect } from "chai";
+import { createMetricsRegistry } from "../src/utils/metrics.js";
+
+describe("Metrics registry", function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = createMetricsRegistry();
+  });
+
+  it("Should render counters with HELP and TYPE lines", async function () {
+    const fetches = registry.counter({
+      name: "gold_oracle_price_fetches_total",
+      help: "Price provider requests",
+      labelNames: ["provider", "result"],
+    });
+
+    fetches.inc({ provider: "goldapi", result: "success" });
+    fetches.inc({ result: "success", provider: "goldapi" }, 2);
+    fetches.inc({ provider: "goldapi", result: "failure" });
+
+    expect(await registry.render()).to.equal([
+      "# HELP gold_oracle_price_fetches_total Price provider requests",
+      "# TYPE gold_oracle_price_fetches_total counter",
+      'gold_oracle_price_fetches_total{provider="goldapi",result="success"} 3',
+      'gold_oracle_price_fetches_total{provider="goldapi",result="failure"} 1',
+      "",
+    ].join("\n"));
+  });
+
+  it("Should reject unknown labels, decreasing counters and duplicate names", function () {
+    const counter = registry.counter({ name: "updates_total", help: "Updates", labelNames: ["metal"] });
+
+    expect(() => counter.inc({ chain: "sepolia" })).to.throw("Unknown labels for updates_total: chain");
+    expect(() => counter.inc({ metal: "XAU" }, -1)).to.throw("cannot decrease");
+    expect(() => registry.gauge({ name: "updates_total", help: "Again" })).to.throw("already registered");
+  });
+
+  it("Should render cumulative histogram buckets with sum and count", async function () {
+    const gasUsed = registry.histogram({
+      name: "gas_used",
+      help: "Gas used",
+      labelNames: ["chain"],
+      buckets: [100000, 50000],
+    });
+
+    [45000, 93000, 120000].forEach((gas) => gasUsed.observe({ chain: "sepolia" }, gas));
+
+    const output = await registry.render();
+    expect(output).to.include('gas_used_bucket{chain="sepolia",le="50000"} 1\n');
+    expect(output).to.include('gas_used_bucket{chain="sepolia",le="100000"} 2\n');
+    expect(output).to.include('gas_used_bucket{chain="sepolia",le="+Inf"} 3\n');
+    expect(output).to.include('gas_used_sum{chain="sepolia"} 258000\n');
+    expect(output).to.include('gas_used_count{chain="sepolia"} 3\n');
+  });
+
+  it("Should time with startTimer", async function () {
+    const duration = registry.histogram({ name: "fetch_seconds", help: "Fetch time", labelNames: ["provider"] });
+
+    const stop = duration.startTimer({ provider: "goldapi" });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const seconds = stop();
+
+    expect(seconds).to.be.within(0.015, 1);
+    expect(await registry.render()).to.include('fetch_seconds_count{provider="goldapi"} 1');
+  });
+
+  it("Should escape label values and render BigInt gauges", async function () {
+    const balance = registry.gauge({ name: "balance_wei", help: "Balance", labelNames: ["chain"] });
+
+    balance.set({ chain: 'a"b\\c\nd' }, 12345678901234567890n);
+
+    expect(await registry.render()).to.include('balance_wei{chain="a\\"b\\\\c\\nd"} 12345678901234567890\n');
+  });
+
+  it("Should run collectors before rendering and survive their failures", async function () {
+    const age = registry.gauge({ name: "price_age_seconds", help: "Price age", labelNames: ["metal"] });
+    const errors = [];
+
+    registry.addCollector(async () => age.set({ metal: "XAU" }, 42));
+    registry.addCollector(async () => {
+      throw new Error("RPC down");
+    });
+
+    const output = await registry.render({ onError: (error) => errors.push(error.message) });
+
+    expect(output).to.include('price_age_seconds{metal="XAU"} 42');
+    expect(errors).to.deep.equal(["RPC down"]);
+  });
+
+  it("Should keep metrics registered on reset", async function () {
+    const counter = registry.counter({ name: "runs_total", help: "Runs" });
+    counter.inc();
+
+    registry.reset();
+
+    expect(await registry.render()).to.equal("# HELP runs_total Runs\n# TYPE runs_total counter\n");
+  });
+});
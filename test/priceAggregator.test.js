@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import { aggregate, queryProviders } from "../src/services/priceAggregator.js";
+
+describe("Price aggregator", function () {
+  const options = { quorum: 1, maxDeviationBps: 100 };
+
+  /**
+   * Provider results quoting the given prices
+   * @param {...(number|string)} prices - Price per ounce of each provider
+   * @returns {Object[]} Results as returned by queryProviders
+   */
+  const quotes = (...prices) => prices.map((price, index) => ({ name: `source${index + 1}`, quote: { price }, error: null }));
+
+  /**
+   * Provider resolving to a quote or rejecting with an error
+   * @param {string} name - Provider name
+   * @param {number|Error} outcome - Price per ounce, or the error to reject with
+   * @returns {Object} Provider
+   */
+  const provider = (name, outcome) => ({
+    name,
+    fetchPrice: async () => {
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return { price: outcome };
+    },
+  });
+
+  it("Should use the middle quote of an odd number of sources", function () {
+    const { price, sources } = aggregate(quotes(2000, 2010, 2005), options);
+
+    expect(price).to.equal(200500000000n);
+    expect(sources.map(({ status }) => status)).to.deep.equal(["used", "used", "used"]);
+    expect(sources[0]).to.deep.equal({ name: "source1", status: "used", price: 2000, deviationBps: 25 });
+  });
+
+  it("Should average the two middle quotes of an even number of sources", function () {
+    expect(aggregate(quotes(2000, 2010), options).price).to.equal(200500000000n);
+    expect(aggregate(quotes("2000.5", 2001, 2003, 1999), options).price).to.equal(200075000000n);
+  });
+
+  it("Should exclude a quote deviating from the median and take the median of the rest", function () {
+    const { price, sources } = aggregate(quotes(2000, 2001, 2002, 2500), options);
+
+    expect(price).to.equal(200100000000n);
+    expect(sources[3]).to.deep.equal({
+      name: "source4",
+      status: "excluded",
+      price: 2500,
+      deviationBps: 2491,
+      reason: "Deviates 2491 bps from median",
+    });
+    expect(aggregate(quotes(2000, 2500), { ...options, maxDeviationBps: 0 }).price).to.equal(225000000000n);
+  });
+
+  it("Should fail when fewer sources than the quorum are usable", function () {
+    let error;
+    try {
+      aggregate(quotes(2000, 2001, 2500, 0), { quorum: 3, maxDeviationBps: 100 });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.an("error");
+    expect(error.message).to.equal("Price quorum not met: 2/3 sources available");
+    expect(error.sources.map(({ status }) => status)).to.deep.equal(["used", "used", "excluded", "failed"]);
+    expect(error.sources[3].reason).to.equal("Invalid price");
+  });
+
+  it("Should reject two sources that disagree instead of excluding both", function () {
+    let error;
+    try {
+      aggregate(quotes(2000, 2500, 0), options);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.an("error");
+    expect(error.message).to.equal(
+      "Price sources disagree: source1 and source2 deviate 1111 bps from their median (max 100); " +
+      "at least 3 sources are needed to leave one out"
+    );
+    expect(error.sources.map(({ status }) => status)).to.deep.equal(["excluded", "excluded", "failed"]);
+    expect(aggregate(quotes(2000, 2010), options).sources.map(({ status }) => status)).to.deep.equal(["used", "used"]);
+  });
+
+  it("Should report rejected providers as failed and aggregate the rest", async function () {
+    const results = await queryProviders([
+      provider("goldapi", 2000),
+      provider("metalsapi", new Error("Request failed with status code 429")),
+      provider("fixer", 2002),
+    ]);
+
+    expect(results[1]).to.include({ name: "metalsapi", quote: null });
+    expect(results[1].error.message).to.equal("Request failed with status code 429");
+
+    const { price, sources } = aggregate(results, { quorum: 2, maxDeviationBps: 100 });
+
+    expect(price).to.equal(200100000000n);
+    expect(sources[1]).to.deep.equal({ name: "metalsapi", status: "failed", reason: "Request failed with status code 429" });
+    expect(sources.map(({ name, status }) => `${name}:${status}`)).to.deep.equal(["goldapi:used", "metalsapi:failed", "fixer:used"]);
+  });
+});
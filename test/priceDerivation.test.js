@@ -0,0 +1,118 @@
+import { expect } from "chai";
+import goldApiService from "../src/services/goldApiService.js";
+import {
+  parseDecimal,
+  formatDecimal,
+  formatPrice,
+  mulRate,
+  reciprocal,
+} from "../src/utils/decimal.js";
+
+const { derivePrices, calculatePrices } = goldApiService;
+
+// Deterministic pseudo-random generator (mulberry32) so failures are reproducible
+function random(seed) {
+  let state = seed;
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random scaled price per ounce between 0.00000001 and ~10^15 units
+function randomPrice(next) {
+  const digits = 1 + Math.floor(next() * 23);
+  let value = "";
+  for (let i = 0; i < digits; i++) {
+    value += Math.floor(next() * 10);
+  }
+  return BigInt(value) + 1n;
+}
+
+const RUNS = 1000;
+
+describe("Price derivation", function () {
+  describe("derivePrices", function () {
+    it("Should keep 24K equal to the gram price", function () {
+      const next = random(1);
+      for (let i = 0; i < RUNS; i++) {
+        const prices = derivePrices(randomPrice(next));
+        expect(prices.pricePerKarat24).to.equal(prices.pricePerGram);
+      }
+    });
+
+    it("Should derive 22K and 18K from 24K to the last unit", function () {
+      const next = random(2);
+      for (let i = 0; i < RUNS; i++) {
+        const prices = derivePrices(randomPrice(next));
+        expect(prices.pricePerKarat22).to.equal((prices.pricePerKarat24 * 22n) / 24n);
+        expect(prices.pricePerKarat18).to.equal((prices.pricePerKarat24 * 18n) / 24n);
+        expect(prices.karats[24]).to.equal(prices.pricePerKarat24);
+        expect(prices.karats[22]).to.equal(prices.pricePerKarat22);
+        expect(prices.karats[18]).to.equal(prices.pricePerKarat18);
+      }
+    });
+
+    it("Should order tiers by purity", function () {
+      const next = random(3);
+      for (let i = 0; i < RUNS; i++) {
+        const prices = derivePrices(randomPrice(next));
+        expect(prices.pricePerKarat18 <= prices.pricePerKarat22).to.equal(true);
+        expect(prices.pricePerKarat22 <= prices.pricePerKarat24).to.equal(true);
+      }
+    });
+
+    it("Should round the gram price down exactly once", function () {
+      const next = random(4);
+      for (let i = 0; i < RUNS; i++) {
+        const ounce = randomPrice(next);
+        const { pricePerGram } = derivePrices(ounce);
+        // pricePerGram == floor(ounce / 31.1035)
+        expect(pricePerGram * 311035n <= ounce * 10000n).to.equal(true);
+        expect((pricePerGram + 1n) * 311035n > ounce * 10000n).to.equal(true);
+      }
+    });
+
+    it("Should match the contract test fixture", function () {
+      const prices = calculatePrices({ price: "2037.50" });
+      expect(prices.pricePerOunce).to.equal(203750000000n);
+      expect(formatPrice(prices.pricePerGram, "USD")).to.equal("65.51 USD");
+      expect(formatPrice(prices.pricePerKarat22, "USD")).to.equal("60.05 USD");
+      expect(formatPrice(prices.pricePerKarat18, "USD")).to.equal("49.13 USD");
+    });
+  });
+
+  describe("Decimal helpers", function () {
+    it("Should parse numbers and strings without floating point drift", function () {
+      expect(parseDecimal(2037.5)).to.equal(203750000000n);
+      expect(parseDecimal("0.1")).to.equal(10000000n);
+      expect(parseDecimal(0.1 + 0.2)).to.equal(30000000n);
+      expect(parseDecimal("123456789012345.123456789")).to.equal(12345678901234512345678n);
+      expect(parseDecimal(1e-7)).to.equal(10n);
+      expect(() => parseDecimal("12a")).to.throw("Invalid decimal value");
+    });
+
+    it("Should round-trip scaled values through formatDecimal", function () {
+      const next = random(5);
+      for (let i = 0; i < RUNS; i++) {
+        const value = randomPrice(next);
+        expect(parseDecimal(formatDecimal(value, { fractionDigits: 8 }))).to.equal(value);
+      }
+    });
+
+    it("Should round half up when formatting", function () {
+      expect(formatDecimal(6550500000n)).to.equal("65.51");
+      expect(formatDecimal(6550499999n)).to.equal("65.50");
+      expect(formatDecimal(5n, { fractionDigits: 8 })).to.equal("0.00000005");
+      expect(formatPrice(null, "USD")).to.equal(null);
+    });
+
+    it("Should convert with exact rates", function () {
+      expect(mulRate(203750000000n, 1)).to.equal(203750000000n);
+      expect(mulRate(203750000000n, "0.92")).to.equal(187450000000n);
+      expect(reciprocal("0.0005")).to.equal(200000000000n);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import config from "../src/config/index.js";
+import priceGuard from "../src/services/priceGuard.js";
+import historyStore from "../src/services/historyStore.js";
+
+describe("Price guard", function () {
+  const ON_CHAIN = { pricePerOunce: 200000000000n, lastUpdated: 1700000000n };
+  // Prices moved by a number of basis points from the on-chain price
+  const moved = (bps) => ({ pricePerOunce: ON_CHAIN.pricePerOunce + (ON_CHAIN.pricePerOunce * BigInt(bps)) / 10000n });
+
+  const guardConfig = { ...config.guard };
+  const historyConfig = { ...config.history };
+
+  // Guard records written to the history file so far
+  const guardRecords = () => fs.readFileSync(config.history.file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter(({ type }) => type === "guard");
+
+  before(function () {
+    Object.assign(config.guard, { maxDeviationBps: 1000, confirmations: 3 });
+    Object.assign(config.history, {
+      enabled: true,
+      file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "guard-")), "history.jsonl"),
+    });
+  });
+
+  after(function () {
+    fs.rmSync(path.dirname(config.history.file), { recursive: true, force: true });
+    Object.assign(config.guard, guardConfig);
+    Object.assign(config.history, historyConfig);
+  });
+
+  it("Should let prices within the threshold and first prices through", function () {
+    expect(priceGuard.evaluate(ON_CHAIN, moved(1000), "XAU-within")).to.include({
+      allowed: true,
+      reason: "within-threshold",
+      deviationBps: 1000,
+    });
+    expect(priceGuard.evaluate({ pricePerOunce: 0n, lastUpdated: 0n }, moved(5000), "XAU-within")).to.include({
+      allowed: true,
+      reason: "initial",
+    });
+  });
+
+  it("Should trip on a large move and hold it until confirmed by consecutive fetches", function () {
+    const first = priceGuard.evaluate(ON_CHAIN, moved(1500), "XAU-confirm");
+
+    expect(first).to.include({ allowed: false, reason: "held", deviationBps: 1500 });
+    expect(first.message).to.equal("Price deviates 1500 bps from on-chain value; held (1/3 confirmations)");
+    expect(first.trip).to.include({ key: "XAU-confirm", direction: "up", onChainPrice: "200000000000", resolution: null });
+
+    expect(priceGuard.evaluate(ON_CHAIN, moved(1600), "XAU-confirm")).to.include({ allowed: false, reason: "held" });
+
+    const third = priceGuard.evaluate(ON_CHAIN, moved(1550), "XAU-confirm");
+    expect(third).to.include({ allowed: true, reason: "confirmed", deviationBps: 1550 });
+    expect(third.trip).to.include({ id: first.trip.id, confirmations: 3, candidatePrice: "231000000000", resolution: null });
+    expect(priceGuard.getStatus().feeds["XAU-confirm"]).to.include({ state: "tripped" });
+
+    priceGuard.settle(third, "XAU-confirm");
+    expect(third.trip.resolution).to.equal("confirmed");
+    expect(priceGuard.getStatus().feeds["XAU-confirm"]).to.include({ state: "closed", current: null });
+  });
+
+  it("Should keep a confirmed price allowed until it is published", function () {
+    priceGuard.evaluate(ON_CHAIN, moved(1500), "XAU-unpublished");
+    priceGuard.evaluate(ON_CHAIN, moved(1500), "XAU-unpublished");
+    const confirmed = priceGuard.evaluate(ON_CHAIN, moved(1500), "XAU-unpublished");
+
+    // The publish failed: the next fetch is still let through on the same trip
+    const retry = priceGuard.evaluate(ON_CHAIN, moved(1500), "XAU-unpublished");
+    expect(retry).to.include({ allowed: true, reason: "confirmed" });
+    expect(retry.trip).to.include({ id: confirmed.trip.id, confirmations: 4, resolution: null });
+  });
+
+  it("Should start counting again when the direction changes", function () {
+    const up = priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-direction");
+    priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-direction");
+    const down = priceGuard.evaluate(ON_CHAIN, moved(-2000), "XAU-direction");
+
+    expect(down).to.include({ allowed: false, reason: "held" });
+    expect(down.trip).to.include({ direction: "down", confirmations: 1 });
+    expect(down.trip.id).to.not.equal(up.trip.id);
+    expect(up.trip.resolution).to.equal("recovered");
+  });
+
+  it("Should reset when a fetch comes back within the threshold", function () {
+    const { trip } = priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-reset");
+
+    expect(priceGuard.evaluate(ON_CHAIN, moved(100), "XAU-reset").reason).to.equal("within-threshold");
+    expect(trip.resolution).to.equal("recovered");
+    expect(priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-reset").trip.confirmations).to.equal(1);
+  });
+
+  it("Should publish a held price on the next fetch after an override", function () {
+    expect(() => priceGuard.override("Market gap", "XAU-override")).to.throw("Deviation guard is not tripped for XAU-override");
+
+    const held = priceGuard.evaluate(ON_CHAIN, moved(-3000), "XAU-override");
+    expect(priceGuard.override("Market gap", "XAU-override")).to.equal(held.trip);
+    expect(priceGuard.getStatus().feeds["XAU-override"]).to.include({ state: "tripped", overrideArmed: true });
+
+    const result = priceGuard.evaluate(ON_CHAIN, moved(-3000), "XAU-override");
+    expect(result).to.include({ allowed: true, reason: "override", deviationBps: 3000 });
+    expect(result.trip).to.include({ confirmations: 1, resolution: null, overrideReason: "Market gap" });
+
+    // The override stays armed until the price is published
+    expect(priceGuard.evaluate(ON_CHAIN, moved(-3000), "XAU-override").reason).to.equal("override");
+
+    priceGuard.settle(result, "XAU-override");
+    expect(result.trip.resolution).to.equal("override");
+    expect(priceGuard.getStatus().feeds["XAU-override"]).to.include({ state: "closed", overrideArmed: false });
+  });
+
+  it("Should keep the breakers of each feed apart", function () {
+    priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-isolated");
+    priceGuard.evaluate(ON_CHAIN, moved(2000), "XAU-isolated");
+
+    expect(priceGuard.evaluate(ON_CHAIN, moved(2000), "XAG-isolated").trip.confirmations).to.equal(1);
+    expect(priceGuard.evaluate(ON_CHAIN, moved(100), "XAG-isolated").reason).to.equal("within-threshold");
+
+    const { feeds, trips } = priceGuard.getStatus();
+    expect(feeds["XAU-isolated"]).to.include({ state: "tripped" });
+    expect(feeds["XAU-isolated"].current.confirmations).to.equal(2);
+    expect(feeds["XAG-isolated"]).to.include({ state: "closed" });
+    expect(trips[0]).to.include({ key: "XAG-isolated", resolution: "recovered" });
+  });
+
+  it("Should write every trip and its resolution to the history store", async function () {
+    const { trip } = priceGuard.evaluate(ON_CHAIN, moved(2500), "XAU-audit");
+    priceGuard.evaluate(ON_CHAIN, moved(100), "XAU-audit");
+
+    await historyStore.flush();
+
+    const records = guardRecords().filter(({ key }) => key === "XAU-audit");
+    expect(records.map(({ event }) => event)).to.deep.equal(["tripped", "resolved"]);
+    expect(records[0]).to.include({ id: trip.id, candidatePrice: "250000000000", deviationBps: 2500, resolution: null });
+    expect(records[1]).to.include({ id: trip.id, resolution: "recovered" });
+  });
+});
@@ -0,0 +1,184 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import priceReports, { REPORT_TYPES } from "../src/services/priceReports.js";
+
+const { ethers } = hre;
+
+describe("Price reports", function () {
+  let goldOracle;
+  let owner;
+  let reporter;
+  let consumer;
+  let domain;
+
+  const PRICES = {
+    pricePerGram: 6550000000n,
+    pricePerOunce: 203750000000n,
+    pricePerKarat24: 6550000000n,
+    pricePerKarat22: 6004166666n,
+    pricePerKarat18: 4912500000n,
+  };
+  const EUR = ethers.encodeBytes32String("EUR");
+
+  /**
+   * Sign a report with the latest block's timestamp (or an offset from it)
+   */
+  const sign = async (signer, { currency = ethers.ZeroHash, prices = PRICES, offset = 0, to = domain } = {}) => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const report = priceReports.createReport(currency, prices, timestamp + offset);
+    return priceReports.signReport(signer, to, report);
+  };
+
+  beforeEach(async function () {
+    [owner, reporter, consumer] = await ethers.getSigners();
+
+    const GoldOracle = await ethers.getContractFactory("GoldOracle");
+    goldOracle = await GoldOracle.deploy();
+    await goldOracle.waitForDeployment();
+    await goldOracle.setReportSigner(reporter.address, true);
+
+    domain = priceReports.reportDomain(31337n, goldOracle.target);
+  });
+
+  describe("Signing", function () {
+    it("Should sign reports the contract hashes the same way", async function () {
+      const signed = await sign(reporter);
+
+      expect(signed.signer).to.equal(reporter.address);
+      expect(await goldOracle.hashPriceReport(signed.report)).to.equal(signed.digest);
+      expect(ethers.verifyTypedData(domain, REPORT_TYPES, signed.report, signed.signature)).to.equal(reporter.address);
+      expect(await goldOracle.verifyPriceReport(signed.report, signed.signature)).to.equal(reporter.address);
+    });
+
+    it("Should give every report a new nonce", async function () {
+      const first = priceReports.createReport(ethers.ZeroHash, PRICES, 1);
+      const second = priceReports.createReport(ethers.ZeroHash, PRICES, 1);
+
+      expect(second.nonce > first.nonce).to.equal(true);
+    });
+
+    it("Should keep the latest report per feed", async function () {
+      const first = await sign(reporter);
+      const second = await sign(reporter);
+
+      priceReports.recordReport({ chain: "localhost", metal: "XAU", currency: "USD" }, first);
+      priceReports.recordReport({ chain: "localhost", metal: "XAU", currency: "USD" }, second);
+
+      const latest = priceReports.getLatestReport({ chain: "localhost", metal: "XAU", currency: "USD" });
+      expect(latest.report.nonce).to.equal(second.report.nonce);
+      expect(priceReports.getLatestReport({ chain: "localhost", metal: "XAU", currency: "EUR" })).to.equal(null);
+    });
+  });
+
+  describe("Submission", function () {
+    it("Should store a report submitted by anyone", async function () {
+      const { report, signature } = await sign(reporter);
+
+      await expect(goldOracle.connect(consumer).submitPriceReport(report, signature))
+        .to.emit(goldOracle, "PricesUpdated")
+        .withArgs(...Object.values(PRICES), report.timestamp)
+        .and.to.emit(goldOracle, "PriceReportAccepted")
+        .withArgs(ethers.ZeroHash, reporter.address, report.nonce, report.timestamp);
+
+      const stored = await goldOracle.getAllPrices();
+      expect(stored.pricePerOunce).to.equal(PRICES.pricePerOunce);
+      expect(stored.lastUpdated).to.equal(report.timestamp);
+      expect(await goldOracle.usedReportNonces(report.nonce)).to.equal(true);
+    });
+
+    it("Should store quote currency reports", async function () {
+      const { report, signature } = await sign(reporter, { currency: EUR });
+
+      await goldOracle.connect(consumer).submitPriceReport(report, signature);
+
+      const stored = await goldOracle.getAllPricesForCurrency(EUR);
+      expect(stored.pricePerGram).to.equal(PRICES.pricePerGram);
+      expect(await goldOracle.getCurrencies()).to.deep.equal([EUR]);
+      expect((await goldOracle.getAllPrices()).lastUpdated).to.equal(0);
+    });
+
+    it("Should reject reports from unauthorized signers", async function () {
+      const { report, signature } = await sign(consumer);
+
+      await expect(
+        goldOracle.submitPriceReport(report, signature)
+      ).to.be.revertedWith("GoldOracle: unauthorized report signer");
+    });
+
+    it("Should reject tampered reports", async function () {
+      const { report, signature } = await sign(reporter);
+
+      await expect(
+        goldOracle.submitPriceReport({ ...report, pricePerOunce: report.pricePerOunce * 2n }, signature)
+      ).to.be.revertedWith("GoldOracle: unauthorized report signer");
+    });
+
+    it("Should reject reports signed for another deployment", async function () {
+      const { report, signature } = await sign(reporter, {
+        to: priceReports.reportDomain(1n, goldOracle.target),
+      });
+
+      await expect(
+        goldOracle.submitPriceReport(report, signature)
+      ).to.be.revertedWith("GoldOracle: unauthorized report signer");
+    });
+
+    it("Should reject reports from the future", async function () {
+      const { report, signature } = await sign(reporter, { offset: 3600 });
+
+      await expect(
+        goldOracle.submitPriceReport(report, signature)
+      ).to.be.revertedWith("GoldOracle: report from the future");
+    });
+
+    it("Should reject malformed signatures", async function () {
+      const { report, signature } = await sign(reporter);
+
+      await expect(
+        goldOracle.submitPriceReport(report, signature.slice(0, -2))
+      ).to.be.revertedWith("GoldOracle: invalid signature length");
+    });
+
+    it("Should not store replayed or older reports", async function () {
+      const older = await sign(reporter);
+      const newer = await sign(reporter, { prices: { ...PRICES, pricePerOunce: 204000000000n }, offset: 1 });
+
+      await goldOracle.submitPriceReport(newer.report, newer.signature);
+
+      expect(await goldOracle.submitPriceReport.staticCall(newer.report, newer.signature)).to.equal(false);
+      expect(await goldOracle.submitPriceReport.staticCall(older.report, older.signature)).to.equal(false);
+      await expect(goldOracle.submitPriceReport(older.report, older.signature))
+        .not.to.emit(goldOracle, "PricesUpdated");
+      expect(await goldOracle.getGoldPricePerOunce()).to.equal(204000000000n);
+    });
+
+    it("Should reject reports while updates are paused", async function () {
+      const { report, signature } = await sign(reporter);
+
+      await goldOracle.pause();
+
+      await expect(
+        goldOracle.connect(consumer).submitPriceReport(report, signature)
+      ).to.be.revertedWith("GoldOracle: updates are paused");
+    });
+
+    it("Should stop accepting reports of a revoked signer", async function () {
+      const { report, signature } = await sign(reporter);
+
+      await expect(goldOracle.setReportSigner(reporter.address, false))
+        .to.emit(goldOracle, "ReportSignerUpdated")
+        .withArgs(reporter.address, false);
+
+      expect(await goldOracle.isReportSigner(reporter.address)).to.equal(false);
+      await expect(
+        goldOracle.submitPriceReport(report, signature)
+      ).to.be.revertedWith("GoldOracle: unauthorized report signer");
+    });
+
+    it("Should only let the owner manage report signers", async function () {
+      await expect(
+        goldOracle.connect(consumer).setReportSigner(consumer.address, true)
+      ).to.be.revertedWith("GoldOracle: caller is not the owner");
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from "chai";
+import { createQuoteCache } from "../src/services/quoteCache.js";
+
+describe("Quote cache", function () {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  /**
+   * Loader counting its calls, resolving after a short delay
+   */
+  const counter = (value = "quote") => {
+    const load = async () => {
+      load.calls++;
+      await sleep(20);
+      return `${value}-${load.calls}`;
+    };
+    load.calls = 0;
+    return load;
+  };
+
+  it("Should serve cached values until the TTL passes", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 0.2 });
+    const load = counter();
+
+    const first = await cache.get("XAU/USD", load);
+    const second = await cache.get("XAU/USD", load);
+
+    expect(first).to.include({ value: "quote-1", cached: false });
+    expect(second).to.include({ value: "quote-1", cached: true });
+    expect(load.calls).to.equal(1);
+
+    await sleep(250);
+
+    expect((await cache.get("XAU/USD", load)).value).to.equal("quote-2");
+    expect(cache.getStats()).to.include({ hits: 1, misses: 2 });
+  });
+
+  it("Should share one fetch between concurrent callers", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 60 });
+    const load = counter();
+
+    const results = await Promise.all([
+      cache.get("XAU/USD", load),
+      cache.get("XAU/USD", load),
+      cache.refresh("XAU/USD", load),
+    ]);
+
+    expect(load.calls).to.equal(1);
+    expect(results.map(({ value }) => value)).to.deep.equal(["quote-1", "quote-1", "quote-1"]);
+    expect(cache.getStats()).to.include({ coalesced: 2, inFlight: 0 });
+  });
+
+  it("Should keep keys apart", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 60 });
+
+    await cache.get("XAU/USD", counter("gold"));
+    const silver = await cache.get("XAG/USD", counter("silver"));
+
+    expect(silver).to.include({ value: "silver-1", cached: false });
+  });
+
+  it("Should always fetch on refresh and update the cache", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 60 });
+    const load = counter();
+
+    await cache.get("XAU/USD", load);
+    await cache.refresh("XAU/USD", load);
+
+    expect((await cache.get("XAU/USD", load)).value).to.equal("quote-2");
+    expect(load.calls).to.equal(2);
+  });
+
+  it("Should not cache failures", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 60 });
+    const failing = async () => {
+      throw new Error("upstream down");
+    };
+
+    await expect(cache.get("XAU/USD", failing)).to.be.rejectedWith("upstream down");
+
+    expect(cache.peek("XAU/USD")).to.equal(null);
+    expect((await cache.get("XAU/USD", counter())).value).to.equal("quote-1");
+  });
+
+  it("Should only coalesce with a TTL of 0", async function () {
+    const cache = createQuoteCache({ ttlSeconds: 0 });
+    const load = counter();
+
+    await Promise.all([cache.get("XAU/USD", load), cache.get("XAU/USD", load)]);
+    await cache.get("XAU/USD", load);
+
+    expect(load.calls).to.equal(2);
+  });
+});
@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import express from "express";
+import { createRateLimiter } from "../src/utils/rateLimiter.js";
+
+describe("Rate limiter", function () {
+  let server;
+  let url;
+
+  /**
+   * Serve GET /prices behind a limiter, trusting X-Forwarded-For to tell clients apart
+   */
+  const start = async (options) => {
+    const app = express();
+    app.set("trust proxy", true);
+    app.get("/prices", createRateLimiter(options), (req, res) => res.json({ success: true }));
+
+    server = await new Promise((resolve) => {
+      const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const get = (ip) => fetch(`${url}/prices`, { headers: { "X-Forwarded-For": ip } });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Should allow requests up to the limit and count them down", async function () {
+    await start({ windowSeconds: 60, maxRequests: 2 });
+
+    const first = await get("10.0.0.1");
+    const second = await get("10.0.0.1");
+
+    expect(first.status).to.equal(200);
+    expect(first.headers.get("ratelimit-limit")).to.equal("2");
+    expect(first.headers.get("ratelimit-remaining")).to.equal("1");
+    expect(second.headers.get("ratelimit-remaining")).to.equal("0");
+  });
+
+  it("Should answer 429 with Retry-After over the limit", async function () {
+    await start({ windowSeconds: 60, maxRequests: 2 });
+
+    await get("10.0.0.1");
+    await get("10.0.0.1");
+    const limited = await get("10.0.0.1");
+
+    expect(limited.status).to.equal(429);
+    expect(Number(limited.headers.get("retry-after"))).to.be.within(1, 60);
+    expect((await limited.json()).error).to.equal("Too many requests");
+  });
+
+  it("Should limit each IP separately", async function () {
+    await start({ windowSeconds: 60, maxRequests: 1 });
+
+    expect((await get("10.0.0.1")).status).to.equal(200);
+    expect((await get("10.0.0.1")).status).to.equal(429);
+    expect((await get("10.0.0.2")).status).to.equal(200);
+  });
+
+  it("Should start a new window once the old one ends", async function () {
+    await start({ windowSeconds: 0.3, maxRequests: 1 });
+
+    await get("10.0.0.1");
+    expect((await get("10.0.0.1")).status).to.equal(429);
+
+    await new Promise((resolve) => setTimeout(resolve, 350));
+    expect((await get("10.0.0.1")).status).to.equal(200);
+  });
+
+  it("Should let everything through with a limit of 0", async function () {
+    await start({ windowSeconds: 60, maxRequests: 0 });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await get("10.0.0.1")).status).to.equal(200);
+    }
+  });
+});
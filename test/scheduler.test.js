@@ -0,0 +1,219 @@
+import { expect } from "chai";
+import { parseCron, parseSchedule } from "../src/utils/cron.js";
+import { createMarketCalendar } from "../src/utils/marketCalendar.js";
+import { createScheduler } from "../src/services/scheduler.js";
+
+// Sunday 18 October 2026 is the first day; all times UTC
+const at = (day, hour, minute = 0, second = 0) => Date.UTC(2026, 9, day, hour, minute, second);
+const iso = (time) => new Date(time).toISOString();
+
+describe("Schedules", function () {
+  it("Should find the next time of cron expressions with steps, ranges, lists and names", function () {
+    const next = (expression, after) => iso(parseCron(expression).next(after));
+
+    expect(next("*/15 * * * *", at(19, 10, 7))).to.equal("2026-10-19T10:15:00.000Z");
+    expect(next("*/15 * * * *", at(19, 10, 15))).to.equal("2026-10-19T10:30:00.000Z");
+    expect(next("5/20 8-9 * * *", at(19, 9, 50))).to.equal("2026-10-20T08:05:00.000Z");
+    expect(next("0,30 9 * * MON-FRI", at(17, 12))).to.equal("2026-10-19T09:00:00.000Z");
+    expect(next("0 12 * DEC 7", at(19, 0))).to.equal("2026-12-06T12:00:00.000Z");
+    expect(next("0 0 29 FEB *", at(19, 0))).to.equal("2028-02-29T00:00:00.000Z");
+  });
+
+  it("Should match either day field when both are restricted, as cron does", function () {
+    const schedule = parseCron("0 6 1 * MON");
+
+    expect(iso(schedule.next(at(18, 12)))).to.equal("2026-10-19T06:00:00.000Z");
+    expect(iso(schedule.next(at(31, 12)))).to.equal("2026-11-01T06:00:00.000Z");
+  });
+
+  it("Should match both day fields when one is a stepped wildcard, as cron does", function () {
+    // Odd days of the month that are Mondays; Wednesday 21 October matches only one field
+    const schedule = parseCron("0 0 */2 * MON");
+
+    expect(iso(schedule.next(at(18, 12)))).to.equal("2026-10-19T00:00:00.000Z");
+    expect(iso(schedule.next(at(19, 12)))).to.equal("2026-11-09T00:00:00.000Z");
+  });
+
+  it("Should run durations at multiples of the interval since the epoch", function () {
+    expect(iso(parseSchedule("45m").next(at(19, 10, 7)))).to.equal("2026-10-19T10:30:00.000Z");
+    expect(iso(parseSchedule("90m").next(at(19, 10, 30)))).to.equal("2026-10-19T12:00:00.000Z");
+    expect(parseSchedule("90m")).to.include({ type: "interval", expression: "90m", intervalMs: 5400000 });
+    expect(parseSchedule(" 0 * * * * ")).to.include({ type: "cron", expression: "0 * * * *" });
+  });
+
+  it("Should reject invalid schedules", function () {
+    expect(() => parseSchedule("*/15 * * *")).to.throw("expected 5 fields");
+    expect(() => parseSchedule("60 * * * *")).to.throw("Invalid minute in cron expression: 60");
+    expect(() => parseSchedule("*/0 * * * *")).to.throw("Invalid step in cron expression: */0");
+    expect(() => parseSchedule("0 9 * * FRI-MON")).to.throw("Invalid range in cron expression: FRI-MON");
+    expect(() => parseSchedule("0 0 30 2 *")).to.throw("Cron expression never matches");
+    expect(() => parseSchedule("15")).to.throw("Invalid schedule: 15");
+  });
+});
+
+describe("Market calendar", function () {
+  it("Should close the metals market from Friday 22:00 to Sunday 23:00 and for the daily break", function () {
+    const calendar = createMarketCalendar({ name: "metals" });
+
+    expect(calendar.isOpen(at(23, 21, 59))).to.equal(true);
+    expect(calendar.isOpen(at(23, 22))).to.equal(false);
+    expect(calendar.isOpen(at(24, 12))).to.equal(false);
+    expect(calendar.isOpen(at(25, 22, 59))).to.equal(false);
+    expect(calendar.isOpen(at(25, 23))).to.equal(true);
+    expect(calendar.isOpen(at(20, 22, 30))).to.equal(false);
+    expect(calendar.isOpen(at(20, 23))).to.equal(true);
+    expect(iso(calendar.nextChange(at(23, 21, 30)))).to.equal("2026-10-23T22:00:00.000Z");
+    expect(iso(calendar.nextChange(at(23, 22)))).to.equal("2026-10-25T23:00:00.000Z");
+  });
+
+  it("Should close on holidays and never otherwise with the always calendar", function () {
+    const calendar = createMarketCalendar({ holidays: ["2026-12-25"] });
+
+    expect(calendar.isOpen(at(24, 12))).to.equal(true);
+    expect(calendar.isOpen(Date.UTC(2026, 11, 25, 12))).to.equal(false);
+    expect(createMarketCalendar().nextChange(at(24, 12))).to.equal(null);
+    expect(() => createMarketCalendar({ name: "nyse" })).to.throw("Unknown market calendar: nyse (supported: always, metals)");
+    expect(() => createMarketCalendar({ holidays: ["25/12/2026"] })).to.throw("Invalid market holiday: 25/12/2026");
+  });
+});
+
+describe("Scheduler", function () {
+  let job;
+
+  afterEach(function () {
+    job?.stop();
+    job = null;
+  });
+
+  /**
+   * Start a job on a clock stopped at a given time
+   * @param {Object} options - createScheduler() options
+   * @param {Object} clock - { time } the job reads as the current time
+   * @returns {Object} Started job
+   */
+  const startAt = (options, clock) => {
+    job?.stop();
+    job = createScheduler({
+      name: "XAU update",
+      schedule: "15m",
+      run: async () => true,
+      now: () => clock.time,
+      ...options,
+    });
+    job.start();
+    return job;
+  };
+
+  it("Should switch to the closed schedule while the market is closed", function () {
+    const calendar = createMarketCalendar({ name: "metals" });
+    const options = { schedule: "15m", closedSchedule: "0 */4 * * *", calendar };
+    const nextRun = (time) => iso(startAt(options, { time }).getNextRun());
+
+    expect(nextRun(at(23, 21, 40))).to.equal("2026-10-23T21:45:00.000Z");
+    // Friday 22:00 is closed, so the open schedule's slots stop at 21:45
+    expect(nextRun(at(23, 21, 50))).to.equal("2026-10-24T00:00:00.000Z");
+    expect(nextRun(at(25, 20, 10))).to.equal("2026-10-25T23:00:00.000Z");
+    expect(nextRun(at(25, 23))).to.equal("2026-10-25T23:15:00.000Z");
+
+    expect(job.getStatus()).to.include({
+      schedule: "15m",
+      closedSchedule: "0 */4 * * *",
+      calendar: "metals",
+      marketOpen: true,
+      nextRunAt: "2026-10-25T23:15:00.000Z",
+    });
+  });
+
+  it("Should add the jitter to the planned run", function () {
+    expect(iso(startAt({ jitterSeconds: 60, random: () => 0.5 }, { time: at(19, 10, 7) }).getNextRun()))
+      .to.equal("2026-10-19T10:15:30.000Z");
+  });
+
+  it("Should back off exponentially after consecutive failures and reset after a success", async function () {
+    const clock = { time: at(19, 10, 0, 30) };
+    let fail = true;
+    startAt({
+      schedule: "1m",
+      backoff: { initialSeconds: 60, maxSeconds: 180 },
+      run: async () => {
+        if (fail) {
+          throw new Error("Price quorum not met");
+        }
+        return true;
+      },
+    }, clock);
+
+    expect(iso(job.getNextRun())).to.equal("2026-10-19T10:01:00.000Z");
+
+    expect(await job.runNow()).to.equal(false);
+    expect(iso(job.getNextRun())).to.equal("2026-10-19T10:02:00.000Z");
+    expect(job.getStatus()).to.include({ consecutiveFailures: 1, backoffUntil: "2026-10-19T10:01:30.000Z" });
+
+    await job.runNow();
+    expect(iso(job.getNextRun())).to.equal("2026-10-19T10:03:00.000Z");
+
+    await job.runNow();
+    await job.runNow();
+    expect(job.getStatus()).to.include({ consecutiveFailures: 4, backoffUntil: "2026-10-19T10:03:30.000Z" });
+
+    fail = false;
+    expect(await job.runNow("startup")).to.equal(true);
+    expect(job.getStatus()).to.include({ consecutiveFailures: 0, backoffUntil: null });
+    expect(job.getStatus().lastRun).to.include({ trigger: "startup", succeeded: true });
+  });
+
+  it("Should count a run resolving to false as failed", async function () {
+    startAt({ run: async () => false }, { time: at(19, 10) });
+
+    expect(await job.runNow()).to.equal(false);
+    expect(job.getStatus().consecutiveFailures).to.equal(1);
+  });
+
+  it("Should skip a run while the previous one is still going", async function () {
+    let finish;
+    startAt({ run: () => new Promise((resolve) => { finish = resolve; }) }, { time: at(19, 10) });
+
+    const first = job.runNow("startup");
+    expect(await job.runNow()).to.equal(null);
+    expect(job.getStatus()).to.include({ running: true, skipped: 1 });
+
+    finish(true);
+    expect(await first).to.equal(true);
+    expect(job.getStatus().running).to.equal(false);
+  });
+
+  it("Should report the longest gap between runs", function () {
+    const calendar = createMarketCalendar({ name: "metals" });
+
+    expect(startAt({ schedule: "15m" }, { time: at(19, 10) }).getMaxGapSeconds()).to.equal(900);
+    expect(startAt({ schedule: "15m", jitterSeconds: 30 }, { time: at(19, 10) }).getMaxGapSeconds()).to.equal(930);
+    expect(startAt({ schedule: "15m", closedSchedule: "1h", calendar }, { time: at(19, 10) }).getMaxGapSeconds())
+      .to.equal(3600);
+    expect(startAt({ schedule: "*/10 * * * *", closedSchedule: "0 */4 * * *", calendar }, { time: at(19, 10) })
+      .getMaxGapSeconds()).to.equal(14400);
+  });
+
+  it("Should work out the longest gap of short-interval schedules quickly", function () {
+    const calendar = createMarketCalendar({ name: "metals", holidays: ["2026-10-21"] });
+    const started = Date.now();
+
+    expect(startAt({ schedule: "10s" }, { time: at(19, 10) }).getMaxGapSeconds()).to.equal(10);
+    expect(startAt({ schedule: "1m", closedSchedule: "1h", calendar }, { time: at(19, 10) }).getMaxGapSeconds())
+      .to.equal(3600);
+    expect(startAt({ schedule: "* * * * *", calendar }, { time: at(19, 10) }).getMaxGapSeconds())
+      .to.equal(60);
+    expect(Date.now() - started).to.be.below(200);
+  });
+
+  it("Should run on its schedule", async function () {
+    const triggers = [];
+    job = createScheduler({ name: "XAU update", schedule: "1s", run: async (trigger) => triggers.push(trigger) });
+    job.start();
+
+    await new Promise((resolve) => setTimeout(resolve, 2100));
+
+    expect(triggers).to.have.length.within(2, 3);
+    expect(new Set(triggers)).to.deep.equal(new Set(["schedule"]));
+    expect(job.getNextRun().getTime()).to.be.above(Date.now());
+  });
+});
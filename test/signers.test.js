@@ -0,0 +1,232 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSigner } from "../src/services/signers/index.js";
+import { createTransactionManager } from "../src/services/transactionManager.js";
+import { createSafeProposer, SAFE_TX_TYPES } from "../src/services/safeProposer.js";
+import { startMockRemoteSigner } from "../scripts/mockRemoteSigner.js";
+
+const { ethers } = hre;
+
+const PRICES = [6550000000n, 203750000000n, 6550000000n, 6004166666n, 4912500000n];
+
+describe("Signers", function () {
+  let goldOracle;
+  let owner;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const GoldOracle = await ethers.getContractFactory("GoldOracle");
+    goldOracle = await GoldOracle.deploy();
+    await goldOracle.waitForDeployment();
+  });
+
+  describe("Keystore", function () {
+    let dir;
+    let wallet;
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-"));
+      wallet = ethers.Wallet.createRandom();
+
+      // Low scrypt cost keeps the test fast
+      const json = await ethers.encryptKeystoreJson(wallet, "correct horse", { scrypt: { N: 1024 } });
+      fs.writeFileSync(path.join(dir, "key.json"), json);
+      fs.writeFileSync(path.join(dir, "password"), "correct horse\n");
+      fs.writeFileSync(path.join(dir, "wrong"), "battery staple\n");
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should unlock a keystore with a password file", async function () {
+      const { type, signer, address } = await createSigner({
+        type: "keystore",
+        keystore: { file: path.join(dir, "key.json"), passwordFile: path.join(dir, "password") },
+      }, ethers.provider);
+
+      expect(type).to.equal("keystore");
+      expect(address).to.equal(wallet.address);
+      expect(signer.provider).to.equal(ethers.provider);
+    });
+
+    it("Should fail with the wrong password", async function () {
+      let error;
+      try {
+        await createSigner({
+          type: "keystore",
+          keystore: { file: path.join(dir, "key.json"), passwordFile: path.join(dir, "wrong") },
+        }, ethers.provider);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.match(/Failed to unlock keystore/);
+    });
+  });
+
+  describe("Remote signer", function () {
+    let mock;
+    let key;
+
+    beforeEach(async function () {
+      key = ethers.Wallet.createRandom();
+      mock = await startMockRemoteSigner({ privateKey: key.privateKey, token: "secret" });
+
+      // Fund the remote account and make it an oracle updater
+      await (await owner.sendTransaction({ to: mock.address, value: ethers.parseEther("1") })).wait();
+      await (await goldOracle.setUpdater(mock.address, true)).wait();
+    });
+
+    afterEach(async function () {
+      await mock.close();
+    });
+
+    it("Should send transactions signed by the remote service", async function () {
+      const { signer, address } = await createSigner({
+        type: "remote",
+        remote: { url: mock.url, token: "secret", timeoutMs: 5000 },
+      }, ethers.provider);
+
+      expect(address).to.equal(mock.address);
+
+      const manager = createTransactionManager({ provider: ethers.provider, signer, pollIntervalMs: 20 });
+      const receipt = await manager.sendTransaction(goldOracle.connect(signer).updatePrices, PRICES);
+
+      expect(receipt.from).to.equal(mock.address);
+      expect(await goldOracle.getGoldPricePerOunce()).to.equal(PRICES[1]);
+      expect(mock.requests.map(({ path: endpoint }) => endpoint)).to.deep.equal(["/sign/transaction"]);
+    });
+
+    it("Should check signatures against the configured address", async function () {
+      const { signer } = await createSigner({
+        type: "remote",
+        remote: { url: mock.url, address: owner.address, token: "secret" },
+      }, ethers.provider);
+
+      let error;
+      try {
+        await signer.signMessage("price report");
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal(`Remote signer returned a signature from ${mock.address}, expected ${owner.address}`);
+    });
+
+    it("Should sign typed data", async function () {
+      const { signer } = await createSigner({
+        type: "remote",
+        remote: { url: mock.url, token: "secret" },
+      }, ethers.provider);
+
+      const domain = { name: "Test", chainId: 31337n };
+      const types = { Report: [{ name: "price", type: "uint256" }] };
+      const signature = await signer.signTypedData(domain, types, { price: PRICES[1] });
+
+      expect(ethers.verifyTypedData(domain, types, { price: PRICES[1] }, signature)).to.equal(mock.address);
+    });
+
+    it("Should report rejected requests", async function () {
+      const { signer } = await createSigner({
+        type: "remote",
+        remote: { url: mock.url, address: mock.address, token: "wrong" },
+      }, ethers.provider);
+
+      let error;
+      try {
+        await signer.signMessage("price report");
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal("Remote signer request /sign/message failed: 401 - Invalid or missing token");
+    });
+  });
+
+  describe("Safe proposals", function () {
+    const SAFE = "0x1111111111111111111111111111111111111111";
+    let server;
+    let serviceUrl;
+    let proposals;
+    let safeNonce;
+
+    // Minimal stand-in for the Safe transaction service
+    beforeEach(async function () {
+      proposals = [];
+      safeNonce = 3;
+
+      const app = express();
+      app.use(express.json());
+      app.get("/api/v1/safes/:address/", (req, res) => res.json({ address: req.params.address, nonce: safeNonce }));
+      app.post("/api/v1/safes/:address/multisig-transactions/", (req, res) => {
+        proposals.push({ safe: req.params.address, ...req.body });
+        res.status(201).end();
+      });
+
+      server = await new Promise((resolve) => {
+        const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+      });
+      serviceUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should propose calls signed by the proposer instead of sending them", async function () {
+      const proposer = createSafeProposer({ provider: ethers.provider, signer: owner, safeAddress: SAFE, serviceUrl });
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const result = await proposer.sendTransaction(goldOracle.updatePrices, PRICES);
+
+      expect(result).to.include({ proposed: true, safe: ethers.getAddress(SAFE), nonce: 3 });
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(proposals).to.have.length(1);
+
+      const [proposal] = proposals;
+      const transaction = {
+        to: await goldOracle.getAddress(),
+        value: 0n,
+        data: goldOracle.interface.encodeFunctionData("updatePrices", PRICES),
+        operation: 0,
+        safeTxGas: 0n,
+        baseGas: 0n,
+        gasPrice: 0n,
+        gasToken: ethers.ZeroAddress,
+        refundReceiver: ethers.ZeroAddress,
+        nonce: 3,
+      };
+      const domain = { chainId: 31337n, verifyingContract: ethers.getAddress(SAFE) };
+
+      expect(proposal.data).to.equal(transaction.data);
+      expect(proposal.contractTransactionHash).to.equal(result.hash);
+      expect(proposal.contractTransactionHash).to.equal(ethers.TypedDataEncoder.hash(domain, SAFE_TX_TYPES, transaction));
+      expect(proposal.sender).to.equal(owner.address);
+      expect(ethers.verifyTypedData(domain, SAFE_TX_TYPES, transaction, proposal.signature)).to.equal(owner.address);
+    });
+
+    it("Should replace a waiting proposal for the same feed and queue other feeds", async function () {
+      const proposer = createSafeProposer({ provider: ethers.provider, signer: owner, safeAddress: SAFE, serviceUrl });
+      const eur = ethers.encodeBytes32String("EUR");
+
+      await proposer.sendTransaction(goldOracle.updatePrices, PRICES);
+      await proposer.sendTransaction(goldOracle.updatePricesForCurrency, [eur, ...PRICES]);
+      await proposer.sendTransaction(goldOracle.updatePrices, PRICES);
+
+      expect(proposals.map(({ nonce }) => nonce)).to.deep.equal([3, 4, 3]);
+
+      // Once the owners execute both, new proposals continue from the Safe's nonce
+      safeNonce = 5;
+      await proposer.sendTransaction(goldOracle.updatePrices, PRICES);
+
+      expect(proposals[3].nonce).to.equal(5);
+      expect(proposer.getStatus().proposals.map(({ nonce }) => nonce)).to.deep.equal([5]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { createTransactionManager } from "../src/services/transactionManager.js";
+import metrics from "../src/services/metrics.js";
+
+const { ethers, network } = hre;
+
+const PRICES = [6550000000n, 203750000000n, 6550000000n, 6004166666n, 4912500000n];
+
+// Wait until the manager has submitted `count` versions of its pending transaction
+async function waitForSubmissions(manager, count) {
+  for (let i = 0; i < 200; i++) {
+    const { pending } = manager.getStatus();
+    if (pending && pending.hashes.length >= count) {
+      return pending;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Expected ${count} submission(s)`);
+}
+
+describe("Transaction manager", function () {
+  let goldOracle;
+  let owner;
+
+  const createManager = (options = {}) => createTransactionManager({
+    provider: ethers.provider,
+    signer: owner,
+    confirmationTimeoutMs: 200,
+    maxReplacements: 2,
+    feeBumpPercent: 20,
+    pollIntervalMs: 20,
+    ...options,
+  });
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const GoldOracle = await ethers.getContractFactory("GoldOracle");
+    goldOracle = await GoldOracle.deploy();
+    await goldOracle.waitForDeployment();
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should send with locally tracked nonces", async function () {
+    const manager = createManager();
+    const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+    const [first, second] = await Promise.all([
+      manager.sendTransaction(goldOracle.updatePrices, PRICES),
+      manager.sendTransaction(goldOracle.updatePrices, PRICES),
+    ]);
+
+    expect((await ethers.provider.getTransaction(first.hash)).nonce).to.equal(nonce);
+    expect((await ethers.provider.getTransaction(second.hash)).nonce).to.equal(nonce + 1);
+    expect(manager.getStatus()).to.deep.equal({ nextNonce: nonce + 2, pending: null });
+  });
+
+  it("Should resubmit a stuck transaction with bumped fees", async function () {
+    const manager = createManager({ confirmationTimeoutMs: 100 });
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const sending = manager.sendTransaction(goldOracle.updatePrices, PRICES);
+    const [first] = (await waitForSubmissions(manager, 1)).hashes;
+    const original = await ethers.provider.getTransaction(first);
+    const [, second] = (await waitForSubmissions(manager, 2)).hashes;
+    const replacement = await ethers.provider.getTransaction(second);
+
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    expect(replacement.nonce).to.equal(original.nonce);
+    expect(replacement.maxFeePerGas).to.equal((original.maxFeePerGas * 120n + 99n) / 100n);
+    expect(receipt.hash).to.equal(second);
+    expect(await goldOracle.getGoldPricePerOunce()).to.equal(PRICES[1]);
+  });
+
+  it("Should release the nonce of a transaction it gives up on", async function () {
+    const manager = createManager({ confirmationTimeoutMs: 50, maxReplacements: 1 });
+    const nonce = await ethers.provider.getTransactionCount(owner.address);
+    await network.provider.send("evm_setAutomine", [false]);
+
+    await expect(manager.sendTransaction(goldOracle.updatePrices, PRICES))
+      .to.be.rejectedWith(`Transaction with nonce ${nonce} not confirmed after 2 submissions`);
+    expect(manager.getStatus()).to.deep.equal({ nextNonce: nonce, pending: null });
+    const [stuck] = await network.provider.send("eth_getBlockByNumber", ["pending", true])
+      .then((block) => block.transactions);
+
+    // The next send replaces the stuck transaction instead of queueing behind it
+    const sending = manager.sendTransaction(goldOracle.updatePrices, PRICES);
+    await waitForSubmissions(manager, 1);
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    const replacement = await ethers.provider.getTransaction(receipt.hash);
+    expect(replacement.nonce).to.equal(nonce);
+    expect(replacement.maxFeePerGas > BigInt(stuck.maxFeePerGas)).to.equal(true);
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce + 1);
+  });
+
+  it("Should keep sending after a failed call", async function () {
+    const manager = createManager();
+
+    // Calls that always revert already fail at gas estimation
+    await expect(manager.sendTransaction(goldOracle.updatePrices, [0, 0, 0, 0, 0]))
+      .to.be.rejected;
+
+    // The manager keeps working afterwards
+    await manager.sendTransaction(goldOracle.updatePrices, PRICES);
+    expect(await goldOracle.getGoldPricePerOunce()).to.equal(PRICES[1]);
+  });
+
+  it("Should record confirmations, replacements, gas used and fees", async function () {
+    const manager = createManager({ confirmationTimeoutMs: 100, chain: "metrics-test" });
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const sending = manager.sendTransaction(goldOracle.updatePrices, PRICES);
+    await waitForSubmissions(manager, 2);
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    const output = await metrics.render();
+    const sample = (series) => Number(output.match(new RegExp(`^${series} (\\S+)$`, "m"))[1]);
+
+    expect(sample('gold_oracle_transactions_total\\{chain="metrics-test",result="confirmed"\\}')).to.equal(1);
+    expect(sample('gold_oracle_transaction_replacements_total\\{chain="metrics-test"\\}')).to.be.at.least(1);
+    expect(sample('gold_oracle_transaction_gas_used_sum\\{chain="metrics-test"\\}')).to.equal(Number(receipt.gasUsed));
+    expect(sample('gold_oracle_transaction_fee_wei_sum\\{chain="metrics-test"\\}')).to.equal(Number(receipt.fee));
+    expect(sample('gold_oracle_transaction_confirmation_seconds_count\\{chain="metrics-test"\\}')).to.equal(1);
+  });
+});
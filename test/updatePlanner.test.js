@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import updatePlanner from "../src/services/updatePlanner.js";
+
+const { ethers } = hre;
+
+describe("Update planner", function () {
+  const PRICES = {
+    pricePerGram: 6550000000n,
+    pricePerOunce: 203750000000n,
+    pricePerKarat24: 6550000000n,
+    pricePerKarat22: 6004166666n,
+    pricePerKarat18: 4912500000n,
+  };
+  const EUR = ethers.encodeBytes32String("EUR");
+  const GBP = ethers.encodeBytes32String("GBP");
+  const VND = ethers.encodeBytes32String("VND");
+  const LARGE_PRICES = Object.fromEntries(
+    Object.entries(PRICES).map(([field, price]) => [field, price * 25000n])
+  );
+
+  const scale = (prices, percent) =>
+    Object.fromEntries(Object.entries(prices).map(([field, price]) => [field, (price * BigInt(percent)) / 100n]));
+
+  describe("Planning", function () {
+    it("Should pack prices with gram in the lowest bits", function () {
+      const packed = updatePlanner.packPrices(PRICES);
+
+      expect(packed & updatePlanner.MAX_PACKED_PRICE).to.equal(PRICES.pricePerGram);
+      expect((packed >> 48n) & updatePlanner.MAX_PACKED_PRICE).to.equal(PRICES.pricePerOunce);
+      expect(packed >> 192n).to.equal(PRICES.pricePerKarat18);
+    });
+
+    it("Should refuse to pack prices that do not fit", function () {
+      expect(updatePlanner.fitsPacked(LARGE_PRICES)).to.equal(false);
+      expect(() => updatePlanner.packPrices(LARGE_PRICES)).to.throw("cannot be packed");
+    });
+
+    it("Should list changed fields", function () {
+      expect(updatePlanner.changedFields(PRICES, { ...PRICES, pricePerOunce: 204000000000n }))
+        .to.deep.equal(["pricePerOunce"]);
+      expect(updatePlanner.changedFields(PRICES, PRICES)).to.deep.equal([]);
+    });
+
+    it("Should send a single currency packed", function () {
+      const calls = updatePlanner.plan([{ currency: "USD", key: ethers.ZeroHash, prices: PRICES }]);
+
+      expect(calls).to.have.length(1);
+      expect(calls[0]).to.include({ path: "packed", method: "updatePricesPacked" });
+      expect(calls[0].currencies).to.deep.equal(["USD"]);
+    });
+
+    it("Should batch several currencies and send large prices unpacked", function () {
+      const calls = updatePlanner.plan([
+        { currency: "USD", key: ethers.ZeroHash, prices: PRICES },
+        { currency: "VND", key: VND, prices: LARGE_PRICES },
+        { currency: "EUR", key: EUR, prices: PRICES },
+      ]);
+
+      expect(calls.map(({ path }) => path)).to.deep.equal(["batch", "full"]);
+      expect(calls[0].currencies).to.deep.equal(["USD", "EUR"]);
+      expect(calls[0].args[0]).to.deep.equal([ethers.ZeroHash, EUR]);
+      expect(calls[1]).to.include({ method: "updatePricesForCurrency" });
+      expect(calls[1].args[0]).to.equal(VND);
+    });
+
+    it("Should use updatePrices for large base currency prices", function () {
+      const [call] = updatePlanner.plan([{ currency: "USD", key: ethers.ZeroHash, prices: LARGE_PRICES }]);
+
+      expect(call).to.include({ path: "full", method: "updatePrices" });
+      expect(call.args).to.deep.equal(Object.values(LARGE_PRICES));
+    });
+  });
+
+  describe("Gas", function () {
+    let goldOracle;
+
+    const gasOf = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+
+    beforeEach(async function () {
+      const GoldOracle = await ethers.getContractFactory("GoldOracle");
+      goldOracle = await GoldOracle.deploy();
+      await goldOracle.waitForDeployment();
+
+      // Publish every currency once so the measured updates overwrite existing slots
+      await goldOracle.updatePricesBatch(
+        [ethers.ZeroHash, EUR, GBP],
+        [updatePlanner.packPrices(PRICES), updatePlanner.packPrices(PRICES), updatePlanner.packPrices(PRICES)]
+      );
+    });
+
+    it("Should store what the planner packs", async function () {
+      const [call] = updatePlanner.plan([{ currency: "EUR", key: EUR, prices: scale(PRICES, 92) }]);
+
+      await goldOracle[call.method](...call.args);
+
+      const stored = await goldOracle.getAllPricesForCurrency(EUR);
+      expect(stored.pricePerGram).to.equal(scale(PRICES, 92).pricePerGram);
+      expect(stored.pricePerKarat18).to.equal(scale(PRICES, 92).pricePerKarat18);
+    });
+
+    it("Should make a packed update no more expensive than a full one", async function () {
+      const next = scale(PRICES, 101);
+
+      const full = await gasOf(goldOracle.updatePrices(...Object.values(next)));
+      const packed = await gasOf(goldOracle.updatePricesPacked(ethers.ZeroHash, updatePlanner.packPrices(scale(PRICES, 102))));
+
+      expect(packed <= full).to.equal(true);
+    });
+
+    it("Should make a batch cheaper than separate updates", async function () {
+      const next = scale(PRICES, 101);
+      let separate = 0n;
+      for (const key of [ethers.ZeroHash, EUR, GBP]) {
+        separate += await gasOf(goldOracle.updatePricesPacked(key, updatePlanner.packPrices(next)));
+      }
+
+      const [call] = updatePlanner.plan(
+        [ethers.ZeroHash, EUR, GBP].map((key) => ({ currency: key, key, prices: scale(PRICES, 102) }))
+      );
+      const batch = await gasOf(goldOracle[call.method](...call.args));
+
+      expect(call.path).to.equal("batch");
+      expect(batch < separate).to.equal(true);
+    });
+
+    it("Should not make a partial update cheaper than a packed one", async function () {
+      const reset = () => goldOracle.updatePricesPacked(ethers.ZeroHash, updatePlanner.packPrices(PRICES));
+      const fields = ["pricePerGram", "pricePerOunce", "pricePerKarat24", "pricePerKarat22", "pricePerKarat18"];
+
+      // No change, a change in either storage slot, and a change in both
+      for (const changed of [[], ["pricePerOunce"], ["pricePerKarat18"], fields]) {
+        const next = { ...PRICES };
+        changed.forEach((field) => { next[field] += 7n; });
+        const mask = changed.reduce((bits, field) => bits | (1 << fields.indexOf(field)), 0);
+
+        await reset();
+        const partial = await gasOf(
+          goldOracle.updatePriceFields(ethers.ZeroHash, mask, changed.map((field) => next[field]))
+        );
+        await reset();
+        const packed = await gasOf(goldOracle.updatePricesPacked(ethers.ZeroHash, updatePlanner.packPrices(next)));
+
+        expect(packed < partial, `changed: ${changed.join(", ") || "none"}`).to.equal(true);
+      }
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from "chai";
+import config from "../src/config/index.js";
+import updatePolicy from "../src/services/updatePolicy.js";
+
+describe("Update policy", function () {
+  const NOW = 1700003600;
+  const ON_CHAIN = {
+    pricePerGram: 100000n,
+    pricePerOunce: 100000n,
+    pricePerKarat24: 100000n,
+    pricePerKarat22: 100000n,
+    pricePerKarat18: 100000n,
+    lastUpdated: BigInt(NOW - 600),
+  };
+  const policyConfig = { ...config.policy };
+
+  before(function () {
+    Object.assign(config.policy, { deviationThresholdBps: 10, heartbeatSeconds: 1800 });
+  });
+
+  after(function () {
+    Object.assign(config.policy, policyConfig);
+  });
+
+  /**
+   * On-chain prices with one field changed
+   * @param {string} field - Tracked field
+   * @param {bigint} price - New value of the field
+   * @returns {Object} Prices
+   */
+  const withField = (field, price) => ({ ...ON_CHAIN, [field]: price });
+
+  updatePolicy.TRACKED_FIELDS.forEach((field) => {
+    it(`Should publish when ${field} moves more than the threshold`, function () {
+      expect(updatePolicy.evaluate(ON_CHAIN, withField(field, 100099n), NOW)).to.include({
+        shouldUpdate: false,
+        reason: "none",
+        maxDeviationBps: 9.9,
+      });
+      expect(updatePolicy.evaluate(ON_CHAIN, withField(field, 99900n), NOW)).to.include({
+        shouldUpdate: false,
+        reason: "none",
+        maxDeviationBps: 10,
+      });
+
+      const above = updatePolicy.evaluate(ON_CHAIN, withField(field, 100101n), NOW);
+      expect(above).to.include({ shouldUpdate: true, reason: "deviation", maxDeviationBps: 10.1, secondsSinceUpdate: 600 });
+      expect(above.deviations[field]).to.equal(10.1);
+    });
+  });
+
+  it("Should publish flat prices once the heartbeat has passed", function () {
+    const stale = { ...ON_CHAIN, lastUpdated: BigInt(NOW - 1800) };
+
+    expect(updatePolicy.evaluate(stale, ON_CHAIN, NOW - 1)).to.include({ shouldUpdate: false, reason: "none" });
+    expect(updatePolicy.evaluate(stale, ON_CHAIN, NOW)).to.include({
+      shouldUpdate: true,
+      reason: "heartbeat",
+      maxDeviationBps: 0,
+      secondsSinceUpdate: 1800,
+    });
+
+    config.policy.heartbeatSeconds = 0;
+    try {
+      expect(updatePolicy.evaluate(stale, ON_CHAIN, NOW + 86400).shouldUpdate).to.equal(false);
+    } finally {
+      config.policy.heartbeatSeconds = 1800;
+    }
+  });
+
+  it("Should always publish the first prices", function () {
+    const empty = Object.fromEntries(Object.keys(ON_CHAIN).map((field) => [field, 0n]));
+
+    expect(updatePolicy.evaluate(empty, ON_CHAIN, NOW)).to.deep.equal({
+      shouldUpdate: true,
+      reason: "initial",
+      deviations: null,
+      maxDeviationBps: null,
+      secondsSinceUpdate: null,
+    });
+  });
+
+  it("Should round the heartbeat up to whole update intervals for the longest publish gap", function () {
+    expect(updatePolicy.maxPublishGapSeconds(900)).to.equal(1800);
+    expect(updatePolicy.maxPublishGapSeconds(700)).to.equal(2100);
+    expect(updatePolicy.maxPublishGapSeconds(3600)).to.equal(3600);
+
+    config.policy.heartbeatSeconds = 0;
+    try {
+      expect(updatePolicy.maxPublishGapSeconds(900)).to.equal(Infinity);
+    } finally {
+      config.policy.heartbeatSeconds = 1800;
+    }
+  });
+});